@@ -0,0 +1,125 @@
+/**
+ * benchmark.js
+ * Бенчмарк симуляции: перебирает размеры сетки и стратегии, для каждой пары выполняет кадры
+ * (фиксированный шаг и отрисовка) и замеряет время кадра до завершения работы GPU, время CPU
+ * на шаги и запись команд и время проходов GPU (GPUProfiler, если есть timestamp-query).
+ * На время бенчмарка контроллер не шагает сам; ткань и стратегия модели восстанавливаются после него,
+ * состояние симуляции начинается заново. Результаты выгружаются в CSV.
+ */
+
+/** Проходы GPU в колонках CSV (имена timestampWrites) */
+const GPU_PASSES = ["forces", "solver", "normals", "render"];
+
+export class Benchmark {
+  /**
+   * @param {SimulationModel} model - Модель
+   * @param {SimulationView|CPUSimulationView} view - Представление
+   * @param {SimulationController} controller - Контроллер
+   * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени
+   */
+  constructor(model, view, controller, strategies) {
+    this.model = model;
+    this.view = view;
+    this.controller = controller;
+    this.strategies = strategies;
+    this.cancelled = false;
+  }
+
+  /**
+   * Прогоняет все сочетания размера сетки и стратегии
+   * @param {Object} [options]
+   * @param {number[]} [options.sizes] - Размеры сетки (вершин по стороне)
+   * @param {string[]} [options.strategyNames] - Имена стратегий
+   * @param {number} [options.warmup] - Кадры прогрева перед замером
+   * @param {number} [options.frames] - Замеряемые кадры
+   * @param {function(number, number): void} [options.onProgress] - Вызывается перед каждым сочетанием (номер, всего)
+   * @returns {Promise<Object[]>} Строки результатов (см. toCSV)
+   */
+  async run({ sizes = [16, 32, 64, 128], strategyNames = Object.keys(this.strategies), warmup = 30, frames = 120, onProgress = () => {} } = {}) {
+    const { model, controller } = this;
+    if (controller.recorder || controller.replayer) throw new Error("Benchmark: stop recording or replay first");
+    // смена ткани посреди офлайн-записи испортила бы и кадры записи, и замеры
+    if (controller.capture) throw new Error("Benchmark: stop the PNG sequence capture first");
+    const saved = { cloth: model.cloth, strategy: model.strategy };
+    const runs = sizes.flatMap(size => strategyNames.map(name => ({ size, name })));
+    const results = [];
+    controller.benchmark = this;
+    this.cancelled = false;
+    try {
+      for (const [i, { size, name }] of runs.entries()) {
+        if (this.cancelled) break;
+        onProgress(i, runs.length);
+        model.setCloth({ size, spacing: 1.6 / (size - 1) });
+        model.setStrategy(this.strategies[name]);
+        results.push({ strategy: name, size, ...await this.measure(warmup, frames) });
+      }
+    } finally {
+      model.setCloth(saved.cloth);
+      model.setStrategy(saved.strategy);
+      controller.benchmark = null;
+    }
+    return results;
+  }
+
+  /** Прерывает бенчмарк после текущего сочетания */
+  cancel() { this.cancelled = true; }
+
+  /**
+   * Замер одного сочетания: средние времена по кадрам, мс
+   * @returns {Promise<{vertices: number, constraints: number, frameMs: number, cpuMs: number, gpu: Object<string, number>|null}>}
+   */
+  async measure(warmup, frames) {
+    const { view, controller } = this;
+    const gpu = {};
+    let gpuFrames = 0;
+    // замеры GPU приходят асинхронно; кадры на границе прогрева могут попасть в среднее — оно по пришедшим кадрам
+    let measuring = false;
+    const onTimings = timings => {
+      if (!measuring) return;
+      gpuFrames++;
+      Object.entries(timings).forEach(([label, ms]) => { gpu[label] = (gpu[label] ?? 0) + ms; });
+    };
+    if (view.profiler) view.profiler.on("timings", onTimings);
+
+    let frameMs = 0, cpuMs = 0;
+    for (let frame = 0; frame < warmup + frames; frame++) {
+      measuring = frame >= warmup;
+      const start = performance.now();
+      controller.simulate();
+      view.render();
+      const cpu = performance.now() - start;
+      await view.finish();
+      if (measuring) { cpuMs += cpu; frameMs += performance.now() - start; }
+    }
+    // чтение меток последнего кадра завершается после finish
+    await view.finish();
+    measuring = false;
+    if (view.profiler) view.profiler.off("timings", onTimings);
+
+    const average = Object.fromEntries(Object.entries(gpu).map(([label, ms]) => [label, ms / gpuFrames]));
+    return {
+      vertices: view.vertexCount,
+      constraints: view.constraintCount,
+      frameMs: frameMs / frames,
+      cpuMs: cpuMs / frames,
+      gpu: gpuFrames > 0 ? average : null,
+    };
+  }
+}
+
+/**
+ * Результаты бенчмарка в CSV: одна строка на сочетание, время в мс;
+ * колонки GPU пусты, если время проходов не замерялось
+ * @param {Object[]} results - Результат Benchmark.run
+ * @returns {string}
+ */
+export function toCSV(results) {
+  const header = ["strategy", "size", "vertices", "constraints", "frame_ms", "fps", "cpu_ms", "gpu_ms", ...GPU_PASSES.map(pass => `${pass}_ms`)];
+  const ms = value => value.toFixed(3);
+  const rows = results.map(({ strategy, size, vertices, constraints, frameMs, cpuMs, gpu }) => [
+    strategy, size, vertices, constraints, ms(frameMs), (1000 / frameMs).toFixed(1), ms(cpuMs),
+    gpu ? ms(Object.values(gpu).reduce((sum, value) => sum + value, 0)) : "",
+    ...GPU_PASSES.map(pass => (gpu ? ms(gpu[pass] ?? 0) : "")),
+  ]);
+  return [header, ...rows].map(row => row.join(",")).join("\n") + "\n";
+}
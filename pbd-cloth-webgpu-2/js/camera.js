@@ -0,0 +1,189 @@
+/**
+ * camera.js
+ * Орбитальная камера с перспективной проекцией и минимальный набор операций с mat4.
+ * Матрицы хранятся по столбцам (column-major) в Float32Array(16), как mat4x4<f32> в WGSL.
+ * Глубина в clip space — [0, 1], как принято в WebGPU.
+ */
+
+/**
+ * Перспективная проекция для WebGPU (z в диапазоне [0, 1])
+ * @param {number} fovY - Вертикальный угол обзора в радианах
+ * @param {number} aspect - Отношение ширины к высоте
+ * @param {number} near - Ближняя плоскость отсечения
+ * @param {number} far - Дальняя плоскость отсечения
+ * @returns {Float32Array}
+ */
+export function perspective(fovY, aspect, near, far) {
+  const f = 1 / Math.tan(fovY / 2);
+  const nf = 1 / (near - far);
+  const m = new Float32Array(16);
+  m[0] = f / aspect;
+  m[5] = f;
+  m[10] = far * nf;
+  m[11] = -1;
+  m[14] = far * near * nf;
+  return m;
+}
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const normalize = a => { const l = Math.hypot(a[0], a[1], a[2]) || 1; return [a[0] / l, a[1] / l, a[2] / l]; };
+
+/**
+ * Видовая матрица камеры, смотрящей из eye в target
+ * @param {number[]} eye - Позиция камеры
+ * @param {number[]} target - Точка, в которую смотрит камера
+ * @param {number[]} [up=[0, 1, 0]] - Направление «вверх»
+ * @returns {Float32Array}
+ */
+export function lookAt(eye, target, up = [0, 1, 0]) {
+  const z = normalize(sub(eye, target));
+  const x = normalize(cross(up, z));
+  const y = cross(z, x);
+  return new Float32Array([
+    x[0], y[0], z[0], 0,
+    x[1], y[1], z[1], 0,
+    x[2], y[2], z[2], 0,
+    -dot(x, eye), -dot(y, eye), -dot(z, eye), 1,
+  ]);
+}
+
+/**
+ * Произведение матриц a × b
+ * @returns {Float32Array}
+ */
+export function multiply(a, b) {
+  const out = new Float32Array(16);
+  for (let c = 0; c < 4; c++) {
+    for (let r = 0; r < 4; r++) {
+      out[c * 4 + r] = a[r] * b[c * 4] + a[4 + r] * b[c * 4 + 1] + a[8 + r] * b[c * 4 + 2] + a[12 + r] * b[c * 4 + 3];
+    }
+  }
+  return out;
+}
+
+/**
+ * Обратная матрица (разложение по минорам 2×2)
+ * @returns {Float32Array|null} null, если матрица вырождена
+ */
+export function invert(m) {
+  const [a00, a01, a02, a03, a10, a11, a12, a13, a20, a21, a22, a23, a30, a31, a32, a33] = m;
+  const b00 = a00 * a11 - a01 * a10, b01 = a00 * a12 - a02 * a10, b02 = a00 * a13 - a03 * a10;
+  const b03 = a01 * a12 - a02 * a11, b04 = a01 * a13 - a03 * a11, b05 = a02 * a13 - a03 * a12;
+  const b06 = a20 * a31 - a21 * a30, b07 = a20 * a32 - a22 * a30, b08 = a20 * a33 - a23 * a30;
+  const b09 = a21 * a32 - a22 * a31, b10 = a21 * a33 - a23 * a31, b11 = a22 * a33 - a23 * a32;
+  const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+  if (!det) return null;
+  const id = 1 / det;
+  return new Float32Array([
+    (a11 * b11 - a12 * b10 + a13 * b09) * id,
+    (a02 * b10 - a01 * b11 - a03 * b09) * id,
+    (a31 * b05 - a32 * b04 + a33 * b03) * id,
+    (a22 * b04 - a21 * b05 - a23 * b03) * id,
+    (a12 * b08 - a10 * b11 - a13 * b07) * id,
+    (a00 * b11 - a02 * b08 + a03 * b07) * id,
+    (a32 * b02 - a30 * b05 - a33 * b01) * id,
+    (a20 * b05 - a22 * b02 + a23 * b01) * id,
+    (a10 * b10 - a11 * b08 + a13 * b06) * id,
+    (a01 * b08 - a00 * b10 - a03 * b06) * id,
+    (a30 * b04 - a31 * b02 + a33 * b00) * id,
+    (a21 * b02 - a20 * b04 - a23 * b00) * id,
+    (a11 * b07 - a10 * b09 - a12 * b06) * id,
+    (a00 * b09 - a01 * b07 + a02 * b06) * id,
+    (a31 * b01 - a30 * b03 - a32 * b00) * id,
+    (a20 * b03 - a21 * b01 + a22 * b00) * id,
+  ]);
+}
+
+/**
+ * Умножает матрицу на вектор vec4
+ * @returns {number[]}
+ */
+export function transformVec4(m, v) {
+  return [0, 1, 2, 3].map(r => m[r] * v[0] + m[4 + r] * v[1] + m[8 + r] * v[2] + m[12 + r] * v[3]);
+}
+
+export class OrbitCamera {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.target=[0, -0.3, 0]] - Точка вращения
+   * @param {number} [options.distance=3] - Расстояние до target
+   * @param {number} [options.yaw=0] - Поворот вокруг оси Y (радианы)
+   * @param {number} [options.pitch=0.2] - Наклон (радианы)
+   * @param {number} [options.fovY=Math.PI / 4] - Вертикальный угол обзора
+   */
+  constructor({ target = [0, -0.3, 0], distance = 3, yaw = 0, pitch = 0.2, fovY = Math.PI / 4 } = {}) {
+    this.target = [...target];
+    this.distance = distance;
+    this.yaw = yaw;
+    this.pitch = pitch;
+    this.fovY = fovY;
+    this.aspect = 1;
+    this.near = 0.01;
+    this.far = 100;
+  }
+
+  /** Позиция камеры в мировых координатах */
+  get eye() {
+    const c = Math.cos(this.pitch);
+    return [
+      this.target[0] + this.distance * c * Math.sin(this.yaw),
+      this.target[1] + this.distance * Math.sin(this.pitch),
+      this.target[2] + this.distance * c * Math.cos(this.yaw),
+    ];
+  }
+
+  setAspect(aspect) { this.aspect = aspect; }
+
+  /**
+   * Вращение вокруг target
+   * @param {number} dYaw - Приращение поворота (радианы)
+   * @param {number} dPitch - Приращение наклона (радианы)
+   */
+  orbit(dYaw, dPitch) {
+    this.yaw += dYaw;
+    this.pitch = Math.max(-1.5, Math.min(1.5, this.pitch + dPitch));
+  }
+
+  /**
+   * Сдвиг target в плоскости экрана; смещение пропорционально расстоянию до target
+   * @param {number} dx - Сдвиг по горизонтали (доли высоты экрана)
+   * @param {number} dy - Сдвиг по вертикали (доли высоты экрана)
+   */
+  pan(dx, dy) {
+    const view = this.viewMatrix();
+    const right = [view[0], view[4], view[8]];
+    const up = [view[1], view[5], view[9]];
+    const scale = this.distance * Math.tan(this.fovY / 2) * 2;
+    for (let i = 0; i < 3; i++) this.target[i] += (-right[i] * dx + up[i] * dy) * scale;
+  }
+
+  /**
+   * Приближение/удаление
+   * @param {number} factor - Множитель расстояния (> 1 — отдалить)
+   */
+  zoom(factor) {
+    this.distance = Math.max(0.1, Math.min(50, this.distance * factor));
+  }
+
+  viewMatrix() { return lookAt(this.eye, this.target); }
+
+  projectionMatrix() { return perspective(this.fovY, this.aspect, this.near, this.far); }
+
+  viewProjection() { return multiply(this.projectionMatrix(), this.viewMatrix()); }
+
+  /**
+   * Луч из камеры через точку экрана
+   * @param {number} x - X в NDC
+   * @param {number} y - Y в NDC
+   * @returns {{origin: number[], dir: number[]}}
+   */
+  unproject(x, y) {
+    const inv = invert(this.viewProjection());
+    const toWorld = z => { const p = transformVec4(inv, [x, y, z, 1]); return [p[0] / p[3], p[1] / p[3], p[2] / p[3]]; };
+    const near = toWorld(0);
+    const far = toWorld(1);
+    return { origin: near, dir: normalize(sub(far, near)) };
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * capture.js
+ * Запись симуляции для учебных материалов и отчётов об ошибках: снимок кадра в PNG (View.capturePNG),
+ * видео WebM в реальном времени (VideoRecorder: canvas.captureStream + MediaRecorder) и офлайн-запись
+ * последовательности PNG (OfflineCapture): контроллер продвигает цикл с фиксированным шагом кадр за кадром,
+ * поэтому результат не зависит от производительности. Последовательность упаковывается в zip (createZip).
+ * Изображение canvas WebGPU доступно только в задаче, в которой кадр нарисован, поэтому снимок
+ * делается сразу после View.render.
+ */
+
+/** Типы видео по убыванию предпочтения; берётся первый, который поддерживает MediaRecorder */
+const VIDEO_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+/**
+ * Текущее изображение canvas в PNG
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas (в воркере — OffscreenCanvas)
+ * @returns {Promise<Blob>}
+ */
+export function canvasToPNG(canvas) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type: "image/png" });
+  return new Promise((resolve, reject) => canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Canvas capture: canvas is empty"))), "image/png"));
+}
+
+/** Запись видео canvas в WebM в реальном времени */
+export class VideoRecorder {
+  constructor() {
+    this.recorder = null;
+    this.chunks = [];
+  }
+
+  get recording() { return this.recorder !== null; }
+
+  /**
+   * Начинает запись. Canvas, управление которым передано воркеру, тоже можно записывать:
+   * поток получает кадры, которые рисует воркер
+   * @param {HTMLCanvasElement} canvas - Canvas симуляции
+   * @param {Object} [options]
+   * @param {number} [options.fps=60] - Частота кадров потока
+   * @param {number} [options.bitrate=8000000] - Битрейт видео, бит/с
+   * @throws {Error} Если браузер не умеет записывать canvas в WebM
+   */
+  start(canvas, { fps = 60, bitrate = 8_000_000 } = {}) {
+    if (this.recorder) throw new Error("Video capture: already recording");
+    const mimeType = typeof MediaRecorder === "undefined" ? undefined : VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType || !canvas.captureStream) throw new Error("Video capture: WebM recording is not supported by this browser");
+    this.chunks = [];
+    this.recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType, videoBitsPerSecond: bitrate });
+    this.recorder.addEventListener("dataavailable", e => { if (e.data.size > 0) this.chunks.push(e.data); });
+    // данные отдаются раз в секунду, чтобы длинная запись не держала всё в одном буфере кодировщика
+    this.recorder.start(1000);
+  }
+
+  /**
+   * Останавливает запись
+   * @returns {Promise<Blob>} Видео WebM
+   */
+  stop() {
+    const recorder = this.recorder;
+    if (!recorder) return Promise.reject(new Error("Video capture: not recording"));
+    this.recorder = null;
+    return new Promise(resolve => {
+      recorder.addEventListener("stop", () => {
+        recorder.stream.getTracks().forEach(track => track.stop());
+        resolve(new Blob(this.chunks, { type: recorder.mimeType }));
+      }, { once: true });
+      recorder.stop();
+    });
+  }
+}
+
+/**
+ * Офлайн-запись: на время записи контроллер не шагает сам, каждый кадр — один фиксированный шаг
+ * и отрисовка, после которой кадр сохраняется в PNG. Интерфейс как у Benchmark (run, cancel)
+ */
+export class OfflineCapture {
+  /**
+   * @param {SimulationView|CPUSimulationView} view - Представление с capturePNG
+   * @param {SimulationController} controller - Контроллер
+   */
+  constructor(view, controller) {
+    this.view = view;
+    this.controller = controller;
+    this.cancelled = false;
+  }
+
+  /**
+   * Записывает кадры, начиная со следующего шага
+   * @param {Object} [options]
+   * @param {number} [options.frames=120] - Число кадров
+   * @param {function(number, number): void} [options.onProgress] - Вызывается перед каждым кадром (номер, всего)
+   * @returns {Promise<Blob[]>} PNG кадров; после cancel — записанные до остановки
+   */
+  async run({ frames = 120, onProgress = () => {} } = {}) {
+    const { view, controller } = this;
+    if (controller.benchmark || controller.capture) throw new Error("Offline capture: the simulation is busy with a benchmark or another capture");
+    const images = [];
+    controller.capture = this;
+    this.cancelled = false;
+    try {
+      for (let frame = 0; frame < frames && !this.cancelled; frame++) {
+        onProgress(frame, frames);
+        controller.simulate();
+        images.push(await view.capturePNG());
+      }
+    } finally {
+      controller.capture = null;
+    }
+    return images;
+  }
+
+  /** Останавливает запись после текущего кадра */
+  cancel() { this.cancelled = true; }
+}
+
+/**
+ * Имя кадра последовательности с номером фиксированной ширины (frame_00000.png, ...)
+ * @param {number} index - Номер кадра
+ * @param {string} [prefix="frame"] - Начало имени
+ * @returns {string}
+ */
+export function frameFileName(index, prefix = "frame") { return `${prefix}_${String(index).padStart(5, "0")}.png`; }
+
+// таблица CRC-32 (полином 0xEDB88320), как требует формат zip
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256).map((_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c;
+    });
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Архив zip без сжатия (PNG уже сжаты): локальные заголовки с данными, центральный каталог и его конец.
+ * Размеры полей zip ограничивают архив 4 ГБ и 65535 файлами
+ * @param {Array<{name: string, data: Blob|Uint8Array}>} files - Файлы архива
+ * @param {Date} [date] - Время изменения файлов
+ * @returns {Promise<Blob>} Архив application/zip
+ */
+export async function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const header = (signature, size) => {
+    const view = new DataView(new ArrayBuffer(size));
+    view.setUint32(0, signature, true);
+    return view;
+  };
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(bytes);
+    // общая часть локального заголовка и записи каталога: версия, флаги (UTF-8 имена), метод, время, CRC, размеры
+    const fill = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, dosTime, true);
+      view.setUint16(at + 8, dosDate, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, bytes.length, true);
+      view.setUint32(at + 18, bytes.length, true);
+      view.setUint16(at + 22, nameBytes.length, true);
+    };
+    const local = header(0x04034b50, 30);
+    fill(local, 4);
+    parts.push(local, nameBytes, bytes);
+
+    const entry = header(0x02014b50, 46);
+    entry.setUint16(4, 20, true);
+    fill(entry, 6);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+}
+
+/**
+ * Последовательность PNG в zip с пронумерованными именами (frameFileName)
+ * @param {Blob[]} images - Кадры OfflineCapture.run
+ * @returns {Promise<Blob>}
+ */
+export function pngSequenceZip(images) {
+  return createZip(images.map((data, index) => ({ name: frameFileName(index), data })));
+}
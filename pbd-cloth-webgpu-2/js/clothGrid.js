@@ -0,0 +1,74 @@
+/**
+ * clothGrid.js
+ * Генератор регулярной сетки ткани size×size — один из источников меша ткани (см. clothMesh.js).
+ * Позиции хранятся как vec4 (xyz + флаг закрепления в w), как inPositions/outPositions в WGSL,
+ * UV-координаты — vec2 в диапазоне [0, 1] (u вдоль строки, v от верхнего края).
+ * Каждая ячейка делится по той же диагонали a–d, что makeGrid в pbd-cloth-webgpu, на треугольники (a,d,b) и (a,c,d):
+ * обход против часовой стрелки при взгляде с +z, поэтому сторона, обращённая к камере, — лицевая (frontFace "ccw").
+ */
+
+/**
+ * Закреплённые вершины по умолчанию — верхние углы сетки
+ * @param {number} size - Количество вершин по каждой стороне
+ * @returns {number[]} Индексы вершин
+ */
+export function defaultPins(size) { return [0, size - 1]; }
+
+/**
+ * Именованные группы вершин сетки для закрепления (края и углы)
+ * @param {number} size - Количество вершин по каждой стороне
+ * @returns {Object<string, number[]>}
+ */
+export function gridGroups(size) {
+  const range = (count, index) => Array.from({ length: count }, (_, i) => index(i));
+  const last = size - 1;
+  return {
+    topCorners: defaultPins(size),
+    corners: [0, last, last * size, last * size + last],
+    top: range(size, i => i),
+    bottom: range(size, i => last * size + i),
+    left: range(size, j => j * size),
+    right: range(size, j => j * size + last),
+  };
+}
+
+/**
+ * Создаёт сетку ткани в плоскости XY с центром в начале координат
+ * @param {number} size - Количество вершин по каждой стороне
+ * @param {number} spacing - Расстояние между соседними вершинами
+ * @param {number[]|null} [pins=null] - Индексы закреплённых вершин (null — defaultPins)
+ * @returns {{positions: Float32Array, uvs: Float32Array, indices: Uint32Array, groups: Object<string, number[]>, size: number, spacing: number}}
+ * @example
+ * const grid = makeGrid(32, 0.05);
+ */
+export function makeGrid(size, spacing, pins = null) {
+  const positions = new Float32Array(size * size * 4);
+  const uvs = new Float32Array(size * size * 2);
+  const half = (size - 1) * spacing / 2;
+  const indexPos = (i, j) => i + j * size;
+
+  // строка j = 0 — верхний край ткани
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      const k = indexPos(i, j) * 4;
+      positions[k] = i * spacing - half;
+      positions[k + 1] = half - j * spacing;
+      positions[k + 2] = 0;
+      positions[k + 3] = 0;
+      uvs[indexPos(i, j) * 2] = i / (size - 1);
+      uvs[indexPos(i, j) * 2 + 1] = j / (size - 1);
+    }
+  }
+
+  for (const index of pins ?? defaultPins(size)) positions[index * 4 + 3] = 1;
+
+  const indices = [];
+  for (let j = 0; j < size - 1; j++) {
+    for (let i = 0; i < size - 1; i++) {
+      const a = indexPos(i, j), b = indexPos(i + 1, j), c = indexPos(i, j + 1), d = indexPos(i + 1, j + 1);
+      indices.push(a, d, b, a, c, d);
+    }
+  }
+
+  return { positions, uvs, indices: new Uint32Array(indices), groups: gridGroups(size), size, spacing };
+}
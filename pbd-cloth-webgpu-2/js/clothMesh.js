@@ -0,0 +1,116 @@
+/**
+ * clothMesh.js
+ * Меш ткани для симуляции по описанию model.cloth. Источников два: регулярная сетка makeGrid
+ * (cloth.mesh = null) и треугольный меш, импортированный из OBJ или glTF (meshImport.js).
+ * Результат одинаков для обоих: позиции vec4 (xyz + флаг закрепления в w), UV, индексы и группы вершин;
+ * у сетки есть ещё size и spacing — по ним XPBD строит ограничения сетки.
+ * Закреплены вершины cloth.pins и вершины групп cloth.pinGroups. Если не задано ни то, ни другое,
+ * закрепление по умолчанию: верхние углы сетки или группа "pin" импортированного меша.
+ * Вершины анимированных точек крепления cloth.attachments (pinAnimation.js) закреплены всегда.
+ */
+import { makeGrid, defaultPins, gridGroups } from "./clothGrid.js";
+
+/** Группа импортированного меша, закреплённая по умолчанию */
+export const DEFAULT_PIN_GROUP = "pin";
+
+/**
+ * @typedef {Object} ClothDescription
+ * @property {number} size - Вершин по стороне сетки (для сетки)
+ * @property {number} spacing - Расстояние между вершинами сетки
+ * @property {number[]|null} pins - Закреплённые вершины (выделение)
+ * @property {string[]} pinGroups - Закреплённые группы вершин
+ * @property {SourceMesh|null} mesh - Импортированный меш или null для сетки
+ * @property {Attachment[]} attachments - Анимированные точки крепления
+ */
+
+/**
+ * Строит меш ткани по описанию
+ * @param {ClothDescription} cloth - Описание ткани (model.cloth)
+ * @returns {{positions: Float32Array, uvs: Float32Array, indices: Uint32Array, groups: Object<string, number[]>, size?: number, spacing?: number}}
+ * @example
+ * const mesh = createClothMesh({ size: 32, spacing: 0.05, pins: null, pinGroups: ["top"], mesh: null });
+ */
+export function createClothMesh(cloth) {
+  const clothMesh = cloth.mesh ? fromSource(cloth.mesh) : makeGrid(cloth.size, cloth.spacing, []);
+  for (const index of clothPinnedVertices(clothMesh, cloth)) clothMesh.positions[index * 4 + 3] = 1;
+  return clothMesh;
+}
+
+/**
+ * Все закреплённые вершины ткани: pins, группы pinGroups и вершины точек крепления
+ * @param {{groups: Object<string, number[]>, size?: number}} clothMesh - Меш ткани
+ * @param {ClothDescription} cloth - Описание ткани
+ * @returns {number[]}
+ */
+export function clothPinnedVertices(clothMesh, { pins = null, pinGroups = [], attachments = [] }) {
+  return [...new Set([...pinnedVertices(clothMesh, pins, pinGroups), ...attachments.map(a => a.vertex)])];
+}
+
+/**
+ * Закреплённые вершины: объединение pins и групп pinGroups или закрепление источника по умолчанию
+ * @param {{groups: Object<string, number[]>, size?: number}} clothMesh - Меш ткани
+ * @param {number[]|null} pins - Индексы вершин
+ * @param {string[]} pinGroups - Имена групп
+ * @returns {number[]}
+ */
+export function pinnedVertices({ groups, size }, pins, pinGroups) {
+  if (pins === null && pinGroups.length === 0) return size ? defaultPins(size) : groups[DEFAULT_PIN_GROUP] ?? [];
+  return [...new Set([...(pins ?? []), ...pinGroups.flatMap(name => groups[name] ?? [])])];
+}
+
+/**
+ * Пресеты закрепления по положению вершин покоя (подходят и для сетки, и для импортированного меша):
+ * верхний край (вершины в верхних 2% высоты), два верхних угла (крайние слева и справа вершины верхнего края),
+ * центр (вершина, ближайшая к центру ограничивающего прямоугольника) и без закрепления
+ * @param {{positions: Float32Array}} clothMesh - Меш ткани (позиции покоя vec4)
+ * @returns {{top: number[], corners: number[], centre: number[], none: number[]}}
+ */
+export function pinPresets({ positions }) {
+  const count = positions.length / 4;
+  const coord = (v, axis) => positions[v * 4 + axis];
+  // обычный цикл: Math.min(...) с аргументом на каждую вершину упирается в предел стека на больших мешах
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let v = 0; v < count; v++) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], coord(v, axis));
+      max[axis] = Math.max(max[axis], coord(v, axis));
+    }
+  }
+  const vertices = Array.from({ length: count }, (_, v) => v);
+  const top = vertices.filter(v => coord(v, 1) >= max[1] - (max[1] - min[1]) * 0.02);
+  const extreme = sign => top.reduce((best, v) => (sign * coord(v, 0) > sign * coord(best, 0) ? v : best));
+  const centre = min.map((x, axis) => (x + max[axis]) / 2);
+  const distance = v => Math.hypot(...centre.map((x, axis) => coord(v, axis) - x));
+  return {
+    top,
+    corners: [...new Set([extreme(-1), extreme(1)])],
+    centre: [vertices.reduce((best, v) => (distance(v) < distance(best) ? v : best))],
+    none: [],
+  };
+}
+
+/**
+ * Имена групп вершин ткани (для выбора закрепления в UI и проверки сцен)
+ * @param {ClothDescription} cloth - Описание ткани
+ * @returns {string[]}
+ */
+export function clothGroupNames(cloth) {
+  return Object.keys(cloth.mesh ? cloth.mesh.groups : gridGroups(cloth.size));
+}
+
+/**
+ * Количество вершин ткани
+ * @param {ClothDescription} cloth - Описание ткани
+ * @returns {number}
+ */
+export function clothVertexCount(cloth) {
+  return cloth.mesh ? cloth.mesh.positions.length / 3 : cloth.size * cloth.size;
+}
+
+/** Исходный меш (xyz) в формат меша ткани (vec4, w = 0) */
+function fromSource({ positions, uvs, indices, groups }) {
+  const vertexCount = positions.length / 3;
+  const positions4 = new Float32Array(vertexCount * 4);
+  for (let v = 0; v < vertexCount; v++) positions4.set(positions.subarray(v * 3, v * 3 + 3), v * 4);
+  return { positions: positions4, uvs: new Float32Array(uvs), indices: new Uint32Array(indices), groups };
+}
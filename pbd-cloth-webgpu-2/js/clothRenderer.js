@@ -0,0 +1,210 @@
+/**
+ * clothRenderer.js
+ * Рендеринг ткани для SimulationView.
+ * Каждый кадр compute проход пересчитывает нормали вершин (и деформацию для тепловой карты),
+ * затем ткань рисуется в одном из режимов: освещённая с текстурой, каркас или тепловая карта.
+ * Освещение двустороннее: диффузная и бликовая составляющие для лицевой стороны и изнанки.
+ * В том же render pass рисуются меши коллайдеров (collider_render.wgsl).
+ */
+import { PipelineFactory, WORKGROUP_SIZE } from "./pipelineFactory.js";
+import { extractEdges, buildVertexTriangles } from "./topology.js";
+
+/** Режимы отображения ткани */
+export const RenderMode = Object.freeze({ SHADED: "shaded", WIREFRAME: "wireframe", STRESS: "stress" });
+
+export class ClothRenderer {
+  /**
+   * @param {GPUDevice} device - Устройство
+   * @param {string} format - Формат canvas
+   * @param {{render: string, normals: string, colliders: string}} shaders - WGSL код рендеринга ткани,
+   *   прохода нормалей и рендеринга коллайдеров
+   */
+  constructor(device, format, shaders) {
+    this.device = device;
+    this.format = format;
+    this.mode = RenderMode.SHADED;
+    this.lightDir = [-0.4, -0.7, -0.6];
+    this.stressScale = 10;
+    this.buffers = [];
+
+    const { layout, bindGroupLayouts } = PipelineFactory.createPipelineLayout(device, [[
+      { binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: { type: "uniform" } },
+      { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: { type: "filtering" } },
+      { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: "float" } },
+    ]]);
+    this.renderLayout = bindGroupLayouts[0];
+    this.shadedPipeline = PipelineFactory.createRenderPipeline(device, format, shaders.render, { layout });
+    this.wirePipeline = PipelineFactory.createRenderPipeline(device, format, shaders.render, {
+      layout, fragmentEntryPoint: "fs_wire", topology: "line-list",
+    });
+    this.normalsPipeline = PipelineFactory.createComputePipeline(device, shaders.normals);
+    this.colliderPipeline = PipelineFactory.createRenderPipeline(device, format, shaders.colliders, {
+      layout,
+      buffers: [{
+        arrayStride: 24,
+        attributes: [{ shaderLocation: 0, offset: 0, format: "float32x3" }, { shaderLocation: 1, offset: 12, format: "float32x3" }],
+      }],
+    });
+    this.colliderVertexCount = 0;
+
+    // RenderParams: viewProj (64) + eye (16) + lightDir (16) + mode, stressScale (выравнивание до 112)
+    this.paramBuffer = device.createBuffer({ size: 112, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    this.sampler = device.createSampler({ magFilter: "linear", minFilter: "linear", addressModeU: "repeat", addressModeV: "repeat" });
+    this.setTexture(null);
+  }
+
+  /**
+   * Создаёт буферы, зависящие от меша: нормали, UV, исходные позиции, списки треугольников
+   * вершин и рёбра для каркаса. Вызывается после создания буферов позиций во View
+   * @param {SimulationView} view - Представление с mesh, posBuffers и indexBuffer
+   */
+  setMesh(view) {
+    this.buffers.forEach(buffer => buffer.destroy());
+    const track = buffer => { this.buffers.push(buffer); return buffer; };
+    const { mesh, vertexCount } = view;
+
+    const { offsets, triangles } = buildVertexTriangles(mesh.indices, vertexCount);
+    const edges = extractEdges(mesh.indices);
+    this.edgeIndexCount = edges.length;
+
+    this.normalBuffer = track(this.device.createBuffer({ size: vertexCount * 16, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX }));
+    this.uvBuffer = track(view.createBuffer(mesh.uvs, GPUBufferUsage.VERTEX));
+    this.edgeBuffer = track(view.createBuffer(edges, GPUBufferUsage.INDEX));
+    const restBuffer = track(view.createBuffer(mesh.positions, GPUBufferUsage.STORAGE));
+    const offsetBuffer = track(view.createBuffer(offsets, GPUBufferUsage.STORAGE));
+    const triangleBuffer = track(view.createBuffer(triangles, GPUBufferUsage.STORAGE));
+
+    this.vertexCount = vertexCount;
+    this.normalsBindGroups = view.posBuffers.map(posBuffer => this.device.createBindGroup({
+      layout: this.normalsPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: posBuffer } },
+        { binding: 1, resource: { buffer: restBuffer } },
+        { binding: 2, resource: { buffer: view.indexBuffer } },
+        { binding: 3, resource: { buffer: offsetBuffer } },
+        { binding: 4, resource: { buffer: triangleBuffer } },
+        { binding: 5, resource: { buffer: this.normalBuffer } },
+      ],
+    }));
+  }
+
+  /**
+   * Устанавливает текстуру ткани. Без изображения используется клетчатая текстура,
+   * на которой видна UV-развёртка
+   * @param {ImageBitmap|null} image - Изображение пользователя
+   */
+  setTexture(image) {
+    if (this.texture) this.texture.destroy();
+    const usage = GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT;
+    if (image) {
+      this.texture = this.device.createTexture({ size: [image.width, image.height], format: "rgba8unorm", usage });
+      this.device.queue.copyExternalImageToTexture({ source: image }, { texture: this.texture }, [image.width, image.height]);
+    } else {
+      const size = 64, cell = 8;
+      const pixels = new Uint8Array(size * size * 4);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const light = ((Math.floor(x / cell) + Math.floor(y / cell)) % 2) ? 235 : 170;
+          pixels.set([light, light, light, 255], (y * size + x) * 4);
+        }
+      }
+      this.texture = this.device.createTexture({ size: [size, size], format: "rgba8unorm", usage });
+      this.device.queue.writeTexture({ texture: this.texture }, pixels, { bytesPerRow: size * 4 }, [size, size]);
+    }
+    this.renderBindGroup = this.device.createBindGroup({
+      layout: this.renderLayout,
+      entries: [
+        { binding: 0, resource: { buffer: this.paramBuffer } },
+        { binding: 1, resource: this.sampler },
+        { binding: 2, resource: this.texture.createView() },
+      ],
+    });
+  }
+
+  /**
+   * Загружает меш коллайдеров (см. buildColliderMesh)
+   * @param {Float32Array} vertices - Вершины: позиция xyz, нормаль xyz
+   */
+  setColliders(vertices) {
+    if (this.colliderBuffer) this.colliderBuffer.destroy();
+    this.colliderBuffer = null;
+    this.colliderVertexCount = vertices.length / 6;
+    if (this.colliderVertexCount === 0) return;
+    this.colliderBuffer = this.device.createBuffer({ size: vertices.byteLength, usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST });
+    this.device.queue.writeBuffer(this.colliderBuffer, 0, vertices);
+  }
+
+  /** @param {string} mode - Одно из значений RenderMode */
+  setMode(mode) { this.mode = mode; }
+
+  /**
+   * Пересоздаёт буфер глубины под новый размер canvas
+   * @param {number} width - Ширина в пикселях
+   * @param {number} height - Высота в пикселях
+   */
+  resize(width, height) {
+    if (this.depthTexture) this.depthTexture.destroy();
+    this.depthTexture = this.device.createTexture({
+      size: [width, height],
+      format: PipelineFactory.DEPTH_FORMAT,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT,
+    });
+  }
+
+  /**
+   * Записывает проход нормалей и render pass (ткань, затем коллайдеры)
+   * @param {GPUCommandEncoder} encoder - Энкодер кадра
+   * @param {SimulationView} view - Представление (позиции, индексы, камера)
+   * @param {GPUTextureView} target - Цель рендеринга
+   */
+  encode(encoder, view, target) {
+    const params = new Float32Array(28);
+    params.set(view.camera.viewProjection(), 0);
+    params.set(view.camera.eye, 16);
+    params.set(this.lightDir, 20);
+    params[24] = this.mode === RenderMode.STRESS ? 1 : 0;
+    params[25] = this.stressScale;
+    this.device.queue.writeBuffer(this.paramBuffer, 0, params);
+
+    const cpass = encoder.beginComputePass({ timestampWrites: view.profiler.timestampWrites("normals") });
+    cpass.setPipeline(this.normalsPipeline);
+    cpass.setBindGroup(0, this.normalsBindGroups[view.current]);
+    cpass.dispatchWorkgroups(Math.ceil(this.vertexCount / WORKGROUP_SIZE));
+    cpass.end();
+
+    const rpass = encoder.beginRenderPass({
+      timestampWrites: view.profiler.timestampWrites("render"),
+      colorAttachments: [{
+        view: target,
+        clearValue: { r: 0.07, g: 0.07, b: 0.07, a: 1 },
+        loadOp: "clear",
+        storeOp: "store",
+      }],
+      depthStencilAttachment: {
+        view: this.depthTexture.createView(),
+        depthClearValue: 1,
+        depthLoadOp: "clear",
+        depthStoreOp: "store",
+      },
+    });
+    rpass.setBindGroup(0, this.renderBindGroup);
+    rpass.setVertexBuffer(0, view.posBuffers[view.current]);
+    rpass.setVertexBuffer(1, this.normalBuffer);
+    rpass.setVertexBuffer(2, this.uvBuffer);
+    if (this.mode === RenderMode.WIREFRAME) {
+      rpass.setPipeline(this.wirePipeline);
+      rpass.setIndexBuffer(this.edgeBuffer, "uint32");
+      rpass.drawIndexed(this.edgeIndexCount);
+    } else {
+      rpass.setPipeline(this.shadedPipeline);
+      rpass.setIndexBuffer(view.indexBuffer, "uint32");
+      rpass.drawIndexed(view.indexCount);
+    }
+    if (this.colliderVertexCount > 0) {
+      rpass.setPipeline(this.colliderPipeline);
+      rpass.setVertexBuffer(0, this.colliderBuffer);
+      rpass.draw(this.colliderVertexCount);
+    }
+    rpass.end();
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * colliderMesh.js
+ * Треугольные меши аналитических коллайдеров для отображения.
+ * Вершины — чередующиеся позиция и нормаль (6 × f32), треугольники без индексов (triangle-list).
+ * Плоскость бесконечна для решателя, но рисуется квадратом PLANE_SIZE × PLANE_SIZE вокруг center.
+ * Не зависит от WebGPU и DOM.
+ */
+import { ColliderType } from "./ecs.js";
+
+export const PLANE_SIZE = 4;
+const STACKS = 12;
+const SLICES = 24;
+
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = a => { const l = Math.hypot(a[0], a[1], a[2]) || 1; return [a[0] / l, a[1] / l, a[2] / l]; };
+
+/** Поворот вектора кватернионом q = [x, y, z, w] */
+function rotate(q, v) {
+  const t = cross(q, v).map(x => x * 2);
+  const u = cross(q, t);
+  return [0, 1, 2].map(i => v[i] + q[3] * t[i] + u[i]);
+}
+
+/** Два единичных вектора, перпендикулярных axis и друг другу */
+function basis(axis) {
+  const helper = Math.abs(axis[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+  const u = normalize(cross(helper, axis));
+  return [u, cross(axis, u)];
+}
+
+/**
+ * Сфера или капсула: кольца по полярному углу от полюса axis; верхняя полусфера
+ * сдвинута на +halfAxis, нижняя — на −halfAxis (для сферы halfAxis = 0)
+ */
+function roundMesh(out, center, radius, halfAxis) {
+  const axis = Math.hypot(...halfAxis) > 0 ? normalize(halfAxis) : [0, 1, 0];
+  const [u, v] = basis(axis);
+  const rings = [];
+  for (let half = 0; half < 2; half++) {
+    for (let i = 0; i <= STACKS / 2; i++) {
+      const theta = (half * STACKS / 2 + i) / STACKS * Math.PI;
+      const shift = half === 0 ? 1 : -1;
+      rings.push(Array.from({ length: SLICES + 1 }, (_, j) => {
+        const phi = j / SLICES * Math.PI * 2;
+        const n = [0, 1, 2].map(c => axis[c] * Math.cos(theta) + (u[c] * Math.cos(phi) + v[c] * Math.sin(phi)) * Math.sin(theta));
+        return { p: n.map((x, c) => center[c] + x * radius + halfAxis[c] * shift), n };
+      }));
+    }
+  }
+  for (let r = 0; r < rings.length - 1; r++) {
+    for (let j = 0; j < SLICES; j++) {
+      const a = rings[r][j], b = rings[r][j + 1], c = rings[r + 1][j], d = rings[r + 1][j + 1];
+      out.push(a, c, b, b, c, d);
+    }
+  }
+}
+
+function quad(out, corners, n) {
+  const [a, b, c, d] = corners.map(p => ({ p, n }));
+  out.push(a, b, c, a, c, d);
+}
+
+function planeMesh(out, center, normal) {
+  const n = normalize(normal);
+  const [u, v] = basis(n);
+  const h = PLANE_SIZE / 2;
+  const corner = (su, sv) => [0, 1, 2].map(c => center[c] + (u[c] * su + v[c] * sv) * h);
+  quad(out, [corner(-1, -1), corner(1, -1), corner(1, 1), corner(-1, 1)], n);
+}
+
+function boxMesh(out, center, halfExtents, rotation) {
+  const toWorld = local => rotate(rotation, local).map((x, c) => x + center[c]);
+  for (let axis = 0; axis < 3; axis++) {
+    for (const sign of [-1, 1]) {
+      const a1 = (axis + 1) % 3, a2 = (axis + 2) % 3;
+      const corner = (s1, s2) => {
+        const local = [0, 0, 0];
+        local[axis] = sign * halfExtents[axis];
+        local[a1] = s1 * halfExtents[a1];
+        local[a2] = s2 * halfExtents[a2];
+        return toWorld(local);
+      };
+      const n = [0, 0, 0];
+      n[axis] = sign;
+      quad(out, [corner(-1, -1), corner(1, -1), corner(1, 1), corner(-1, 1)], rotate(rotation, n));
+    }
+  }
+}
+
+/**
+ * Строит меш всех коллайдеров сущностей
+ * @param {Array<Entity>} entities - Сущности ECS; учитываются только с компонентом "collider"
+ * @returns {Float32Array} Вершины: позиция xyz, нормаль xyz
+ */
+export function buildColliderMesh(entities) {
+  const vertices = [];
+  entities.forEach(e => {
+    const c = e.get("collider");
+    if (!c) return;
+    if (c.type === ColliderType.SPHERE) roundMesh(vertices, c.center, c.radius, [0, 0, 0]);
+    else if (c.type === ColliderType.CAPSULE) roundMesh(vertices, c.center, c.radius, c.halfAxis);
+    else if (c.type === ColliderType.PLANE) planeMesh(vertices, c.center, c.normal);
+    else if (c.type === ColliderType.BOX) boxMesh(vertices, c.center, c.halfExtents, c.rotation);
+  });
+  const data = new Float32Array(vertices.length * 6);
+  vertices.forEach(({ p, n }, i) => data.set([...p, ...n], i * 6));
+  return data;
+}
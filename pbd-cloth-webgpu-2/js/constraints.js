@@ -0,0 +1,181 @@
+/**
+ * constraints.js
+ * Построение дистанционных ограничений XPBD по мешу ткани.
+ * Для регулярной сетки — растяжение, сдвиг и изгиб по строкам и столбцам; для произвольного
+ * треугольного меша — растяжение по рёбрам и изгиб между противолежащими вершинами соседних треугольников.
+ * Растяжение делится на основу (warp) и уток (weft) по направлению ребра в UV, у каждого типа своя
+ * податливость из материала (material.js).
+ * Длины покоя считаются на CPU из начальных позиций меша, а не угадываются в шейдере.
+ * Ограничения раскрашиваются жадной раскраской графа: в одной партии (batch)
+ * нет общих вершин, поэтому партию можно решать на GPU параллельно без гонок.
+ */
+import { extractEdges, buildBendingPairs } from "./topology.js";
+import { DEFAULT_MATERIAL } from "./material.js";
+
+/**
+ * Типы ограничений: растяжение по основе (вдоль v) и по утку (вдоль u), сдвиг (диагонали),
+ * изгиб (через одну вершину)
+ */
+export const ConstraintType = Object.freeze({ WARP: 0, WEFT: 1, SHEAR: 2, BEND: 3 });
+
+/**
+ * Переводит податливость материала из вида {warp, weft, shear, bend} в таблицу по ConstraintType
+ * @param {{compliance: {warp: number, weft: number, shear: number, bend: number}}} material - Материал
+ * @returns {Object<number, number>}
+ */
+export function materialCompliance({ compliance }) {
+  return {
+    [ConstraintType.WARP]: compliance.warp,
+    [ConstraintType.WEFT]: compliance.weft,
+    [ConstraintType.SHEAR]: compliance.shear,
+    [ConstraintType.BEND]: compliance.bend,
+  };
+}
+
+/**
+ * Тип ребра ткани по его направлению в UV: почти вдоль v — основа, почти вдоль u — уток,
+ * иначе (диагональ) — сдвиг
+ * @param {Float32Array} uvs - UV vec2 на вершину
+ * @param {number} a - Индекс первой вершины
+ * @param {number} b - Индекс второй вершины
+ * @returns {number} ConstraintType.WARP, WEFT или SHEAR
+ */
+export function stretchType(uvs, a, b) {
+  const du = Math.abs(uvs[a * 2] - uvs[b * 2]);
+  const dv = Math.abs(uvs[a * 2 + 1] - uvs[b * 2 + 1]);
+  if (du > 2 * dv) return ConstraintType.WEFT;
+  if (dv > 2 * du) return ConstraintType.WARP;
+  return ConstraintType.SHEAR;
+}
+
+/**
+ * Податливость рёбер меша для списков соседей PBD и Mass-Spring (buildNeighbours)
+ * @param {{uvs: Float32Array}} mesh - Меш ткани
+ * @param {Material} material - Материал
+ * @returns {function(number, number): number} Податливость ребра (a, b)
+ */
+export function edgeCompliance(mesh, material) {
+  const compliance = materialCompliance(material);
+  return (a, b) => compliance[stretchType(mesh.uvs, a, b)];
+}
+
+/** Податливость (compliance, обратная жёсткость) по умолчанию для каждого типа */
+export const DEFAULT_COMPLIANCE = Object.freeze(materialCompliance(DEFAULT_MATERIAL));
+
+/** Размер struct Constraint в cloth_update_xpbd.wgsl: a, b, rest, compliance */
+export const CONSTRAINT_STRIDE = 16;
+
+/**
+ * Создаёт ограничения для меша ткани: сетка из makeGrid (есть size) — buildGridConstraints,
+ * любой другой треугольный меш — buildMeshConstraints
+ * @param {{positions: Float32Array, uvs: Float32Array, indices: Uint32Array, size?: number}} mesh - Меш ткани (позиции покоя vec4)
+ * @param {Object<number, number>} [compliance=DEFAULT_COMPLIANCE] - Податливость по типу
+ * @returns {Array<{a: number, b: number, rest: number, compliance: number, type: number}>}
+ */
+export function buildConstraints(mesh, compliance = DEFAULT_COMPLIANCE) {
+  return mesh.size ? buildGridConstraints(mesh, compliance) : buildMeshConstraints(mesh, compliance);
+}
+
+/** Функция добавления ограничения с длиной покоя из positions */
+function constraintAdder(positions, compliance, constraints) {
+  return (a, b, type) => {
+    const dx = positions[a * 4] - positions[b * 4];
+    const dy = positions[a * 4 + 1] - positions[b * 4 + 1];
+    const dz = positions[a * 4 + 2] - positions[b * 4 + 2];
+    constraints.push({ a, b, rest: Math.hypot(dx, dy, dz), compliance: compliance[type], type });
+  };
+}
+
+/**
+ * Создаёт ограничения растяжения (уток вдоль строки, основа вдоль столбца), сдвига и изгиба для сетки size×size
+ * @param {{positions: Float32Array, size: number}} grid - Сетка из makeGrid (позиции vec4)
+ * @param {Object<number, number>} [compliance=DEFAULT_COMPLIANCE] - Податливость по типу
+ * @returns {Array<{a: number, b: number, rest: number, compliance: number, type: number}>}
+ */
+export function buildGridConstraints(grid, compliance = DEFAULT_COMPLIANCE) {
+  const { positions, size } = grid;
+  const indexPos = (i, j) => i + j * size;
+  const constraints = [];
+  const add = constraintAdder(positions, compliance, constraints);
+
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      const a = indexPos(i, j);
+      if (i + 1 < size) add(a, indexPos(i + 1, j), ConstraintType.WEFT);
+      if (j + 1 < size) add(a, indexPos(i, j + 1), ConstraintType.WARP);
+      if (i + 1 < size && j + 1 < size) {
+        add(a, indexPos(i + 1, j + 1), ConstraintType.SHEAR);
+        add(indexPos(i + 1, j), indexPos(i, j + 1), ConstraintType.SHEAR);
+      }
+      if (i + 2 < size) add(a, indexPos(i + 2, j), ConstraintType.BEND);
+      if (j + 2 < size) add(a, indexPos(i, j + 2), ConstraintType.BEND);
+    }
+  }
+  return constraints;
+}
+
+/**
+ * Создаёт ограничения по топологии треугольного меша: по каждому уникальному ребру — основа, уток
+ * или сдвиг в зависимости от направления ребра в UV (stretchType), и изгиб между противолежащими
+ * вершинами треугольников с общим ребром
+ * @param {{positions: Float32Array, uvs: Float32Array, indices: Uint32Array}} mesh - Меш ткани (позиции покоя vec4)
+ * @param {Object<number, number>} [compliance=DEFAULT_COMPLIANCE] - Податливость по типу
+ * @returns {Array<{a: number, b: number, rest: number, compliance: number, type: number}>}
+ */
+export function buildMeshConstraints({ positions, uvs, indices }, compliance = DEFAULT_COMPLIANCE) {
+  const constraints = [];
+  const add = constraintAdder(positions, compliance, constraints);
+  const edges = extractEdges(indices);
+  for (let e = 0; e < edges.length; e += 2) add(edges[e], edges[e + 1], stretchType(uvs, edges[e], edges[e + 1]));
+  const pairs = buildBendingPairs(indices);
+  for (let p = 0; p < pairs.length; p += 2) add(pairs[p], pairs[p + 1], ConstraintType.BEND);
+  return constraints;
+}
+
+/**
+ * Жадная раскраска: каждое ограничение получает наименьший цвет,
+ * не занятый ни одной из его вершин
+ * @param {Array<{a: number, b: number}>} constraints - Ограничения
+ * @returns {{constraints: Array, batches: Array<{offset: number, count: number}>}}
+ *   Ограничения, отсортированные по цвету, и диапазоны партий
+ */
+export function colorConstraints(constraints) {
+  const vertexColors = new Map();
+  const used = v => vertexColors.get(v) || vertexColors.set(v, new Set()).get(v);
+  const byColor = [];
+
+  for (const c of constraints) {
+    const usedA = used(c.a), usedB = used(c.b);
+    let color = 0;
+    while (usedA.has(color) || usedB.has(color)) color++;
+    usedA.add(color);
+    usedB.add(color);
+    (byColor[color] = byColor[color] || []).push(c);
+  }
+
+  const sorted = [];
+  const batches = byColor.map(group => {
+    const batch = { offset: sorted.length, count: group.length };
+    for (const c of group) sorted.push(c);
+    return batch;
+  });
+  return { constraints: sorted, batches };
+}
+
+/**
+ * Упаковывает ограничения в формат array<Constraint> для storage буфера
+ * @param {Array<{a: number, b: number, rest: number, compliance: number}>} constraints
+ * @returns {ArrayBuffer}
+ */
+export function packConstraints(constraints) {
+  const data = new ArrayBuffer(constraints.length * CONSTRAINT_STRIDE);
+  const u32 = new Uint32Array(data);
+  const f32 = new Float32Array(data);
+  constraints.forEach((c, n) => {
+    u32[n * 4] = c.a;
+    u32[n * 4 + 1] = c.b;
+    f32[n * 4 + 2] = c.rest;
+    f32[n * 4 + 3] = c.compliance;
+  });
+  return data;
+}
@@ -0,0 +1,238 @@
+/**
+ * cpuKernels.js
+ * JS-версии compute шейдеров для запуска без WebGPU (Node, CI, машины без GPU).
+ * Каждая функция обрабатывает одну вершину idx так же, как одна invocation в WGSL.
+ * Массивы позиций имеют тот же формат, что inPositions/outPositions: vec4 (xyz + флаг закрепления в w).
+ * params повторяет поля struct Params: time, gravityEnabled, clothSize, spacing, dt;
+ * params.accelerations — ускорения силовых полей (binding 3), как после прохода cloth_forces.wgsl,
+ * params.neighbours — соседи вершин по рёбрам меша (bindings 4 и 5, результат buildNeighbours из topology.js),
+ * params.invMasses — обратные массы вершин (binding 6, vertexInverseMasses из material.js).
+ */
+
+const f32 = Math.fround;
+
+/** Значения relaxation по умолчанию из схем PBD и Mass-Spring (strategies.js); params.strategyParams их заменяет */
+const PBD_RELAXATION = f32(0.05);
+const SPRING_RELAXATION = f32(0.1);
+
+/**
+ * Аналог edgeWeight() из шейдеров PBD и Mass-Spring: 2·w_i / (w_i + w_j + α/dt²)
+ */
+function edgeWeight(params, inPositions, wi, j, compliance) {
+  const wj = inPositions[j * 4 + 3] > 0.5 ? 0 : params.invMasses[j];
+  const dt2 = f32(f32(params.dt) * f32(params.dt));
+  return f32(f32(2 * wi) / f32(f32(wi + wj) + f32(compliance / dt2)));
+}
+
+/**
+ * Сдвиг вершины на accelerations[idx] * params.dt^2
+ */
+function applyAcceleration(k, params, x, y, z) {
+  const acc = params.accelerations;
+  if (!acc) return [x, y, z];
+  const dt2 = f32(f32(params.dt) * f32(params.dt));
+  return [f32(x + f32(acc[k] * dt2)), f32(y + f32(acc[k + 1] * dt2)), f32(z + f32(acc[k + 2] * dt2))];
+}
+
+/**
+ * Копирует вершину без изменений (закреплённые вершины)
+ */
+function copyVertex(k, inPositions, outPositions) {
+  outPositions[k] = inPositions[k];
+  outPositions[k + 1] = inPositions[k + 1];
+  outPositions[k + 2] = inPositions[k + 2];
+  outPositions[k + 3] = inPositions[k + 3];
+}
+
+/**
+ * Аналог main() из cloth_update_pbd.wgsl: смещение вершины к соседям по рёбрам с весами edgeWeight
+ * @param {number} idx - Индекс вершины (global_invocation_id.x)
+ * @param {{dt: number, accelerations: Float32Array, neighbours: {offsets: Uint32Array, neighbours: Uint32Array, compliance: Float32Array}, invMasses: Float32Array}} params
+ * @param {Float32Array} inPositions
+ * @param {Float32Array} outPositions
+ */
+export function pbdKernel(idx, params, inPositions, outPositions) {
+  if (idx >= outPositions.length / 4) return;
+  const k = idx * 4;
+  if (inPositions[k + 3] > 0.5) { copyVertex(k, inPositions, outPositions); return; }
+
+  let [x, y, z] = applyAcceleration(k, params, inPositions[k], inPositions[k + 1], inPositions[k + 2]);
+
+  const { offsets, neighbours, compliance } = params.neighbours;
+  const wi = params.invMasses[idx];
+  let ox = 0, oy = 0, oz = 0;
+  for (let i = offsets[idx]; i < offsets[idx + 1]; i++) {
+    const n = neighbours[i] * 4;
+    const weight = edgeWeight(params, inPositions, wi, neighbours[i], compliance[i]);
+    ox = f32(ox + f32(f32(inPositions[n] - x) * weight));
+    oy = f32(oy + f32(f32(inPositions[n + 1] - y) * weight));
+    oz = f32(oz + f32(f32(inPositions[n + 2] - z) * weight));
+  }
+  const count = offsets[idx + 1] - offsets[idx];
+  const relaxation = f32(params.strategyParams?.relaxation ?? PBD_RELAXATION);
+  if (count > 0) {
+    x = f32(x + f32(f32(ox / count) * relaxation));
+    y = f32(y + f32(f32(oy / count) * relaxation));
+    z = f32(z + f32(f32(oz / count) * relaxation));
+  }
+  outPositions[k] = x;
+  outPositions[k + 1] = y;
+  outPositions[k + 2] = z;
+  outPositions[k + 3] = inPositions[k + 3];
+}
+
+/**
+ * Аналог main() из cloth_update_massspring.wgsl: пружины к соседям по рёбрам
+ * с длиной покоя ребра и долей поправки strategyParams.relaxation × edgeWeight
+ * @param {number} idx - Индекс вершины (global_invocation_id.x)
+ * @param {{dt: number, accelerations: Float32Array, neighbours: {offsets: Uint32Array, neighbours: Uint32Array, rest: Float32Array, compliance: Float32Array}, invMasses: Float32Array}} params
+ * @param {Float32Array} inPositions
+ * @param {Float32Array} outPositions
+ */
+export function massSpringKernel(idx, params, inPositions, outPositions) {
+  if (idx >= outPositions.length / 4) return;
+  const k = idx * 4;
+  if (inPositions[k + 3] > 0.5) { copyVertex(k, inPositions, outPositions); return; }
+
+  let [x, y, z] = applyAcceleration(k, params, inPositions[k], inPositions[k + 1], inPositions[k + 2]);
+
+  const { offsets, neighbours, rest, compliance } = params.neighbours;
+  const wi = params.invMasses[idx];
+  const relaxation = f32(params.strategyParams?.relaxation ?? SPRING_RELAXATION);
+  for (let i = offsets[idx]; i < offsets[idx + 1]; i++) {
+    const n = neighbours[i] * 4;
+    const dx = f32(inPositions[n] - x);
+    const dy = f32(inPositions[n + 1] - y);
+    const dz = f32(inPositions[n + 2] - z);
+    const dist = f32(Math.sqrt(f32(f32(f32(dx * dx) + f32(dy * dy)) + f32(dz * dz))));
+    if (dist > 0) {
+      const scale = f32(f32(dist - rest[i]) * f32(relaxation * edgeWeight(params, inPositions, wi, neighbours[i], compliance[i])));
+      x = f32(x + f32(f32(dx / dist) * scale));
+      y = f32(y + f32(f32(dy / dist) * scale));
+      z = f32(z + f32(f32(dz / dist) * scale));
+    }
+  }
+  outPositions[k] = x;
+  outPositions[k + 1] = y;
+  outPositions[k + 2] = z;
+  outPositions[k + 3] = inPositions[k + 3];
+}
+
+const COLLISION_MARGIN = 0.01;
+
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+/** Поворот вектора кватернионом q = [x, y, z, w] (rotate из cloth_update_xpbd.wgsl) */
+function rotate(q, v) {
+  const t = cross3(q, v).map(x => x * 2);
+  const u = cross3(q, t);
+  return [0, 1, 2].map(i => v[i] + q[3] * t[i] + u[i]);
+}
+
+function sphereContact(d, radius) {
+  const dist = Math.hypot(d[0], d[1], d[2]);
+  if (dist < 1e-6) return [0, 1, 0, radius + COLLISION_MARGIN];
+  return [d[0] / dist, d[1] / dist, d[2] / dist, radius + COLLISION_MARGIN - dist];
+}
+
+/**
+ * Аналог contact() из cloth_update_xpbd.wgsl
+ * @param {number[]} p - Точка
+ * @param {Float32Array} data - Коллайдеры в формате ColliderSystem
+ * @param {number} o - Смещение коллайдера в data
+ * @returns {number[]} [nx, ny, nz, глубина проникновения]
+ */
+function contact(p, data, o) {
+  const kind = data[o + 3];
+  const d = [p[0] - data[o], p[1] - data[o + 1], p[2] - data[o + 2]];
+  const shape = [data[o + 4], data[o + 5], data[o + 6]];
+  const radius = data[o + 7];
+  if (kind === 0) return sphereContact(d, radius);
+  if (kind === 1) {
+    const len = Math.hypot(...shape);
+    const n = shape.map(x => x / len);
+    return [...n, COLLISION_MARGIN - dot3(d, n)];
+  }
+  if (kind === 2) {
+    const q = [data[o + 8], data[o + 9], data[o + 10], data[o + 11]];
+    const local = rotate([-q[0], -q[1], -q[2], q[3]], d);
+    const gap = local.map((x, i) => Math.abs(x) - shape[i]);
+    if (Math.max(...gap) > 0) {
+      const outside = local.map((x, i) => x - Math.max(-shape[i], Math.min(shape[i], x)));
+      const dist = Math.hypot(...outside);
+      return [...rotate(q, outside.map(x => x / dist)), COLLISION_MARGIN - dist];
+    }
+    // внутри коробки: выталкиваем через ближайшую грань
+    let axis = 0;
+    if (gap[1] > gap[axis]) axis = 1;
+    if (gap[2] > gap[axis]) axis = 2;
+    const n = [0, 0, 0];
+    n[axis] = local[axis] >= 0 ? 1 : -1;
+    return [...rotate(q, n), COLLISION_MARGIN - gap[axis]];
+  }
+  const t = Math.max(-1, Math.min(1, dot3(d, shape) / Math.max(dot3(shape, shape), 1e-12)));
+  return sphereContact(d.map((x, i) => x - shape[i] * t), radius);
+}
+
+/**
+ * Аналог solveCollisions() из cloth_update_xpbd.wgsl: выталкивание вершины из коллайдеров и трение;
+ * нормаль последнего контакта и отскок самого быстрого подлёта шага записываются в contacts для contactKernel
+ * @param {number} idx - Индекс вершины (global_invocation_id.x)
+ * @param {{data: Float32Array, count: number}} colliders - Коллайдеры из ColliderSystem
+ * @param {Float32Array} inPositions - Позиции в начале шага
+ * @param {Float32Array} outPositions - Позиции после итерации ограничений
+ * @param {Float32Array} contacts - Записи контактов шага (prevPositions XPBD), по 4 числа на вершину
+ */
+export function collisionKernel(idx, colliders, inPositions, outPositions, contacts) {
+  const k = idx * 4;
+  if (outPositions[k + 3] > 0.5) return;
+  const start = [inPositions[k], inPositions[k + 1], inPositions[k + 2]];
+  let p = [outPositions[k], outPositions[k + 1], outPositions[k + 2]];
+
+  for (let i = 0; i < colliders.count; i++) {
+    const o = i * 16;
+    const [nx, ny, nz, depth] = contact(p, colliders.data, o);
+    if (depth <= 0) continue;
+    const n = [nx, ny, nz];
+    const pos = p.map((x, c) => x + n[c] * depth);
+
+    const disp = pos.map((x, c) => x - start[c]);
+    const dn = dot3(disp, n);
+    const tangent = disp.map((x, c) => x - n[c] * dn);
+    const slide = Math.hypot(...tangent);
+    if (slide > 1e-9) {
+      const f = Math.min(colliders.data[o + 12] * depth / slide, 1);
+      for (let c = 0; c < 3; c++) pos[c] -= tangent[c] * f;
+    }
+
+    const approach = Math.min(dot3(p.map((x, c) => x - start[c]), n), 0);
+    contacts.set([...n, Math.min(contacts[k + 3], colliders.data[o + 13] * approach)], k);
+    p = pos;
+  }
+  outPositions[k] = p[0];
+  outPositions[k + 1] = p[1];
+  outPositions[k + 2] = p[2];
+}
+
+/**
+ * Аналог resolveContacts() из cloth_update_xpbd.wgsl: после итераций заменяет запись контакта
+ * предыдущей позицией; у вершины с контактом нормальная скорость становится скоростью отскока
+ * @param {number} idx - Индекс вершины (global_invocation_id.x)
+ * @param {Float32Array} inPositions - Позиции в начале шага
+ * @param {Float32Array} outPositions - Позиции после итераций
+ * @param {Float32Array} prevPositions - Записи контактов шага; на выходе — предыдущие позиции (скорость Верле)
+ */
+export function contactKernel(idx, inPositions, outPositions, prevPositions) {
+  const k = idx * 4;
+  const n = [prevPositions[k], prevPositions[k + 1], prevPositions[k + 2]];
+  const bounce = prevPositions[k + 3];
+  if (dot3(n, n) < 0.5) {
+    for (let c = 0; c < 4; c++) prevPositions[k + c] = inPositions[k + c];
+    return;
+  }
+  const v = n.map((_, c) => outPositions[k + c] - inPositions[k + c]);
+  const vn = dot3(v, n);
+  for (let c = 0; c < 3; c++) prevPositions[k + c] = outPositions[k + c] - (v[c] - n[c] * vn) + n[c] * bounce;
+  prevPositions[k + 3] = inPositions[k + 3];
+}
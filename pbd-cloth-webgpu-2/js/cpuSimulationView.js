@@ -0,0 +1,174 @@
+/**
+ * cpuSimulationView.js
+ * View MVC для запуска без WebGPU.
+ * Считает шаги через CPUSolver и рисует каркас ткани на Canvas 2D
+ * через ту же орбитальную камеру, что и SimulationView. Коллайдеры рисуются серым каркасом.
+ * Подписывается на события модели (Observer) так же, как SimulationView;
+ * при изменении model.cloth решатель создаётся заново.
+ * Без canvas (null) работает без отображения — так воспроизводятся записи в Node (replayOnCPU).
+ */
+import { CPUSolver } from "./cpuSolver.js";
+import { clothPinnedVertices } from "./clothMesh.js";
+import { OrbitCamera, transformVec4 } from "./camera.js";
+import { ColliderSystem, ForceFieldSystem } from "./ecs.js";
+import { buildColliderMesh } from "./colliderMesh.js";
+import { measureStability } from "./stabilityMonitor.js";
+import { canvasToPNG } from "./capture.js";
+
+export class CPUSimulationView {
+  constructor(canvas, model) {
+    this.canvas = canvas;
+    this.ctx = canvas?.getContext("2d");
+    this.model = model;
+    this.camera = new OrbitCamera();
+    this.resize();
+    this.colliderSystem = new ColliderSystem();
+    this.forceFieldSystem = new ForceFieldSystem();
+    this.createSolver();
+    this.model.on("strategyChanged", strategy => this.solver.setStrategy(strategy));
+    this.model.on("gravityChanged", enabled => this.solver.setGravity(enabled));
+    this.model.on("iterationsChanged", count => this.solver.setIterations(count));
+    this.model.on("selfCollisionChanged", enabled => this.solver.setSelfCollision(enabled));
+    this.model.on("materialChanged", material => this.solver.setMaterial(material));
+    this.model.on("clothChanged", () => this.createSolver());
+    this.model.on("pinsChanged", () => this.updatePins());
+    this.model.on("attachmentsChanged", () => this.updatePins());
+    this.model.on("entitiesChanged", entities => this.updateEntities(entities));
+  }
+
+  /** Создаёт CPU-решатель по model.cloth и переносит в него настройки модели */
+  createSolver() {
+    const { model } = this;
+    this.solver = new CPUSolver(model.strategy, model.cloth);
+    this.pinned = new Set(clothPinnedVertices(this.solver.mesh, model.cloth));
+    this.solver.setStrategy(model.strategy);
+    this.solver.setGravity(model.gravityEnabled);
+    this.solver.setIterations(model.iterations);
+    this.solver.setSelfCollision(model.selfCollision);
+    this.solver.setMaterial(model.material);
+    this.updateEntities(model.entities);
+  }
+
+  /** Передаёт коллайдеры и силовые поля решателю и перестраивает меш коллайдеров */
+  updateEntities(entities) {
+    this.colliderSystem.update(entities);
+    this.solver.setColliders(this.colliderSystem);
+    this.forceFieldSystem.update(entities);
+    this.solver.setForceFields(this.forceFieldSystem);
+    this.colliderMesh = buildColliderMesh(entities);
+  }
+
+  /** Позиции читаются прямо из CPUSolver; Promise — для совместимости с SimulationView */
+  async readPositions() { return new Float32Array(this.solver.positions); }
+
+  /** Меш ткани решателя (UV и индексы для экспорта меша) */
+  get mesh() { return this.solver.mesh; }
+
+  /** Замеров GPU нет: HUD производительности показывает только время CPU */
+  get profiler() { return null; }
+
+  get vertexCount() { return this.solver.positions.length / 4; }
+
+  /** Число ограничений: ограничения XPBD (после первого шага) или рёбра сетки */
+  get constraintCount() { return this.solver.strategy.cpu?.constraints.length ?? this.solver.params.neighbours.neighbours.length / 2; }
+
+  /** Шаги считаются синхронно — ждать нечего; Promise — для совместимости с SimulationView */
+  async finish() {}
+
+  /** Время симуляции, с */
+  get time() { return this.solver.params.time; }
+
+  readState() { return this.solver.readState(); }
+
+  /** Показатели устойчивости по последнему шагу решателя (как StabilityPass у SimulationView) */
+  async readStability() {
+    const { buffers, current, params } = this.solver;
+    return measureStability({ positions: buffers[current], previous: buffers[1 - current], invMasses: params.invMasses, neighbours: params.neighbours, dt: params.dt });
+  }
+
+  restoreState(state) { this.solver.restoreState(state); }
+
+  setVertex(index, point, pinned) { this.solver.positions.set([...point, pinned], index * 4); }
+
+  setPinned(index, pinned) { this.solver.positions[index * 4 + 3] = pinned; }
+
+  /** Приводит флаги закрепления к model.cloth, меняя только вершины с изменившимся флагом (как SimulationView) */
+  updatePins() {
+    const pinned = new Set(clothPinnedVertices(this.solver.mesh, this.model.cloth));
+    for (const index of pinned) if (!this.pinned.has(index)) this.setPinned(index, 1);
+    for (const index of this.pinned) if (!pinned.has(index)) this.setPinned(index, 0);
+    this.pinned = pinned;
+  }
+
+  screenToRay(x, y) { return this.camera.unproject(x, y); }
+
+  /** Обновляет соотношение сторон камеры под текущий размер canvas */
+  resize() { if (this.canvas) this.camera.setAspect(this.canvas.width / this.canvas.height); }
+
+  /**
+   * Выполняет шаг CPU-решателя
+   * @param {number} dt - Шаг по времени, с
+   */
+  step(dt) { this.solver.step(dt); }
+
+  /** Рисует кадр и сохраняет его в PNG (как SimulationView) */
+  capturePNG() {
+    this.render();
+    return canvasToPNG(this.canvas);
+  }
+
+  /** Рисует каркас ткани и коллайдеров */
+  render() {
+    const { width, height } = this.canvas;
+    const ctx = this.ctx;
+    const positions = this.solver.positions;
+    const indices = this.solver.indices;
+    const viewProj = this.camera.viewProjection();
+
+    // проекция вершин в пиксели (без отсечения: камера не заходит внутрь ткани)
+    const project = (data, stride) => {
+      const count = data.length / stride;
+      const screen = new Float32Array(count * 2);
+      for (let i = 0; i < count; i++) {
+        const p = transformVec4(viewProj, [data[i * stride], data[i * stride + 1], data[i * stride + 2], 1]);
+        screen[i * 2] = (p[0] / p[3] + 1) * 0.5 * width;
+        screen[i * 2 + 1] = (1 - p[1] / p[3]) * 0.5 * height;
+      }
+      return screen;
+    };
+    const screen = project(positions, 4);
+    const toX = i => screen[i * 2];
+    const toY = i => screen[i * 2 + 1];
+
+    ctx.fillStyle = "#111";
+    ctx.fillRect(0, 0, width, height);
+
+    const colliders = project(this.colliderMesh, 6);
+    ctx.strokeStyle = "rgb(90, 100, 110)";
+    ctx.beginPath();
+    for (let t = 0; t < colliders.length; t += 6) {
+      ctx.moveTo(colliders[t], colliders[t + 1]);
+      ctx.lineTo(colliders[t + 2], colliders[t + 3]);
+      ctx.lineTo(colliders[t + 4], colliders[t + 5]);
+      ctx.closePath();
+    }
+    ctx.stroke();
+
+    ctx.strokeStyle = "rgb(102, 153, 255)";
+    ctx.beginPath();
+    for (let t = 0; t < indices.length; t += 3) {
+      const a = indices[t], b = indices[t + 1], c = indices[t + 2];
+      ctx.moveTo(toX(a), toY(a));
+      ctx.lineTo(toX(b), toY(b));
+      ctx.lineTo(toX(c), toY(c));
+      ctx.closePath();
+    }
+    ctx.stroke();
+
+    // закреплённые вершины — тем же цветом, что fixed = 1 в cloth_render.wgsl
+    ctx.fillStyle = "rgb(255, 51, 51)";
+    for (let i = 0; i < positions.length / 4; i++) {
+      if (positions[i * 4 + 3] > 0.5) ctx.fillRect(toX(i) - 3, toY(i) - 3, 6, 6);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * cpuSolver.js
+ * Эталонный CPU-решатель ткани без зависимостей от WebGPU и DOM.
+ * Хранит ping-pong пару Float32Array в формате inPositions/outPositions
+ * и выполняет шаги через SimulationStrategy.step; перед шагом считает ускорения силовых полей
+ * (по умолчанию — только гравитация).
+ * Используется для эталонных (golden) тестов в Node и как запасной путь без navigator.gpu.
+ */
+import { createClothMesh } from "./clothMesh.js";
+import { buildVertexTriangles, buildNeighbours } from "./topology.js";
+import { accumulateForces } from "./forceFields.js";
+import { ForceFieldSystem, createForceField } from "./ecs.js";
+import { DEFAULT_MATERIAL, vertexInverseMasses } from "./material.js";
+import { edgeCompliance } from "./constraints.js";
+
+export class CPUSolver {
+  /**
+   * @param {SimulationStrategy} strategy - Активная стратегия
+   * @param {ClothDescription} [cloth] - Описание ткани, как model.cloth (по умолчанию — сетка 32×32 с шагом 0.05)
+   * @example
+   * const solver = new CPUSolver(new PBDStrategy(null));
+   * for (let i = 0; i < 100; i++) solver.step(1 / 60);
+   * const positions = solver.positions;
+   */
+  constructor(strategy, cloth = { size: 32, spacing: 0.05, pins: null, pinGroups: [], mesh: null, attachments: [] }) {
+    // состояние стратегии от прежнего решателя к новой ткани не относится
+    this.setStrategy(strategy);
+    const mesh = this.mesh = createClothMesh(cloth);
+    this.indices = mesh.indices;
+    // треугольники вершин для аэродинамики силовых полей
+    this.vertexTriangles = { indices: mesh.indices, ...buildVertexTriangles(mesh.indices, mesh.positions.length / 4) };
+    this.forceFields = new ForceFieldSystem();
+    this.forceFields.update([createForceField("gravity")]);
+    this.buffers = [new Float32Array(mesh.positions), new Float32Array(mesh.positions)];
+    this.current = 0;
+    // поля struct Params + iterations, материал, самостолкновения, исходная форма и топология меша для стратегий;
+    // соседи и обратные массы зависят от материала и заполняются в setMaterial
+    this.params = { time: 0, gravityEnabled: 1, clothSize: mesh.size ?? 0, spacing: mesh.spacing ?? 0, dt: 1 / 60, iterations: 8, selfCollision: false,
+      restPositions: new Float32Array(mesh.positions), mesh, accelerations: new Float32Array(mesh.positions.length) };
+    this.setMaterial(DEFAULT_MATERIAL);
+  }
+
+  /** Актуальные позиции вершин (vec4 на вершину) */
+  get positions() { return this.buffers[this.current]; }
+
+  setStrategy(strategy) { this.strategy = strategy; strategy.reset(); }
+
+  setGravity(enabled) { this.params.gravityEnabled = enabled ? 1 : 0; }
+
+  setIterations(count) { this.params.iterations = count; }
+
+  /** Задаёт материал: пересчитывает обратные массы и податливость рёбер; ограничения стратегии перестраиваются без сброса скорости */
+  setMaterial(material) {
+    const { mesh } = this;
+    this.params.material = material;
+    this.params.neighbours = buildNeighbours(mesh.indices, mesh.positions, edgeCompliance(mesh, material));
+    this.params.invMasses = vertexInverseMasses(mesh, material.density);
+    this.strategy.updateMaterialCPU(this.params);
+  }
+
+  /**
+   * Задаёт силовые поля
+   * @param {{data: Float32Array, count: number}} forceFields - Упакованные поля (ForceFieldSystem)
+   */
+  setForceFields(forceFields) { this.forceFields = forceFields; }
+
+  setSelfCollision(enabled) { this.params.selfCollision = enabled; }
+
+  /**
+   * Задаёт коллайдеры для стратегий, которые их учитывают (XPBD)
+   * @param {{data: Float32Array, count: number}} colliders - Упакованные коллайдеры (ColliderSystem)
+   */
+  setColliders(colliders) { this.params.colliders = colliders; }
+
+  /**
+   * Копирует состояние решателя: время, позиции и предыдущие позиции стратегии (если она их хранит)
+   * @returns {{time: number, positions: Float32Array, prev: Float32Array|null}}
+   */
+  readState() {
+    const prev = this.strategy.cpu?.prev;
+    return { time: this.params.time, positions: new Float32Array(this.positions), prev: prev ? new Float32Array(prev) : null };
+  }
+
+  /**
+   * Восстанавливает состояние из readState (или снимка SimulationView)
+   * @param {{time: number, positions: Float32Array, prev: Float32Array|null}} state - Состояние
+   */
+  restoreState({ time, positions, prev }) {
+    this.params.time = time;
+    this.positions.set(positions);
+    if (this.strategy.initCPU) {
+      this.strategy.initCPU(this.params, this.positions);
+      this.strategy.cpu.prev.set(prev ?? positions);
+    }
+  }
+
+  /**
+   * Выполняет один шаг симуляции длиной dt; params.time накапливается
+   * @param {number} [dt=1/60] - Шаг по времени, с
+   */
+  step(dt = 1 / 60) {
+    this.params.dt = dt;
+    this.params.time += dt;
+    const positions = this.buffers[this.current];
+    // скорость для аэродинамики — из предыдущих позиций стратегии, если она их хранит
+    const prev = this.strategy.cpu?.prev ?? positions;
+    accumulateForces(this.params, this.forceFields, positions, prev, this.vertexTriangles, dt, this.params.accelerations);
+    this.strategy.step(this.params, this.buffers[this.current], this.buffers[1 - this.current]);
+    this.current = 1 - this.current;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * diagnostics.js
+ * Журнал диагностики страницы: ограниченный список записей (не больше MAX_ENTRIES, старые вытесняются),
+ * у каждой — время, уровень, источник, текст, место и стек. Источники:
+ * js — window "error", promise — "unhandledrejection", webgpu — ошибки GPUManager (validation,
+ * out-of-memory, неперехваченные, потеря устройства), shader — сообщения getCompilationInfo()
+ * с привязкой строки к файлу WGSL, app — ошибки, о которых сообщает само приложение,
+ * simulation — нарушения порогов устойчивости (StabilityMonitor).
+ * Собранные шейдеры (например, cloth_forces.wgsl с подставленными функциями полей) отличаются
+ * от файлов, поэтому строка сообщения ищется в зарегистрированных исходниках (registerShaderSource);
+ * для строк из #include место известно препроцессору (PipelineFactory.createShaderModule).
+ * Журнал показывает DiagnosticsPanel (diagnosticsPanel.js).
+ * Применяет паттерны Singleton (общий экземпляр diagnostics) и Observer (событие "changed").
+ */
+import { Observable } from "./observable.js";
+
+/** Уровни записей, от самого серьёзного */
+export const Severity = Object.freeze({ ERROR: "error", WARNING: "warning", INFO: "info" });
+
+/** Источники записей */
+export const DiagnosticSource = Object.freeze({ JS: "js", PROMISE: "promise", WEBGPU: "webgpu", SHADER: "shader", APP: "app", SIMULATION: "simulation" });
+
+const MAX_ENTRIES = 200;
+
+export class Diagnostics extends Observable {
+  /**
+   * @param {number} [maxEntries] - Сколько записей хранится; более старые вытесняются
+   */
+  constructor(maxEntries = MAX_ENTRIES) {
+    super();
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    // вытесненных записей с последней очистки
+    this.dropped = 0;
+    this.nextId = 1;
+    // исходники WGSL по имени файла для привязки строк сообщений компиляции
+    this.shaderSources = new Map();
+  }
+
+  /**
+   * Добавляет запись
+   * @param {Object} entry
+   * @param {string} [entry.severity] - Одно из значений Severity
+   * @param {string} entry.source - Одно из значений DiagnosticSource
+   * @param {string} entry.message - Текст
+   * @param {string|null} [entry.stack] - Стек вызовов или фрагмент исходника
+   * @param {{file: string, line: number, column: number}|null} [entry.location] - Место в файле
+   * @returns {Object} Запись с id и временем
+   */
+  add({ severity = Severity.ERROR, source, message, stack = null, location = null }) {
+    const entry = { id: this.nextId++, time: Date.now(), severity, source, message, stack, location };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.dropped += this.entries.length - this.maxEntries;
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    this.emit("changed", this.entries);
+    return entry;
+  }
+
+  clear() {
+    this.entries = [];
+    this.dropped = 0;
+    this.emit("changed", this.entries);
+  }
+
+  /**
+   * Записи, подходящие под фильтр; пустое значение фильтра пропускает все
+   * @param {{severity?: string, source?: string}} [filter]
+   * @returns {Object[]}
+   */
+  filter({ severity = "", source = "" } = {}) {
+    return this.entries.filter(entry => (!severity || entry.severity === severity) && (!source || entry.source === source));
+  }
+
+  /**
+   * Подписывается на необработанные ошибки и отклонённые промисы
+   * @param {Window} target - Окно (или воркер) страницы
+   */
+  captureGlobalErrors(target) {
+    target.addEventListener("error", e => this.add({
+      source: DiagnosticSource.JS,
+      message: e.message,
+      stack: e.error?.stack ?? null,
+      location: e.filename ? { file: e.filename, line: e.lineno, column: e.colno } : null,
+    }));
+    target.addEventListener("unhandledrejection", e => this.add({
+      source: DiagnosticSource.PROMISE,
+      message: e.reason?.message ?? String(e.reason),
+      stack: e.reason?.stack ?? null,
+    }));
+  }
+
+  /**
+   * Запоминает исходник WGSL, чтобы строки сообщений компиляции указывали на файл
+   * @param {string} file - Имя файла (путь, из которого загружен шейдер)
+   * @param {string} code - Текст шейдера
+   */
+  registerShaderSource(file, code) { this.shaderSources.set(file, code.split("\n")); }
+
+  /**
+   * Находит строку модуля в зарегистрированных исходниках. Если модуль совпадает с файлом, номер тот же;
+   * иначе берётся файл, в котором встречается больше всего строк модуля, и ближайшее вхождение текста строки
+   * @param {string} code - Код шейдерного модуля
+   * @param {number} line - Номер строки в модуле (с 1)
+   * @returns {{file: string, line: number}|null} null, если строка сгенерирована и в файлах её нет
+   */
+  mapShaderLine(code, line) {
+    const lines = code.split("\n");
+    const text = lines[line - 1];
+    let best = null;
+    for (const [file, source] of this.shaderSources) {
+      if (source.length === lines.length && source.every((l, i) => l === lines[i])) return { file, line };
+      const known = new Set(source);
+      const score = lines.reduce((count, l) => count + (l.trim() && known.has(l) ? 1 : 0), 0);
+      // пустые строки есть в любом файле и ничего не говорят о месте
+      if (!text?.trim() || !known.has(text) || (best && best.score >= score)) continue;
+      let nearest = -1;
+      source.forEach((l, i) => { if (l === text && (nearest < 0 || Math.abs(i - line + 1) < Math.abs(nearest - line + 1))) nearest = i; });
+      best = { file, line: nearest + 1, score };
+    }
+    return best && { file: best.file, line: best.line };
+  }
+
+  /**
+   * Добавляет сообщения компилятора шейдерного модуля (ошибки, предупреждения, info).
+   * В стек записи попадает строка исходника с указателем на позицию
+   * @param {GPUShaderModule} module - Модуль
+   * @param {string} code - Его код
+   * @param {function(number): ({file: string, line: number}|null)} [mapLine] - Место строки модуля в файле
+   *   (у собранного препроцессором модуля оно известно); по умолчанию — mapShaderLine
+   */
+  async reportCompilation(module, code, mapLine = line => this.mapShaderLine(code, line)) {
+    if (!module.getCompilationInfo) return;
+    const { messages } = await module.getCompilationInfo();
+    const lines = code.split("\n");
+    for (const { type, lineNum, linePos, message } of messages) {
+      const mapped = lineNum > 0 ? mapLine(lineNum) : null;
+      const location = mapped ? { ...mapped, column: linePos } : lineNum > 0 ? { file: "generated WGSL", line: lineNum, column: linePos } : null;
+      const snippet = lineNum > 0 ? `${lines[lineNum - 1]}\n${" ".repeat(Math.max(0, linePos - 1))}^` : null;
+      this.add({ severity: type, source: DiagnosticSource.SHADER, message, stack: snippet, location });
+    }
+  }
+
+  /** Журнал в JSON: время экспорта, число вытесненных записей и записи с временем ISO 8601 */
+  toJSON() {
+    return {
+      exported: new Date().toISOString(),
+      dropped: this.dropped,
+      entries: this.entries.map(entry => ({ ...entry, time: new Date(entry.time).toISOString() })),
+    };
+  }
+
+  /** Журнал текстом: запись на строку, место и стек — с отступом под ней */
+  toText() {
+    const lines = this.dropped > 0 ? [`(${this.dropped} older entries dropped)`] : [];
+    for (const { time, severity, source, message, stack, location } of this.entries) {
+      lines.push(`[${new Date(time).toISOString()}] ${severity.toUpperCase()} ${source}: ${message}`);
+      if (location) lines.push(`    at ${formatLocation(location)}`);
+      if (stack) lines.push(...stack.split("\n").map(l => `    ${l}`));
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+/**
+ * Место записи в виде file:line:column
+ * @param {{file: string, line: number, column: number}} location
+ * @returns {string}
+ */
+export function formatLocation({ file, line, column }) { return `${file}:${line}${column ? `:${column}` : ""}`; }
+
+/** Общий журнал страницы: в него пишут PipelineFactory и main.js (в том числе ошибки GPUManager) */
+export const diagnostics = new Diagnostics();
@@ -0,0 +1,123 @@
+/**
+ * diagnosticsPanel.js
+ * Панель журнала диагностики (diagnostics.js) на странице.
+ * Панель сворачивается целиком, фильтрует записи по уровню и источнику, объединяет подряд идущие
+ * одинаковые записи (ошибка, повторяющаяся каждый кадр, показывается одной строкой со счётчиком),
+ * очищает журнал и выгружает его в JSON или текст. Стек и фрагмент шейдера раскрываются у записи.
+ * Перерисовывается не чаще раза за кадр, сколько бы записей ни пришло.
+ * Подписывается на событие "changed" журнала (Observer).
+ */
+import { Severity, DiagnosticSource, formatLocation } from "./diagnostics.js";
+
+export class DiagnosticsPanel {
+  /**
+   * @param {HTMLElement} element - Контейнер панели (заполняется панелью)
+   * @param {Diagnostics} diagnostics - Журнал
+   */
+  constructor(element, diagnostics) {
+    this.diagnostics = diagnostics;
+    this.scheduled = false;
+    this.opened = false;
+
+    this.root = document.createElement("details");
+    this.root.className = "diagnostics";
+    this.summary = document.createElement("summary");
+    const toolbar = document.createElement("div");
+    toolbar.className = "diagnostics-toolbar";
+    this.severityEl = select("Severity", ["", ...Object.values(Severity)]);
+    this.sourceEl = select("Source", ["", ...Object.values(DiagnosticSource)]);
+    this.groupEl = document.createElement("input");
+    this.groupEl.type = "checkbox";
+    this.groupEl.checked = true;
+    const groupLabel = document.createElement("label");
+    groupLabel.append(this.groupEl, " Collapse repeats");
+    const clearEl = button("Clear", () => diagnostics.clear());
+    const jsonEl = button("Export JSON", () => download(JSON.stringify(diagnostics.toJSON(), null, 2), "application/json", "diagnostics.json"));
+    const textEl = button("Export text", () => download(diagnostics.toText(), "text/plain", "diagnostics.log"));
+    toolbar.append(this.severityEl.parentElement, this.sourceEl.parentElement, groupLabel, clearEl, jsonEl, textEl);
+    this.list = document.createElement("div");
+    this.list.className = "diagnostics-list";
+    this.root.append(this.summary, toolbar, this.list);
+    element.replaceChildren(this.root);
+
+    [this.severityEl, this.sourceEl, this.groupEl].forEach(el => el.addEventListener("change", () => this.render()));
+    diagnostics.on("changed", () => this.scheduleRender());
+    this.render();
+  }
+
+  scheduleRender() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    requestAnimationFrame(() => { this.scheduled = false; this.render(); });
+  }
+
+  render() {
+    const { diagnostics } = this;
+    const counts = Object.values(Severity).map(severity => [severity, diagnostics.entries.filter(e => e.severity === severity).length]);
+    this.summary.textContent = `Diagnostics: ${counts.map(([severity, n]) => `${n} ${severity}${n === 1 ? "" : "s"}`).join(", ")}`
+      + (diagnostics.dropped > 0 ? ` (${diagnostics.dropped} older dropped)` : "");
+    // панель раскрывается сама при первой ошибке
+    if (counts[0][1] > 0 && !this.opened) { this.root.open = true; this.opened = true; }
+
+    const entries = diagnostics.filter({ severity: this.severityEl.value, source: this.sourceEl.value });
+    const groups = [];
+    for (const entry of entries) {
+      const last = groups.at(-1);
+      if (this.groupEl.checked && last && sameEntry(last.entry, entry)) last.count++;
+      else groups.push({ entry, count: 1 });
+    }
+    this.list.replaceChildren(...groups.map(({ entry, count }) => entryElement(entry, count)));
+  }
+}
+
+/** Одинаковые записи: тот же уровень, источник, текст и место */
+function sameEntry(a, b) {
+  return a.severity === b.severity && a.source === b.source && a.message === b.message
+    && (a.location && formatLocation(a.location)) === (b.location && formatLocation(b.location));
+}
+
+/**
+ * Элемент записи: строка с временем, уровнем, источником, местом и текстом; стек — в раскрывающемся блоке
+ * @param {Object} entry - Запись журнала
+ * @param {number} count - Сколько одинаковых записей подряд она представляет
+ * @returns {HTMLElement}
+ */
+function entryElement(entry, count) {
+  const line = `${new Date(entry.time).toLocaleTimeString()} [${entry.source}] `
+    + (entry.location ? `${formatLocation(entry.location)} ` : "") + entry.message + (count > 1 ? ` ×${count}` : "");
+  const el = document.createElement(entry.stack ? "details" : "div");
+  el.className = `diagnostics-entry ${entry.severity}`;
+  if (!entry.stack) { el.textContent = line; return el; }
+  const summary = document.createElement("summary");
+  summary.textContent = line;
+  const stack = document.createElement("pre");
+  stack.textContent = entry.stack;
+  el.append(summary, stack);
+  return el;
+}
+
+/** Select с подписью; пустое значение — «все» */
+function select(label, values) {
+  const el = document.createElement("select");
+  el.append(...values.map(value => new Option(value || "all", value)));
+  const wrapper = document.createElement("label");
+  wrapper.append(`${label}: `, el);
+  return el;
+}
+
+function button(text, onClick) {
+  const el = document.createElement("button");
+  el.textContent = text;
+  el.addEventListener("click", onClick);
+  return el;
+}
+
+/** Сохраняет текст в файл через временную ссылку */
+function download(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -2,9 +2,14 @@
  * ecs.js
  * ECS (Entity-Component-System) для симуляции.
  * Entity хранит компоненты, System обновляет сущности.
- * Пример системы: GravitySystem.
+ * ColliderSystem собирает компоненты "collider" в буфер для GPU (массив struct Collider
+ * в cloth_update_xpbd.wgsl) и для CPU-решателя.
+ * ForceFieldSystem так же собирает компоненты "forceField" (гравитация, ветер, аэродинамика,
+ * аттракторы, вихри) в массив struct ForceField для cloth_forces.wgsl.
  * Позволяет добавлять новые физические эффекты без изменения существующего кода.
  */
+import { FORCE_FIELDS } from "./forceFields.js";
+
 export class Entity {
   constructor(components = {}) { this.components = components; }
   get(c) { return this.components[c]; }
@@ -13,10 +18,115 @@ export class Entity {
 
 export class System { update(entities) {} }
 
-export class GravitySystem extends System {
-  constructor(enabled = true) { super(); this.enabled = enabled; }
+
+/** Типы аналитических коллайдеров; значения совпадают с Collider.center.w в WGSL */
+export const ColliderType = Object.freeze({ SPHERE: 0, PLANE: 1, BOX: 2, CAPSULE: 3 });
+
+/** Максимальное число коллайдеров в буфере GPU */
+export const MAX_COLLIDERS = 16;
+
+/** Размер struct Collider в float: center, shape, rotation, material — 4 × vec4 */
+export const COLLIDER_FLOATS = 16;
+
+/**
+ * Создаёт сущность с компонентом "collider"
+ * @param {number} type - Значение ColliderType
+ * @param {Object} [options]
+ * @param {number[]} [options.center=[0, 0, 0]] - Центр (для плоскости — любая её точка)
+ * @param {number} [options.radius=0.25] - Радиус сферы и капсулы
+ * @param {number[]} [options.normal=[0, 1, 0]] - Нормаль плоскости
+ * @param {number[]} [options.halfExtents=[0.25, 0.25, 0.25]] - Половины размеров коробки
+ * @param {number[]} [options.rotation=[0, 0, 0, 1]] - Поворот коробки, кватернион xyzw
+ * @param {number[]} [options.halfAxis=[0, 0.25, 0]] - Половина оси капсулы: концы center ± halfAxis
+ * @param {number} [options.friction=0.3] - Коэффициент трения
+ * @param {number} [options.restitution=0] - Коэффициент восстановления (0 — без отскока)
+ * @param {string|null} [options.name=null] - Имя сущности (компонент "name"): по нему переключатели UI находят свои сущности
+ * @returns {Entity}
+ * @example
+ * const ground = createCollider(ColliderType.PLANE, { center: [0, -1, 0] });
+ */
+export function createCollider(type, {
+  center = [0, 0, 0], radius = 0.25, normal = [0, 1, 0], halfExtents = [0.25, 0.25, 0.25],
+  rotation = [0, 0, 0, 1], halfAxis = [0, 0.25, 0], friction = 0.3, restitution = 0, name = null,
+} = {}) {
+  return new Entity({
+    name,
+    collider: { type, center: [...center], radius, normal: [...normal], halfExtents: [...halfExtents],
+      rotation: [...rotation], halfAxis: [...halfAxis], friction, restitution },
+  });
+}
+
+/**
+ * Упаковывает коллайдеры сущностей в Float32Array по COLLIDER_FLOATS на коллайдер:
+ * center (xyz, тип в w), shape (нормаль/половины размеров/ось в xyz, радиус в w),
+ * rotation (кватернион), material (трение, восстановление)
+ */
+export class ColliderSystem extends System {
+  constructor() { super(); this.data = new Float32Array(MAX_COLLIDERS * COLLIDER_FLOATS); this.count = 0; }
+  update(entities) {
+    this.data.fill(0);
+    this.count = 0;
+    entities.forEach(e => {
+      const c = e.get("collider");
+      if (!c || this.count >= MAX_COLLIDERS) return;
+      const shape = { [ColliderType.SPHERE]: [0, 0, 0], [ColliderType.PLANE]: c.normal,
+        [ColliderType.BOX]: c.halfExtents, [ColliderType.CAPSULE]: c.halfAxis }[c.type];
+      this.data.set([...c.center, c.type, ...shape, c.radius, ...c.rotation, c.friction, c.restitution, 0, 0],
+        this.count++ * COLLIDER_FLOATS);
+    });
+  }
+}
+
+/** Максимальное число силовых полей в буфере GPU */
+export const MAX_FORCE_FIELDS = 16;
+
+/** Размер struct ForceField в float: direction, origin, shape, aero — 4 × vec4 */
+export const FORCE_FIELD_FLOATS = 16;
+
+/**
+ * Создаёт сущность с компонентом "forceField"
+ * @param {string} kind - Ключ FORCE_FIELDS: gravity, wind, attractor, vortex, aerodynamics
+ * @param {Object} [options]
+ * @param {number[]} [options.direction=[0, -1, 0]] - Направление гравитации и ветра, ось вихря
+ * @param {number} [options.magnitude=9.8] - Ускорение (гравитация, аттрактор, вихрь) или скорость ветра
+ * @param {number[]} [options.origin=[0, 0, 0]] - Центр аттрактора и вихря
+ * @param {number} [options.radius=0] - Радиус, за которым поле затухает как 1/r² (0 — без затухания)
+ * @param {number} [options.turbulence=0] - Доля порывов ветра от его скорости
+ * @param {number} [options.frequency=1] - Пространственная частота порывов
+ * @param {number} [options.drag=1] - Коэффициент сопротивления (аэродинамика)
+ * @param {number} [options.lift=0.5] - Коэффициент подъёмной силы (аэродинамика)
+ * @param {number} [options.density=0.3] - Поверхностная плотность ткани, кг/м² (аэродинамика)
+ * @param {string|null} [options.name=null] - Имя сущности, как у createCollider
+ * @returns {Entity}
+ * @example
+ * const wind = createForceField("wind", { direction: [0, 0, -1], magnitude: 3, turbulence: 0.5 });
+ */
+export function createForceField(kind, {
+  direction = [0, -1, 0], magnitude = 9.8, origin = [0, 0, 0], radius = 0,
+  turbulence = 0, frequency = 1, drag = 1, lift = 0.5, density = 0.3, name = null,
+} = {}) {
+  if (!FORCE_FIELDS[kind]) throw new Error(`Unknown force field: ${kind}`);
+  return new Entity({
+    name,
+    forceField: { kind, direction: [...direction], magnitude, origin: [...origin], radius, turbulence, frequency, drag, lift, density },
+  });
+}
+
+/**
+ * Упаковывает силовые поля сущностей в Float32Array по FORCE_FIELD_FLOATS на поле:
+ * direction (xyz, тип в w), origin (xyz, величина в w), shape (радиус, турбулентность, частота),
+ * aero (сопротивление, подъёмная сила, плотность)
+ */
+export class ForceFieldSystem extends System {
+  constructor() { super(); this.data = new Float32Array(MAX_FORCE_FIELDS * FORCE_FIELD_FLOATS); this.count = 0; }
   update(entities) {
-    if (!this.enabled) return;
-    entities.forEach(e => { if (e.get("velocity")) e.get("velocity").y -= 0.001; });
+    this.data.fill(0);
+    this.count = 0;
+    entities.forEach(e => {
+      const f = e.get("forceField");
+      if (!f || this.count >= MAX_FORCE_FIELDS) return;
+      this.data.set([...f.direction, FORCE_FIELDS[f.kind].id, ...f.origin, f.magnitude,
+        f.radius, f.turbulence, f.frequency, 0, f.drag, f.lift, f.density, 0], this.count++ * FORCE_FIELD_FLOATS);
+    });
   }
 }
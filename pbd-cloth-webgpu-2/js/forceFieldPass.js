@@ -0,0 +1,88 @@
+/**
+ * forceFieldPass.js
+ * Compute проход силовых полей (cloth_forces.wgsl): перед шагом стратегии считает
+ * ускорение каждой вершины от полей ForceFieldSystem и пишет его в accelBuffer,
+ * который читают ядра стратегий. Скорость берётся из prevBuffer стратегии (если он есть).
+ */
+import { PipelineFactory, WORKGROUP_SIZE } from "./pipelineFactory.js";
+import { structSize, packStruct } from "./shaderPreprocessor.js";
+import { ForceFieldSystem, MAX_FORCE_FIELDS, FORCE_FIELD_FLOATS } from "./ecs.js";
+import { buildForceShader } from "./forceFields.js";
+import { buildVertexTriangles } from "./topology.js";
+
+/** Поля uniform-структуры ForceParams (#struct ForceParams в cloth_forces.wgsl) */
+const FORCE_PARAMS_STRUCT = [
+  { name: "time", type: "f32" },
+  { name: "dt", type: "f32" },
+  { name: "gravityEnabled", type: "f32" },
+  { name: "vertexCount", type: "u32" },
+  { name: "fieldCount", type: "u32" },
+];
+
+export class ForceFieldPass {
+  /**
+   * @param {GPUDevice} device - Устройство
+   * @param {string} template - Шаблон cloth_forces.wgsl (функции полей подставляются из реестра)
+   */
+  constructor(device, template) {
+    this.device = device;
+    this.system = new ForceFieldSystem();
+    this.pipeline = PipelineFactory.createComputePipeline(device, buildForceShader(template), "main", "auto", { structs: { ForceParams: FORCE_PARAMS_STRUCT } });
+    this.fieldBuffer = device.createBuffer({ size: MAX_FORCE_FIELDS * FORCE_FIELD_FLOATS * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+    this.paramBuffer = device.createBuffer({ size: structSize(FORCE_PARAMS_STRUCT), usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    this.buffers = [];
+  }
+
+  /**
+   * Создаёт буфер ускорений и списки треугольников вершин под меш представления
+   * @param {SimulationView} view - Представление с mesh, vertexCount и indexBuffer
+   */
+  setMesh(view) {
+    this.buffers.forEach(buffer => buffer.destroy());
+    const track = buffer => { this.buffers.push(buffer); return buffer; };
+    const { offsets, triangles } = buildVertexTriangles(view.mesh.indices, view.vertexCount);
+    this.vertexCount = view.vertexCount;
+    this.accelBuffer = track(this.device.createBuffer({ size: view.vertexCount * 16, usage: GPUBufferUsage.STORAGE }));
+    this.offsetBuffer = track(view.createBuffer(offsets, GPUBufferUsage.STORAGE));
+    this.triangleBuffer = track(view.createBuffer(triangles, GPUBufferUsage.STORAGE));
+  }
+
+  /**
+   * Пересоздаёт bind group под буферы позиций и prevBuffer активной стратегии
+   * @param {SimulationView} view - Представление
+   */
+  bind(view) {
+    const prev = view.strategy.prevBuffer;
+    this.bindGroups = view.posBuffers.map(posBuffer => this.device.createBindGroup({
+      layout: this.pipeline.getBindGroupLayout(0),
+      entries: [this.paramBuffer, posBuffer, prev ?? posBuffer, this.fieldBuffer, view.indexBuffer,
+        this.offsetBuffer, this.triangleBuffer, this.accelBuffer].map((buffer, binding) => ({ binding, resource: { buffer } })),
+    }));
+  }
+
+  /**
+   * Упаковывает силовые поля сущностей в буфер GPU
+   * @param {Array<Entity>} entities - Сущности модели
+   */
+  update(entities) {
+    this.system.update(entities);
+    this.device.queue.writeBuffer(this.fieldBuffer, 0, this.system.data);
+  }
+
+  /**
+   * Записывает проход ускорений для позиций view.posBuffers[view.current]
+   * @param {GPUCommandEncoder} encoder - Энкодер кадра
+   * @param {SimulationView} view - Представление
+   */
+  encode(encoder, view) {
+    this.device.queue.writeBuffer(this.paramBuffer, 0, packStruct(FORCE_PARAMS_STRUCT, {
+      time: view.time, dt: view.dt, gravityEnabled: view.model.gravityEnabled ? 1 : 0, vertexCount: this.vertexCount, fieldCount: this.system.count,
+    }));
+
+    const pass = encoder.beginComputePass({ timestampWrites: view.profiler.timestampWrites("forces") });
+    pass.setPipeline(this.pipeline);
+    pass.setBindGroup(0, this.bindGroups[view.current]);
+    pass.dispatchWorkgroups(Math.ceil(this.vertexCount / WORKGROUP_SIZE));
+    pass.end();
+  }
+}
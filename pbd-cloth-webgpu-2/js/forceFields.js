@@ -0,0 +1,222 @@
+/**
+ * forceFields.js
+ * Реестр типов силовых полей. Каждый тип задаёт id (ForceField.direction.w в WGSL),
+ * тело WGSL-функции и такую же функцию для CPU:
+ *   force(f, p, v) — ускорение вершины в точке p со скоростью v;
+ *   wind(f, p) — скорость воздуха в точке p (её использует аэродинамика треугольников).
+ * buildForceShader собирает из реестра fieldForce/fieldWind и подставляет их в cloth_forces.wgsl,
+ * поэтому новое поле добавляется записью в FORCE_FIELDS без правки шейдера вручную.
+ * Применяет паттерн Registry.
+ */
+
+const fract = x => x - Math.floor(x);
+const mix = (a, b, t) => a + (b - a) * t;
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = a => Math.hypot(a[0], a[1], a[2]);
+const normalize = a => { const l = length(a) || 1; return [a[0] / l, a[1] / l, a[2] / l]; };
+const ZERO = [0, 0, 0];
+
+// hash3 из cloth_forces.wgsl считается в f32: после умножения на 43758.5453 fract оставляет младшие разряды,
+// поэтому каждая операция округляется через Math.fround, иначе CPU-шум расходится с GPU
+const f32 = Math.fround;
+const HASH_WEIGHTS = [127.1, 311.7, 74.7].map(f32);
+const hash3 = c => {
+  const arg = f32(f32(f32(f32(c[0]) * HASH_WEIGHTS[0]) + f32(f32(c[1]) * HASH_WEIGHTS[1])) + f32(f32(c[2]) * HASH_WEIGHTS[2]));
+  return f32(fract(f32(f32(Math.sin(arg)) * f32(43758.5453))));
+};
+
+/** Аналог noise3 из cloth_forces.wgsl: value noise в [-1, 1] */
+export function noise3(p) {
+  const i = p.map(Math.floor);
+  const u = p.map((x, c) => { const f = x - i[c]; return f * f * (3 - 2 * f); });
+  const h = (dx, dy, dz) => hash3([i[0] + dx, i[1] + dy, i[2] + dz]);
+  const x00 = mix(h(0, 0, 0), h(1, 0, 0), u[0]), x10 = mix(h(0, 1, 0), h(1, 1, 0), u[0]);
+  const x01 = mix(h(0, 0, 1), h(1, 0, 1), u[0]), x11 = mix(h(0, 1, 1), h(1, 1, 1), u[0]);
+  return mix(mix(x00, x10, u[1]), mix(x01, x11, u[1]), u[2]) * 2 - 1;
+}
+
+/** Аналог falloff из cloth_forces.wgsl */
+export function falloff(dist, radius) {
+  if (radius <= 0 || dist <= radius) return 1;
+  return (radius * radius) / (dist * dist);
+}
+
+/**
+ * Распакованное поле для CPU-функций: те же поля, что struct ForceField
+ * @param {Float32Array} data - Поля в формате ForceFieldSystem
+ * @param {number} o - Смещение поля в data
+ */
+export function unpackField(data, o) {
+  return {
+    direction: [data[o], data[o + 1], data[o + 2]], type: data[o + 3],
+    origin: [data[o + 4], data[o + 5], data[o + 6]], magnitude: data[o + 7],
+    radius: data[o + 8], turbulence: data[o + 9], frequency: data[o + 10],
+    drag: data[o + 12], lift: data[o + 13], density: data[o + 14],
+  };
+}
+
+/**
+ * Типы силовых полей. В WGSL доступны f: ForceField, p, v (для force) и params: ForceParams
+ */
+export const FORCE_FIELDS = {
+  gravity: {
+    id: 0,
+    force: `if (params.gravityEnabled < 0.5) { return vec3<f32>(0.0); }
+  return normalize(f.direction.xyz) * f.origin.w;`,
+    cpuForce: (f, p, v, params) => (params.gravityEnabled < 0.5 ? ZERO : normalize(f.direction).map(x => x * f.magnitude)),
+  },
+  wind: {
+    id: 1,
+    // порывы — шум, переносимый ветром; турбулентность задаётся долей от силы ветра
+    wind: `let base = normalize(f.direction.xyz) * f.origin.w;
+  let q = (p - base * params.time) * f.shape.z;
+  let gust = vec3<f32>(noise3(q), noise3(q + vec3<f32>(17.0, 0.0, 0.0)), noise3(q + vec3<f32>(0.0, 0.0, 31.0)));
+  return base + gust * (f.shape.y * f.origin.w);`,
+    cpuWind: (f, p, params) => {
+      const base = normalize(f.direction).map(x => x * f.magnitude);
+      const q = p.map((x, c) => (x - base[c] * params.time) * f.frequency);
+      const gust = [noise3(q), noise3([q[0] + 17, q[1], q[2]]), noise3([q[0], q[1], q[2] + 31])];
+      return base.map((x, c) => x + gust[c] * f.turbulence * f.magnitude);
+    },
+  },
+  attractor: {
+    id: 2,
+    // отрицательная величина — отталкивание
+    force: `let d = f.origin.xyz - p;
+  let dist = length(d);
+  if (dist < 1e-4) { return vec3<f32>(0.0); }
+  return d / dist * f.origin.w * falloff(dist, f.shape.x);`,
+    cpuForce: (f, p) => {
+      const d = f.origin.map((x, c) => x - p[c]);
+      const dist = length(d);
+      if (dist < 1e-4) return ZERO;
+      return d.map(x => x / dist * f.magnitude * falloff(dist, f.radius));
+    },
+  },
+  vortex: {
+    id: 3,
+    // вращение вокруг оси direction, проходящей через origin
+    force: `let axis = normalize(f.direction.xyz);
+  let r = p - f.origin.xyz;
+  let radial = r - axis * dot(r, axis);
+  let dist = length(radial);
+  if (dist < 1e-4) { return vec3<f32>(0.0); }
+  return cross(axis, radial) / dist * f.origin.w * falloff(dist, f.shape.x);`,
+    cpuForce: (f, p) => {
+      const axis = normalize(f.direction);
+      const r = p.map((x, c) => x - f.origin[c]);
+      const along = dot(r, axis);
+      const radial = r.map((x, c) => x - axis[c] * along);
+      const dist = length(radial);
+      if (dist < 1e-4) return ZERO;
+      return cross(axis, radial).map(x => x / dist * f.magnitude * falloff(dist, f.radius));
+    },
+  },
+  // считается по треугольникам в aerodynamics() из cloth_forces.wgsl
+  aerodynamics: { id: 4, perTriangle: true },
+};
+
+/**
+ * Подставляет функции полей из реестра в шаблон cloth_forces.wgsl
+ * @param {string} template - WGSL с маркером "// @force-fields"
+ * @param {Object} [fields=FORCE_FIELDS] - Реестр типов полей
+ * @returns {string} Готовый WGSL
+ */
+export function buildForceShader(template, fields = FORCE_FIELDS) {
+  const entries = Object.entries(fields);
+  const functions = kind => entries.filter(([, f]) => f[kind])
+    .map(([name, f]) => {
+      const args = kind === "force" ? "f: ForceField, p: vec3<f32>, v: vec3<f32>" : "f: ForceField, p: vec3<f32>";
+      return `fn ${kind}_${name}(${args}) -> vec3<f32> {\n  ${f[kind]}\n}\n`;
+    }).join("\n");
+  const dispatch = (kind, args) => entries.filter(([, f]) => f[kind])
+    .map(([name, f]) => `  if (kind == ${f.id}u) { return ${kind}_${name}(${args}); }`).join("\n");
+
+  const code = `const AERODYNAMICS: u32 = ${fields.aerodynamics.id}u;
+
+${functions("force")}
+${functions("wind")}
+fn fieldForce(f: ForceField, p: vec3<f32>, v: vec3<f32>) -> vec3<f32> {
+  let kind = u32(f.direction.w);
+${dispatch("force", "f, p, v")}
+  return vec3<f32>(0.0);
+}
+
+fn fieldWind(f: ForceField, p: vec3<f32>) -> vec3<f32> {
+  let kind = u32(f.direction.w);
+${dispatch("wind", "f, p")}
+  return vec3<f32>(0.0);
+}`;
+  return template.replace("// @force-fields", code);
+}
+
+/**
+ * CPU-версия прохода cloth_forces.wgsl: ускорения всех вершин
+ * @param {{time: number, gravityEnabled: number}} params - Время и флаг гравитации
+ * @param {{data: Float32Array, count: number}} forceFields - Поля из ForceFieldSystem
+ * @param {Float32Array} positions - Позиции vec4
+ * @param {Float32Array} prevPositions - Позиции предыдущего шага (скорость)
+ * @param {{indices: Uint32Array, offsets: Uint32Array, triangles: Uint32Array}} mesh - Треугольники и их списки по вершинам
+ * @param {number} dt - Шаг по времени
+ * @param {Float32Array} accelerations - Результат vec4 на вершину
+ * @param {Object} [fields=FORCE_FIELDS] - Реестр типов полей
+ */
+export function accumulateForces(params, forceFields, positions, prevPositions, mesh, dt, accelerations, fields = FORCE_FIELDS) {
+  const types = Object.values(fields);
+  const byId = id => types.find(t => t.id === id);
+  const list = Array.from({ length: forceFields.count }, (_, i) => unpackField(forceFields.data, i * 16));
+  const point = i => [positions[i * 4], positions[i * 4 + 1], positions[i * 4 + 2]];
+  const velocity = i => [0, 1, 2].map(c => (positions[i * 4 + c] - prevPositions[i * 4 + c]) / dt);
+  const windAt = p => list.reduce((w, f) => {
+    const type = byId(f.type);
+    return type && type.cpuWind ? type.cpuWind(f, p, params).map((x, c) => w[c] + x) : w;
+  }, [0, 0, 0]);
+
+  const aerodynamics = (idx, f) => {
+    const force = [0, 0, 0];
+    let area = 0;
+    for (let k = mesh.offsets[idx]; k < mesh.offsets[idx + 1]; k++) {
+      const t = mesh.triangles[k];
+      const [a, b, c] = [mesh.indices[3 * t], mesh.indices[3 * t + 1], mesh.indices[3 * t + 2]];
+      const pa = point(a), pb = point(b), pc = point(c);
+      const cr = cross(pb.map((x, i) => x - pa[i]), pc.map((x, i) => x - pa[i]));
+      const triArea = length(cr) * 0.5;
+      if (triArea < 1e-12) continue;
+      area += triArea / 3;
+
+      const center = pa.map((x, i) => (x + pb[i] + pc[i]) / 3);
+      const va = velocity(a), vb = velocity(b), vc = velocity(c);
+      const wind = windAt(center);
+      const rel = va.map((x, i) => (x + vb[i] + vc[i]) / 3 - wind[i]);
+      const speed = length(rel);
+      if (speed < 1e-6) continue;
+      const dir = rel.map(x => x / speed);
+      const n = cr.map(x => x / (2 * triArea));
+      const cosTheta = dot(dir, n);
+      const q = 0.5 * speed * speed * triArea;
+      for (let i = 0; i < 3; i++) force[i] -= dir[i] * f.drag * Math.abs(cosTheta) * q;
+      const liftDir = cross(cross(n, dir), dir);
+      const liftLen = length(liftDir);
+      if (liftLen > 1e-6) {
+        const lift = f.lift * cosTheta * Math.sqrt(Math.max(1 - cosTheta * cosTheta, 0)) * q;
+        for (let i = 0; i < 3; i++) force[i] += liftDir[i] / liftLen * lift;
+      }
+    }
+    if (area <= 0) return ZERO;
+    return force.map(x => x / 3 / (f.density * area));
+  };
+
+  for (let idx = 0; idx < positions.length / 4; idx++) {
+    const p = point(idx);
+    const v = velocity(idx);
+    const acc = [0, 0, 0];
+    for (const f of list) {
+      const type = byId(f.type);
+      if (!type) continue;
+      const a = type.perTriangle ? aerodynamics(idx, f) : type.cpuForce ? type.cpuForce(f, p, v, params) : ZERO;
+      for (let c = 0; c < 3; c++) acc[c] += a[c];
+    }
+    accelerations.set([...acc, 0], idx * 4);
+  }
+}
@@ -1,26 +1,163 @@
 /**
  * gpuManager.js
- * Singleton для работы с WebGPU.
- * Отвечает за инициализацию устройства GPU, контекста Canvas и формата.
- * Использует метод getInstance() для единственного доступа к устройству.
- * Применяет паттерн Singleton.
+ * Singleton для работы с WebGPU: одно устройство GPU на страницу, общее для всех canvas симуляций.
+ * getInstance() запрашивает адаптер и устройство с согласованными возможностями и лимитами:
+ * REQUIRED_FEATURES и REQUIRED_LIMITS обязательны (без них инициализация завершается ошибкой),
+ * OPTIONAL_FEATURES запрашиваются, если адаптер их поддерживает, PREFERRED_LIMITS поднимаются
+ * до возможностей адаптера, но не выше указанного значения.
+ * attachCanvas() настраивает контекст canvas на общее устройство; таких canvas может быть несколько.
+ * Ошибки проверки собираются через pushErrorScope (validate) и событие uncapturederror.
+ * При потере устройства (кроме явного destroy) адаптер и устройство запрашиваются заново,
+ * контексты перенастраиваются, и подписчики "deviceRestored" пересоздают свои пайплайны и буферы.
+ * События: "error" {source, message}, "deviceLost" {reason, message}, "deviceRestored" (новое GPUDevice),
+ * "recoveryFailed" (Error).
+ * Применяет паттерны Singleton и Observer.
  */
-export class GPUManager {
-  static instance;
-  static async getInstance(canvas) {
+import { Observable } from "./observable.js";
+
+/** Возможности, без которых симуляция не работает */
+const REQUIRED_FEATURES = [];
+/** Возможности, которые используются при наличии: timestamp-query — время проходов в GPUProfiler */
+const OPTIONAL_FEATURES = ["timestamp-query"];
+/** Минимальные лимиты: самый большой шейдер (XPBD, самостолкновения) читает 8 storage-буферов, workgroup до 256 */
+const REQUIRED_LIMITS = {
+  maxStorageBuffersPerShaderStage: 8,
+  maxComputeWorkgroupSizeX: 256,
+  maxComputeInvocationsPerWorkgroup: 256,
+};
+/** Лимиты, которые стоит поднять, если адаптер позволяет: крупные импортированные меши */
+const PREFERRED_LIMITS = {
+  maxStorageBufferBindingSize: 1 << 30,
+  maxBufferSize: 1 << 30,
+};
+// попыток пересоздать устройство после потери и пауза между ними, мс
+const MAX_RECOVERY_ATTEMPTS = 3;
+const RECOVERY_DELAY = 500;
+
+export class GPUManager extends Observable {
+  static instance = null;
+
+  /**
+   * Общий менеджер страницы; при первом вызове создаёт устройство
+   * @returns {Promise<GPUManager>}
+   * @throws {Error} Если WebGPU недоступен, адаптер не найден или не хватает возможностей и лимитов
+   */
+  static async getInstance() {
     if (!GPUManager.instance) {
-      const adapter = await navigator.gpu.requestAdapter();
-      const device = await adapter.requestDevice();
-      const context = canvas.getContext("webgpu");
-      const format = navigator.gpu.getPreferredCanvasFormat();
-      context.configure({ device, format, alphaMode: "opaque" });
-      GPUManager.instance = new GPUManager(device, context, format);
+      const manager = new GPUManager();
+      await manager.createDevice();
+      GPUManager.instance = manager;
     }
     return GPUManager.instance;
   }
-  constructor(device, context, format) {
+
+  constructor() {
+    super();
+    this.adapter = null;
+    this.device = null;
+    this.format = navigator.gpu.getPreferredCanvasFormat();
+    this.contexts = new Set();
+  }
+
+  /**
+   * Запрашивает адаптер и устройство с согласованными возможностями и лимитами
+   * и подписывается на потерю устройства и неперехваченные ошибки
+   */
+  async createDevice() {
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) throw new Error("WebGPU: no suitable GPU adapter found");
+    const missing = REQUIRED_FEATURES.filter(feature => !adapter.features.has(feature));
+    if (missing.length > 0) throw new Error(`WebGPU: adapter lacks required features: ${missing.join(", ")}`);
+    const requiredLimits = {};
+    for (const [name, value] of Object.entries(REQUIRED_LIMITS)) {
+      if (adapter.limits[name] < value) throw new Error(`WebGPU: adapter limit ${name} = ${adapter.limits[name]}, need ${value}`);
+      requiredLimits[name] = value;
+    }
+    for (const [name, value] of Object.entries(PREFERRED_LIMITS)) requiredLimits[name] = Math.min(adapter.limits[name], value);
+    const requiredFeatures = [...REQUIRED_FEATURES, ...OPTIONAL_FEATURES.filter(feature => adapter.features.has(feature))];
+
+    const device = await adapter.requestDevice({ requiredFeatures, requiredLimits });
+    device.addEventListener("uncapturederror", e => this.report("webgpu", e.error.message));
+    device.lost.then(info => this.onDeviceLost(device, info));
+    this.adapter = adapter;
     this.device = device;
-    this.context = context;
-    this.format = format;
+  }
+
+  /**
+   * Настраивает контекст canvas на общее устройство; после пересоздания устройства он настраивается заново
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas симуляции
+   * @returns {GPUCanvasContext}
+   */
+  attachCanvas(canvas) {
+    const context = canvas.getContext("webgpu");
+    this.configure(context);
+    this.contexts.add(context);
+    return context;
+  }
+
+  /** Отключает контекст canvas от менеджера */
+  detachCanvas(context) {
+    context.unconfigure();
+    this.contexts.delete(context);
+  }
+
+  configure(context) { context.configure({ device: this.device, format: this.format, alphaMode: "opaque" }); }
+
+  /**
+   * Выполняет fn внутри областей ошибок validation и out-of-memory и сообщает о пойманных ошибках
+   * @param {string} label - Что выполнялось (попадает в сообщение)
+   * @param {function(): *} fn - Создание пайплайнов, буферов и т. п.
+   * @returns {Promise<*>} Результат fn
+   */
+  async validate(label, fn) {
+    const { device } = this;
+    device.pushErrorScope("out-of-memory");
+    device.pushErrorScope("validation");
+    let result;
+    try {
+      result = fn();
+    } finally {
+      const validation = await device.popErrorScope();
+      const outOfMemory = await device.popErrorScope();
+      if (validation) this.report("validation", `${label}: ${validation.message}`);
+      if (outOfMemory) this.report("out-of-memory", `${label}: ${outOfMemory.message}`);
+    }
+    return result;
+  }
+
+  /**
+   * Сообщает об ошибке подписчикам "error" (панель ошибок) и в консоль
+   * @param {string} source - Источник: webgpu, validation, out-of-memory, device
+   * @param {string} message - Текст ошибки
+   */
+  report(source, message) {
+    console.error(`[${source}] ${message}`);
+    this.emit("error", { source, message });
+  }
+
+  /**
+   * Потеря устройства: кроме явного destroy, устройство пересоздаётся (до MAX_RECOVERY_ATTEMPTS попыток)
+   * @param {GPUDevice} device - Потерянное устройство
+   * @param {GPUDeviceLostInfo} info - Причина потери
+   */
+  async onDeviceLost(device, { reason, message }) {
+    if (device !== this.device) return;
+    this.report("device", `GPU device lost (${reason ?? "unknown"}): ${message}`);
+    this.emit("deviceLost", { reason, message });
+    if (reason === "destroyed") return;
+    let error = null;
+    for (let attempt = 1; attempt <= MAX_RECOVERY_ATTEMPTS; attempt++) {
+      try {
+        await this.createDevice();
+        this.contexts.forEach(context => this.configure(context));
+        this.emit("deviceRestored", this.device);
+        return;
+      } catch (e) {
+        error = e;
+        this.report("device", `Recovery attempt ${attempt} failed: ${e.message}`);
+        await new Promise(resolve => setTimeout(resolve, RECOVERY_DELAY * attempt));
+      }
+    }
+    this.emit("recoveryFailed", error);
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * gpuProfiler.js
+ * Замер времени проходов GPU через timestamp-query.
+ * Каждый проход кадра получает пару меток (начало и конец) из общего GPUQuerySet: проходы создаются
+ * с timestampWrites(label). В конце кадра resolve разрешает метки в буфер, collect асинхронно читает их
+ * и суммирует длительности по имени прохода (forces и solver выполняются на каждом подшаге).
+ * Пока все буферы чтения заняты, кадр не замеряется. Без feature "timestamp-query" supported = false,
+ * а timestampWrites возвращает undefined — проходы создаются как обычно, без замеров.
+ * Применяет паттерн Observer: готовые замеры кадра испускаются событием "timings".
+ */
+import { Observable } from "./observable.js";
+
+// проходов за кадр: до 8 шагов по 16 подшагов, по два прохода на подшаг, и проходы отрисовки
+const MAX_PASSES = 512;
+// буферы чтения, которые могут ждать mapAsync одновременно
+const READBACK_BUFFERS = 3;
+
+export class GPUProfiler extends Observable {
+  /**
+   * @param {GPUDevice} device - Устройство (feature "timestamp-query" запрашивает GPUManager)
+   */
+  constructor(device) {
+    super();
+    this.setDevice(device);
+  }
+
+  /**
+   * Создаёт набор запросов и буферы на устройстве; после потери устройства вызывается с новым,
+   * подписчики "timings" сохраняются
+   * @param {GPUDevice} device - Устройство
+   */
+  setDevice(device) {
+    this.device = device;
+    this.supported = device.features.has("timestamp-query");
+    this.labels = [];
+    // замеряется ли текущий кадр; решается на первом проходе кадра
+    this.measuring = null;
+    this.pending = null;
+    this.readBuffers = [];
+    if (!this.supported) return;
+    const size = MAX_PASSES * 2 * 8;
+    this.querySet = device.createQuerySet({ type: "timestamp", count: MAX_PASSES * 2 });
+    this.resolveBuffer = device.createBuffer({ size, usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC });
+    this.readBuffers = Array.from({ length: READBACK_BUFFERS }, () => device.createBuffer({ size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST }));
+  }
+
+  /**
+   * Метки начала и конца прохода для дескриптора beginComputePass/beginRenderPass
+   * @param {string} label - Имя прохода; времена проходов с одним именем суммируются
+   * @returns {GPUComputePassTimestampWrites|undefined} undefined, если кадр не замеряется
+   */
+  timestampWrites(label) {
+    if (this.measuring === null) this.measuring = this.supported && this.readBuffers.length > 0;
+    if (!this.measuring || this.labels.length >= MAX_PASSES) return undefined;
+    const index = this.labels.push(label) - 1;
+    return { querySet: this.querySet, beginningOfPassWriteIndex: index * 2, endOfPassWriteIndex: index * 2 + 1 };
+  }
+
+  /**
+   * Завершает кадр: записывает разрешение меток и копирование в свободный буфер чтения.
+   * Вызывается в энкодере последнего submit кадра, после него — collect
+   * @param {GPUCommandEncoder} encoder - Энкодер
+   */
+  resolve(encoder) {
+    const labels = this.labels;
+    this.labels = [];
+    this.measuring = null;
+    if (labels.length === 0) return;
+    const buffer = this.readBuffers.pop();
+    encoder.resolveQuerySet(this.querySet, 0, labels.length * 2, this.resolveBuffer, 0);
+    encoder.copyBufferToBuffer(this.resolveBuffer, 0, buffer, 0, labels.length * 16);
+    this.pending = { labels, buffer };
+  }
+
+  /** Читает метки кадра после submit и испускает "timings" — время по проходам, мс */
+  async collect() {
+    const pending = this.pending;
+    if (!pending) return;
+    this.pending = null;
+    const device = this.device;
+    // при потере устройства чтение отменяется, а буфер принадлежит прежнему устройству
+    try { await pending.buffer.mapAsync(GPUMapMode.READ); } catch { return; }
+    if (device !== this.device) return;
+    const stamps = new BigUint64Array(pending.buffer.getMappedRange(0, pending.labels.length * 16));
+    const timings = {};
+    pending.labels.forEach((label, i) => {
+      // метки разных проходов не обязаны быть монотонными: отрицательная длительность считается нулём
+      const duration = stamps[i * 2 + 1] > stamps[i * 2] ? Number(stamps[i * 2 + 1] - stamps[i * 2]) / 1e6 : 0;
+      timings[label] = (timings[label] ?? 0) + duration;
+    });
+    pending.buffer.unmap();
+    this.readBuffers.push(pending.buffer);
+    this.emit("timings", timings);
+  }
+}
@@ -1,19 +1,34 @@
 /* main.js
    Инициализация всей симуляции ткани через WebGPU
    Подгружает WGSL-шейдеры через fetch
+   Симуляция считается в главном потоке или в воркере (OffscreenCanvas, см. simulationWorker.js)
    Использует GPUManager, PipelineFactory, стратегии и MVC
    Author: Grigoriy Postolskiy
    Date: 2025
 */
 
 import { GPUManager } from "./gpuManager.js";
-import { PBDStrategy, MassSpringStrategy } from "./strategies.js";
-import { SimulationModel } from "./simulationModel.js";
-import { SimulationView } from "./simulationView.js";
-import { SimulationController } from "./simulationController.js";
+import { PipelineFactory } from "./pipelineFactory.js";
+import { strategyRegistry } from "./strategyRegistry.js";
+import { createGPUSimulation, createCPUSimulation, enableDeviceRecovery, reportGPUErrors } from "./simulationFactory.js";
+import { SimulationClient, RemoteModel, RemoteView, RemoteController, RemoteBenchmark, RemoteOfflineCapture, forwardInput } from "./remoteSimulation.js";
+import { MessageType, WorkerAction } from "./workerProtocol.js";
+import { ColliderType, createCollider, createForceField } from "./ecs.js";
+import { serializeScene, parseScene, applyScene, sceneToHash, sceneFromHash } from "./scene.js";
+import { InputRecorder, Replayer } from "./replay.js";
+import { exportOBJ, exportPLY, exportGLB, exportPC2 } from "./meshExport.js";
+import { parseMeshFile, MESH_FILE_PATTERN } from "./meshImport.js";
+import { clothGroupNames, pinPresets } from "./clothMesh.js";
+import { MATERIAL_PRESETS, materialPreset, copyMaterial } from "./material.js";
+import { PerfHud } from "./perfHud.js";
+import { Benchmark, toCSV } from "./benchmark.js";
+import { diagnostics, Severity, DiagnosticSource } from "./diagnostics.js";
+import { describeIncident } from "./stabilityMonitor.js";
+import { VideoRecorder, OfflineCapture, pngSequenceZip } from "./capture.js";
 
 /**
- * Загружает WGSL-шейдер из файла через Fetch API
+ * Загружает WGSL-шейдер из файла через Fetch API вместе с фрагментами его #include
+ * и регистрирует их в журнале диагностики (строки сообщений компиляции указывают на эти файлы)
  * @param {string} path - Путь к файлу шейдера
  * @returns {Promise<string>} Текст шейдера в формате WGSL
  * @throws {Error} Если загрузка не удалась
@@ -21,9 +36,26 @@ import { SimulationController } from "./simulationController.js";
  * const shader = await loadShader('./shaders/vertex.wgsl');
  */
 async function loadShader(path) {
-  const res = await fetch(path);
-  if (!res.ok) throw new Error(`Failed to load shader: ${path}`);
-  return await res.text();
+  // фрагменты из #include загружаются вместе с файлом (имена отсчитываются от ./shaders/)
+  return PipelineFactory.loadShaderSource(path, "./shaders/");
+}
+
+/**
+ * Создаёт стратегию, зарегистрированную во время работы. Шейдер компилируется заранее,
+ * чтобы стратегия с ошибкой не попала в список выбора
+ * @param {GPUManager} gpu - GPU менеджер (текущее устройство)
+ * @param {Object} definition - Описание стратегии из реестра
+ * @returns {Promise<SimulationStrategy>}
+ * @throws {Error} Если шейдер не загрузился или не скомпилировался
+ */
+async function createRegisteredStrategy(gpu, definition) {
+  const shader = definition.shader ? await loadShader(definition.shader) : null;
+  if (shader) {
+    const { messages } = await PipelineFactory.createShaderModule(gpu.device, shader).getCompilationInfo();
+    const error = messages.find(message => message.type === "error");
+    if (error) throw new Error(`${definition.shader}:${error.lineNum}: ${error.message}`);
+  }
+  return strategyRegistry.create(definition.id, shader);
 }
 
 /**
@@ -31,71 +63,922 @@ async function loadShader(path) {
  * настраивает MVC компоненты и запускает основной цикл рендеринга
  * @param {HTMLCanvasElement} canvas - Canvas элемент для WebGPU рендеринга
  * @param {HTMLElement} gravityEl - Элемент управления гравитацией (чекбокс)
- * @param {HTMLElement} strategyEl - Элемент выбора стратегии симуляции (select)
- * @returns {Promise<void>}
- * @throws {Error} Если WebGPU не поддерживается или инициализация не удалась
+ * @param {HTMLElement} strategyEl - Элемент выбора стратегии симуляции (select; пункты строятся по реестру стратегий)
+ * @param {Object} [controls] - Дополнительные элементы управления
+ * @param {boolean} [controls.worker] - Считать симуляцию в воркере (OffscreenCanvas), если браузер это позволяет
+ *   и в воркере есть WebGPU. У каждого воркера своё устройство GPU (общее устройство GPUManager — только
+ *   для симуляций главного потока), а стратегии, зарегистрированные на странице во время работы, воркеру недоступны
+ * @param {HTMLElement} [controls.strategyParamsEl] - Контейнер полей параметров активной стратегии
+ * @param {HTMLInputElement} [controls.selfCollisionEl] - Чекбокс самостолкновений (рядом с gravityEl)
+ * @param {HTMLInputElement} [controls.iterationsEl] - Число итераций решателя ограничений
+ * @param {HTMLInputElement} [controls.substepsEl] - Число подшагов на фиксированный шаг 1/60 с
+ * @param {HTMLInputElement} [controls.timeScaleEl] - Масштаб времени (ползунок)
+ * @param {HTMLButtonElement} [controls.pauseEl] - Кнопка паузы/продолжения
+ * @param {HTMLButtonElement} [controls.stepEl] - Кнопка одного шага (активна на паузе)
+ * @param {HTMLSelectElement} [controls.renderModeEl] - Режим отображения (shaded, wireframe, stress)
+ * @param {HTMLSelectElement} [controls.materialEl] - Пресет материала (silk, cotton, denim, rubber; custom — материал из сцены)
+ * @param {HTMLInputElement} [controls.dampingEl] - Общее затухание материала (доля скорости за шаг 1/60 с)
+ * @param {HTMLInputElement} [controls.rayleighEl] - Коэффициент β затухания Рэлея материала
+ * @param {HTMLInputElement} [controls.textureEl] - Выбор файла текстуры ткани
+ * @param {HTMLInputElement} [controls.windEl] - Чекбокс ветра с турбулентностью и аэродинамикой треугольников
+ * @param {HTMLInputElement} [controls.groundEl] - Чекбокс плоскости пола
+ * @param {HTMLInputElement} [controls.sphereEl] - Чекбокс перетаскиваемой сферы
+ * @param {HTMLButtonElement} [controls.saveSceneEl] - Кнопка сохранения сцены в JSON
+ * @param {HTMLInputElement} [controls.loadSceneEl] - Выбор файла сцены
+ * @param {HTMLButtonElement} [controls.shareSceneEl] - Кнопка ссылки на сцену (URL #scene=...)
+ * @param {HTMLElement} [controls.sceneStatusEl] - Вывод результата загрузки и ошибок проверки сцены
+ * @param {HTMLInputElement} [controls.importMeshEl] - Выбор файла меша ткани (.obj, .gltf, .glb)
+ * @param {HTMLButtonElement} [controls.gridMeshEl] - Возврат к квадратной сетке
+ * @param {HTMLSelectElement} [controls.pinGroupsEl] - Закреплённые группы вершин (select multiple)
+ * @param {HTMLSelectElement} [controls.pinToolEl] - Инструмент левой кнопки (drag, toggle, paint, animate)
+ * @param {HTMLInputElement} [controls.brushRadiusEl] - Радиус кисти закрепления
+ * @param {HTMLSelectElement} [controls.pinPathEl] - Путь новых точек крепления (oscillate, circle, keyframes)
+ * @param {HTMLSelectElement} [controls.pinPresetEl] - Пресет закрепления (top, corners, centre, none)
+ * @param {HTMLButtonElement} [controls.clearAttachmentsEl] - Удаление всех точек крепления
+ * @param {HTMLButtonElement} [controls.snapshotEl] - Кнопка снимка состояния
+ * @param {HTMLInputElement} [controls.snapshotFramesEl] - Кадры автоматических снимков через запятую
+ * @param {HTMLSelectElement} [controls.snapshotsEl] - Список снимков
+ * @param {HTMLButtonElement} [controls.restoreSnapshotEl] - Восстановление выбранного снимка
+ * @param {HTMLButtonElement} [controls.recordEl] - Начало/остановка записи ввода
+ * @param {HTMLButtonElement} [controls.exportRecordingEl] - Сохранение последней записи в JSON
+ * @param {HTMLInputElement} [controls.replayEl] - Выбор файла записи для воспроизведения
+ * @param {HTMLSelectElement} [controls.exportFormatEl] - Формат экспорта меша (obj, ply, glb)
+ * @param {HTMLButtonElement} [controls.exportMeshEl] - Экспорт текущей позы ткани
+ * @param {HTMLInputElement} [controls.exportFromEl] - Первый кадр анимации
+ * @param {HTMLInputElement} [controls.exportToEl] - Последний кадр анимации
+ * @param {HTMLSelectElement} [controls.animationFormatEl] - Формат анимации (glb — morph targets, pc2 — point cache)
+ * @param {HTMLButtonElement} [controls.exportAnimationEl] - Запись и экспорт диапазона кадров
+ * @param {HTMLElement} [controls.perfHudEl] - Контейнер оверлея производительности
+ * @param {HTMLInputElement} [controls.perfHudToggleEl] - Чекбокс показа оверлея
+ * @param {HTMLButtonElement} [controls.benchmarkEl] - Запуск и остановка бенчмарка
+ * @param {HTMLButtonElement} [controls.exportBenchmarkEl] - Сохранение результатов бенчмарка в CSV
+ * @param {HTMLInputElement} [controls.stabilityEl] - Чекбокс проверки устойчивости (StabilityMonitor)
+ * @param {HTMLSelectElement} [controls.stabilityActionEl] - Действие при «взрыве» (none, halveDt, iterations)
+ * @param {HTMLButtonElement} [controls.screenshotEl] - Снимок кадра в PNG
+ * @param {HTMLButtonElement} [controls.recordVideoEl] - Начало/остановка записи видео WebM
+ * @param {HTMLInputElement} [controls.sequenceFramesEl] - Число кадров офлайн-записи
+ * @param {HTMLButtonElement} [controls.recordSequenceEl] - Начало/остановка офлайн-записи последовательности PNG в zip
+ * @returns {Promise<{model: SimulationModel|RemoteModel, view: SimulationView|CPUSimulationView|RemoteView, controller: SimulationController|RemoteController}>}
+ * @throws {Error} Если инициализация не удалась
  * @example
- * await initSimulation(canvas, gravityCheckbox, strategySelect);
+ * await initSimulation(canvas, gravityCheckbox, strategySelect, { selfCollisionEl, iterationsEl, substepsEl, timeScaleEl, pauseEl, stepEl, renderModeEl, textureEl, windEl, groundEl, sphereEl });
+ * // сцену можно передать ссылкой: index.html#scene=<base64url JSON>
+ * // шаги и отрисовка в воркере, в главном потоке только UI:
+ * await initSimulation(canvas, gravityCheckbox, strategySelect, { worker: true });
+ * // несколько независимых симуляций на странице используют одно устройство GPU:
+ * await initSimulation(secondCanvas, secondGravityCheckbox, secondStrategySelect);
  */
-export async function initSimulation(canvas, gravityEl, strategyEl) {
+export async function initSimulation(canvas, gravityEl, strategyEl, controls = {}) {
+  if (controls.worker && navigator.gpu && canvas.transferControlToOffscreen) {
+    // canvas передаётся воркеру, только когда тот ответил: иначе симуляция остаётся в главном потоке
+    const client = await startSimulationWorker();
+    if (client) return initWorkerSimulation(canvas, gravityEl, strategyEl, controls, client);
+  }
   if (!navigator.gpu) {
-    alert("WebGPU не поддерживается");
-    throw new Error("WebGPU not supported");
+    console.warn("WebGPU не поддерживается, симуляция считается на CPU");
+    return initCPUSimulation(canvas, gravityEl, strategyEl, controls);
   }
 
-  // Параллельная загрузка всех шейдеров для оптимизации
-  const [clothUpdatePBD, clothUpdateMassSpring, clothRenderWGSL] = await Promise.all([
-    loadShader("./shaders/cloth_update_pbd.wgsl"),
-    loadShader("./shaders/cloth_update_massspring.wgsl"),
-    loadShader("./shaders/cloth_render.wgsl"),
-  ]);
+  /**
+   * Инициализация GPU менеджера - центрального компонента для работы с WebGPU.
+   * Устройство общее для всех canvas страницы; без подходящего адаптера симуляция считается на CPU
+   */
+  let gpu;
+  try {
+    gpu = await GPUManager.getInstance();
+  } catch (e) {
+    console.warn(`${e.message}; симуляция считается на CPU`);
+    return initCPUSimulation(canvas, gravityEl, strategyEl, controls);
+  }
+  reportGPUErrors(gpu);
+
+  fillStrategyOptions(strategyEl);
+  // модель, представление WebGPU и контроллер (шейдеры стратегий берутся из их описаний в реестре)
+  const { model, view, controller, monitor, strategies } = await createGPUSimulation(gpu, canvas, strategyEl.value, loadShader);
+  controller.bindInput(canvas);
+  observeResize(canvas, resizeCanvas(canvas, view));
+
+  bindControls(model, gravityEl, controls);
+  bindStrategies(model, strategies, strategyEl, definition => createRegisteredStrategy(gpu, definition), controls);
+  bindTexture(view, controls.textureEl);
+  bindScene(model, strategies, controls);
+  bindCloth(model, controls);
+  bindPinEditor(model, view, controller, controls);
+  bindReplay(model, controller, strategies, controls);
+  bindExport(view, controller, controls);
+  bindPerformance(view, controller, () => new Benchmark(model, view, controller, strategies), controls);
+  bindStability(model, monitor, controls);
+  bindCapture(canvas, view, () => new OfflineCapture(view, controller), controls);
+  enableDeviceRecovery(gpu, model, view, controller, statusReporter(controls.sceneStatusEl));
 
   /**
-   * Инициализация GPU менеджера - центрального компонента для работы с WebGPU
-   * Создает устройство, контекст и управляет ресурсами GPU
+   * Запуск основного цикла симуляции
+   * Инициирует бесконечный цикл рендеринга и обновления физики
    */
-  const gpu = await GPUManager.getInstance(canvas);
+  controller.start();
+  return { model, view, controller };
+}
+
+/**
+ * Запасной путь без WebGPU: те же модель и контроллер, но шаги считает
+ * CPU-решатель, а ткань рисуется на Canvas 2D
+ * @param {HTMLCanvasElement} canvas - Canvas элемент для 2D рендеринга
+ * @param {HTMLElement} gravityEl - Элемент управления гравитацией (чекбокс)
+ * @param {HTMLElement} strategyEl - Элемент выбора стратегии симуляции (select)
+ * @param {Object} controls - Дополнительные элементы управления
+ * @returns {Promise<{model: SimulationModel, view: CPUSimulationView, controller: SimulationController}>}
+ */
+async function initCPUSimulation(canvas, gravityEl, strategyEl, controls) {
+  fillStrategyOptions(strategyEl);
+  const { model, view, controller, monitor, strategies } = await createCPUSimulation(canvas, strategyEl.value);
+  controller.bindInput(canvas);
+  observeResize(canvas, resizeCanvas(canvas, view));
+  bindControls(model, gravityEl, controls);
+  bindStrategies(model, strategies, strategyEl, definition => strategyRegistry.create(definition.id, null), controls);
+  bindScene(model, strategies, controls);
+  bindCloth(model, controls);
+  bindPinEditor(model, view, controller, controls);
+  bindReplay(model, controller, strategies, controls);
+  bindExport(view, controller, controls);
+  bindPerformance(view, controller, () => new Benchmark(model, view, controller, strategies), controls);
+  bindStability(model, monitor, controls);
+  bindCapture(canvas, view, () => new OfflineCapture(view, controller), controls);
+  controller.start();
+  return { model, view, controller };
+}
+
+/**
+ * Запускает воркер симуляции и проверяет, что он отвечает и получил адаптер WebGPU (WorkerAction.PING)
+ * @returns {Promise<SimulationClient|null>} Связь с воркером; null, если воркер не запустился или в нём нет WebGPU
+ */
+async function startSimulationWorker() {
+  const worker = new Worker(new URL("./simulationWorker.js", import.meta.url), { type: "module" });
+  const client = new SimulationClient(worker);
+  try {
+    if (await client.request(WorkerAction.PING)) return client;
+    console.warn("WebGPU недоступен в воркере; симуляция считается в главном потоке");
+  } catch (e) {
+    console.warn(`${e.message}; симуляция считается в главном потоке`);
+  }
+  worker.terminate();
+  return null;
+}
 
-  // Создаём стратегии с загруженными шейдерами
-  const pbdStrategy = new PBDStrategy(clothUpdatePBD);
-  const massSpringStrategy = new MassSpringStrategy(clothUpdateMassSpring);
+/**
+ * Симуляция в воркере (simulationWorker.js): управление canvas передаётся воркеру как OffscreenCanvas,
+ * шаги, отрисовка и чтение с GPU идут там. В главном потоке остаются UI и пересылка ввода;
+ * элементы управления связываются с RemoteModel, RemoteView и RemoteController так же, как с обычными
+ * моделью, представлением и контроллером. Стратегии главного потока нужны только для id и схем параметров
+ * @param {HTMLCanvasElement} canvas - Canvas симуляции (после вызова им управляет воркер)
+ * @param {HTMLElement} gravityEl - Элемент управления гравитацией (чекбокс)
+ * @param {HTMLElement} strategyEl - Элемент выбора стратегии симуляции (select)
+ * @param {Object} controls - Дополнительные элементы управления
+ * @param {SimulationClient} client - Связь с запущенным воркером (startSimulationWorker)
+ * @returns {Promise<{model: RemoteModel, view: RemoteView, controller: RemoteController, worker: Worker}>}
+ * @throws {Error} Если симуляцию в воркере не удалось создать
+ */
+async function initWorkerSimulation(canvas, gravityEl, strategyEl, controls, client) {
+  fillStrategyOptions(strategyEl);
+  const strategies = await strategyRegistry.createAll(null);
+  const report = statusReporter(controls.sceneStatusEl);
+  client.on(MessageType.STATUS, ({ message, isError }) => report(message, isError));
+  // записи журнала воркера попадают в журнал страницы с новыми id и временем
+  client.on(MessageType.DIAGNOSTIC, ({ entry: { severity, source, message, stack, location } }) => diagnostics.add({ severity, source, message, stack, location }));
+  client.on("error", e => diagnostics.add({ source: DiagnosticSource.APP, message: e.message }));
+
+  const offscreen = canvas.transferControlToOffscreen();
+  let state;
+  try {
+    state = await client.request(WorkerAction.INIT, [{ canvas: offscreen, strategy: strategyEl.value, baseURL: document.baseURI }], { transfer: [offscreen] });
+  } catch (e) {
+    // canvas уже у воркера, вернуть его в главный поток нельзя
+    client.worker.terminate();
+    report(`Simulation worker failed to start: ${e.message}. Reload the page`, true);
+    throw e;
+  }
+  const model = new RemoteModel(client, strategies, state.model);
+  const view = new RemoteView(client, model, state.view);
+  const controller = new RemoteController(client, state.controller);
+  forwardInput(canvas, client);
+  observeResize(canvas, (width, height) => view.resize(width, height));
 
+  bindControls(model, gravityEl, controls);
+  bindStrategies(model, strategies, strategyEl, null, controls);
+  bindTexture(view, controls.textureEl);
+  bindScene(model, strategies, controls);
+  bindCloth(model, controls);
+  bindPinEditor(model, view, controller, controls);
+  bindReplay(model, controller, strategies, controls);
+  bindExport(view, controller, controls);
+  bindPerformance(view, controller, () => new RemoteBenchmark(client), controls);
+  // о нарушениях устойчивости воркер сообщает через STATUS
+  bindStability(model, null, controls);
+  bindCapture(canvas, view, () => new RemoteOfflineCapture(client), controls);
+  return { model, view, controller, worker: client.worker };
+}
+
+/**
+ * Следит за CSS-размером canvas и передаёт разрешение с учётом devicePixelRatio
+ * @param {HTMLCanvasElement} canvas - Canvas симуляции
+ * @param {function(number, number): void} resize - Получает ширину и высоту в пикселях
+ */
+function observeResize(canvas, resize) {
+  new ResizeObserver(() => {
+    const dpr = window.devicePixelRatio || 1;
+    resize(Math.max(1, Math.round(canvas.clientWidth * dpr)), Math.max(1, Math.round(canvas.clientHeight * dpr)));
+  }).observe(canvas);
+}
+
+/**
+ * Меняет разрешение canvas в этом потоке. View только обновляет камеру и контекст, пайплайны не пересоздаются
+ * @param {HTMLCanvasElement} canvas - Canvas симуляции
+ * @param {{resize: Function}} view - Представление
+ * @returns {function(number, number): void}
+ */
+function resizeCanvas(canvas, view) {
+  return (width, height) => {
+    canvas.width = width;
+    canvas.height = height;
+    view.resize();
+  };
+}
+
+/**
+ * Связывает элементы UI с моделью
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {HTMLElement} gravityEl - Чекбокс гравитации
+ * @param {Object} controls - Дополнительные элементы управления
+ */
+function bindControls(model, gravityEl, { selfCollisionEl, iterationsEl, substepsEl, timeScaleEl, pauseEl, stepEl, renderModeEl, materialEl, dampingEl, rayleighEl, windEl, groundEl, sphereEl } = {}) {
   /**
-   * Модель симуляции - содержит состояние ткани, физические параметры
-   * и активную стратегию обновления (PBD или Mass-Spring)
+   * Обработчик изменения состояния гравитации
+   * Обновляет физическую модель в реальном времени
    */
-  const model = new SimulationModel(gpu.device, gpu.format, pbdStrategy);
+  gravityEl.addEventListener("change", () => model.setGravity(gravityEl.checked));
+  // модель может измениться и не из UI (загрузка сцены) — элементы следуют за ней
+  model.on("gravityChanged", enabled => { gravityEl.checked = enabled; });
 
   /**
-   * Представление - отвечает за визуализацию ткани через WebGPU,
-   * создает пайплайны рендеринга и управляет вершинными буферами
+   * Самостолкновения ткани (пространственный хеш, все стратегии)
    */
-  const view = new SimulationView(gpu.device, gpu.context, gpu.format, model, clothRenderWGSL);
+  if (selfCollisionEl) {
+    model.setSelfCollision(selfCollisionEl.checked);
+    selfCollisionEl.addEventListener("change", () => model.setSelfCollision(selfCollisionEl.checked));
+    model.on("selfCollisionChanged", enabled => { selfCollisionEl.checked = enabled; });
+  }
 
   /**
-   * Контроллер - связывает модель и представление, управляет
-   * основным циклом анимации и обработкой пользовательского ввода
+   * Число итераций решателя ограничений (используется XPBD)
    */
-  const controller = new SimulationController(model, view);
+  if (iterationsEl) {
+    const iterations = () => Math.max(1, parseInt(iterationsEl.value, 10) || 1);
+    model.setIterations(iterations());
+    iterationsEl.addEventListener("change", () => model.setIterations(iterations()));
+    model.on("iterationsChanged", count => { iterationsEl.value = count; });
+  }
 
   /**
-   * Обработчик изменения состояния гравитации
-   * Обновляет физическую модель в реальном времени
+   * Цикл с фиксированным шагом: подшаги, масштаб времени, пауза и шаг на паузе
    */
-  gravityEl.addEventListener("change", () => model.setGravity(gravityEl.checked));
+  if (substepsEl) {
+    model.setSubsteps(Math.max(1, parseInt(substepsEl.value) || 1));
+    substepsEl.addEventListener("change", () => model.setSubsteps(Math.max(1, parseInt(substepsEl.value) || 1)));
+    model.on("substepsChanged", count => { substepsEl.value = count; });
+  }
+  if (timeScaleEl) {
+    model.setTimeScale(parseFloat(timeScaleEl.value));
+    timeScaleEl.addEventListener("input", () => model.setTimeScale(parseFloat(timeScaleEl.value)));
+    model.on("timeScaleChanged", scale => { timeScaleEl.value = scale; });
+  }
+  if (pauseEl) {
+    pauseEl.addEventListener("click", () => model.setPaused(!model.paused));
+    model.on("pausedChanged", paused => {
+      pauseEl.textContent = paused ? "Resume" : "Pause";
+      if (stepEl) stepEl.disabled = !paused;
+    });
+  }
+  if (stepEl) stepEl.addEventListener("click", () => model.requestStep());
 
   /**
-   * Обработчик переключения между стратегиями симуляции
-   * PBD (Position Based Dynamics) vs Mass-Spring система
+   * Режим отображения: освещённая ткань, каркас или тепловая карта деформации
    */
-  strategyEl.addEventListener("change", () => {
-    if (strategyEl.value === "pbd") model.setStrategy(pbdStrategy);
-    else model.setStrategy(massSpringStrategy);
-  });
+  if (renderModeEl) {
+    model.setRenderMode(renderModeEl.value);
+    renderModeEl.addEventListener("change", () => model.setRenderMode(renderModeEl.value));
+  }
 
   /**
-   * Запуск основного цикла симуляции
-   * Инициирует бесконечный цикл рендеринга и обновления физики
+   * Пресет материала; материал сцены, не совпадающий ни с одним пресетом, показывается как custom
    */
-  controller.start();
+  if (materialEl) {
+    const show = material => { materialEl.value = materialPreset(material) ?? "custom"; };
+    show(model.material);
+    materialEl.addEventListener("change", () => {
+      if (Object.hasOwn(MATERIAL_PRESETS, materialEl.value)) model.setMaterial(copyMaterial(MATERIAL_PRESETS[materialEl.value]));
+    });
+    model.on("materialChanged", show);
+  }
+
+  /**
+   * Затухание материала; значение, отличное от пресета, делает материал custom.
+   * Поля отключены для стратегий без materialDamping в описании (PBD и Mass-Spring не хранят скорость)
+   */
+  for (const [el, key] of [[dampingEl, "damping"], [rayleighEl, "rayleigh"]]) {
+    if (!el) continue;
+    const show = material => { el.value = material[key]; };
+    show(model.material);
+    el.addEventListener("change", () => {
+      const value = parseFloat(el.value);
+      if (Number.isFinite(value) && value >= Number(el.min) && value <= Number(el.max)) model.setMaterial({ ...copyMaterial(model.material), [key]: value });
+      else show(model.material);
+    });
+    model.on("materialChanged", show);
+    const enable = () => {
+      el.disabled = !model.strategy.definition.materialDamping;
+      el.title = el.disabled ? `${model.strategy.definition.label} keeps no velocities, damping applies to XPBD only` : "";
+    };
+    model.on("strategyChanged", enable);
+    enable();
+  }
+
+  /**
+   * Коллайдеры сцены: пол и сфера, которую можно перетаскивать левой кнопкой
+   * (столкновения учитывает XPBD)
+   */
+  bindEntities(model, groundEl, [createCollider(ColliderType.PLANE, { center: [0, -0.9, 0], friction: 0.6, name: "ground" })]);
+  bindEntities(model, sphereEl, [createCollider(ColliderType.SPHERE, { center: [0, -0.35, 0.35], radius: 0.25, friction: 0.4, name: "sphere" })]);
+
+  /**
+   * Ветер с порывами действует на ткань через аэродинамику треугольников
+   */
+  bindEntities(model, windEl, [
+    createForceField("wind", { direction: [0.3, 0, -1], magnitude: 2.5, turbulence: 0.6, frequency: 1.5, name: "wind" }),
+    createForceField("aerodynamics", { drag: 1, lift: 0.5, density: 0.3, name: "aerodynamics" }),
+  ]);
+}
+
+/**
+ * Заполняет select стратегий по реестру: значение <option> — id стратегии, текст — её подпись
+ * @param {HTMLSelectElement} strategyEl - Select стратегии
+ */
+function fillStrategyOptions(strategyEl) {
+  strategyEl.replaceChildren(...strategyRegistry.list().map(({ id, label }) => new Option(label, id)));
+}
+
+/**
+ * Переключение стратегий и панель параметров активной стратегии. Поля строятся по её схеме:
+ * ползунок для f32, числовое поле для u32 и i32, флажок для bool. Стратегия, зарегистрированная
+ * во время работы, создаётся (с загрузкой WGSL на GPU), попадает в strategies и в список выбора
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {Object<string, SimulationStrategy>} strategies - Стратегии по id (пополняется при регистрации)
+ * @param {HTMLSelectElement} strategyEl - Select стратегии
+ * @param {function(Object): SimulationStrategy|Promise<SimulationStrategy>|null} createStrategy - Создаёт стратегию,
+ *   зарегистрированную во время работы (на GPU — с загрузкой WGSL); null — симуляция в воркере, где её не запустить
+ * @param {Object} controls - Элементы управления
+ */
+function bindStrategies(model, strategies, strategyEl, createStrategy, { strategyParamsEl } = {}) {
+  strategyEl.addEventListener("change", () => model.setStrategy(strategies[strategyEl.value]));
+
+  let fields = {};
+  const render = () => {
+    strategyEl.value = model.strategy.id;
+    if (!strategyParamsEl) return;
+    const { schema, values } = model.strategy;
+    fields = Object.fromEntries(schema.map(param => [param.name, strategyParamField(param, values[param.name], value => model.setStrategyParam(param.name, value))]));
+    strategyParamsEl.replaceChildren(...Object.values(fields).map(field => field.element));
+  };
+  model.on("strategyChanged", render);
+  // значение могло прийти не из панели (сцена, воспроизведение записи)
+  model.on("strategyParamChanged", ({ name, value }) => fields[name]?.set(value));
+  render();
+
+  // в список попадает только стратегия, которую удалось создать
+  strategyRegistry.on("registered", async definition => {
+    if (!createStrategy) {
+      diagnostics.add({ severity: Severity.WARNING, source: DiagnosticSource.APP, message: `Strategy "${definition.id}" is registered on the page and cannot run in the simulation worker` });
+      return;
+    }
+    try {
+      strategies[definition.id] = await createStrategy(definition);
+    } catch (e) {
+      diagnostics.add({ source: DiagnosticSource.APP, message: `Strategy "${definition.id}": ${e.message}`, stack: e.stack });
+      return;
+    }
+    strategyEl.append(new Option(definition.label, definition.id));
+  });
+}
+
+/**
+ * Поле параметра стратегии с подписью
+ * @param {{name: string, label?: string, type: string, min?: number, max?: number, step?: number}} param - Параметр из схемы
+ * @param {number|boolean} value - Текущее значение
+ * @param {function(number|boolean): void} onChange - Вызывается при изменении поля
+ * @returns {{element: HTMLLabelElement, set: function(number|boolean): void}}
+ */
+function strategyParamField(param, value, onChange) {
+  const element = document.createElement("label");
+  const input = document.createElement("input");
+  const output = document.createElement("output");
+  if (param.type === "bool") {
+    input.type = "checkbox";
+    input.addEventListener("change", () => onChange(input.checked));
+  } else {
+    input.type = param.type === "f32" ? "range" : "number";
+    if (param.min !== undefined) input.min = param.min;
+    if (param.max !== undefined) input.max = param.max;
+    input.step = param.step ?? (param.type === "f32" ? "any" : 1);
+    input.addEventListener("input", () => onChange(parseFloat(input.value)));
+  }
+  const set = v => {
+    if (param.type === "bool") input.checked = v;
+    else input.value = v;
+    // у ползунка число не видно, оно выводится рядом
+    if (input.type === "range") output.textContent = ` ${+v.toFixed(4)}`;
+  };
+  set(value);
+  element.append(`${param.label ?? param.name}: `, input, output);
+  return { element, set };
+}
+
+/**
+ * Добавляет сущности в модель, пока чекбокс включён. Сущности ищутся в модели по имени (компонент "name"):
+ * после загрузки сцены в модели лежат её копии, и чекбокс управляет ими, а не добавляет вторые.
+ * Чекбокс следует за моделью, если сущности добавлены или убраны иначе (например, загружена сцена)
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {HTMLInputElement} [checkboxEl] - Чекбокс
+ * @param {Array<Entity>} entities - Именованные сущности (коллайдеры, силовые поля)
+ */
+function bindEntities(model, checkboxEl, entities) {
+  if (!checkboxEl) return;
+  const names = entities.map(entity => entity.get("name"));
+  const present = list => list.filter(entity => names.includes(entity.get("name")));
+  const update = () => {
+    // checked читается один раз: подписка ниже меняет его после каждого addEntity
+    const enabled = checkboxEl.checked;
+    const existing = present(model.entities).map(entity => entity.get("name"));
+    if (enabled) entities.filter(entity => !existing.includes(entity.get("name"))).forEach(entity => model.addEntity(entity));
+    else present(model.entities).forEach(entity => model.removeEntity(entity));
+  };
+  if (checkboxEl.checked) update();
+  checkboxEl.addEventListener("change", update);
+  model.on("entitiesChanged", list => { checkboxEl.checked = names.every(name => list.some(entity => entity.get("name") === name)); });
+}
+
+/**
+ * Сохранение и загрузка сцен: файл JSON, перетаскивание файла на страницу и ссылка с #scene=...
+ * Сцена из URL загружается при старте и при изменении hash. Ошибки проверки выводятся в sceneStatusEl
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени
+ * @param {Object} controls - Элементы управления (saveSceneEl, loadSceneEl, shareSceneEl, sceneStatusEl)
+ */
+function bindScene(model, strategies, { saveSceneEl, loadSceneEl, shareSceneEl, sceneStatusEl } = {}) {
+  const report = statusReporter(sceneStatusEl);
+  const load = (text, source) => {
+    try {
+      applyScene(model, parseScene(text, Object.keys(strategies)), strategies);
+      report(`Scene loaded: ${source}`);
+    } catch (e) {
+      report(`${source}: ${e.message}`, true);
+    }
+  };
+  const loadFile = async file => load(await file.text(), file.name);
+  const loadHash = () => {
+    try {
+      const text = sceneFromHash(location.hash);
+      if (text !== null) load(text, "URL");
+    } catch (e) {
+      report(e.message, true);
+    }
+  };
+
+  if (saveSceneEl) saveSceneEl.addEventListener("click", () => downloadJSON(serializeScene(model, strategies), "scene.json"));
+  if (loadSceneEl) {
+    loadSceneEl.addEventListener("change", () => {
+      if (loadSceneEl.files[0]) loadFile(loadSceneEl.files[0]);
+      loadSceneEl.value = "";
+    });
+  }
+  if (shareSceneEl) {
+    shareSceneEl.addEventListener("click", async () => {
+      history.replaceState(null, "", sceneToHash(serializeScene(model, strategies)));
+      try {
+        await navigator.clipboard.writeText(location.href);
+        report("Scene link copied to clipboard");
+      } catch {
+        report("Scene link is in the address bar");
+      }
+    });
+  }
+
+  document.addEventListener("dragover", e => e.preventDefault());
+  document.addEventListener("drop", e => {
+    const file = e.dataTransfer.files[0];
+    if (!file || !/\.json$/i.test(file.name)) return;
+    e.preventDefault();
+    loadFile(file);
+  });
+  window.addEventListener("hashchange", loadHash);
+  loadHash();
+}
+
+/**
+ * Источник меша ткани и закрепление: импорт OBJ/glTF (выбор файла или перетаскивание на страницу),
+ * возврат к сетке и выбор закреплённых групп вершин. Список групп обновляется при смене ткани
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {Object} controls - Элементы управления (importMeshEl, gridMeshEl, pinGroupsEl, sceneStatusEl)
+ */
+function bindCloth(model, { importMeshEl, gridMeshEl, pinGroupsEl, sceneStatusEl } = {}) {
+  const report = statusReporter(sceneStatusEl);
+  const importFile = async file => {
+    try {
+      const mesh = parseMeshFile(file.name, await file.arrayBuffer());
+      model.setCloth({ ...model.cloth, pins: null, pinGroups: [], mesh, attachments: [] });
+      report(`Mesh imported: ${file.name}, ${mesh.positions.length / 3} vertices, ${mesh.indices.length / 3} triangles`);
+    } catch (e) {
+      report(`${file.name}: ${e.message}`, true);
+    }
+  };
+
+  if (importMeshEl) {
+    importMeshEl.addEventListener("change", () => {
+      if (importMeshEl.files[0]) importFile(importMeshEl.files[0]);
+      importMeshEl.value = "";
+    });
+  }
+  if (gridMeshEl) gridMeshEl.addEventListener("click", () => model.setCloth({ ...model.cloth, pins: null, pinGroups: [], mesh: null, attachments: [] }));
+  if (pinGroupsEl) {
+    const sync = cloth => {
+      pinGroupsEl.replaceChildren(...clothGroupNames(cloth).map(name => new Option(name, name, false, cloth.pinGroups.includes(name))));
+    };
+    pinGroupsEl.addEventListener("change", () => {
+      const pinGroups = Array.from(pinGroupsEl.selectedOptions, option => option.value);
+      model.setCloth({ ...model.cloth, pins: null, pinGroups });
+    });
+    model.on("clothChanged", sync);
+    model.on("pinsChanged", () => sync(model.cloth));
+    sync(model.cloth);
+  }
+
+  document.addEventListener("drop", e => {
+    const file = e.dataTransfer.files[0];
+    if (!file || !MESH_FILE_PATTERN.test(file.name)) return;
+    e.preventDefault();
+    importFile(file);
+  });
+}
+
+/**
+ * Редактор закрепления: инструмент левой кнопки и его настройки (их читает контроллер),
+ * пресеты закрепления по форме текущего меша и удаление анимированных точек крепления
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {SimulationView|CPUSimulationView} view - Представление (меш ткани для пресетов)
+ * @param {SimulationController} controller - Контроллер
+ * @param {Object} controls - Элементы управления (pinToolEl, brushRadiusEl, pinPathEl, pinPresetEl, clearAttachmentsEl)
+ */
+function bindPinEditor(model, view, controller, { pinToolEl, brushRadiusEl, pinPathEl, pinPresetEl, clearAttachmentsEl } = {}) {
+  if (pinToolEl) {
+    const update = () => {
+      controller.tool = pinToolEl.value;
+      if (brushRadiusEl) brushRadiusEl.disabled = pinToolEl.value !== "paint";
+      if (pinPathEl) pinPathEl.disabled = pinToolEl.value !== "animate";
+    };
+    pinToolEl.addEventListener("change", update);
+    update();
+  }
+  if (brushRadiusEl) {
+    brushRadiusEl.addEventListener("input", () => { controller.brushRadius = parseFloat(brushRadiusEl.value); });
+    controller.brushRadius = parseFloat(brushRadiusEl.value);
+  }
+  if (pinPathEl) {
+    pinPathEl.addEventListener("change", () => { controller.pathType = pinPathEl.value; });
+    controller.pathType = pinPathEl.value;
+  }
+  if (pinPresetEl) {
+    // первый пункт — подсказка: после применения пресета выбор сбрасывается, чтобы его можно было применить снова
+    pinPresetEl.addEventListener("change", () => {
+      if (pinPresetEl.value) model.setPins(pinPresets(view.mesh)[pinPresetEl.value]);
+      pinPresetEl.value = "";
+    });
+  }
+  if (clearAttachmentsEl) clearAttachmentsEl.addEventListener("click", () => model.setAttachments([]));
+}
+
+/**
+ * Загружает выбранное пользователем изображение как текстуру ткани
+ * @param {SimulationView} view - Представление WebGPU
+ * @param {HTMLInputElement} [textureEl] - Input типа file
+ */
+function bindTexture(view, textureEl) {
+  if (!textureEl) return;
+  textureEl.addEventListener("change", async () => {
+    const file = textureEl.files[0];
+    try {
+      await view.setTexture(file ? await createImageBitmap(file) : null);
+    } catch (e) {
+      // файл не изображение или загрузка на GPU не удалась — остаётся прежняя текстура
+      diagnostics.add({ source: DiagnosticSource.APP, message: `Texture ${file?.name ?? ""}: ${e.message}`, stack: e.stack });
+    }
+  });
+}
+
+/**
+ * Снимки состояния, запись ввода и воспроизведение записей.
+ * Сообщения (и ошибки чтения записи) выводятся туда же, куда и для сцен
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {SimulationController} controller - Контроллер
+ * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени
+ * @param {Object} controls - Элементы управления
+ */
+function bindReplay(model, controller, strategies, {
+  snapshotEl, snapshotFramesEl, snapshotsEl, restoreSnapshotEl, recordEl, exportRecordingEl, replayEl, sceneStatusEl,
+} = {}) {
+  const report = statusReporter(sceneStatusEl);
+  const recorder = new InputRecorder(model, strategies);
+  let recording = null;
+
+  if (snapshotEl) snapshotEl.addEventListener("click", () => controller.takeSnapshot());
+  if (snapshotFramesEl) {
+    snapshotFramesEl.addEventListener("change", () => {
+      const frames = snapshotFramesEl.value.split(",").map(s => parseInt(s)).filter(Number.isInteger);
+      controller.snapshotFrames = new Set(frames);
+    });
+  }
+  if (snapshotsEl) {
+    model.on("snapshotsChanged", snapshots => {
+      snapshotsEl.replaceChildren(...snapshots.map((s, i) => new Option(`Frame ${s.frame} (${s.time.toFixed(2)} s)`, i)));
+      snapshotsEl.value = snapshots.length - 1;
+    });
+  }
+  if (restoreSnapshotEl) {
+    restoreSnapshotEl.addEventListener("click", () => {
+      const snapshot = model.snapshots[snapshotsEl?.value ?? model.snapshots.length - 1];
+      if (snapshot) controller.restoreSnapshot(snapshot);
+    });
+  }
+
+  if (recordEl) {
+    recordEl.addEventListener("click", async () => {
+      try {
+        if (!controller.recorder) {
+          await controller.startRecording(recorder);
+          return;
+        }
+        recording = await controller.stopRecording();
+        if (exportRecordingEl) exportRecordingEl.disabled = false;
+        report(`Recorded ${recording.steps} steps, ${recording.events.length} events`);
+      } catch (e) {
+        report(`Recording: ${e.message}`, true);
+      } finally {
+        // надпись следует за состоянием контроллера, в том числе после ошибки
+        recordEl.textContent = controller.recorder ? "Stop recording" : "Record";
+      }
+    });
+  }
+  if (exportRecordingEl) exportRecordingEl.addEventListener("click", () => recording && downloadJSON(recording, "recording.json"));
+  if (replayEl) {
+    replayEl.addEventListener("change", async () => {
+      const file = replayEl.files[0];
+      replayEl.value = "";
+      if (!file || controller.recorder) return;
+      try {
+        const replayer = new Replayer(await file.text(), strategies);
+        controller.startReplay(replayer);
+        model.setPaused(false);
+        report(`Replaying ${file.name}: ${replayer.recording.steps} steps`);
+      } catch (e) {
+        report(`${file.name}: ${e.message}`, true);
+      }
+    });
+  }
+}
+
+/**
+ * Создаёт функцию вывода сообщений в элемент статуса; ошибки дублируются в консоль и журнал диагностики
+ * @param {HTMLElement} [statusEl] - Элемент статуса
+ * @returns {function(string, boolean=): void}
+ */
+function statusReporter(statusEl) {
+  return (message, isError = false) => {
+    if (isError) {
+      console.error(message);
+      diagnostics.add({ source: DiagnosticSource.APP, message });
+    }
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.classList.toggle("error", isError);
+  };
+}
+
+/** Число кадров анимации, если последний кадр не задан */
+const EXPORT_FRAMES = 120;
+
+/**
+ * Экспорт меша ткани: текущая поза в OBJ/PLY/glTF и анимация диапазона кадров.
+ * Кадры from..to собирает контроллер (captureFrames) по мере шагов, поэтому кадр from должен быть впереди:
+ * прошедший кадр не записывается, и экспорт отклоняется с сообщением. Пустое поле from — следующий кадр
+ * @param {SimulationView|CPUSimulationView|RemoteView} view - Представление (mesh, readPositions)
+ * @param {SimulationController|RemoteController} controller - Контроллер
+ * @param {Object} controls - Элементы управления
+ */
+function bindExport(view, controller, {
+  exportFormatEl, exportMeshEl, exportFromEl, exportToEl, animationFormatEl, exportAnimationEl, sceneStatusEl,
+} = {}) {
+  const report = statusReporter(sceneStatusEl);
+  const meshOf = positions => ({ positions, uvs: view.mesh.uvs, indices: view.mesh.indices });
+
+  if (exportMeshEl) {
+    exportMeshEl.addEventListener("click", async () => {
+      let mesh;
+      try {
+        mesh = meshOf(await view.readPositions());
+      } catch (e) {
+        // устройство потеряно или воркер не отвечает
+        report(`Export: ${e.message}`, true);
+        return;
+      }
+      const format = exportFormatEl?.value ?? "obj";
+      if (format === "obj") downloadBlob(new Blob([exportOBJ(mesh)], { type: "text/plain" }), "cloth.obj");
+      else if (format === "ply") downloadBlob(new Blob([exportPLY(mesh)]), "cloth.ply");
+      else downloadBlob(new Blob([exportGLB(mesh)], { type: "model/gltf-binary" }), "cloth.glb");
+    });
+  }
+
+  if (!exportAnimationEl) return;
+  exportAnimationEl.addEventListener("click", async () => {
+    const frame = controller.frameCount;
+    const from = exportFromEl?.value ? parseInt(exportFromEl.value, 10) : frame + 1;
+    const to = exportToEl?.value ? parseInt(exportToEl.value, 10) : from + EXPORT_FRAMES;
+    if (!(from > frame)) { report(`Animation: start frame ${from} has already passed (current frame ${frame})`, true); return; }
+    if (!(to > from)) { report(`Animation: last frame must be after frame ${from}`, true); return; }
+    const format = animationFormatEl?.value ?? "glb";
+    report(`Capturing frames ${from}–${to}...`);
+    exportAnimationEl.disabled = true;
+    try {
+      const frames = await controller.captureFrames(from, to);
+      if (format === "pc2") {
+        downloadBlob(new Blob([exportOBJ(meshOf(frames[0]))], { type: "text/plain" }), "cloth.obj");
+        downloadBlob(new Blob([exportPC2(frames, { startFrame: from })]), "cloth.pc2");
+      } else {
+        downloadBlob(new Blob([exportGLB(meshOf(frames[0]), { frames })], { type: "model/gltf-binary" }), "cloth_animation.glb");
+      }
+      report(`Exported ${frames.length} frames`);
+    } catch (e) {
+      report(`Animation: ${e.message}`, true);
+    }
+    exportAnimationEl.disabled = false;
+  });
+}
+
+/**
+ * Оверлей производительности и бенчмарк: перебор размеров сетки и стратегий с выгрузкой результатов в CSV.
+ * Ход бенчмарка выводится туда же, куда сообщения сцен
+ * @param {SimulationView|CPUSimulationView|RemoteView} view - Представление
+ * @param {SimulationController|RemoteController} controller - Контроллер
+ * @param {function(): (Benchmark|RemoteBenchmark)} createBenchmark - Создаёт бенчмарк (в воркере — RemoteBenchmark)
+ * @param {Object} controls - Элементы управления (perfHudEl, perfHudToggleEl, benchmarkEl, exportBenchmarkEl, sceneStatusEl)
+ */
+function bindPerformance(view, controller, createBenchmark, { perfHudEl, perfHudToggleEl, benchmarkEl, exportBenchmarkEl, sceneStatusEl } = {}) {
+  if (perfHudEl) {
+    const hud = new PerfHud(perfHudEl, view, controller);
+    if (perfHudToggleEl) {
+      perfHudToggleEl.addEventListener("change", () => { hud.visible = perfHudToggleEl.checked; });
+      hud.visible = perfHudToggleEl.checked;
+    }
+  }
+
+  const report = statusReporter(sceneStatusEl);
+  let benchmark = null;
+  let results = null;
+  if (benchmarkEl) {
+    // повторное нажатие останавливает бенчмарк после текущего сочетания
+    benchmarkEl.addEventListener("click", async () => {
+      if (benchmark) { benchmark.cancel(); return; }
+      benchmark = createBenchmark();
+      benchmarkEl.textContent = "Stop benchmark";
+      try {
+        results = await benchmark.run({ onProgress: (i, total) => report(`Benchmark: run ${i + 1} of ${total}`) });
+        report(`Benchmark: ${results.length} runs done`);
+        if (exportBenchmarkEl) exportBenchmarkEl.disabled = results.length === 0;
+      } catch (e) {
+        report(e.message, true);
+      }
+      benchmark = null;
+      benchmarkEl.textContent = "Benchmark";
+    });
+  }
+  if (exportBenchmarkEl) {
+    exportBenchmarkEl.addEventListener("click", () => {
+      if (results) downloadBlob(new Blob([toCSV(results)], { type: "text/csv" }), "cloth_benchmark.csv");
+    });
+  }
+}
+
+/**
+ * Запись симуляции (capture.js): снимок кадра в PNG, видео WebM в реальном времени и офлайн-запись
+ * последовательности PNG в zip. Видео пишется с canvas страницы и тогда, когда им управляет воркер
+ * @param {HTMLCanvasElement} canvas - Canvas симуляции
+ * @param {SimulationView|CPUSimulationView|RemoteView} view - Представление (capturePNG)
+ * @param {function(): (OfflineCapture|RemoteOfflineCapture)} createCapture - Создаёт офлайн-запись (в воркере — RemoteOfflineCapture)
+ * @param {Object} controls - Элементы управления (screenshotEl, recordVideoEl, sequenceFramesEl, recordSequenceEl, sceneStatusEl)
+ */
+function bindCapture(canvas, view, createCapture, { screenshotEl, recordVideoEl, sequenceFramesEl, recordSequenceEl, sceneStatusEl } = {}) {
+  const report = statusReporter(sceneStatusEl);
+  if (screenshotEl) {
+    screenshotEl.addEventListener("click", async () => {
+      try {
+        downloadBlob(await view.capturePNG(), "cloth.png");
+      } catch (e) {
+        report(`Screenshot: ${e.message}`, true);
+      }
+    });
+  }
+
+  if (recordVideoEl) {
+    const video = new VideoRecorder();
+    recordVideoEl.addEventListener("click", async () => {
+      if (!video.recording) {
+        try {
+          video.start(canvas);
+          recordVideoEl.textContent = "Stop video";
+          report("Recording video...");
+        } catch (e) {
+          report(e.message, true);
+        }
+        return;
+      }
+      recordVideoEl.textContent = "Record video";
+      try {
+        downloadBlob(await video.stop(), "cloth.webm");
+        report("Video saved");
+      } catch (e) {
+        report(`Video: ${e.message}`, true);
+      }
+    });
+  }
+
+  if (!recordSequenceEl) return;
+  // повторное нажатие останавливает запись; записанные кадры всё равно сохраняются
+  let capture = null;
+  recordSequenceEl.addEventListener("click", async () => {
+    if (capture) { capture.cancel(); return; }
+    capture = createCapture();
+    recordSequenceEl.textContent = "Stop PNG sequence";
+    try {
+      const frames = Math.max(1, parseInt(sequenceFramesEl?.value) || 120);
+      const images = await capture.run({ frames, onProgress: (i, total) => report(`PNG sequence: frame ${i + 1} of ${total}`) });
+      if (images.length > 0) downloadBlob(await pngSequenceZip(images), "cloth_frames.zip");
+      report(`PNG sequence: ${images.length} frames saved`);
+    } catch (e) {
+      report(`PNG sequence: ${e.message}`, true);
+    }
+    capture = null;
+    recordSequenceEl.textContent = "Record PNG sequence";
+  });
+}
+
+/**
+ * Настройки StabilityMonitor: проверка порогов и действие при «взрыве» ткани.
+ * Нарушения выводятся туда же, куда сообщения сцен
+ * @param {SimulationModel|RemoteModel} model - Модель (model.stability)
+ * @param {StabilityMonitor|null} monitor - Монитор этого потока; null — монитор в воркере, он сообщает сам
+ * @param {Object} controls - Элементы управления (stabilityEl, stabilityActionEl, sceneStatusEl)
+ */
+function bindStability(model, monitor, { stabilityEl, stabilityActionEl, sceneStatusEl } = {}) {
+  const report = statusReporter(sceneStatusEl);
+  monitor?.on("unstable", incident => report(describeIncident(incident)));
+  if (stabilityEl) {
+    model.setStability({ enabled: stabilityEl.checked });
+    stabilityEl.addEventListener("change", () => model.setStability({ enabled: stabilityEl.checked }));
+  }
+  if (stabilityActionEl) {
+    model.setStability({ action: stabilityActionEl.value });
+    stabilityActionEl.addEventListener("change", () => model.setStability({ action: stabilityActionEl.value }));
+  }
+  model.on("stabilityChanged", ({ enabled, action }) => {
+    if (stabilityEl) stabilityEl.checked = enabled;
+    if (stabilityActionEl) stabilityActionEl.value = action;
+  });
+}
+
+/**
+ * Сохраняет объект в JSON-файл через временную ссылку
+ * @param {Object} data - Данные
+ * @param {string} filename - Имя файла
+ */
+function downloadJSON(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), filename);
+}
+
+/**
+ * Сохраняет Blob в файл через временную ссылку
+ * @param {Blob} blob - Данные
+ * @param {string} filename - Имя файла
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
@@ -0,0 +1,86 @@
+/**
+ * material.js
+ * Материал ткани: поверхностная плотность (масса вершин), затухание и податливость ограничений
+ * по направлениям нитей — основа (warp, вдоль v), уток (weft, вдоль u), сдвиг и изгиб.
+ * Затухание двух видов: общее (damping — доля скорости, сохраняемая за шаг 1/60 с) и затухание Рэлея
+ * (rayleigh, β), пропорциональное жёсткости: оно гасит скорость растяжения вдоль ограничений XPBD.
+ * Затухание действует только в XPBD: PBD и Mass-Spring не хранят скорость вершин (см. strategies.js).
+ * Именованные пресеты выбираются в UI и сохраняются в файлах сцен (scene.js).
+ */
+
+/**
+ * @typedef {Object} Material
+ * @property {number} density - Относительная поверхностная плотность (1 — хлопок)
+ * @property {number} damping - Доля скорости, сохраняемая за шаг 1/60 с
+ * @property {number} rayleigh - Коэффициент β затухания Рэлея, с
+ * @property {{warp: number, weft: number, shear: number, bend: number}} compliance - Податливость (обратная жёсткость) по типу
+ */
+
+/** Пресеты материалов по имени (как в файлах сцен и <option> выбора материала) */
+export const MATERIAL_PRESETS = Object.freeze({
+  // лёгкий и мягкий на изгиб, уток чуть тянется
+  silk: Object.freeze({
+    density: 0.3, damping: 0.995, rayleigh: 0.5,
+    compliance: Object.freeze({ warp: 0, weft: 1e-6, shear: 1e-5, bend: 2e-2 }),
+  }),
+  cotton: Object.freeze({
+    density: 1, damping: 0.99, rayleigh: 1,
+    compliance: Object.freeze({ warp: 0, weft: 0, shear: 1e-6, bend: 1e-3 }),
+  }),
+  // тяжёлая жёсткая саржа
+  denim: Object.freeze({
+    density: 2.5, damping: 0.98, rayleigh: 2,
+    compliance: Object.freeze({ warp: 0, weft: 0, shear: 0, bend: 1e-5 }),
+  }),
+  // резиновый лист: изотропный, заметно растягивается и почти не теряет энергию
+  rubber: Object.freeze({
+    density: 1.5, damping: 0.998, rayleigh: 0.2,
+    compliance: Object.freeze({ warp: 5e-5, weft: 5e-5, shear: 5e-5, bend: 5e-3 }),
+  }),
+});
+
+/** Материал по умолчанию — хлопок */
+export const DEFAULT_MATERIAL = MATERIAL_PRESETS.cotton;
+
+/**
+ * Имя пресета, значения которого совпадают с материалом
+ * @param {Material} material - Материал
+ * @returns {string|null} Имя пресета или null для собственного материала
+ */
+export function materialPreset(material) {
+  const same = (a, b) => Object.keys(a).every(key => (typeof a[key] === "object" ? same(a[key], b[key]) : a[key] === b[key]));
+  return Object.keys(MATERIAL_PRESETS).find(name => same(MATERIAL_PRESETS[name], material)) ?? null;
+}
+
+/**
+ * Копия материала (пресеты заморожены, модель хранит изменяемую копию)
+ * @param {Material} material - Материал
+ * @returns {Material}
+ */
+export function copyMaterial({ density, damping, rayleigh, compliance }) {
+  return { density, damping, rayleigh, compliance: { ...compliance } };
+}
+
+/**
+ * Обратные массы вершин. Масса вершины — треть площади инцидентных треугольников, умноженная на density,
+ * и отнесённая к средней массе вершины меша: у равномерной сетки из хлопка обратная масса 1,
+ * поэтому податливость материала не зависит от размера и плотности разбиения меша.
+ * Закрепление (w позиции) сюда не входит: стратегии обнуляют обратную массу закреплённых вершин сами
+ * @param {{positions: Float32Array, indices: Uint32Array}} mesh - Меш ткани (позиции покоя vec4)
+ * @param {number} density - Относительная плотность материала
+ * @returns {Float32Array} Обратная масса на вершину
+ */
+export function vertexInverseMasses({ positions, indices }, density) {
+  const vertexCount = positions.length / 4;
+  const areas = new Float64Array(vertexCount);
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] * 4, indices[t + 1] * 4, indices[t + 2] * 4];
+    const e1 = [0, 1, 2].map(i => positions[b + i] - positions[a + i]);
+    const e2 = [0, 1, 2].map(i => positions[c + i] - positions[a + i]);
+    const area = 0.5 * Math.hypot(e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]);
+    for (const v of [indices[t], indices[t + 1], indices[t + 2]]) areas[v] += area / 3;
+  }
+  const mean = areas.reduce((sum, area) => sum + area, 0) / vertexCount;
+  // вершина без треугольников весит как средняя
+  return Float32Array.from(areas, area => (area > 0 && mean > 0 ? mean / (area * density) : 1 / density));
+}
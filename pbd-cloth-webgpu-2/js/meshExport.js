@@ -0,0 +1,239 @@
+/**
+ * meshExport.js
+ * Экспорт позы ткани в OBJ (текст), бинарный PLY и glTF 2.0 (.glb), а также анимации
+ * диапазона кадров: glTF с morph target на каждый кадр или point cache PC2
+ * (модификатор Mesh Cache в Blender) к мешу из OBJ.
+ * Треугольники берутся из индексов меша ткани (сетка makeGrid или импортированный меш),
+ * позиции — vec4 на вершину (флаг закрепления в w отбрасывается), нормали считаются на CPU
+ * так же, как в cloth_normals.wgsl (взвешивание по площади).
+ * Все функции чистые и работают без DOM и WebGPU.
+ */
+
+/**
+ * @typedef {Object} ExportMesh
+ * @property {Float32Array} positions - Позиции vec4 на вершину (как posBuffers)
+ * @property {Float32Array} uvs - UV vec2 на вершину (v = 0 — верхний край ткани)
+ * @property {Uint32Array} indices - Индексы треугольников
+ */
+
+/**
+ * Нормали вершин: сумма векторных произведений рёбер инцидентных треугольников
+ * @param {Float32Array} positions - Позиции vec4
+ * @param {Uint32Array} indices - Индексы треугольников
+ * @returns {Float32Array} Нормали vec3 на вершину
+ */
+export function vertexNormals(positions, indices) {
+  const normals = new Float32Array(positions.length / 4 * 3);
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] * 4, indices[t + 1] * 4, indices[t + 2] * 4];
+    const e1 = [0, 1, 2].map(i => positions[b + i] - positions[a + i]);
+    const e2 = [0, 1, 2].map(i => positions[c + i] - positions[a + i]);
+    const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    for (const v of [indices[t], indices[t + 1], indices[t + 2]]) {
+      for (let i = 0; i < 3; i++) normals[v * 3 + i] += n[i];
+    }
+  }
+  for (let v = 0; v < normals.length; v += 3) {
+    const len = Math.hypot(normals[v], normals[v + 1], normals[v + 2]) || 1;
+    for (let i = 0; i < 3; i++) normals[v + i] /= len;
+  }
+  return normals;
+}
+
+/** Позиции vec4 → vec3 */
+function positions3(positions) {
+  const out = new Float32Array(positions.length / 4 * 3);
+  for (let v = 0; v < out.length / 3; v++) out.set(positions.subarray(v * 4, v * 4 + 3), v * 3);
+  return out;
+}
+
+/**
+ * Wavefront OBJ: v, vt, vn и грани с общими индексами (OBJ считает с 1, v текстуры — снизу вверх)
+ * @param {ExportMesh} mesh
+ * @returns {string}
+ */
+export function exportOBJ({ positions, uvs, indices }) {
+  const normals = vertexNormals(positions, indices);
+  const lines = ["# cloth exported from pbd-cloth-webgpu-2", "o cloth"];
+  const vertexCount = positions.length / 4;
+  for (let v = 0; v < vertexCount; v++) lines.push(`v ${positions[v * 4]} ${positions[v * 4 + 1]} ${positions[v * 4 + 2]}`);
+  for (let v = 0; v < vertexCount; v++) lines.push(`vt ${uvs[v * 2]} ${1 - uvs[v * 2 + 1]}`);
+  for (let v = 0; v < vertexCount; v++) lines.push(`vn ${normals[v * 3]} ${normals[v * 3 + 1]} ${normals[v * 3 + 2]}`);
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] + 1, indices[t + 1] + 1, indices[t + 2] + 1];
+    lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Бинарный PLY (little endian): вершины x y z nx ny nz s t, грани — список uchar/int
+ * @param {ExportMesh} mesh
+ * @returns {ArrayBuffer}
+ */
+export function exportPLY({ positions, uvs, indices }) {
+  const normals = vertexNormals(positions, indices);
+  const vertexCount = positions.length / 4;
+  const faceCount = indices.length / 3;
+  const header = new TextEncoder().encode([
+    "ply", "format binary_little_endian 1.0", "comment cloth exported from pbd-cloth-webgpu-2",
+    `element vertex ${vertexCount}`,
+    "property float x", "property float y", "property float z",
+    "property float nx", "property float ny", "property float nz",
+    "property float s", "property float t",
+    `element face ${faceCount}`, "property list uchar int vertex_indices", "end_header", "",
+  ].join("\n"));
+
+  const buffer = new ArrayBuffer(header.length + vertexCount * 32 + faceCount * 13);
+  new Uint8Array(buffer).set(header);
+  const view = new DataView(buffer);
+  let offset = header.length;
+  const float = x => { view.setFloat32(offset, x, true); offset += 4; };
+  for (let v = 0; v < vertexCount; v++) {
+    for (let i = 0; i < 3; i++) float(positions[v * 4 + i]);
+    for (let i = 0; i < 3; i++) float(normals[v * 3 + i]);
+    float(uvs[v * 2]);
+    float(1 - uvs[v * 2 + 1]);
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    view.setUint8(offset++, 3);
+    for (let i = 0; i < 3; i++) { view.setInt32(offset, indices[t + i], true); offset += 4; }
+  }
+  return buffer;
+}
+
+// константы glTF: типы компонентов и цели bufferView
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * glTF 2.0 в одном бинарном файле (.glb). Без frames — статичный меш позы mesh.positions.
+ * С frames — меш первого кадра и по morph target на каждый следующий кадр; анимация весов
+ * включает target кадра i в момент i / fps (LINEAR — плавный переход между кадрами)
+ * @param {ExportMesh} mesh
+ * @param {Object} [animation]
+ * @param {Float32Array[]} [animation.frames] - Позиции vec4 каждого кадра
+ * @param {number} [animation.fps=60] - Частота кадров анимации
+ * @returns {ArrayBuffer}
+ */
+export function exportGLB({ positions, uvs, indices }, { frames = null, fps = 60 } = {}) {
+  const base = frames ? frames[0] : positions;
+  const chunks = [];
+  const bufferViews = [];
+  const accessors = [];
+  let byteLength = 0;
+
+  // bufferView и accessor на массив; смещения выровнены на 4 байта
+  const addAccessor = (array, type, { target, minMax = false } = {}) => {
+    const components = { SCALAR: 1, VEC2: 2, VEC3: 3 }[type];
+    bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, ...(target && { target }) });
+    chunks.push({ offset: byteLength, array });
+    byteLength += Math.ceil(array.byteLength / 4) * 4;
+    const accessor = {
+      bufferView: bufferViews.length - 1,
+      componentType: array instanceof Uint32Array ? GL_UNSIGNED_INT : GL_FLOAT,
+      count: array.length / components,
+      type,
+    };
+    if (minMax) {
+      accessor.min = new Array(components).fill(Infinity);
+      accessor.max = new Array(components).fill(-Infinity);
+      for (let k = 0; k < array.length; k++) {
+        const i = k % components;
+        accessor.min[i] = Math.min(accessor.min[i], array[k]);
+        accessor.max[i] = Math.max(accessor.max[i], array[k]);
+      }
+    }
+    accessors.push(accessor);
+    return accessors.length - 1;
+  };
+
+  const attributes = {
+    POSITION: addAccessor(positions3(base), "VEC3", { target: GL_ARRAY_BUFFER, minMax: true }),
+    NORMAL: addAccessor(vertexNormals(base, indices), "VEC3", { target: GL_ARRAY_BUFFER }),
+    TEXCOORD_0: addAccessor(new Float32Array(uvs), "VEC2", { target: GL_ARRAY_BUFFER }),
+  };
+  const primitive = { attributes, indices: addAccessor(new Uint32Array(indices), "SCALAR", { target: GL_ELEMENT_ARRAY_BUFFER }) };
+  const mesh = { name: "cloth", primitives: [primitive] };
+  const json = {
+    asset: { version: "2.0", generator: "pbd-cloth-webgpu-2" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: "cloth", mesh: 0 }],
+    meshes: [mesh],
+  };
+
+  if (frames && frames.length > 1) {
+    const basePositions = positions3(base);
+    primitive.targets = frames.slice(1).map(frame => {
+      const delta = positions3(frame).map((x, i) => x - basePositions[i]);
+      return { POSITION: addAccessor(delta, "VEC3", { target: GL_ARRAY_BUFFER, minMax: true }) };
+    });
+    const targetCount = primitive.targets.length;
+    mesh.weights = new Array(targetCount).fill(0);
+    mesh.extras = { targetNames: primitive.targets.map((_, i) => `frame_${i + 1}`) };
+
+    // кадр 0 — все веса 0, кадр i — вес target i - 1 равен 1
+    const times = new Float32Array(frames.length).map((_, i) => i / fps);
+    const weights = new Float32Array(frames.length * targetCount);
+    for (let i = 1; i < frames.length; i++) weights[i * targetCount + i - 1] = 1;
+    const input = addAccessor(times, "SCALAR", { minMax: true });
+    const output = addAccessor(weights, "SCALAR");
+    json.animations = [{
+      name: "simulation",
+      samplers: [{ input, output, interpolation: "LINEAR" }],
+      channels: [{ sampler: 0, target: { node: 0, path: "weights" } }],
+    }];
+  }
+
+  json.accessors = accessors;
+  json.bufferViews = bufferViews;
+  json.buffers = [{ byteLength }];
+
+  // GLB: заголовок 12 байт, чанк JSON (дополнен пробелами) и чанк BIN (дополнен нулями)
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+  const glb = new ArrayBuffer(12 + 8 + jsonLength + 8 + byteLength);
+  const view = new DataView(glb);
+  const bytes = new Uint8Array(glb);
+  view.setUint32(0, 0x46546c67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, glb.byteLength, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4e4f534a, true); // "JSON"
+  bytes.fill(0x20, 20, 20 + jsonLength);
+  bytes.set(jsonBytes, 20);
+  const binStart = 20 + jsonLength;
+  view.setUint32(binStart, byteLength, true);
+  view.setUint32(binStart + 4, 0x004e4942, true); // "BIN\0"
+  for (const { offset, array } of chunks) {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), binStart + 8 + offset);
+  }
+  return glb;
+}
+
+/**
+ * Point cache PC2: позиции всех вершин по кадрам. Порядок вершин совпадает с OBJ,
+ * поэтому кэш подключается к экспортированному OBJ модификатором Mesh Cache
+ * @param {Float32Array[]} frames - Позиции vec4 каждого кадра
+ * @param {Object} [options]
+ * @param {number} [options.startFrame=0] - Номер первого кадра
+ * @param {number} [options.sampleRate=1] - Шаг между кадрами
+ * @returns {ArrayBuffer}
+ */
+export function exportPC2(frames, { startFrame = 0, sampleRate = 1 } = {}) {
+  const vertexCount = frames[0].length / 4;
+  const buffer = new ArrayBuffer(32 + frames.length * vertexCount * 12);
+  const view = new DataView(buffer);
+  new Uint8Array(buffer).set(new TextEncoder().encode("POINTCACHE2\0"));
+  view.setInt32(12, 1, true);
+  view.setInt32(16, vertexCount, true);
+  view.setFloat32(20, startFrame, true);
+  view.setFloat32(24, sampleRate, true);
+  view.setInt32(28, frames.length, true);
+  const data = new Float32Array(buffer, 32);
+  frames.forEach((frame, i) => data.set(positions3(frame), i * vertexCount * 3));
+  return buffer;
+}
@@ -0,0 +1,319 @@
+/**
+ * meshImport.js
+ * Импорт треугольного меша ткани из Wavefront OBJ и glTF 2.0 (.glb или .gltf со встроенными буферами data:).
+ * Результат — исходный меш: позиции xyz, UV, индексы треугольников и именованные группы вершин
+ * для закрепления. Вершины с одинаковой позицией сливаются: OBJ и glTF разрезают вершины по швам UV
+ * и нормалей, а ткани нужна связная сетка. Многоугольники разбиваются веером, вырожденные треугольники отбрасываются.
+ * Группы OBJ — имена из строк g и o. Группы glTF — имена материалов примитивов и пользовательские
+ * атрибуты с префиксом "_" (например, атрибут "_pin" из Blender даёт группу "pin"): в группу попадают
+ * вершины с весом больше 0.5. Из glTF берётся первый меш сцены с учётом трансформаций узлов.
+ * Все функции чистые и работают без DOM и WebGPU.
+ */
+import { multiply, transformVec4 } from "./camera.js";
+
+/**
+ * @typedef {Object} SourceMesh
+ * @property {Float32Array} positions - Позиции xyz на вершину
+ * @property {Float32Array} uvs - UV vec2 на вершину (v = 0 — верхний край текстуры)
+ * @property {Uint32Array} indices - Индексы треугольников
+ * @property {Object<string, number[]>} groups - Индексы вершин по имени группы
+ */
+
+/** Расширения файлов, которые понимает parseMeshFile */
+export const MESH_FILE_PATTERN = /\.(obj|gltf|glb)$/i;
+
+/**
+ * Разбирает файл меша по расширению имени
+ * @param {string} name - Имя файла
+ * @param {ArrayBuffer} data - Содержимое файла
+ * @returns {SourceMesh}
+ * @throws {Error} Если формат не поддерживается или файл некорректен
+ * @example
+ * const mesh = parseMeshFile(file.name, await file.arrayBuffer());
+ * model.setCloth({ ...model.cloth, pins: null, pinGroups: [], mesh });
+ */
+export function parseMeshFile(name, data) {
+  const text = () => new TextDecoder().decode(data);
+  if (/\.obj$/i.test(name)) return parseOBJ(text());
+  if (/\.gltf$/i.test(name)) return parseGLTF(text());
+  if (/\.glb$/i.test(name)) return parseGLB(data);
+  throw new Error(`${name}: expected an .obj, .gltf or .glb file`);
+}
+
+/**
+ * Исходный меш из массивов чисел (раздел cloth.mesh файла сцены); без uvs — планарная проекция
+ * @param {{positions: number[], uvs?: number[]|null, indices: number[], groups?: Object<string, number[]>}} data
+ * @returns {SourceMesh}
+ */
+export function createSourceMesh({ positions, uvs = null, indices, groups = {} }) {
+  const mesh = {
+    positions: new Float32Array(positions),
+    uvs: new Float32Array(uvs ?? positions.length / 3 * 2),
+    indices: new Uint32Array(indices),
+    groups: structuredClone(groups),
+  };
+  if (!uvs) planarUVs(mesh.positions, mesh.uvs);
+  return mesh;
+}
+
+/**
+ * Собирает меш из вершин исходного файла: сливает вершины по позиции, копит группы
+ * и при отсутствии UV проецирует вершины на плоскость двух наибольших размеров меша
+ */
+class MeshBuilder {
+  constructor(format) {
+    this.format = format;
+    this.positions = [];
+    this.uvs = [];
+    this.indices = [];
+    this.groups = new Map();
+    this.lookup = new Map();
+    this.missingUVs = false;
+  }
+
+  /**
+   * Индекс вершины с позицией p; UV берётся у первого вхождения позиции
+   * @param {number[]} p - Позиция xyz
+   * @param {number[]|null} uv - UV или null, если в файле его нет
+   * @returns {number}
+   */
+  vertex(p, uv) {
+    const key = `${p[0]},${p[1]},${p[2]}`;
+    let index = this.lookup.get(key);
+    if (index === undefined) {
+      index = this.positions.length / 3;
+      this.lookup.set(key, index);
+      this.positions.push(p[0], p[1], p[2]);
+      this.uvs.push(...(uv ?? [0, 0]));
+      if (!uv) this.missingUVs = true;
+    }
+    return index;
+  }
+
+  triangle(a, b, c) { if (a !== b && b !== c && c !== a) this.indices.push(a, b, c); }
+
+  group(name, index) { (this.groups.get(name) ?? this.groups.set(name, new Set()).get(name)).add(index); }
+
+  /** @returns {SourceMesh} */
+  finish() {
+    if (this.indices.length === 0) throw new Error(`${this.format}: the file has no triangles`);
+    const positions = new Float32Array(this.positions);
+    const uvs = new Float32Array(this.uvs);
+    if (this.missingUVs) planarUVs(positions, uvs);
+    const groups = Object.fromEntries([...this.groups].map(([name, set]) => [name, [...set].sort((a, b) => a - b)]));
+    return { positions, uvs, indices: new Uint32Array(this.indices), groups };
+  }
+}
+
+/**
+ * UV проекцией на плоскость двух осей с наибольшим размахом (v = 0 — максимум второй оси)
+ */
+function planarUVs(positions, uvs) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let k = 0; k < positions.length; k++) {
+    min[k % 3] = Math.min(min[k % 3], positions[k]);
+    max[k % 3] = Math.max(max[k % 3], positions[k]);
+  }
+  const extent = max.map((x, i) => x - min[i] || 1);
+  const [u, v] = [0, 1, 2].sort((a, b) => extent[b] - extent[a]).slice(0, 2).sort((a, b) => a - b);
+  for (let i = 0; i < positions.length / 3; i++) {
+    uvs[i * 2] = (positions[i * 3 + u] - min[u]) / extent[u];
+    uvs[i * 2 + 1] = (max[v] - positions[i * 3 + v]) / extent[v];
+  }
+}
+
+/**
+ * Wavefront OBJ: строки v, vt, f (индексы с 1 или отрицательные, от конца списка), g и o.
+ * Нормали и материалы игнорируются
+ * @param {string} text - Содержимое файла
+ * @returns {SourceMesh}
+ * @throws {Error} С номером строки, если координата не число или грань ссылается на несуществующую вершину
+ */
+export function parseOBJ(text) {
+  const builder = new MeshBuilder("OBJ");
+  const positions = [];
+  const texcoords = [];
+  let groups = [];
+
+  text.split(/\r?\n/).forEach((line, n) => {
+    const [keyword, ...args] = line.trim().split(/\s+/);
+    const fail = message => { throw new Error(`OBJ line ${n + 1}: ${message}`); };
+    const resolve = (token, list, what) => {
+      const i = parseInt(token);
+      const index = i < 0 ? list.length + i : i - 1;
+      if (!Number.isInteger(i) || i === 0 || index < 0 || index >= list.length) fail(`${what} ${token} does not exist`);
+      return list[index];
+    };
+
+    // нечисловой токен даёт NaN, Number.isFinite отсекает и его, и Infinity
+    const numbers = (count, what) => {
+      const values = args.slice(0, count).map(Number);
+      if (values.length < count || !values.every(Number.isFinite)) fail(`${what} needs ${count > 1 ? `${count} numeric coordinates` : "a numeric coordinate"}, got "${args.join(" ")}"`);
+      return values;
+    };
+
+    if (keyword === "v") positions.push(numbers(3, "vertex"));
+    else if (keyword === "vt") {
+      const [u, v = 0] = numbers(args.length > 1 ? 2 : 1, "texture coordinate");
+      texcoords.push([u, 1 - v]);
+    }
+    else if (keyword === "g" || keyword === "o") groups = args;
+    else if (keyword === "f") {
+      if (args.length < 3) fail("a face needs at least 3 vertices");
+      const face = args.map(token => {
+        const [v, vt] = token.split("/");
+        const index = builder.vertex(resolve(v, positions, "vertex"), vt ? resolve(vt, texcoords, "texture coordinate") : null);
+        groups.forEach(name => builder.group(name, index));
+        return index;
+      });
+      for (let i = 1; i + 1 < face.length; i++) builder.triangle(face[0], face[i], face[i + 1]);
+    }
+  });
+  return builder.finish();
+}
+
+// типы компонентов accessor glTF: размер, метод DataView и делитель для normalized
+const COMPONENT_TYPES = {
+  5120: { size: 1, get: "getInt8", max: 127 },
+  5121: { size: 1, get: "getUint8", max: 255 },
+  5122: { size: 2, get: "getInt16", max: 32767 },
+  5123: { size: 2, get: "getUint16", max: 65535 },
+  5125: { size: 4, get: "getUint32", max: 4294967295 },
+  5126: { size: 4, get: "getFloat32", max: 1 },
+};
+const COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+const GL_TRIANGLES = 4;
+
+/**
+ * Бинарный glTF (.glb): чанк JSON и первый чанк BIN
+ * @param {ArrayBuffer} buffer - Содержимое файла
+ * @returns {SourceMesh}
+ * @throws {Error} Если это не glTF 2.0
+ */
+export function parseGLB(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 12 || view.getUint32(0, true) !== 0x46546c67) throw new Error("glTF: not a binary glTF (.glb) file");
+  if (view.getUint32(4, true) !== 2) throw new Error(`glTF: version ${view.getUint32(4, true)} is not supported`);
+  let json = null, bin = null;
+  for (let offset = 12; offset + 8 <= buffer.byteLength;) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const chunk = new Uint8Array(buffer, offset + 8, length);
+    if (type === 0x4e4f534a) json = JSON.parse(new TextDecoder().decode(chunk)); // "JSON"
+    else if (type === 0x004e4942 && !bin) bin = chunk; // "BIN\0"
+    offset += 8 + length;
+  }
+  if (!json) throw new Error("glTF: the file has no JSON chunk");
+  return parseGLTF(json, bin);
+}
+
+/**
+ * glTF 2.0 JSON. Буферы — встроенные data: URI или бинарный чанк GLB; внешние файлы .bin не поддерживаются
+ * @param {string|Object} source - JSON-текст или разобранный объект
+ * @param {Uint8Array|null} [bin=null] - Бинарный чанк GLB (буфер без uri)
+ * @returns {SourceMesh}
+ * @throws {Error} Если в сцене нет треугольного меша или буфер недоступен
+ */
+export function parseGLTF(source, bin = null) {
+  const gltf = typeof source === "string" ? JSON.parse(source) : source;
+  const buffers = (gltf.buffers ?? []).map(({ uri }) => {
+    if (uri === undefined) {
+      if (!bin) throw new Error("glTF: buffer without uri outside of a .glb file");
+      return bin;
+    }
+    const match = /^data:[^,]*;base64,(.*)$/.exec(uri);
+    if (!match) throw new Error(`glTF: external buffer "${uri}" is not supported, export as .glb or with embedded buffers`);
+    return Uint8Array.from(atob(match[1]), c => c.charCodeAt(0));
+  });
+
+  const found = findMeshNode(gltf);
+  if (!found) throw new Error("glTF: the file has no meshes");
+  const { mesh, matrix } = found;
+
+  const builder = new MeshBuilder("glTF");
+  for (const primitive of mesh.primitives) {
+    if ((primitive.mode ?? GL_TRIANGLES) !== GL_TRIANGLES || primitive.attributes.POSITION === undefined) continue;
+    const positions = readAccessor(gltf, buffers, primitive.attributes.POSITION);
+    const uvs = primitive.attributes.TEXCOORD_0 !== undefined ? readAccessor(gltf, buffers, primitive.attributes.TEXCOORD_0) : null;
+    const count = positions.length / 3;
+    const indices = primitive.indices !== undefined ? readAccessor(gltf, buffers, primitive.indices) : Array.from({ length: count }, (_, i) => i);
+    const material = gltf.materials?.[primitive.material]?.name;
+    const weights = Object.keys(primitive.attributes).filter(name => name.startsWith("_"))
+      .map(name => ({ group: name.slice(1), values: readAccessor(gltf, buffers, primitive.attributes[name]), stride: COMPONENTS[gltf.accessors[primitive.attributes[name]].type] }));
+
+    // вершины примитива сливаются один раз, при первом обращении из индексов
+    const welded = new Array(count);
+    const vertex = i => {
+      if (welded[i] !== undefined) return welded[i];
+      const p = transformVec4(matrix, [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], 1]);
+      const index = welded[i] = builder.vertex(p.map(x => Math.fround(x)), uvs && [uvs[i * 2], uvs[i * 2 + 1]]);
+      if (material) builder.group(material, index);
+      weights.forEach(({ group, values, stride }) => { if (values[i * stride] > 0.5) builder.group(group, index); });
+      return index;
+    };
+    for (let t = 0; t + 2 < indices.length; t += 3) builder.triangle(vertex(indices[t]), vertex(indices[t + 1]), vertex(indices[t + 2]));
+  }
+  return builder.finish();
+}
+
+/**
+ * Первый узел сцены с мешем (обход в глубину) и его мировая матрица.
+ * Если ни один узел не ссылается на меш, берётся meshes[0] без трансформации
+ * @returns {{mesh: Object, matrix: Float32Array}|null}
+ */
+function findMeshNode(gltf) {
+  const nodes = gltf.nodes ?? [];
+  const identity = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+  const visit = (index, parent) => {
+    const node = nodes[index];
+    const matrix = multiply(parent, nodeMatrix(node));
+    if (node.mesh !== undefined) return { mesh: gltf.meshes[node.mesh], matrix };
+    for (const child of node.children ?? []) {
+      const found = visit(child, matrix);
+      if (found) return found;
+    }
+    return null;
+  };
+  const roots = gltf.scenes?.[gltf.scene ?? 0]?.nodes ?? nodes.map((_, i) => i);
+  for (const root of roots) {
+    const found = visit(root, identity);
+    if (found) return found;
+  }
+  return gltf.meshes?.length ? { mesh: gltf.meshes[0], matrix: identity } : null;
+}
+
+/** Локальная матрица узла: matrix или translation × rotation × scale (column-major) */
+function nodeMatrix({ matrix, translation = [0, 0, 0], rotation = [0, 0, 0, 1], scale = [1, 1, 1] }) {
+  if (matrix) return new Float32Array(matrix);
+  const [x, y, z, w] = rotation;
+  const [sx, sy, sz] = scale;
+  return new Float32Array([
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    translation[0], translation[1], translation[2], 1,
+  ]);
+}
+
+/**
+ * Читает accessor в плоский массив чисел (с учётом byteStride и normalized)
+ * @returns {Float64Array}
+ */
+function readAccessor(gltf, buffers, index) {
+  const accessor = gltf.accessors[index];
+  if (accessor.sparse) throw new Error("glTF: sparse accessors are not supported");
+  const components = COMPONENTS[accessor.type];
+  const { size, get, max } = COMPONENT_TYPES[accessor.componentType];
+  const out = new Float64Array(accessor.count * components);
+  if (accessor.bufferView === undefined) return out;
+
+  const bufferView = gltf.bufferViews[accessor.bufferView];
+  const bytes = buffers[bufferView.buffer];
+  const data = new DataView(bytes.buffer, bytes.byteOffset + (bufferView.byteOffset ?? 0) + (accessor.byteOffset ?? 0));
+  const stride = bufferView.byteStride ?? components * size;
+  const scale = accessor.normalized ? 1 / max : 1;
+  for (let i = 0; i < accessor.count; i++) {
+    for (let c = 0; c < components; c++) out[i * components + c] = data[get](i * stride + c * size, true) * scale;
+  }
+  return out;
+}
@@ -2,11 +2,12 @@
  * observable.js
  * Реализация простого Observer для связи UI и модели.
  * Позволяет подписываться на события и уведомлять слушателей.
- * Используется в SimulationModel и SimulationView.
+ * Используется в SimulationModel, SimulationController (события "frame" и "rendered") и GPUProfiler.
  * Применяет паттерн Observer.
  */
 export class Observable {
   constructor() { this.listeners = {}; }
   on(event, cb) { (this.listeners[event] = this.listeners[event] || []).push(cb); }
+  off(event, cb) { this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== cb); }
   emit(event, data) { (this.listeners[event] || []).forEach(cb => cb(data)); }
 }
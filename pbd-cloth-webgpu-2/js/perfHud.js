@@ -0,0 +1,107 @@
+/**
+ * perfHud.js
+ * Оверлей производительности: FPS, реальное время кадра, время CPU на шаги и запись команд,
+ * время проходов GPU (GPUProfiler) и число вершин и ограничений, а также бегущий график
+ * времени кадра, CPU и GPU за последние HISTORY кадров. Без timestamp-query (или на CPU-пути)
+ * вместо времени GPU выводится причина, по которой его нет.
+ * Подписывается на событие "rendered" контроллера и "timings" профайлера (Observer).
+ */
+
+// кадров на графике и период обновления текста, мс
+const HISTORY = 120;
+const TEXT_INTERVAL = 250;
+// шкала графика: два кадра по 1/60 с
+const GRAPH_MAX_MS = 1000 / 30;
+const COLORS = { frame: "#ccc", cpu: "#f90", gpu: "#3cf" };
+
+export class PerfHud {
+  /**
+   * @param {HTMLElement} element - Контейнер оверлея (заполняется HUD)
+   * @param {SimulationView|CPUSimulationView} view - Представление (профайлер, число вершин и ограничений)
+   * @param {SimulationController} controller - Контроллер
+   */
+  constructor(element, view, controller) {
+    this.element = element;
+    this.view = view;
+    this.text = document.createElement("pre");
+    this.graph = document.createElement("canvas");
+    this.graph.width = HISTORY * 2;
+    this.graph.height = 60;
+    element.replaceChildren(this.text, this.graph);
+    this.history = [];
+    this.gpu = null;
+    this.lastText = 0;
+    controller.on("rendered", frame => this.onFrame(frame));
+    if (view.profiler) view.profiler.on("timings", timings => { this.gpu = timings; });
+  }
+
+  /** Виден ли оверлей; скрытый HUD ничего не рисует */
+  get visible() { return !this.element.hidden; }
+  set visible(visible) { this.element.hidden = !visible; }
+
+  /**
+   * Добавляет кадр в историю и перерисовывает график (текст — не чаще TEXT_INTERVAL)
+   * @param {{elapsed: number, cpuTime: number}} frame - Реальное время кадра, с, и время CPU, мс
+   */
+  onFrame({ elapsed, cpuTime }) {
+    if (elapsed <= 0) return;
+    const gpuTotal = this.gpu ? Object.values(this.gpu).reduce((sum, ms) => sum + ms, 0) : null;
+    this.history.push({ frame: elapsed * 1000, cpu: cpuTime, gpu: gpuTotal });
+    if (this.history.length > HISTORY) this.history.shift();
+    if (!this.visible) return;
+    const now = performance.now();
+    if (now - this.lastText >= TEXT_INTERVAL) {
+      this.lastText = now;
+      this.updateText();
+    }
+    this.drawGraph();
+  }
+
+  updateText() {
+    const mean = key => this.history.reduce((sum, sample) => sum + (sample[key] ?? 0), 0) / this.history.length;
+    const frameMs = mean("frame");
+    const lines = [
+      `FPS ${(1000 / frameMs).toFixed(1)}  frame ${frameMs.toFixed(2)} ms`,
+      `CPU ${mean("cpu").toFixed(2)} ms`,
+      this.gpuLine(),
+      `Vertices ${this.view.vertexCount}  constraints ${this.view.constraintCount}`,
+    ];
+    this.text.textContent = lines.join("\n");
+  }
+
+  /** Строка времени GPU: сумма и время по проходам последнего замеренного кадра */
+  gpuLine() {
+    const { profiler } = this.view;
+    if (!profiler) return "GPU n/a (CPU fallback)";
+    if (!profiler.supported) return "GPU n/a (timestamp-query not supported)";
+    if (!this.gpu) return "GPU …";
+    const passes = Object.entries(this.gpu).map(([label, ms]) => `${label} ${ms.toFixed(2)}`).join(", ");
+    return `GPU ${Object.values(this.gpu).reduce((sum, ms) => sum + ms, 0).toFixed(2)} ms (${passes})`;
+  }
+
+  drawGraph() {
+    const ctx = this.graph.getContext("2d");
+    const { width, height } = this.graph;
+    const y = ms => height - Math.min(ms / GRAPH_MAX_MS, 1) * height;
+    ctx.clearRect(0, 0, width, height);
+    // линия 60 FPS
+    ctx.strokeStyle = "#555";
+    ctx.beginPath();
+    ctx.moveTo(0, y(1000 / 60));
+    ctx.lineTo(width, y(1000 / 60));
+    ctx.stroke();
+    const step = width / HISTORY;
+    const offset = HISTORY - this.history.length;
+    for (const key of ["frame", "cpu", "gpu"]) {
+      ctx.strokeStyle = COLORS[key];
+      ctx.beginPath();
+      this.history.forEach((sample, i) => {
+        if (sample[key] === null) return;
+        const x = (offset + i) * step;
+        if (i === 0 || this.history[i - 1][key] === null) ctx.moveTo(x, y(sample[key]));
+        else ctx.lineTo(x, y(sample[key]));
+      });
+      ctx.stroke();
+    }
+  }
+}
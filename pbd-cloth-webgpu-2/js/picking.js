@@ -0,0 +1,79 @@
+/**
+ * picking.js
+ * Выбор вершины ткани лучом и перемещение её в плоскости, перпендикулярной лучу, выбор вершин кистью.
+ * Работает с массивом позиций vec4 (xyz + флаг закрепления), прочитанным с GPU или из CPUSolver.
+ * Не зависит от WebGPU и DOM.
+ */
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+/**
+ * Находит вершину, ближайшую к лучу: среди вершин в пределах maxDistance от луча
+ * выбирается первая по ходу луча
+ * @param {Float32Array} positions - Позиции vec4
+ * @param {{origin: number[], dir: number[]}} ray - Луч с нормированным направлением
+ * @param {number} maxDistance - Максимальное расстояние от вершины до луча
+ * @returns {number} Индекс вершины или -1
+ */
+export function pickVertex(positions, ray, maxDistance) {
+  let best = -1;
+  let bestT = Infinity;
+  const maxDist2 = maxDistance * maxDistance;
+  for (let i = 0; i < positions.length / 4; i++) {
+    const v = [positions[i * 4] - ray.origin[0], positions[i * 4 + 1] - ray.origin[1], positions[i * 4 + 2] - ray.origin[2]];
+    const t = dot(v, ray.dir);
+    const dist2 = dot(v, v) - t * t;
+    if (t >= 0 && dist2 <= maxDist2 && t < bestT) {
+      best = i;
+      bestT = t;
+    }
+  }
+  return best;
+}
+
+/**
+ * Пересекает луч с плоскостью перетаскивания
+ * @param {{origin: number[], dir: number[]}} ray - Луч
+ * @param {{point: number[], normal: number[]}} plane - Плоскость
+ * @returns {number[]|null} Точка пересечения или null, если луч параллелен плоскости
+ */
+export function intersectPlane(ray, plane) {
+  const denom = dot(ray.dir, plane.normal);
+  if (Math.abs(denom) < 1e-8) return null;
+  const diff = [plane.point[0] - ray.origin[0], plane.point[1] - ray.origin[1], plane.point[2] - ray.origin[2]];
+  const t = dot(diff, plane.normal) / denom;
+  return [ray.origin[0] + ray.dir[0] * t, ray.origin[1] + ray.dir[1] * t, ray.origin[2] + ray.dir[2] * t];
+}
+
+/**
+ * Пересекает луч со сферой
+ * @param {{origin: number[], dir: number[]}} ray - Луч с нормированным направлением
+ * @param {number[]} center - Центр сферы
+ * @param {number} radius - Радиус
+ * @returns {number} Расстояние до ближайшего пересечения по лучу или -1
+ */
+export function intersectSphere(ray, center, radius) {
+  const oc = [ray.origin[0] - center[0], ray.origin[1] - center[1], ray.origin[2] - center[2]];
+  const b = dot(oc, ray.dir);
+  const disc = b * b - (dot(oc, oc) - radius * radius);
+  if (disc < 0) return -1;
+  const sqrt = Math.sqrt(disc);
+  const t = -b - sqrt >= 0 ? -b - sqrt : -b + sqrt;
+  return t >= 0 ? t : -1;
+}
+
+/**
+ * Вершины внутри сферы (кисть редактора закрепления)
+ * @param {Float32Array} positions - Позиции vec4
+ * @param {number[]} center - Центр сферы
+ * @param {number} radius - Радиус
+ * @returns {number[]} Индексы вершин
+ */
+export function verticesInSphere(positions, center, radius) {
+  const result = [];
+  for (let i = 0; i < positions.length / 4; i++) {
+    const v = [positions[i * 4] - center[0], positions[i * 4 + 1] - center[1], positions[i * 4 + 2] - center[2]];
+    if (dot(v, v) <= radius * radius) result.push(i);
+  }
+  return result;
+}
@@ -0,0 +1,98 @@
+/**
+ * pinAnimation.js
+ * Анимированные точки крепления ткани: закреплённая вершина, которая движется по пути.
+ * Путь задаётся формулой (колебание вдоль оси, движение по окружности) или ключевыми кадрами
+ * со смещениями и линейной интерполяцией между ними. Смещение отсчитывается от origin —
+ * положения вершины в момент, когда к ней прикрепили путь.
+ * Точки крепления хранятся в описании ткани (model.cloth.attachments) и сохраняются в файлах сцен;
+ * контроллер ставит вершины на место перед каждым шагом View (см. simulationController.js).
+ * Не зависит от WebGPU и DOM.
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {number} vertex - Индекс вершины
+ * @property {number[]} origin - Начальное положение вершины xyz
+ * @property {{type: string}} path - Путь: параметры типа из PIN_PATHS
+ */
+
+/** Наибольшее число точек крепления ткани (то же ограничение, что в pbd-cloth-webgpu) */
+export const MAX_ATTACHMENTS = 64;
+
+/**
+ * Типы путей: параметры по умолчанию и смещение от origin в момент времени t (с)
+ */
+export const PIN_PATHS = Object.freeze({
+  // колебание вдоль оси: amplitude · sin(2π · frequency · t)
+  oscillate: {
+    defaults: { axis: [0, 1, 0], amplitude: 0.25, frequency: 1 },
+    offset: ({ axis, amplitude, frequency }, t) => axis.map(a => a * amplitude * Math.sin(2 * Math.PI * frequency * t)),
+  },
+  // окружность радиуса radius в плоскости с нормалью axis, начинается в origin
+  circle: {
+    defaults: { axis: [0, 0, 1], radius: 0.15, frequency: 0.5 },
+    offset: ({ axis, radius, frequency }, t) => {
+      const [u, v] = planeBasis(axis);
+      const angle = 2 * Math.PI * frequency * t;
+      const cos = Math.cos(angle) - 1, sin = Math.sin(angle);
+      return [0, 1, 2].map(i => radius * (u[i] * cos + v[i] * sin));
+    },
+  },
+  // ключевые кадры {time, offset}, упорядоченные по времени; loop повторяет их с периодом последнего кадра
+  keyframes: {
+    defaults: {
+      keys: [
+        { time: 0, offset: [0, 0, 0] },
+        { time: 1, offset: [0, 0.3, 0] },
+        { time: 2, offset: [0.3, 0.3, 0] },
+        { time: 3, offset: [0, 0, 0] },
+      ],
+      loop: true,
+    },
+    offset: ({ keys, loop }, t) => {
+      const end = keys[keys.length - 1].time;
+      const time = loop && end > 0 ? t % end : Math.min(t, end);
+      const next = keys.findIndex(key => key.time > time);
+      if (next <= 0) return [...keys[next < 0 ? keys.length - 1 : 0].offset];
+      const a = keys[next - 1], b = keys[next];
+      const s = (time - a.time) / (b.time - a.time);
+      return a.offset.map((x, i) => x + (b.offset[i] - x) * s);
+    },
+  },
+});
+
+/** Два единичных вектора, перпендикулярных axis и друг другу */
+function planeBasis(axis) {
+  const len = Math.hypot(...axis) || 1;
+  const n = axis.map(x => x / len);
+  const helper = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const u = cross(helper, n);
+  const uLen = Math.hypot(...u);
+  const uNorm = u.map(x => x / uLen);
+  return [uNorm, cross(n, uNorm)];
+}
+
+/**
+ * Создаёт точку крепления с путём типа type и параметрами по умолчанию
+ * @param {number} vertex - Индекс вершины
+ * @param {number[]} origin - Положение вершины xyz
+ * @param {string} type - Тип пути (ключ PIN_PATHS)
+ * @returns {Attachment}
+ * @example
+ * const attachment = createAttachment(45, [0, 0.2, 0], "circle");
+ */
+export function createAttachment(vertex, origin, type) {
+  return { vertex, origin: [...origin], path: { type, ...structuredClone(PIN_PATHS[type].defaults) } };
+}
+
+/**
+ * Положение точки крепления в момент времени
+ * @param {Attachment} attachment - Точка крепления
+ * @param {number} time - Время симуляции, с
+ * @returns {number[]} xyz
+ */
+export function attachmentPosition({ origin, path }, time) {
+  const offset = PIN_PATHS[path.type].offset(path, time);
+  return origin.map((x, i) => x + offset[i]);
+}
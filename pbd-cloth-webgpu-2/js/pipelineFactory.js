@@ -3,36 +3,146 @@
  * Factory для создания Compute и Render пайплайнов.
  * Используется для абстракции создания WebGPU пайплайнов.
  * Позволяет легко переключать шейдеры и формат канвы.
+ * Код шейдера проходит препроцессор (shaderPreprocessor.js): #include фрагментов из includes,
+ * #define и #ifdef с общими defines (WORKGROUP_SIZE) и переданными при создании,
+ * #struct со структурами из structs (Params) и переданными при создании.
+ * Сообщения компиляции каждого шейдерного модуля попадают в журнал диагностики
+ * с местом строки в файле или фрагменте.
  * Применяет паттерн Factory.
  */
+import { diagnostics } from "./diagnostics.js";
+import { preprocessWGSL, includeNames } from "./shaderPreprocessor.js";
+
+/** Размер workgroup compute шейдеров (#define WORKGROUP_SIZE) и делитель числа групп в dispatch */
+export const WORKGROUP_SIZE = 64;
 
 export class PipelineFactory {
-  static async loadShaderModule(device, url) {
+  /** Поля uniform-структуры Params (шаг симуляции) шейдеров стратегий: #struct Params и SimulationView.updateParams */
+  static PARAMS_STRUCT = [
+    { name: "time", type: "f32" },
+    { name: "gravityEnabled", type: "f32" },
+    { name: "clothSize", type: "f32" },
+    { name: "spacing", type: "f32" },
+    { name: "dt", type: "f32" },
+  ];
+
+  /** Загруженные фрагменты для #include по имени (путь от каталога shaders) */
+  static includes = {};
+  static defines = { WORKGROUP_SIZE };
+  static structs = { Params: this.PARAMS_STRUCT };
+
+  /**
+   * Загружает WGSL-файл и, рекурсивно, фрагменты из его #include; файлы регистрируются в журнале диагностики
+   * @param {string} url - Путь к файлу
+   * @param {string} [includeDir] - Каталог, от которого отсчитываются имена #include (по умолчанию — каталог url)
+   * @returns {Promise<string>} Текст файла (директивы раскрываются при создании модуля)
+   * @throws {Error} Если файл не загрузился
+   */
+  static async loadShaderSource(url, includeDir = url.slice(0, url.lastIndexOf("/") + 1)) {
     const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load shader: ${url}`);
     const code = await response.text();
-    return device.createShaderModule({ code });
+    diagnostics.registerShaderSource(url, code);
+    await Promise.all(includeNames(code).filter(name => !(name in PipelineFactory.includes)).map(async name => {
+      PipelineFactory.includes[name] = await PipelineFactory.loadShaderSource(includeDir + name, includeDir);
+    }));
+    return code;
   }
 
-  static createComputePipeline(device, shaderCode) {
+  static async loadShaderModule(device, url) {
+    return PipelineFactory.createShaderModule(device, await PipelineFactory.loadShaderSource(url));
+  }
+
+  /**
+   * Раскрывает директивы препроцессора, создаёт шейдерный модуль и передаёт его сообщения компиляции
+   * в журнал диагностики. Строки фрагментов указывают на фрагмент, строки самого кода ищутся
+   * в зарегистрированных файлах
+   * @param {GPUDevice} device - Устройство
+   * @param {string} code - WGSL код с директивами
+   * @param {Object} [options]
+   * @param {Object<string, *>} [options.defines] - Дополнительные #define: имя → значение, true — имя без значения
+   * @param {Object<string, Array>} [options.structs] - Дополнительные структуры для #struct
+   * @returns {GPUShaderModule}
+   * @throws {ShaderPreprocessError} Если директива неверна
+   */
+  static createShaderModule(device, code, { defines = {}, structs = {} } = {}) {
+    const { code: wgsl, lines } = preprocessWGSL(code, {
+      includes: PipelineFactory.includes,
+      defines: { ...PipelineFactory.defines, ...defines },
+      structs: { ...PipelineFactory.structs, ...structs },
+    });
+    const module = device.createShaderModule({ code: wgsl });
+    diagnostics.reportCompilation(module, wgsl, line => {
+      const origin = lines[line - 1];
+      return origin?.file ? origin : origin && diagnostics.mapShaderLine(code, origin.line);
+    });
+    return module;
+  }
+
+  /**
+   * @param {GPUDevice} device - Устройство
+   * @param {string} shaderCode - WGSL код с директивами
+   * @param {string} [entryPoint="main"] - Entry point
+   * @param {GPUPipelineLayout|string} [layout="auto"] - Layout пайплайна
+   * @param {Object} [shaderOptions] - defines и structs для createShaderModule
+   * @returns {GPUComputePipeline}
+   */
+  static createComputePipeline(device, shaderCode, entryPoint = "main", layout = "auto", shaderOptions = {}) {
     return device.createComputePipeline({
-      layout: "auto",
-      compute: { module: device.createShaderModule({ code: shaderCode }), entryPoint: "main" },
+      layout,
+      compute: { module: PipelineFactory.createShaderModule(device, shaderCode, shaderOptions), entryPoint },
     });
   }
 
-  static async createRenderPipeline(device, format) {
-    const module = await PipelineFactory.loadShaderModule(device, "./shaders/cloth_render.wgsl");
+  /**
+   * Создаёт явный layout пайплайна из описаний групп привязок, чтобы
+   * несколько entry point одного шейдера могли использовать общие bind group
+   * @param {GPUDevice} device - Устройство
+   * @param {Array<Array<GPUBindGroupLayoutEntry>>} groups - Записи для каждой группы
+   * @returns {{layout: GPUPipelineLayout, bindGroupLayouts: Array<GPUBindGroupLayout>}}
+   */
+  static createPipelineLayout(device, groups) {
+    const bindGroupLayouts = groups.map(entries => device.createBindGroupLayout({ entries }));
+    return { layout: device.createPipelineLayout({ bindGroupLayouts }), bindGroupLayouts };
+  }
+
+  static DEPTH_FORMAT = "depth24plus";
+
+  /** Вершинные буферы ткани: позиции vec4 (xyz + флаг закрепления), нормали vec4, UV vec2 */
+  static CLOTH_VERTEX_BUFFERS = [
+    { arrayStride: 16, attributes: [{ shaderLocation: 0, offset: 0, format: "float32x3" }, { shaderLocation: 1, offset: 12, format: "float32" }] },
+    { arrayStride: 16, attributes: [{ shaderLocation: 2, offset: 0, format: "float32x4" }] },
+    { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: "float32x2" }] },
+  ];
+
+  /**
+   * Создаёт render пайплайн с буфером глубины. По умолчанию вершинные буферы ткани:
+   * позиции vec4 (xyz + флаг закрепления), нормали vec4 (xyz + деформация в w) и UV vec2
+   * @param {GPUDevice} device - Устройство
+   * @param {string} format - Формат canvas
+   * @param {string} shaderCode - WGSL код с vs_main и фрагментными entry point
+   * @param {Object} [options]
+   * @param {string} [options.fragmentEntryPoint="fs_main"] - Фрагментный entry point
+   * @param {string} [options.topology="triangle-list"] - Топология примитивов
+   * @param {GPUPipelineLayout|string} [options.layout="auto"] - Layout пайплайна
+   * @param {Array<GPUVertexBufferLayout>} [options.buffers] - Вершинные буферы (по умолчанию CLOTH_VERTEX_BUFFERS)
+   * @param {Object<string, *>} [options.defines] - Дополнительные #define
+   * @returns {GPURenderPipeline}
+   */
+  static createRenderPipeline(device, format, shaderCode, {
+    fragmentEntryPoint = "fs_main", topology = "triangle-list", layout = "auto", buffers = PipelineFactory.CLOTH_VERTEX_BUFFERS, defines = {},
+  } = {}) {
+    const module = PipelineFactory.createShaderModule(device, shaderCode, { defines });
     return device.createRenderPipeline({
-      layout: "auto",
+      layout,
       vertex: {
         module,
         entryPoint: "vs_main",
-        buffers: [
-          { arrayStride: 16, attributes: [{ shaderLocation: 0, offset: 0, format: "float32x3" }, { shaderLocation: 1, offset: 12, format: "float32" }] },
-        ],
+        buffers,
       },
-      fragment: { module, entryPoint: "fs_main", targets: [{ format }] },
-      primitive: { topology: "triangle-list" },
+      fragment: { module, entryPoint: fragmentEntryPoint, targets: [{ format }] },
+      primitive: { topology },
+      depthStencil: { format: PipelineFactory.DEPTH_FORMAT, depthWriteEnabled: true, depthCompare: "less" },
     });
   }
 }
\ No newline at end of file
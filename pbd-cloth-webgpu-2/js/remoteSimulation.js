@@ -0,0 +1,254 @@
+/**
+ * remoteSimulation.js
+ * Главный поток симуляции, которая считается в воркере (simulationWorker.js): SimulationClient обменивается
+ * сообщениями протокола workerProtocol.js, а RemoteModel, RemoteView и RemoteController повторяют
+ * интерфейс SimulationModel, SimulationView и SimulationController, которым пользуется UI (main.js, PerfHud).
+ * RemoteModel — зеркало модели воркера: поля меняются только по её событиям, а методы-сеттеры
+ * отправляют вызов в воркер. Чтение с GPU, снимки, запись и воспроизведение ввода, экспорт кадров
+ * бенчмарк и запись кадров в PNG — запросы с ответом-промисом. Ввод над canvas пересылается в воркер (forwardInput).
+ * Применяет паттерны Proxy и Observer.
+ */
+import { Observable } from "./observable.js";
+import { diagnostics, Severity, DiagnosticSource } from "./diagnostics.js";
+import { createClothMesh } from "./clothMesh.js";
+import { MessageType, WorkerAction, SYNCED_MODEL_EVENTS, EntityTable, ModelCodec, serializeInputEvent } from "./workerProtocol.js";
+
+export class SimulationClient extends Observable {
+  /**
+   * Сообщения воркера, кроме ответов на запросы, испускаются событиями по типу сообщения (MessageType).
+   * Ошибка воркера или сообщение, которое нельзя прочитать, испускается событием "error". Пока воркер
+   * не ответил на INIT (не загрузился, не создал симуляцию), ошибка ещё и отклоняет все ожидающие запросы;
+   * после запуска это исключение в живом воркере (обработчик MODEL_CALL, цикл кадров), и долгие запросы
+   * вроде бенчмарка продолжаются
+   * @param {Worker} worker - Воркер simulationWorker.js
+   */
+  constructor(worker) {
+    super();
+    this.worker = worker;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.started = false;
+    worker.addEventListener("message", ({ data }) => {
+      const request = this.pending.get(data.id);
+      if (data.type === MessageType.PROGRESS) request?.onProgress(...data.value);
+      else if (data.type !== MessageType.RESPONSE) this.emit(data.type, data);
+      else if (request) {
+        this.pending.delete(data.id);
+        if (data.error !== undefined) request.reject(new Error(data.error));
+        else {
+          if (request.action === WorkerAction.INIT) this.started = true;
+          request.resolve(data.result);
+        }
+      }
+    });
+    worker.addEventListener("error", e => this.fail(new Error(`Simulation worker: ${e.message || "failed to start"}`)));
+    worker.addEventListener("messageerror", () => this.fail(new Error("Simulation worker: message could not be deserialized")));
+  }
+
+  /**
+   * Сообщает об ошибке воркера; до ответа на INIT отклоняет все ожидающие запросы — ответа на них уже не будет
+   * @param {Error} error - Причина
+   */
+  fail(error) {
+    if (!this.started) {
+      const requests = [...this.pending.values()];
+      this.pending.clear();
+      requests.forEach(request => request.reject(error));
+    }
+    this.emit("error", error);
+  }
+
+  /**
+   * Отправляет сообщение без ответа
+   * @param {string} type - MessageType
+   * @param {Object} [payload] - Поля сообщения
+   * @param {Transferable[]} [transfer] - Передаваемые без копирования объекты
+   */
+  post(type, payload = {}, transfer = []) { this.worker.postMessage({ type, ...payload }, transfer); }
+
+  /**
+   * Запрос к воркеру
+   * @param {string} action - WorkerAction
+   * @param {Array} [args] - Аргументы действия
+   * @param {Object} [options]
+   * @param {Transferable[]} [options.transfer] - Передаваемые без копирования объекты
+   * @param {function(...*): void} [options.onProgress] - Ход действия (сообщения PROGRESS)
+   * @returns {Promise<*>} Результат; ошибка воркера отклоняет промис
+   */
+  request(action, args = [], { transfer = [], onProgress = () => {} } = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { action, resolve, reject, onProgress });
+      this.post(MessageType.REQUEST, { id, action, args }, transfer);
+    });
+  }
+}
+
+/** Методы модели, вызов которых отправляется в воркер */
+const MODEL_METHODS = [
+  "setStrategy", "setStrategyParam", "setGravity", "setSelfCollision", "setIterations", "setRenderMode", "setSubsteps",
+  "setTimeScale", "setPaused", "requestStep", "setCloth", "setPins", "setAttachments", "setMaterial",
+  "setEntities", "addEntity", "removeEntity", "updateEntity", "setStability",
+];
+
+export class RemoteModel extends Observable {
+  /**
+   * @param {SimulationClient} client - Связь с воркером
+   * @param {Object<string, SimulationStrategy>} strategies - Стратегии главного потока (id, схема и значения параметров)
+   * @param {Object} state - Начальное состояние модели воркера (ModelCodec.encodeState)
+   */
+  constructor(client, strategies, state) {
+    super();
+    this.device = null;
+    this.format = null;
+    const codec = new ModelCodec(strategies, new EntityTable("m"));
+    Object.assign(this, codec.decodeState(state));
+    MODEL_METHODS.forEach(method => {
+      this[method] = (...args) => client.post(MessageType.MODEL_CALL, { method, args: codec.encodeCall(method, args) });
+    });
+    client.on(MessageType.MODEL_EVENT, ({ name, value }) => {
+      const decoded = codec.decodeEvent(name, value);
+      if (SYNCED_MODEL_EVENTS[name]) this[SYNCED_MODEL_EVENTS[name]] = decoded;
+      else if (name === "pinsChanged") this.cloth = { ...this.cloth, pins: decoded, pinGroups: [] };
+      else if (name === "attachmentsChanged") this.cloth = { ...this.cloth, attachments: decoded };
+      else if (name === "strategyParamChanged") this.strategy.setParam(decoded.name, decoded.value);
+      this.emit(name, decoded);
+    });
+  }
+}
+
+export class RemoteView {
+  /**
+   * Меш ткани строится по описанию в зеркале модели (UV и индексы для экспорта, группы для пресетов закрепления)
+   * @param {SimulationClient} client - Связь с воркером
+   * @param {RemoteModel} model - Зеркало модели
+   * @param {{vertexCount: number, constraintCount: number, profiler: {supported: boolean}|null}} state - Начальное состояние
+   */
+  constructor(client, model, { vertexCount, constraintCount, profiler }) {
+    this.client = client;
+    this.vertexCount = vertexCount;
+    this.constraintCount = constraintCount;
+    // зеркало GPUProfiler: событие "timings" с замерами воркера; null — воркер считает на CPU
+    this.profiler = profiler && Object.assign(new Observable(), profiler);
+    this.mesh = createClothMesh(model.cloth);
+    model.on("clothChanged", cloth => { this.mesh = createClothMesh(cloth); });
+    client.on(MessageType.RENDERED, ({ vertexCount, constraintCount }) => Object.assign(this, { vertexCount, constraintCount }));
+    client.on(MessageType.TIMINGS, ({ timings }) => this.profiler?.emit("timings", timings));
+  }
+
+  /** Новый размер canvas в пикселях; сам canvas передан воркеру */
+  resize(width, height) { this.client.post(MessageType.RESIZE, { width, height }); }
+  readPositions() { return this.client.request(WorkerAction.READ_POSITIONS); }
+  readState() { return this.client.request(WorkerAction.READ_STATE); }
+  /** Изображение передаётся воркеру без копирования */
+  setTexture(image) { return this.client.request(WorkerAction.SET_TEXTURE, [image], { transfer: image ? [image] : [] }); }
+  /** Кадр рисуется и сохраняется в PNG в воркере: canvas передан ему */
+  capturePNG() { return this.client.request(WorkerAction.CAPTURE_PNG); }
+}
+
+/** Настройки контроллера, которые отправляются в воркер при присваивании */
+const CONTROLLER_SETTINGS = ["tool", "brushRadius", "pathType", "snapshotFrames"];
+
+export class RemoteController extends Observable {
+  /**
+   * Событие "rendered" повторяет событие контроллера воркера; frameCount обновляется с каждым кадром
+   * @param {SimulationClient} client - Связь с воркером
+   * @param {{frameCount: number}} state - Начальное состояние
+   */
+  constructor(client, { frameCount }) {
+    super();
+    this.client = client;
+    this.frameCount = frameCount;
+    // идёт ли запись; сам InputRecorder подписан на модель воркера
+    this.recorder = null;
+    this.settings = {};
+    CONTROLLER_SETTINGS.forEach(property => Object.defineProperty(this, property, {
+      get: () => this.settings[property],
+      set: value => {
+        this.settings[property] = value;
+        client.post(MessageType.CONTROLLER_SET, { property, value });
+      },
+    }));
+    client.on(MessageType.RENDERED, ({ frame, frameCount }) => {
+      this.frameCount = frameCount;
+      this.emit("rendered", frame);
+    });
+  }
+
+  start() {}
+  takeSnapshot() { return this.client.request(WorkerAction.TAKE_SNAPSHOT); }
+  restoreSnapshot(snapshot) { return this.client.request(WorkerAction.RESTORE_SNAPSHOT, [snapshot]); }
+
+  /** Начинает запись в воркере; аргумент (рекордер главного потока) не используется */
+  async startRecording() {
+    if (await this.client.request(WorkerAction.START_RECORDING)) this.recorder = true;
+  }
+
+  async stopRecording() {
+    this.recorder = null;
+    return this.client.request(WorkerAction.STOP_RECORDING);
+  }
+
+  /**
+   * Запускает воспроизведение в воркере: запись, проверенная Replayer главного потока, передаётся целиком
+   * @param {Replayer} replayer - Воспроизводимая запись
+   */
+  startReplay(replayer) { return this.client.request(WorkerAction.START_REPLAY, [replayer.recording]); }
+  captureFrames(from, to) { return this.client.request(WorkerAction.CAPTURE_FRAMES, [from, to]); }
+}
+
+// отмена отправляется без ожидания ответа: воркер мог уже закончить или упасть
+const reportCancelError = e => diagnostics.add({ severity: Severity.WARNING, source: DiagnosticSource.APP, message: `Cancel: ${e.message}` });
+
+/** Бенчмарк в воркере с интерфейсом Benchmark (run, cancel) */
+export class RemoteBenchmark {
+  /**
+   * @param {SimulationClient} client - Связь с воркером
+   */
+  constructor(client) { this.client = client; }
+
+  /**
+   * @param {Object} [options] - Параметры Benchmark.run; onProgress вызывается по сообщениям PROGRESS
+   * @returns {Promise<Object[]>} Строки результатов
+   */
+  run({ onProgress, ...options } = {}) { return this.client.request(WorkerAction.RUN_BENCHMARK, [options], { onProgress }); }
+  cancel() { this.client.request(WorkerAction.CANCEL_BENCHMARK).catch(reportCancelError); }
+}
+
+/** Офлайн-запись кадров в воркере с интерфейсом OfflineCapture (run, cancel) */
+export class RemoteOfflineCapture {
+  /**
+   * @param {SimulationClient} client - Связь с воркером
+   */
+  constructor(client) { this.client = client; }
+
+  /**
+   * @param {Object} [options] - Параметры OfflineCapture.run; onProgress вызывается по сообщениям PROGRESS
+   * @returns {Promise<Blob[]>} PNG кадров
+   */
+  run({ onProgress, ...options } = {}) { return this.client.request(WorkerAction.CAPTURE_SEQUENCE, [options], { onProgress }); }
+  cancel() { this.client.request(WorkerAction.CANCEL_CAPTURE).catch(reportCancelError); }
+}
+
+/**
+ * Пересылает в воркер события указателя и колеса над canvas вместе с его прямоугольником.
+ * Указатель захватывается здесь: canvas передан воркеру, но события DOM приходят в главный поток
+ * @param {HTMLCanvasElement} canvas - Canvas, управление которым передано воркеру
+ * @param {SimulationClient} client - Связь с воркером
+ */
+export function forwardInput(canvas, client) {
+  const forward = e => {
+    const { left, top, width, height } = canvas.getBoundingClientRect();
+    client.post(MessageType.INPUT, { event: serializeInputEvent(e), rect: { left, top, width, height } });
+  };
+  canvas.addEventListener("pointerdown", e => {
+    canvas.setPointerCapture(e.pointerId);
+    forward(e);
+  });
+  ["pointermove", "pointerup", "pointercancel"].forEach(type => canvas.addEventListener(type, forward));
+  canvas.addEventListener("wheel", e => {
+    e.preventDefault();
+    forward(e);
+  }, { passive: false });
+  canvas.addEventListener("contextmenu", e => e.preventDefault());
+}
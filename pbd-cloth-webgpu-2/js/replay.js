@@ -0,0 +1,219 @@
+/**
+ * replay.js
+ * Запись и детерминированное воспроизведение ввода.
+ * InputRecorder сохраняет сцену и снимок состояния в момент начала записи, а затем поток ввода:
+ * изменения модели (стратегия и её параметры, гравитация, итерации, подшаги, материал, ткань, закрепление, сущности ECS),
+ * перетаскивание вершин и восстановление снимков. Каждое событие помечено номером шага
+ * от начала записи и применяется при воспроизведении перед этим шагом.
+ * Запись экспортируется в JSON (позиции — base64 от Float32Array) и воспроизводится
+ * Replayer в браузере или replayOnCPU в эталонном CPU-пути (регрессионные тесты в Node).
+ */
+import { serializeScene, parseScene, applyScene, serializeCloth, createCloth, serializeEntities, createEntities } from "./scene.js";
+import { SimulationModel } from "./simulationModel.js";
+import { SimulationController } from "./simulationController.js";
+import { CPUSimulationView } from "./cpuSimulationView.js";
+
+/** Текущая версия формата записи */
+export const RECORDING_VERSION = 1;
+
+/**
+ * События модели, влияющие на физику: как сохранить значение и как применить его снова.
+ * Пауза, масштаб времени и режим отображения не записываются — воспроизведение идёт по шагам
+ */
+const MODEL_EVENTS = {
+  strategyChanged: {
+    save: (strategy, strategies) => Object.keys(strategies).find(name => strategies[name] === strategy),
+    apply: (model, name, strategies) => model.setStrategy(strategies[name]),
+  },
+  strategyParamChanged: { apply: (model, { name, value }) => model.setStrategyParam(name, value) },
+  gravityChanged: { apply: (model, value) => model.setGravity(value) },
+  selfCollisionChanged: { apply: (model, value) => model.setSelfCollision(value) },
+  iterationsChanged: { apply: (model, value) => model.setIterations(value) },
+  substepsChanged: { apply: (model, value) => model.setSubsteps(value) },
+  materialChanged: { apply: (model, value) => model.setMaterial(structuredClone(value)) },
+  clothChanged: {
+    save: cloth => serializeCloth(cloth),
+    apply: (model, value) => model.setCloth(createCloth(value)),
+  },
+  pinsChanged: { apply: (model, value) => model.setPins(value) },
+  attachmentsChanged: { apply: (model, value) => model.setAttachments(value) },
+  entitiesChanged: {
+    save: entities => serializeEntities(entities),
+    apply: (model, value) => model.setEntities(createEntities(value)),
+  },
+};
+
+/**
+ * Кодирует Float32Array в base64
+ * @param {Float32Array} floats
+ * @returns {string}
+ */
+export function encodeFloats(floats) {
+  const bytes = new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+/**
+ * Декодирует base64 из encodeFloats
+ * @param {string} base64
+ * @returns {Float32Array}
+ */
+export function decodeFloats(base64) {
+  return new Float32Array(Uint8Array.from(atob(base64), c => c.charCodeAt(0)).buffer);
+}
+
+/** Снимок в JSON-совместимый вид */
+export function serializeSnapshot({ frame, time, positions, prev }) {
+  return { frame, time, positions: encodeFloats(positions), prev: prev ? encodeFloats(prev) : null };
+}
+
+/** Обратно serializeSnapshot */
+export function parseSnapshot({ frame, time, positions, prev }) {
+  return { frame, time, positions: decodeFloats(positions), prev: prev ? decodeFloats(prev) : null };
+}
+
+/**
+ * Наибольшее отклонение координат вершин двух снимков (для сравнения воспроизведения с эталоном)
+ * @param {{positions: Float32Array}} a
+ * @param {{positions: Float32Array}} b
+ * @returns {number} Infinity, если число вершин различается
+ */
+export function maxDeviation(a, b) {
+  if (a.positions.length !== b.positions.length) return Infinity;
+  let max = 0;
+  for (let k = 0; k < a.positions.length; k += 4) {
+    max = Math.max(max, Math.hypot(a.positions[k] - b.positions[k], a.positions[k + 1] - b.positions[k + 1], a.positions[k + 2] - b.positions[k + 2]));
+  }
+  return max;
+}
+
+export class InputRecorder {
+  /**
+   * @param {SimulationModel} model - Модель, события которой записываются
+   * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени
+   */
+  constructor(model, strategies) {
+    this.model = model;
+    this.strategies = strategies;
+    this.recording = null;
+    Object.entries(MODEL_EVENTS).forEach(([event, { save }]) => model.on(event, value => {
+      this.record("model", { event, value: save ? save(value, strategies) : structuredClone(value) });
+    }));
+  }
+
+  get active() { return this.recording !== null; }
+
+  /**
+   * Начинает запись с текущей сцены; начальное состояние задаёт setInitial, когда его чтение с GPU завершится
+   */
+  start() {
+    this.steps = 0;
+    this.recording = {
+      version: RECORDING_VERSION,
+      scene: serializeScene(this.model, this.strategies),
+      initial: null,
+      events: [],
+    };
+  }
+
+  /**
+   * Задаёт начальное состояние записи
+   * @param {{frame: number, time: number, positions: Float32Array, prev: Float32Array|null}} snapshot - Состояние на момент start
+   */
+  setInitial(snapshot) { if (this.active) this.recording.initial = serializeSnapshot(snapshot); }
+
+  /**
+   * Добавляет событие ввода к шагу, который выполнится следующим
+   * @param {string} type - "model", "vertex", "pinned" или "restore"
+   * @param {Object} data - Данные события
+   */
+  record(type, data) {
+    if (this.active) this.recording.events.push({ step: this.steps, type, data });
+  }
+
+  /** Записывает восстановление снимка (снимок хранится в событии целиком) */
+  recordRestore(snapshot) { this.record("restore", serializeSnapshot(snapshot)); }
+
+  /** Вызывается контроллером после каждого фиксированного шага */
+  advance() { if (this.active) this.steps++; }
+
+  /**
+   * Завершает запись
+   * @param {Object} [final] - Снимок в конце записи (эталон для регрессионной проверки)
+   * @returns {Object} Запись, готовая к JSON.stringify
+   */
+  stop(final) {
+    const recording = { ...this.recording, steps: this.steps, final: final ? serializeSnapshot(final) : null };
+    this.recording = null;
+    return recording;
+  }
+}
+
+export class Replayer {
+  /**
+   * @param {Object|string} recording - Запись InputRecorder или её JSON
+   * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени
+   * @throws {Error} Если версия записи не поддерживается или сцена не проходит проверку
+   */
+  constructor(recording, strategies) {
+    const data = typeof recording === "string" ? JSON.parse(recording) : recording;
+    if (data.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version: ${data.version}`);
+    this.recording = data;
+    this.scene = parseScene(data.scene, Object.keys(strategies));
+    this.strategies = strategies;
+    this.step = 0;
+    this.cursor = 0;
+  }
+
+  /** Все шаги записи выполнены */
+  get done() { return this.step >= this.recording.steps; }
+
+  /**
+   * Применяет сцену записи и восстанавливает начальный снимок
+   * @param {SimulationModel} model - Модель
+   * @param {{restoreState: Function}} view - Представление
+   */
+  begin(model, view) {
+    applyScene(model, this.scene, this.strategies);
+    view.restoreState(parseSnapshot(this.recording.initial));
+  }
+
+  /**
+   * Применяет события, записанные перед текущим шагом
+   * @param {SimulationModel} model - Модель
+   * @param {SimulationController} controller - Контроллер, чьё View получает вершины и снимки
+   */
+  applyEvents(model, controller) {
+    const { events } = this.recording;
+    for (; this.cursor < events.length && events[this.cursor].step <= this.step; this.cursor++) {
+      const { type, data } = events[this.cursor];
+      if (type === "model") MODEL_EVENTS[data.event].apply(model, data.value, this.strategies);
+      else if (type === "vertex") controller.view.setVertex(data.index, data.point, data.pinned);
+      else if (type === "pinned") controller.view.setPinned(data.index, data.pinned);
+      else if (type === "restore") controller.view.restoreState(parseSnapshot(data));
+    }
+  }
+
+  advance() { this.step++; }
+}
+
+/**
+ * Воспроизводит запись в эталонном CPU-пути без DOM и WebGPU
+ * @param {Object|string} recording - Запись или её JSON
+ * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени (CPU, shader = null)
+ * @returns {{time: number, positions: Float32Array, prev: Float32Array|null}} Состояние после последнего шага
+ * @example
+ * const state = replayOnCPU(json, { pbd: new PBDStrategy(null), massspring: new MassSpringStrategy(null), xpbd: new XPBDStrategy(null) });
+ * const recording = JSON.parse(json);
+ * console.log(maxDeviation(state, parseSnapshot(recording.final)));
+ */
+export function replayOnCPU(recording, strategies) {
+  const model = new SimulationModel(null, null, Object.values(strategies)[0]);
+  const controller = new SimulationController(model, new CPUSimulationView(null, model));
+  const replayer = new Replayer(recording, strategies);
+  controller.startReplay(replayer);
+  while (controller.replayer) controller.simulate();
+  return controller.view.readState();
+}
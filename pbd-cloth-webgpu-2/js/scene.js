@@ -0,0 +1,450 @@
+/**
+ * scene.js
+ * Формат файлов сцен: версионированный JSON с описанием ткани (сетка или треугольный меш, закреплённые вершины и группы),
+ * материала, параметров симуляции (стратегия, итерации, подшаги, масштаб времени, флаги),
+ * силовых полей и коллайдеров. Сцены сохраняются в файл, загружаются из файла или URL (#scene=...)
+ * и проверяются перед применением: все ошибки собираются в SceneError с путём до поля.
+ *
+ * Ткань — сетка size×size с шагом spacing или, если задан cloth.mesh, импортированный меш:
+ * позиции xyz, индексы треугольников, UV (необязательно) и группы вершин. Закреплены вершины pins
+ * и группы pinGroups (имена групп меша или групп сетки из gridGroups); pins = null без групп —
+ * закрепление по умолчанию (см. clothMesh.js). Версия 2 добавила pinGroups и mesh, файлы версии 1 читаются как есть.
+ *
+ * Материал (material.js) — пресет по имени (preset) и его значения; заданные в файле поля заменяют значения пресета.
+ * Версия 3 разделила податливость растяжения stretch на основу warp и уток weft и добавила density, rayleigh
+ * и preset; stretch из файлов версий 1 и 2 переносится в warp и weft.
+ *
+ * Анимированные точки крепления cloth.attachments (pinAnimation.js): вершина, её начальное положение origin
+ * и путь {type, ...параметры}; отсутствующие параметры пути берутся по умолчанию для его типа. Добавлены в версии 4.
+ *
+ * Параметры стратегии simulation.strategyParams проверяются по схеме стратегии из реестра (strategyRegistry.js);
+ * отсутствующие берутся по умолчанию. Добавлены в версии 5.
+ *
+ * Необязательное имя name у силового поля и коллайдера — ключ, по которому переключатели UI (пол, сфера, ветер)
+ * находят свои сущности в загруженной сцене.
+ *
+ * Разбор JSON, проверка версии и проверки полей (readScene) общие со сценами первого демо (pbd-cloth-webgpu/main.js).
+ *
+ * Пример сцены (отсутствующие поля берутся по умолчанию):
+ * {
+ *   "version": 5,
+ *   "cloth": { "size": 32, "spacing": 0.05, "pins": [0, 31], "pinGroups": [], "mesh": null,
+ *              "attachments": [{ "vertex": 1008, "origin": [0.775, -0.775, 0], "path": { "type": "circle", "radius": 0.1 } }] },
+ *   "material": { "preset": "cotton", "density": 1, "damping": 0.99, "rayleigh": 1, "compliance": { "warp": 0, "weft": 0, "shear": 1e-6, "bend": 0.001 } },
+ *   "simulation": { "strategy": "xpbd", "iterations": 8, "substeps": 1, "timeScale": 1, "gravity": true, "selfCollision": false,
+ *                   "strategyParams": { "overRelaxation": 1 } },
+ *   "forceFields": [{ "kind": "gravity", "direction": [0, -1, 0], "magnitude": 9.8 }],
+ *   "colliders": [{ "name": "ground", "type": "plane", "center": [0, -0.9, 0], "normal": [0, 1, 0], "friction": 0.6 }]
+ * }
+ */
+import { ColliderType, MAX_COLLIDERS, MAX_FORCE_FIELDS, createCollider, createForceField } from "./ecs.js";
+import { FORCE_FIELDS } from "./forceFields.js";
+import { DEFAULT_MATERIAL, MATERIAL_PRESETS, materialPreset, copyMaterial } from "./material.js";
+import { gridGroups } from "./clothGrid.js";
+import { createSourceMesh } from "./meshImport.js";
+import { PIN_PATHS, MAX_ATTACHMENTS } from "./pinAnimation.js";
+import { strategyRegistry, paramDefaults } from "./strategyRegistry.js";
+
+/** Текущая версия формата; файлы более новых версий не загружаются */
+export const SCENE_VERSION = 5;
+
+/** Имена типов коллайдеров в файле сцены */
+const COLLIDER_NAMES = Object.freeze({
+  sphere: ColliderType.SPHERE, plane: ColliderType.PLANE, box: ColliderType.BOX, capsule: ColliderType.CAPSULE,
+});
+
+/** Ошибка проверки сцены; errors — список сообщений вида "cloth.size: ..." */
+export class SceneError extends Error {
+  constructor(errors) {
+    super(`Invalid scene:\n${errors.join("\n")}`);
+    this.name = "SceneError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Собирает сцену из состояния модели
+ * @param {SimulationModel} model - Модель
+ * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени (ключи <option>)
+ * @returns {Object} Сцена в формате SCENE_VERSION, готовая к JSON.stringify
+ */
+export function serializeScene(model, strategies) {
+  const strategy = Object.keys(strategies).find(name => strategies[name] === model.strategy);
+  return {
+    version: SCENE_VERSION,
+    cloth: serializeCloth(model.cloth),
+    material: { preset: materialPreset(model.material), ...copyMaterial(model.material) },
+    simulation: {
+      strategy, iterations: model.iterations, substeps: model.substeps, timeScale: model.timeScale,
+      strategyParams: { ...model.strategy.values },
+      gravity: model.gravityEnabled, selfCollision: model.selfCollision,
+    },
+    ...serializeEntities(model.entities),
+  };
+}
+
+/**
+ * Переводит описание ткани модели в вид файла сцены (типизированные массивы меша — в массивы чисел)
+ * @param {ClothDescription} cloth - model.cloth
+ * @returns {Object}
+ */
+export function serializeCloth({ size, spacing, pins, pinGroups, mesh, attachments }) {
+  return {
+    size, spacing, pins: pins && [...pins], pinGroups: [...pinGroups],
+    mesh: mesh && {
+      positions: Array.from(mesh.positions), uvs: Array.from(mesh.uvs), indices: Array.from(mesh.indices), groups: structuredClone(mesh.groups),
+    },
+    attachments: structuredClone(attachments),
+  };
+}
+
+/**
+ * Создаёт описание ткани для модели из вида файла сцены (обратно serializeCloth)
+ * @param {Object} cloth - Проверенный раздел cloth
+ * @returns {ClothDescription}
+ */
+export function createCloth({ size, spacing, pins, pinGroups, mesh, attachments }) {
+  return {
+    size, spacing, pins: pins && [...pins], pinGroups: [...pinGroups], mesh: mesh && createSourceMesh(mesh),
+    attachments: structuredClone(attachments),
+  };
+}
+
+/**
+ * Переводит сущности ECS в вид файла сцены (тип коллайдера — по имени)
+ * @param {Array<Entity>} entities - Сущности модели
+ * @returns {{forceFields: Object[], colliders: Object[]}}
+ */
+export function serializeEntities(entities) {
+  const copy = value => (Array.isArray(value) ? [...value] : value);
+  const clone = component => Object.fromEntries(Object.entries(component).map(([key, value]) => [key, copy(value)]));
+  // имя пишется только у именованных сущностей
+  const named = e => (e.get("name") ? { name: e.get("name") } : {});
+  return {
+    forceFields: entities.filter(e => e.get("forceField")).map(e => ({ ...named(e), ...clone(e.get("forceField")) })),
+    colliders: entities.filter(e => e.get("collider")).map(e => {
+      const { type, ...c } = e.get("collider");
+      return { ...named(e), type: Object.keys(COLLIDER_NAMES).find(name => COLLIDER_NAMES[name] === type), ...clone(c) };
+    }),
+  };
+}
+
+/**
+ * Создаёт сущности ECS из силовых полей и коллайдеров в виде файла сцены (обратно serializeEntities)
+ * @param {{forceFields: Object[], colliders: Object[]}} description - Проверенные поля и коллайдеры
+ * @returns {Array<Entity>}
+ */
+export function createEntities({ forceFields, colliders }) {
+  return [
+    ...forceFields.map(({ kind, ...options }) => createForceField(kind, options)),
+    ...colliders.map(({ type, ...options }) => createCollider(COLLIDER_NAMES[type], options)),
+  ];
+}
+
+/**
+ * Разбирает и проверяет сцену
+ * @param {string|Object} source - JSON-текст или уже разобранный объект
+ * @param {string[]} strategyNames - Допустимые имена стратегий
+ * @returns {Object} Сцена с заполненными значениями по умолчанию
+ * @throws {SceneError} Если JSON некорректен или поля не проходят проверку
+ */
+export function parseScene(source, strategyNames) {
+  const { data, errors, check } = readScene(source, SCENE_VERSION, ["cloth", "material", "simulation", "forceFields", "colliders"]);
+  const cloth = check.section("cloth", data.cloth, { size: 32, spacing: 0.05, pins: null, pinGroups: [], mesh: null, attachments: [] });
+  const sizeValid = check.number("cloth.size", cloth.size, { min: 2, max: 256, integer: true });
+  check.number("cloth.spacing", cloth.spacing, { min: 1e-4, max: 1 });
+  let vertexCount = sizeValid ? cloth.size * cloth.size : Infinity;
+  let groupNames = sizeValid ? Object.keys(gridGroups(cloth.size)) : [];
+  if (cloth.mesh !== null) ({ mesh: cloth.mesh, vertexCount, groupNames } = check.mesh("cloth.mesh", cloth.mesh));
+  if (cloth.pins !== null) check.numbers("cloth.pins", cloth.pins, { min: 0, max: vertexCount - 1, integer: true });
+  if (check.array("cloth.pinGroups", cloth.pinGroups)) {
+    cloth.pinGroups.forEach((name, i) => {
+      if (!groupNames.includes(name)) errors.push(`cloth.pinGroups[${i}]: expected one of the cloth's vertex groups (${groupNames.join(", ")}), got ${JSON.stringify(name)}`);
+    });
+  }
+  cloth.attachments = check.list("cloth.attachments", cloth.attachments, MAX_ATTACHMENTS, (path, attachment) => {
+    check.keys(path, attachment, ["vertex", "origin", "path"]);
+    check.number(`${path}.vertex`, attachment.vertex, { min: 0, max: vertexCount - 1, integer: true });
+    check.vector(`${path}.origin`, attachment.origin, 3);
+    if (!check.object(`${path}.path`, attachment.path)) return null;
+    const { type, ...params } = attachment.path;
+    if (!(type in PIN_PATHS)) {
+      errors.push(`${path}.path.type: expected one of ${Object.keys(PIN_PATHS).join(", ")}, got ${JSON.stringify(type)}`);
+      return null;
+    }
+    const defaults = structuredClone(PIN_PATHS[type].defaults);
+    const parsed = type === "keyframes" ? check.keyframes(`${path}.path`, params, defaults) : check.options(`${path}.path`, params, defaults);
+    return { vertex: attachment.vertex, origin: attachment.origin, path: { type, ...defaults, ...parsed } };
+  });
+
+  // значения по умолчанию — пресет из файла (или материал по умолчанию)
+  const presetName = data.material?.preset ?? null;
+  // hasOwn, а не in: имена из Object.prototype ("toString") пресетами не являются
+  const known = Object.hasOwn(MATERIAL_PRESETS, presetName);
+  if (presetName !== null && !known) {
+    errors.push(`material.preset: expected one of ${Object.keys(MATERIAL_PRESETS).join(", ")} or null, got ${JSON.stringify(presetName)}`);
+  }
+  const preset = known ? MATERIAL_PRESETS[presetName] : DEFAULT_MATERIAL;
+  const material = check.section("material", upgradeMaterial(data.version, data.material), { preset: null, ...preset });
+  check.number("material.density", material.density, { min: 0.01, max: 100 });
+  check.number("material.damping", material.damping, { min: 0, max: 1 });
+  check.number("material.rayleigh", material.rayleigh, { min: 0, max: 1000 });
+  material.compliance = check.section("material.compliance", material.compliance, preset.compliance);
+  Object.keys(preset.compliance).forEach(type => check.number(`material.compliance.${type}`, material.compliance[type], { min: 0 }));
+
+  const simulation = check.section("simulation", data.simulation, {
+    strategy: strategyNames[0], iterations: 8, substeps: 1, timeScale: 1, gravity: true, selfCollision: false, strategyParams: {},
+  });
+  if (!strategyNames.includes(simulation.strategy)) {
+    errors.push(`simulation.strategy: expected one of ${strategyNames.join(", ")}, got ${JSON.stringify(simulation.strategy)}`);
+  }
+  check.number("simulation.iterations", simulation.iterations, { min: 1, max: 64, integer: true });
+  check.number("simulation.substeps", simulation.substeps, { min: 1, max: 16, integer: true });
+  check.number("simulation.timeScale", simulation.timeScale, { min: 0, max: 10 });
+  check.boolean("simulation.gravity", simulation.gravity);
+  check.boolean("simulation.selfCollision", simulation.selfCollision);
+  if (check.object("simulation.strategyParams", simulation.strategyParams)) {
+    const schema = strategyRegistry.get(simulation.strategy)?.params ?? [];
+    check.keys("simulation.strategyParams", simulation.strategyParams, schema.map(param => param.name));
+    schema.filter(param => param.name in simulation.strategyParams).forEach(({ name, type, min, max }) => {
+      const path = `simulation.strategyParams.${name}`;
+      if (type === "bool") check.boolean(path, simulation.strategyParams[name]);
+      else check.number(path, simulation.strategyParams[name], { min, max, integer: type !== "f32" });
+    });
+    simulation.strategyParams = { ...paramDefaults(schema), ...simulation.strategyParams };
+  }
+
+  const forceFields = check.list("forceFields", data.forceFields ?? [{ kind: "gravity" }], MAX_FORCE_FIELDS, (path, field) => {
+    if (!FORCE_FIELDS[field.kind]) {
+      errors.push(`${path}.kind: expected one of ${Object.keys(FORCE_FIELDS).join(", ")}, got ${JSON.stringify(field.kind)}`);
+      return null;
+    }
+    const { kind, name = null, ...options } = field;
+    const defaults = createForceField(kind).get("forceField");
+    check.name(`${path}.name`, name);
+    return { kind, name, ...check.options(path, options, defaults) };
+  });
+
+  const colliders = check.list("colliders", data.colliders ?? [], MAX_COLLIDERS, (path, collider) => {
+    if (!(collider.type in COLLIDER_NAMES)) {
+      errors.push(`${path}.type: expected one of ${Object.keys(COLLIDER_NAMES).join(", ")}, got ${JSON.stringify(collider.type)}`);
+      return null;
+    }
+    const { type, name = null, ...options } = collider;
+    const defaults = createCollider(COLLIDER_NAMES[type]).get("collider");
+    delete defaults.type;
+    check.name(`${path}.name`, name);
+    return { type, name, ...check.options(path, options, defaults) };
+  });
+
+  if (errors.length > 0) throw new SceneError(errors);
+  return { version: data.version, cloth, material, simulation, forceFields, colliders };
+}
+
+/**
+ * Общее начало разбора сцены (этот формат и сцены pbd-cloth-webgpu): JSON, разделы верхнего уровня и версия
+ * @param {string|Object} source - JSON-текст или уже разобранный объект
+ * @param {number} version - Поддерживаемая версия формата
+ * @param {string[]} sections - Допустимые разделы, кроме version
+ * @returns {{data: Object, errors: string[], check: Checker}} Объект сцены, накопленные ошибки и проверки,
+ * которые дописывают в errors; если после проверки разделов errors не пуст, вызывающий бросает SceneError
+ * @throws {SceneError} Если JSON некорректен или сцена — не объект
+ */
+export function readScene(source, version, sections) {
+  let data = source;
+  if (typeof source === "string") {
+    try { data = JSON.parse(source); } catch (e) { throw new SceneError([`JSON: ${e.message}`]); }
+  }
+  const errors = [];
+  const check = new Checker(errors);
+  if (!check.object("scene", data)) throw new SceneError(errors);
+
+  check.keys("scene", data, ["version", ...sections]);
+  if (data.version === undefined) errors.push("version: required");
+  else if (check.number("version", data.version, { min: 1, integer: true }) && data.version > version) {
+    errors.push(`version: ${data.version} is newer than supported version ${version}`);
+  }
+  return { data, errors, check };
+}
+
+/**
+ * Применяет проверенную сцену к модели; View и UI обновляются по событиям модели
+ * @param {SimulationModel} model - Модель
+ * @param {Object} scene - Результат parseScene
+ * @param {Object<string, SimulationStrategy>} strategies - Стратегии по имени
+ */
+export function applyScene(model, scene, strategies) {
+  const { cloth, material, simulation } = scene;
+  model.setCloth(createCloth(cloth));
+  model.setMaterial(copyMaterial(material));
+  model.setStrategy(strategies[simulation.strategy]);
+  Object.entries(simulation.strategyParams).forEach(([name, value]) => model.setStrategyParam(name, value));
+  model.setIterations(simulation.iterations);
+  model.setSubsteps(simulation.substeps);
+  model.setTimeScale(simulation.timeScale);
+  model.setGravity(simulation.gravity);
+  model.setSelfCollision(simulation.selfCollision);
+  model.setEntities(createEntities(scene));
+}
+
+/**
+ * Раздел material файлов версий 1 и 2: податливость stretch становится warp и weft
+ * @param {number} version - Версия файла
+ * @param {*} material - Раздел material как в файле
+ * @returns {*} Раздел в формате текущей версии (остальные поля и ошибки формата — без изменений)
+ */
+function upgradeMaterial(version, material) {
+  const compliance = material?.compliance;
+  if (!(version < 3) || compliance === null || typeof compliance !== "object" || !("stretch" in compliance)) return material;
+  const { stretch, ...rest } = compliance;
+  return { ...material, compliance: { warp: stretch, weft: stretch, ...rest } };
+}
+
+/**
+ * Кодирует сцену для URL: base64url от UTF-8 JSON
+ * @param {Object} scene - Сцена
+ * @returns {string} Значение для location.hash (с префиксом "#scene=")
+ */
+export function sceneToHash(scene) {
+  const bytes = new TextEncoder().encode(JSON.stringify(scene));
+  const base64 = btoa(Array.from(bytes, b => String.fromCharCode(b)).join(""));
+  return `#scene=${base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+}
+
+/**
+ * Извлекает JSON сцены из location.hash
+ * @param {string} hash - Значение location.hash
+ * @returns {string|null} JSON-текст или null, если сцены в hash нет
+ * @throws {SceneError} Если значение не является корректным base64url
+ */
+export function sceneFromHash(hash) {
+  const match = /^#scene=([A-Za-z0-9_-]*)$/.exec(hash);
+  if (!match) return null;
+  try {
+    const binary = atob(match[1].replace(/-/g, "+").replace(/_/g, "/"));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  } catch (e) {
+    throw new SceneError([`URL: scene is not valid base64url (${e.message})`]);
+  }
+}
+
+/**
+ * Проверки полей сцены; каждая добавляет сообщение в errors и возвращает, прошло ли значение проверку
+ */
+class Checker {
+  constructor(errors) { this.errors = errors; }
+
+  fail(path, expected, value) {
+    this.errors.push(`${path}: expected ${expected}, got ${JSON.stringify(value)}`);
+    return false;
+  }
+
+  object(path, value) {
+    return (value !== null && typeof value === "object" && !Array.isArray(value)) || this.fail(path, "an object", value);
+  }
+
+  array(path, value) { return Array.isArray(value) || this.fail(path, "an array", value); }
+
+  /** Массив чисел (вершины меша, индексы); сообщается только о первом неподходящем элементе */
+  numbers(path, value, options = {}) {
+    if (!this.array(path, value)) return false;
+    const silent = new Checker([]);
+    const bad = value.findIndex(x => !silent.number(path, x, options));
+    return bad < 0 || this.number(`${path}[${bad}]`, value[bad], options);
+  }
+
+  boolean(path, value) { return typeof value === "boolean" || this.fail(path, "true or false", value); }
+
+  /** Имя сущности: непустая строка или null */
+  name(path, value) { return value === null || (typeof value === "string" && value !== "") || this.fail(path, "a non-empty string or null", value); }
+
+  number(path, value, { min = -Infinity, max = Infinity, integer = false } = {}) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return this.fail(path, "a number", value);
+    if (integer && !Number.isInteger(value)) return this.fail(path, "an integer", value);
+    if (value < min || value > max) return this.fail(path, `a value in [${min}, ${max}]`, value);
+    return true;
+  }
+
+  vector(path, value, length) {
+    if (!Array.isArray(value) || value.length !== length) return this.fail(path, `an array of ${length} numbers`, value);
+    return value.every((x, i) => this.number(`${path}[${i}]`, x));
+  }
+
+  /** Сообщает о полях, которых нет в формате (обычно опечатки) */
+  keys(path, value, known) {
+    Object.keys(value).filter(key => !known.includes(key)).forEach(key => this.errors.push(`${path}.${key}: unknown field`));
+  }
+
+  /**
+   * Импортированный меш ткани: позиции xyz, индексы треугольников, UV (необязательно) и группы вершин
+   * @returns {{mesh: Object, vertexCount: number, groupNames: string[]}} Раздел с полями по умолчанию,
+   * число вершин (Infinity, если позиции некорректны) и имена групп
+   */
+  mesh(path, value) {
+    const mesh = this.section(path, value, { positions: [], uvs: null, indices: [], groups: {} });
+    let vertexCount = Infinity;
+    if (this.numbers(`${path}.positions`, mesh.positions)) {
+      if (mesh.positions.length < 9 || mesh.positions.length % 3 !== 0) {
+        this.errors.push(`${path}.positions: expected xyz of at least 3 vertices, got ${mesh.positions.length} numbers`);
+      } else {
+        vertexCount = mesh.positions.length / 3;
+      }
+    }
+    const vertex = { min: 0, max: vertexCount - 1, integer: true };
+    if (this.numbers(`${path}.indices`, mesh.indices, vertex) && (mesh.indices.length === 0 || mesh.indices.length % 3 !== 0)) {
+      this.errors.push(`${path}.indices: expected triangles (a non-zero multiple of 3 indices), got ${mesh.indices.length} indices`);
+    }
+    if (mesh.uvs !== null && this.numbers(`${path}.uvs`, mesh.uvs) && Number.isFinite(vertexCount) && mesh.uvs.length !== vertexCount * 2) {
+      this.errors.push(`${path}.uvs: expected ${vertexCount * 2} numbers (u, v per vertex), got ${mesh.uvs.length}`);
+    }
+    let groupNames = [];
+    if (this.object(`${path}.groups`, mesh.groups)) {
+      groupNames = Object.keys(mesh.groups);
+      groupNames.forEach(name => this.numbers(`${path}.groups.${name}`, mesh.groups[name], vertex));
+    }
+    return { mesh, vertexCount, groupNames };
+  }
+
+  /** Необязательный объект-раздел: отсутствующие поля берутся из defaults */
+  section(path, value, defaults) {
+    if (value === undefined) return { ...defaults };
+    if (!this.object(path, value)) return { ...defaults };
+    this.keys(path, value, Object.keys(defaults));
+    return { ...defaults, ...value };
+  }
+
+  /** Массив элементов-объектов не длиннее max; parse возвращает разобранный элемент или null */
+  list(path, value, max, parse) {
+    if (!this.array(path, value)) return [];
+    if (value.length > max) this.errors.push(`${path}: at most ${max} items are supported, got ${value.length}`);
+    return value.map((item, i) => (this.object(`${path}[${i}]`, item) ? parse(`${path}[${i}]`, item) : null)).filter(Boolean);
+  }
+
+  /** Параметры пути keyframes: ключи {time, offset} с возрастающим временем и флаг loop */
+  keyframes(path, params, defaults) {
+    this.keys(path, params, Object.keys(defaults));
+    if ("loop" in params) this.boolean(`${path}.loop`, params.loop);
+    if (!("keys" in params)) return params;
+    const keys = this.list(`${path}.keys`, params.keys, Infinity, (keyPath, key) => {
+      this.keys(keyPath, key, ["time", "offset"]);
+      const valid = [this.number(`${keyPath}.time`, key.time, { min: 0 }), this.vector(`${keyPath}.offset`, key.offset, 3)];
+      return valid.every(Boolean) ? key : null;
+    });
+    if (Array.isArray(params.keys) && params.keys.length === 0) this.errors.push(`${path}.keys: expected at least one key`);
+    keys.forEach((key, i) => {
+      if (i > 0 && key.time <= keys[i - 1].time) this.fail(`${path}.keys[${i}].time`, `a time after ${keys[i - 1].time}`, key.time);
+    });
+    return params;
+  }
+
+  /** Параметры фабрики ECS: тип каждого поля (число или вектор) берётся из значения по умолчанию */
+  options(path, options, defaults) {
+    this.keys(path, options, Object.keys(defaults));
+    Object.entries(options).forEach(([key, value]) => {
+      if (!(key in defaults)) return;
+      if (Array.isArray(defaults[key])) this.vector(`${path}.${key}`, value, defaults[key].length);
+      else this.number(`${path}.${key}`, value);
+    });
+    return options;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * selfCollision.js
+ * Самостолкновения ткани на GPU (cloth_self_collision.wgsl).
+ * Раз в шаг строится пространственный хеш (сортировка подсчётом) и ищутся соседи с отталкиванием частиц
+ * ближе thickness: у XPBD хеш строится после predict, отталкивание — после каждой итерации ограничений,
+ * у PBD и Mass-Spring — оба прохода один раз после шага.
+ * Проходы записываются в compute pass стратегии; CPU-эквивалент — spatialHash.js.
+ */
+import { PipelineFactory, WORKGROUP_SIZE } from "./pipelineFactory.js";
+import { SELF_COLLISION_THICKNESS, tableSizeFor } from "./spatialHash.js";
+
+export class SelfCollision {
+  /**
+   * @param {GPUDevice} device - Устройство
+   * @param {string} shader - WGSL код cloth_self_collision.wgsl
+   * @param {Object} [options]
+   * @param {number} [options.thickness=SELF_COLLISION_THICKNESS] - Минимальное расстояние между вершинами
+   */
+  constructor(device, shader, { thickness = SELF_COLLISION_THICKNESS } = {}) {
+    this.device = device;
+    this.thickness = thickness;
+    this.buffers = [];
+
+    const compute = GPUShaderStage.COMPUTE;
+    const storage = { type: "storage" };
+    const { layout, bindGroupLayouts } = PipelineFactory.createPipelineLayout(device, [[
+      { binding: 0, visibility: compute, buffer: storage },
+      { binding: 1, visibility: compute, buffer: { type: "read-only-storage" } },
+      ...[2, 3, 4, 5, 6, 7].map(binding => ({ binding, visibility: compute, buffer: storage })),
+      { binding: 8, visibility: compute, buffer: { type: "uniform" } },
+    ]]);
+    this.bindGroupLayout = bindGroupLayouts[0];
+    this.pipelines = Object.fromEntries(["countCells", "prefixSum", "scatter", "collide", "applyDeltas"]
+      .map(entry => [entry, PipelineFactory.createComputePipeline(device, shader, entry, layout)]));
+  }
+
+  /**
+   * Создаёт буферы хеш-таблицы под меш представления
+   * @param {SimulationView} view - Представление с mesh, posBuffers и vertexCount
+   */
+  setMesh(view) {
+    this.buffers.forEach(buffer => buffer.destroy());
+    this.buffers = [];
+    const track = buffer => { this.buffers.push(buffer); return buffer; };
+    const storage = size => track(this.device.createBuffer({ size, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST }));
+
+    this.vertexCount = view.vertexCount;
+    this.tableSize = tableSizeFor(view.vertexCount);
+    const restBuffer = track(view.createBuffer(view.mesh.positions, GPUBufferUsage.STORAGE));
+    this.countBuffer = storage(this.tableSize * 4);
+    const startBuffer = storage(this.tableSize * 4);
+    const fillBuffer = storage(this.tableSize * 4);
+    const sortedBuffer = storage(view.vertexCount * 4);
+    const cellOfBuffer = storage(view.vertexCount * 4);
+    const deltaBuffer = storage(view.vertexCount * 16);
+    this.paramBuffer = track(this.device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST }));
+
+    // bindGroups[i] работает с результатом шага, читающего posBuffers[i], то есть с posBuffers[1 - i]
+    this.bindGroups = [0, 1].map(i => this.device.createBindGroup({
+      layout: this.bindGroupLayout,
+      entries: [view.posBuffers[1 - i], restBuffer, this.countBuffer, startBuffer, fillBuffer, sortedBuffer, cellOfBuffer, deltaBuffer, this.paramBuffer]
+        .map((buffer, binding) => ({ binding, resource: { buffer } })),
+    }));
+  }
+
+  /**
+   * Записывает параметры и обнуляет счётчики ячеек; вызывается до начала compute pass
+   * @param {GPUCommandEncoder} encoder - Энкодер кадра
+   */
+  prepare(encoder) {
+    const params = new ArrayBuffer(16);
+    new Float32Array(params, 0, 2).set([this.thickness, this.thickness]);
+    new Uint32Array(params, 8, 2).set([this.tableSize, this.vertexCount]);
+    this.device.queue.writeBuffer(this.paramBuffer, 0, params);
+    encoder.clearBuffer(this.countBuffer);
+  }
+
+  /**
+   * Строит хеш по предсказанным позициям. Меняет группу 0 — стратегия должна вернуть свою
+   * @param {GPUComputePassEncoder} pass - Compute pass стратегии
+   * @param {number} current - Индекс буфера позиций, из которого читает шаг
+   */
+  encodeBuild(pass, current) {
+    const vertexGroups = Math.ceil(this.vertexCount / WORKGROUP_SIZE);
+    pass.setBindGroup(0, this.bindGroups[current]);
+    pass.setPipeline(this.pipelines.countCells);
+    pass.dispatchWorkgroups(vertexGroups);
+    pass.setPipeline(this.pipelines.prefixSum);
+    pass.dispatchWorkgroups(1);
+    pass.setPipeline(this.pipelines.scatter);
+    pass.dispatchWorkgroups(vertexGroups);
+  }
+
+  /**
+   * Одна итерация отталкивания. Меняет группу 0 — стратегия должна вернуть свою
+   * @param {GPUComputePassEncoder} pass - Compute pass стратегии
+   * @param {number} current - Индекс буфера позиций, из которого читает шаг
+   */
+  encodeSolve(pass, current) {
+    const vertexGroups = Math.ceil(this.vertexCount / WORKGROUP_SIZE);
+    pass.setBindGroup(0, this.bindGroups[current]);
+    pass.setPipeline(this.pipelines.collide);
+    pass.dispatchWorkgroups(vertexGroups);
+    pass.setPipeline(this.pipelines.applyDeltas);
+    pass.dispatchWorkgroups(vertexGroups);
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * shaderPreprocessor.js
+ * Препроцессор WGSL: шейдерный модуль собирается из файла, общих фрагментов и структур, сгенерированных в JS.
+ * Директивы занимают отдельную строку:
+ *   #include "name"     — текст фрагмента name (путь от каталога shaders); в модуль фрагмент попадает один раз
+ *   #define NAME value  — дальше слово NAME заменяется на value; #define NAME без значения только объявляет имя
+ *   #undef NAME
+ *   #ifdef NAME, #ifndef NAME, #else, #endif — условные блоки, могут быть вложены
+ *   #struct Name        — WGSL-структура Name по описанию полей из options.structs
+ * Описание полей структуры — то же, по которому packStruct упаковывает значения в uniform-буфер,
+ * поэтому раскладка в шейдере и в JS не расходится.
+ * Вместе с кодом возвращается место каждой его строки в исходниках (для журнала диагностики).
+ * Модуль не зависит от WebGPU и DOM и работает в Node.
+ */
+
+/** Типы полей: тип WGSL и запись значения в DataView; bool в uniform-буфере недопустим и передаётся как u32 0 или 1 */
+export const FIELD_TYPES = {
+  f32: { wgsl: "f32", write: (data, offset, value) => data.setFloat32(offset, value, true) },
+  u32: { wgsl: "u32", write: (data, offset, value) => data.setUint32(offset, value, true) },
+  i32: { wgsl: "i32", write: (data, offset, value) => data.setInt32(offset, value, true) },
+  bool: { wgsl: "u32", write: (data, offset, value) => data.setUint32(offset, value ? 1 : 0, true) },
+};
+const FIELD_SIZE = 4;
+
+const DIRECTIVE = /^\s*#(\w+)\s*(.*?)\s*$/;
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+
+/** Ошибка директивы; file и line указывают на строку с директивой */
+export class ShaderPreprocessError extends Error {
+  constructor(file, line, message) {
+    super(`${file ?? "shader"}:${line}: ${message}`);
+    this.name = "ShaderPreprocessError";
+    this.file = file;
+    this.line = line;
+  }
+}
+
+/**
+ * WGSL-объявление структуры: поля в порядке описания
+ * @param {string} name - Имя структуры
+ * @param {Array<{name: string, type: string}>} fields - Поля (типы из FIELD_TYPES)
+ * @returns {string}
+ */
+export function structWGSL(name, fields) {
+  return `struct ${name} {\n${fields.map(field => `  ${field.name}: ${FIELD_TYPES[field.type].wgsl},\n`).join("")}};\n`;
+}
+
+/**
+ * Размер uniform-буфера структуры: скаляры по 4 байта, структура выравнивается до 16 байт
+ * @param {Array} fields - Поля
+ * @returns {number}
+ */
+export function structSize(fields) { return Math.max(16, Math.ceil(fields.length * FIELD_SIZE / 16) * 16); }
+
+/**
+ * Упаковывает значения в порядке полей (как в structWGSL); отсутствующее значение — default поля или 0
+ * @param {Array<{name: string, type: string, default?: *}>} fields - Поля
+ * @param {Object<string, number|boolean>} values - Значения по имени поля
+ * @returns {ArrayBuffer}
+ */
+export function packStruct(fields, values) {
+  const buffer = new ArrayBuffer(structSize(fields));
+  const data = new DataView(buffer);
+  fields.forEach((field, i) => FIELD_TYPES[field.type].write(data, i * FIELD_SIZE, values[field.name] ?? field.default ?? 0));
+  return buffer;
+}
+
+/**
+ * Имена фрагментов из директив #include кода (без вложенных)
+ * @param {string} code - WGSL с директивами
+ * @returns {string[]}
+ */
+export function includeNames(code) {
+  return [...code.matchAll(/^\s*#include\s+"([^"]+)"/gm)].map(match => match[1]);
+}
+
+/**
+ * Собирает шейдерный модуль
+ * @param {string} code - WGSL с директивами
+ * @param {Object} [options]
+ * @param {string|null} [options.file] - Имя файла кода (для сообщений об ошибках и мест строк)
+ * @param {Object<string, string>} [options.includes] - Фрагменты для #include по имени
+ * @param {Object<string, *>} [options.defines] - Начальные #define: true — имя без значения, false и null — не определено
+ * @param {Object<string, Array>} [options.structs] - Описания полей структур для #struct по имени
+ * @returns {{code: string, lines: Array<{file: string|null, line: number}>}} Код и место каждой его строки
+ * @throws {ShaderPreprocessError} Неизвестная директива, фрагмент или структура, несогласованные #ifdef/#endif
+ * @example
+ * preprocessWGSL('#define N 64\n@compute @workgroup_size(N)', {}).code; // "@compute @workgroup_size(64)"
+ */
+export function preprocessWGSL(code, { file = null, includes = {}, defines = {}, structs = {} } = {}) {
+  const macros = new Map(Object.entries(defines)
+    .filter(([, value]) => value !== false && value != null)
+    .map(([name, value]) => [name, value === true ? "" : String(value)]));
+  const included = new Set();
+  const generated = new Set();
+  const output = [];
+  const lines = [];
+  const emit = (text, origin) => { output.push(text); lines.push(origin); };
+  // макросы без значения только объявляют имя и в коде не заменяются
+  const expand = text => text.replace(/\b[A-Za-z_]\w*\b/g, word => macros.get(word) || word);
+
+  const process = (source, name) => {
+    const blocks = [];
+    source.split("\n").forEach((text, i) => {
+      const origin = { file: name, line: i + 1 };
+      const fail = message => { throw new ShaderPreprocessError(name, i + 1, message); };
+      const active = blocks.every(block => block.active);
+      const match = DIRECTIVE.exec(text);
+      if (!match) {
+        if (active) emit(expand(text), origin);
+        return;
+      }
+      const [, directive, arg] = match;
+      const identifier = () => (IDENTIFIER.test(arg.split(/\s+/)[0]) ? arg.split(/\s+/)[0] : fail(`#${directive} expects a name, got "${arg}"`));
+      switch (directive) {
+        case "ifdef":
+        case "ifndef":
+          blocks.push({ active: macros.has(identifier()) === (directive === "ifdef"), line: i + 1, hasElse: false });
+          return;
+        case "else": {
+          const block = blocks.at(-1);
+          if (!block || block.hasElse) fail("#else without #ifdef");
+          block.active = !block.active;
+          block.hasElse = true;
+          return;
+        }
+        case "endif":
+          if (!blocks.pop()) fail("#endif without #ifdef");
+          return;
+      }
+      if (!active) return;
+      switch (directive) {
+        case "define": {
+          const macro = identifier();
+          macros.set(macro, expand(arg.slice(macro.length).trim()));
+          return;
+        }
+        case "undef":
+          macros.delete(identifier());
+          return;
+        case "include": {
+          const include = /^"([^"]+)"$/.exec(arg)?.[1] ?? fail(`#include expects a quoted name, got ${arg}`);
+          if (included.has(include)) return;
+          if (!(include in includes)) fail(`unknown include "${include}"`);
+          included.add(include);
+          process(includes[include], include);
+          return;
+        }
+        case "struct": {
+          const struct = identifier();
+          if (!structs[struct]) fail(`unknown struct "${struct}"`);
+          if (generated.has(struct)) return;
+          generated.add(struct);
+          structWGSL(struct, structs[struct]).trimEnd().split("\n").forEach(line => emit(line, origin));
+          return;
+        }
+        default:
+          fail(`unknown directive #${directive}`);
+      }
+    });
+    if (blocks.length > 0) throw new ShaderPreprocessError(name, blocks.at(-1).line, "#ifdef without #endif");
+  };
+
+  included.add(file);
+  process(code, file);
+  return { code: output.join("\n"), lines };
+}
@@ -1,17 +1,446 @@
 /**
  * simulationController.js
  * Controller MVC для симуляции ткани.
- * Запускает анимационный цикл и обновляет View.
+ * Запускает анимационный цикл с фиксированным шагом, обновляет View и обрабатывает ввод мыши.
+ * Реальное время кадра (умноженное на model.timeScale) копится в аккумуляторе, симуляция
+ * продвигается шагами model.fixedDt, каждый из которых делится на model.substeps вызовов view.step —
+ * поэтому поведение не зависит от частоты обновления экрана (60 Гц или 144 Гц).
+ * Контроллер делает снимки состояния (сразу или на заданных шагах), восстанавливает их,
+ * пишет поток ввода в InputRecorder, воспроизводит записи через Replayer (см. replay.js) и собирает позиции
+ * диапазона кадров для экспорта анимации (captureFrames).
+ * После каждого фиксированного шага испускает событие "frame" с номером кадра, после отрисовки —
+ * "rendered" с реальным временем кадра и временем CPU на шаги и запись команд (Observable).
+ * Пока идёт бенчмарк (benchmark.js) или офлайн-запись кадров (OfflineCapture, capture.js), цикл не шагает
+ * и не рисует: кадрами управляют они.
+ * Перед каждым шагом View ставит вершины анимированных точек крепления (model.cloth.attachments)
+ * в положение на их пути в момент окончания шага.
+ * Ввод мыши:
+ * левая кнопка — действие инструмента tool: "drag" — захват вершины лучом и её перетаскивание с временным закреплением
+ * (или перетаскивание сферического коллайдера, если луч попал в него раньше ткани), "toggle" — закрепление
+ * и открепление вершины щелчком, "paint" — закрепление кистью радиуса brushRadius (с Shift — открепление),
+ * "animate" — добавление точки крепления с путём pathType или её удаление;
+ * правая — вращение камеры, средняя (или Shift + правая) — сдвиг, колесо — приближение.
  * Применяет паттерн MVC.
  */
-export class SimulationController {
+import { pickVertex, intersectPlane, intersectSphere, verticesInSphere } from "./picking.js";
+import { ColliderType } from "./ecs.js";
+import { pinnedVertices } from "./clothMesh.js";
+import { createAttachment, attachmentPosition } from "./pinAnimation.js";
+import { Observable } from "./observable.js";
+
+// ограничение времени кадра (переключение вкладки, точка останова) и числа шагов за кадр,
+// чтобы отставание не накапливалось лавинообразно
+const MAX_FRAME_TIME = 0.25;
+const MAX_STEPS_PER_FRAME = 8;
+
+export class SimulationController extends Observable {
   constructor(model, view) {
+    super();
     this.model = model;
     this.view = view;
     this.frameCount = 0;
+    this.accumulator = 0;
+    this.pendingSteps = 0;
+    this.drag = null;
+    this.cameraDrag = null;
+    this.pickRadius = 0.05;
+    // редактор закрепления: инструмент левой кнопки, радиус кисти и тип пути новых точек крепления
+    this.tool = "drag";
+    this.brushRadius = 0.1;
+    this.pathType = "oscillate";
+    this.edit = null;
+    this.snapshotFrames = new Set();
+    this.recorder = null;
+    // чтение начального состояния идущей записи (startRecording)
+    this.recordingStart = null;
+    this.replayer = null;
+    this.benchmark = null;
+    this.capture = null;
+    this.model.on("pausedChanged", () => { this.accumulator = 0; });
+    this.model.on("stepRequested", () => { if (this.model.paused) this.pendingSteps++; });
   }
   start() {
-    const loop = () => { this.view.renderFrame(this.frameCount++); requestAnimationFrame(loop); };
-    loop();
+    let last = null;
+    const loop = now => {
+      const elapsed = last === null ? 0 : Math.min((now - last) / 1000, MAX_FRAME_TIME);
+      last = now;
+      if (!this.benchmark && !this.capture) {
+        const start = performance.now();
+        this.advance(elapsed);
+        this.view.render();
+        this.emit("rendered", { elapsed, cpuTime: performance.now() - start });
+      }
+      requestAnimationFrame(loop);
+    };
+    requestAnimationFrame(loop);
+  }
+
+  /**
+   * Продвигает симуляцию на прошедшее реальное время: выполняет накопившиеся фиксированные шаги
+   * и шаги, запрошенные кнопкой «шаг». Остаток меньше fixedDt переносится на следующий кадр
+   * @param {number} elapsed - Реальное время с прошлого кадра, с
+   */
+  advance(elapsed) {
+    const { fixedDt } = this.model;
+    if (!this.model.paused) this.accumulator += elapsed * this.model.timeScale;
+    let steps = 0;
+    while (this.accumulator >= fixedDt && steps < MAX_STEPS_PER_FRAME) {
+      this.simulate();
+      this.accumulator -= fixedDt;
+      steps++;
+    }
+    if (steps === MAX_STEPS_PER_FRAME) this.accumulator = 0;
+    for (; this.pendingSteps > 0; this.pendingSteps--) this.simulate();
+  }
+
+  /**
+   * Один фиксированный шаг, разбитый на model.substeps шагов View.
+   * При воспроизведении перед шагом применяются записанные для него события;
+   * по окончании записи симуляция ставится на паузу
+   */
+  simulate() {
+    if (this.replayer) this.replayer.applyEvents(this.model, this);
+    const { fixedDt, substeps } = this.model;
+    for (let i = 0; i < substeps; i++) {
+      this.moveAttachments(this.view.time + fixedDt / substeps);
+      this.view.step(fixedDt / substeps);
+    }
+    this.frameCount++;
+    if (this.recorder) this.recorder.advance();
+    if (this.replayer) {
+      this.replayer.advance();
+      if (this.replayer.done) { this.replayer = null; this.model.setPaused(true); }
+    }
+    if (this.snapshotFrames.has(this.frameCount)) this.takeSnapshot();
+    this.emit("frame", this.frameCount);
+  }
+
+  /**
+   * Ставит вершины точек крепления в их положение в момент time. Не записывается:
+   * при воспроизведении пути вычисляются заново из model.cloth.attachments
+   * @param {number} time - Время симуляции, с
+   */
+  moveAttachments(time) {
+    for (const attachment of this.model.cloth.attachments) this.view.setVertex(attachment.vertex, attachmentPosition(attachment, time), 1);
+  }
+
+  /**
+   * Читает состояние View в снимок и добавляет его в модель
+   * @returns {Promise<Object>} Снимок {frame, time, positions, prev}
+   */
+  async takeSnapshot() {
+    const frame = this.frameCount;
+    const snapshot = { frame, ...await this.view.readState() };
+    this.model.addSnapshot(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Восстанавливает снимок; номер кадра возвращается к кадру снимка
+   * @param {Object} snapshot - Снимок из takeSnapshot
+   */
+  restoreSnapshot(snapshot) {
+    this.view.restoreState(snapshot);
+    this.frameCount = snapshot.frame;
+    if (this.recorder) this.recorder.recordRestore(snapshot);
+  }
+
+  /**
+   * Начинает запись ввода (не во время воспроизведения). Копия состояния ставится в очередь GPU в момент вызова,
+   * а рекордер подключается сразу: шаги и ввод, пришедшие пока чтение не завершилось, попадают в запись
+   * @param {InputRecorder} recorder - Рекордер, подписанный на модель
+   */
+  async startRecording(recorder) {
+    if (this.replayer || recorder.active) return;
+    const frame = this.frameCount;
+    // CPUSimulationView читает состояние синхронно
+    const state = Promise.resolve(this.view.readState());
+    recorder.start();
+    this.recorder = recorder;
+    this.recordingStart = state.then(initial => recorder.setInitial({ frame, ...initial }));
+    try {
+      await this.recordingStart;
+    } catch (e) {
+      // устройство потеряно во время чтения — запись без начального состояния не нужна
+      if (this.recorder === recorder) this.recorder = null;
+      recorder.stop();
+      throw e;
+    }
+  }
+
+  /**
+   * Останавливает запись, добавляя конечный снимок как эталон
+   * @returns {Promise<Object|null>} Запись или null, если запись не шла
+   */
+  async stopRecording() {
+    const recorder = this.recorder;
+    if (!recorder) return null;
+    this.recorder = null;
+    const final = { frame: this.frameCount, ...await this.view.readState() };
+    await this.recordingStart;
+    return recorder.stop(final);
+  }
+
+  /**
+   * Запускает воспроизведение записи с её начального состояния
+   * @param {Replayer} replayer - Воспроизводимая запись
+   */
+  startReplay(replayer) {
+    if (this.recorder) return;
+    this.drag = null;
+    this.edit = null;
+    replayer.begin(this.model, this.view);
+    this.frameCount = 0;
+    this.accumulator = 0;
+    this.replayer = replayer;
+  }
+
+  /**
+   * Собирает позиции кадров from..to по событию "frame". Чтение ставится в очередь сразу после шага,
+   * поэтому кадры приходят в порядке шагов; если кадр from уже пройден, сбор начинается со следующего кадра.
+   * Кадр to может не наступить: сбор отменяется паузой, сменой ткани и возвратом счётчика кадров
+   * (startReplay, restoreSnapshot)
+   * @param {number} from - Первый кадр
+   * @param {number} to - Последний кадр
+   * @returns {Promise<Float32Array[]>} Позиции vec4 каждого кадра
+   * @throws {Error} Если сбор отменён или чтение позиций не удалось
+   */
+  captureFrames(from, to) {
+    if (this.model.paused) return Promise.reject(new Error("Frame capture: the simulation is paused"));
+    return new Promise((resolve, reject) => {
+      const frames = [];
+      let last = this.frameCount;
+      let readError = null;
+      const stop = () => {
+        this.off("frame", onFrame);
+        this.model.off("pausedChanged", onPaused);
+        this.model.off("clothChanged", onCloth);
+      };
+      const cancel = reason => {
+        stop();
+        reject(new Error(`Frame capture: ${reason}`));
+      };
+      const onPaused = paused => { if (paused) cancel("the simulation was paused"); };
+      const onCloth = () => cancel("the cloth was changed");
+      const onFrame = frame => {
+        if (frame <= last) { cancel(`the frame counter went back to ${frame}`); return; }
+        last = frame;
+        if (frame < from) return;
+        // ошибка чтения запоминается, чтобы ни один промис не остался без обработчика
+        frames.push(this.view.readPositions().catch(e => { readError ??= e; return null; }));
+        if (frame < to) return;
+        stop();
+        Promise.all(frames).then(positions => (readError ? reject(readError) : resolve(positions)));
+      };
+      this.on("frame", onFrame);
+      this.model.on("pausedChanged", onPaused);
+      this.model.on("clothChanged", onCloth);
+    });
+  }
+
+  /** Перемещает вершину и записывает это событие */
+  setVertex(index, point, pinned) {
+    this.view.setVertex(index, point, pinned);
+    if (this.recorder) this.recorder.record("vertex", { index, point: [...point], pinned });
+  }
+
+  /** Меняет флаг закрепления вершины и записывает это событие */
+  setPinned(index, pinned) {
+    this.view.setPinned(index, pinned);
+    if (this.recorder) this.recorder.record("pinned", { index, pinned });
+  }
+
+  /**
+   * Подписывает контроллер на события указателя над canvas
+   * @param {HTMLCanvasElement} canvas - Canvas симуляции
+   */
+  bindInput(canvas) {
+    canvas.addEventListener("pointerdown", e => this.onPointerDown(e, canvas));
+    canvas.addEventListener("pointermove", e => this.onPointerMove(e, canvas));
+    canvas.addEventListener("pointerup", e => this.onPointerUp(e, canvas));
+    canvas.addEventListener("pointercancel", e => this.onPointerUp(e, canvas));
+    canvas.addEventListener("wheel", e => this.onWheel(e), { passive: false });
+    canvas.addEventListener("contextmenu", e => e.preventDefault());
+  }
+
+  /**
+   * Переводит координаты указателя в NDC ([-1, 1], Y вверх) и строит луч через View
+   */
+  rayFromEvent(e, canvas) {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width * 2 - 1;
+    const y = 1 - (e.clientY - rect.top) / rect.height * 2;
+    return this.view.screenToRay(x, y);
+  }
+
+  /**
+   * Читает актуальные позиции, выбирает вершину и закрепляет её (w = 1, бесконечная масса).
+   * Исходный флаг сохраняется и восстанавливается при отпускании
+   */
+  async onPointerDown(e, canvas) {
+    if (e.button !== 0) { this.startCameraDrag(e, canvas); return; }
+    // во время воспроизведения ткань управляется записью
+    if (this.drag || this.edit || this.replayer) return;
+    if (this.tool !== "drag") { this.startEdit(e, canvas); return; }
+    canvas.setPointerCapture(e.pointerId);
+    const ray = this.rayFromEvent(e, canvas);
+    const drag = this.drag = { pointerId: e.pointerId, index: -1 };
+
+    let positions;
+    try {
+      positions = await this.view.readPositions();
+    } catch {
+      // устройство потеряно во время чтения — захват отменяется
+      if (this.drag === drag) this.drag = null;
+      return;
+    }
+    // указатель отпущен, пока шло чтение с GPU
+    if (this.drag !== drag) return;
+    const index = pickVertex(positions, ray, this.pickRadius);
+    const sphere = this.pickSphere(ray);
+    const point = index < 0 ? null : [positions[index * 4], positions[index * 4 + 1], positions[index * 4 + 2]];
+    const vertexT = point ? point.reduce((t, x, c) => t + (x - ray.origin[c]) * ray.dir[c], 0) : Infinity;
+    if (sphere && sphere.t < vertexT) {
+      const collider = sphere.entity.get("collider");
+      const hit = ray.origin.map((x, c) => x + ray.dir[c] * sphere.t);
+      Object.assign(drag, {
+        entity: sphere.entity,
+        offset: collider.center.map((x, c) => x - hit[c]),
+        plane: { point: hit, normal: ray.dir.map(v => -v) },
+      });
+      return;
+    }
+    if (index < 0) { this.drag = null; return; }
+
+    Object.assign(drag, {
+      index,
+      pinned: positions[index * 4 + 3],
+      plane: { point, normal: ray.dir.map(v => -v) },
+    });
+    this.setVertex(index, point, 1);
+  }
+
+  /**
+   * Ближайший к камере сферический коллайдер на луче
+   * @returns {{entity: Entity, t: number}|null}
+   */
+  pickSphere(ray) {
+    let best = null;
+    for (const entity of this.model.entities) {
+      const collider = entity.get("collider");
+      if (!collider || collider.type !== ColliderType.SPHERE) continue;
+      const t = intersectSphere(ray, collider.center, collider.radius);
+      if (t >= 0 && (!best || t < best.t)) best = { entity, t };
+    }
+    return best;
+  }
+
+  /**
+   * Начинает правку закрепления инструментом tool; кисть продолжает рисовать при движении указателя
+   */
+  startEdit(e, canvas) {
+    canvas.setPointerCapture(e.pointerId);
+    this.edit = { pointerId: e.pointerId, busy: false };
+    this.applyEdit(e, canvas);
+  }
+
+  /**
+   * Применяет инструмент к вершине под указателем. Позиции читаются асинхронно;
+   * пока идёт чтение, следующие события движения пропускаются
+   */
+  async applyEdit(e, canvas) {
+    const edit = this.edit;
+    if (edit.busy) return;
+    edit.busy = true;
+    const ray = this.rayFromEvent(e, canvas);
+    let positions;
+    try {
+      positions = await this.view.readPositions();
+    } catch {
+      // устройство потеряно во время чтения — правка пропускается, следующая читает заново
+      return;
+    } finally {
+      edit.busy = false;
+    }
+    const index = pickVertex(positions, ray, this.pickRadius);
+    if (index < 0) return;
+    const point = [positions[index * 4], positions[index * 4 + 1], positions[index * 4 + 2]];
+    const { cloth } = this.model;
+    const pins = new Set(pinnedVertices(this.view.mesh, cloth.pins, cloth.pinGroups));
+    if (this.tool === "toggle") {
+      if (!pins.delete(index)) pins.add(index);
+      this.model.setPins([...pins]);
+    } else if (this.tool === "paint") {
+      const brush = verticesInSphere(positions, point, this.brushRadius);
+      const changed = brush.filter(v => pins.has(v) === e.shiftKey);
+      if (changed.length === 0) return;
+      changed.forEach(v => (e.shiftKey ? pins.delete(v) : pins.add(v)));
+      this.model.setPins([...pins]);
+    } else if (this.tool === "animate") {
+      const attachments = cloth.attachments.filter(a => a.vertex !== index);
+      if (attachments.length === cloth.attachments.length) attachments.push(createAttachment(index, point, this.pathType));
+      this.model.setAttachments(attachments);
+    }
+  }
+
+  onPointerMove(e, canvas) {
+    if (this.cameraDrag && this.cameraDrag.pointerId === e.pointerId) { this.moveCamera(e, canvas); return; }
+    if (this.edit && this.edit.pointerId === e.pointerId) {
+      if (this.tool === "paint") this.applyEdit(e, canvas);
+      return;
+    }
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== e.pointerId || (drag.index < 0 && !drag.entity)) return;
+    const point = intersectPlane(this.rayFromEvent(e, canvas), drag.plane);
+    if (!point) return;
+    if (drag.entity) {
+      drag.entity.get("collider").center = point.map((x, c) => x + drag.offset[c]);
+      this.model.updateEntity(drag.entity);
+    } else {
+      this.setVertex(drag.index, point, 1);
+    }
+  }
+
+  onPointerUp(e, canvas) {
+    if (this.cameraDrag && this.cameraDrag.pointerId === e.pointerId) {
+      this.cameraDrag = null;
+      if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+      return;
+    }
+    if (this.edit && this.edit.pointerId === e.pointerId) {
+      this.edit = null;
+      if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+      return;
+    }
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+    if (drag.index >= 0) this.setPinned(drag.index, drag.pinned);
+    this.drag = null;
+  }
+
+  /**
+   * Начинает вращение (правая кнопка) или сдвиг (средняя или Shift) камеры
+   */
+  startCameraDrag(e, canvas) {
+    if (this.cameraDrag) return;
+    canvas.setPointerCapture(e.pointerId);
+    this.cameraDrag = { pointerId: e.pointerId, pan: e.button === 1 || e.shiftKey, x: e.clientX, y: e.clientY };
+  }
+
+  moveCamera(e, canvas) {
+    const drag = this.cameraDrag;
+    const height = canvas.getBoundingClientRect().height;
+    const dx = (e.clientX - drag.x) / height;
+    const dy = (e.clientY - drag.y) / height;
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+    if (drag.pan) this.view.camera.pan(dx, dy);
+    else this.view.camera.orbit(-dx * Math.PI, dy * Math.PI);
+  }
+
+  onWheel(e) {
+    e.preventDefault();
+    this.view.camera.zoom(Math.exp(e.deltaY * 0.001));
   }
 }
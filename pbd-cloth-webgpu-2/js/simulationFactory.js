@@ -0,0 +1,151 @@
+/**
+ * simulationFactory.js
+ * Создание модели, представления и контроллера симуляции без привязки к DOM: одни и те же функции
+ * вызываются в главном потоке (main.js) и в воркере симуляции (simulationWorker.js), где canvas —
+ * OffscreenCanvas. Вместе с ними создаётся StabilityMonitor. Здесь же восстановление после потери
+ * устройства и передача ошибок WebGPU в журнал.
+ * Применяет паттерн Factory.
+ */
+import { PipelineFactory } from "./pipelineFactory.js";
+import { strategyRegistry } from "./strategyRegistry.js";
+// регистрирует встроенные стратегии (PBD, Mass-Spring, XPBD)
+import "./strategies.js";
+import { SimulationModel } from "./simulationModel.js";
+import { SimulationView } from "./simulationView.js";
+import { SimulationController } from "./simulationController.js";
+import { CPUSimulationView } from "./cpuSimulationView.js";
+import { StabilityMonitor } from "./stabilityMonitor.js";
+import { diagnostics, DiagnosticSource } from "./diagnostics.js";
+
+/**
+ * Загрузка WGSL-шейдеров с путями относительно страницы: воркер разрешает относительные URL
+ * от своего скрипта, поэтому ему передаётся адрес страницы
+ * @param {string} baseURL - Адрес, от которого отсчитываются пути "./shaders/..."
+ * @returns {function(string): Promise<string>}
+ */
+export function shaderLoader(baseURL) {
+  // фрагменты из #include загружаются вместе с файлом (имена отсчитываются от ./shaders/)
+  const includeDir = new URL("./shaders/", baseURL).href;
+  return path => PipelineFactory.loadShaderSource(new URL(path, baseURL).href, includeDir);
+}
+
+/**
+ * Создаёт симуляцию WebGPU на canvas: загружает шейдеры, настраивает контекст и MVC компоненты
+ * @param {GPUManager} gpu - Менеджер устройства
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas для WebGPU рендеринга
+ * @param {string} strategyId - Начальная стратегия
+ * @param {function(string): Promise<string>} loadShader - Загрузка WGSL по пути
+ * @returns {Promise<{model: SimulationModel, view: SimulationView, controller: SimulationController, monitor: StabilityMonitor, strategies: Object<string, SimulationStrategy>}>}
+ * @throws {Error} Если загрузка шейдеров или создание ресурсов GPU не удались
+ */
+export async function createGPUSimulation(gpu, canvas, strategyId, loadShader) {
+  // Параллельная загрузка всех шейдеров для оптимизации; шейдеры стратегий берутся из их описаний в реестре
+  const [strategies, clothRenderWGSL, clothNormalsWGSL, colliderRenderWGSL, selfCollisionWGSL, clothForcesWGSL, clothStabilityWGSL] = await Promise.all([
+    strategyRegistry.createAll(loadShader),
+    loadShader("./shaders/cloth_render.wgsl"),
+    loadShader("./shaders/cloth_normals.wgsl"),
+    loadShader("./shaders/collider_render.wgsl"),
+    loadShader("./shaders/cloth_self_collision.wgsl"),
+    loadShader("./shaders/cloth_forces.wgsl"),
+    loadShader("./shaders/cloth_stability.wgsl"),
+  ]);
+
+  const context = gpu.attachCanvas(canvas);
+
+  /**
+   * Модель симуляции - содержит состояние ткани, физические параметры
+   * и активную стратегию обновления (PBD, Mass-Spring или XPBD)
+   */
+  const model = new SimulationModel(gpu.device, gpu.format, strategies[strategyId]);
+
+  /**
+   * Представление - отвечает за визуализацию ткани через WebGPU,
+   * создает пайплайны рендеринга и управляет вершинными буферами
+   */
+  const view = await gpu.validate("Simulation setup", () => new SimulationView(gpu.device, context, gpu.format, model, {
+    render: clothRenderWGSL,
+    normals: clothNormalsWGSL,
+    colliders: colliderRenderWGSL,
+    selfCollision: selfCollisionWGSL,
+    forces: clothForcesWGSL,
+    stability: clothStabilityWGSL,
+  }));
+
+  /**
+   * Контроллер - связывает модель и представление, управляет
+   * основным циклом анимации и обработкой пользовательского ввода
+   */
+  const controller = new SimulationController(model, view);
+  return { model, view, controller, monitor: new StabilityMonitor(model, view, controller), strategies };
+}
+
+/**
+ * Запасной путь без WebGPU: те же модель и контроллер, но шаги считает
+ * CPU-решатель, а ткань рисуется на Canvas 2D
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas для 2D рендеринга
+ * @param {string} strategyId - Начальная стратегия
+ * @returns {Promise<{model: SimulationModel, view: CPUSimulationView, controller: SimulationController, monitor: StabilityMonitor, strategies: Object<string, SimulationStrategy>}>}
+ */
+export async function createCPUSimulation(canvas, strategyId) {
+  // WGSL-код CPU стратегиям не нужен
+  const strategies = await strategyRegistry.createAll(null);
+  const model = new SimulationModel(null, null, strategies[strategyId]);
+  const view = new CPUSimulationView(canvas, model);
+  const controller = new SimulationController(model, view);
+  return { model, view, controller, monitor: new StabilityMonitor(model, view, controller), strategies };
+}
+
+// шагов между контрольными точками состояния для восстановления после потери устройства
+const RECOVERY_CHECKPOINT_FRAMES = 120;
+
+/**
+ * Восстановление после потери устройства: GPUManager пересоздаёт устройство, View переносится на него
+ * (пайплайны и буферы создаются заново), а состояние ткани берётся из последнего снимка —
+ * снимка модели или контрольной точки, которая читается с GPU каждые RECOVERY_CHECKPOINT_FRAMES шагов
+ * @param {GPUManager} gpu - Менеджер устройства
+ * @param {SimulationModel} model - Модель симуляции
+ * @param {SimulationView} view - Представление WebGPU
+ * @param {SimulationController} controller - Контроллер
+ * @param {function(string, boolean=): void} report - Вывод сообщений (второй аргумент — ошибка)
+ */
+export function enableDeviceRecovery(gpu, model, view, controller, report) {
+  let checkpoint = null;
+  let reading = false;
+  controller.on("frame", async frame => {
+    if (frame % RECOVERY_CHECKPOINT_FRAMES !== 0 || reading) return;
+    reading = true;
+    try {
+      checkpoint = { frame, ...await view.readState() };
+    } catch {
+      // устройство потеряно во время чтения — остаётся прежняя контрольная точка
+    }
+    reading = false;
+  });
+  // контрольная точка относится к мешу, для которого прочитана
+  model.on("clothChanged", () => { checkpoint = null; });
+
+  gpu.on("deviceLost", () => report("GPU device lost, recreating..."));
+  gpu.on("recoveryFailed", e => report(`GPU device could not be recreated: ${e.message}`, true));
+  gpu.on("deviceRestored", async device => {
+    model.device = device;
+    await gpu.validate("Device recovery", () => view.setDevice(device));
+    const snapshot = [checkpoint, model.snapshots.at(-1)]
+      .filter(s => s && s.frame <= controller.frameCount && s.positions.length === view.vertexCount * 4)
+      .reduce((latest, s) => (!latest || s.frame > latest.frame ? s : latest), null);
+    if (snapshot) controller.restoreSnapshot(snapshot);
+    report(snapshot ? `GPU device recreated, restored frame ${snapshot.frame}` : "GPU device recreated, cloth reset");
+  });
+}
+
+// ошибки общего устройства попадают в журнал один раз, сколько бы симуляций его ни использовало
+let gpuErrorsReported = false;
+
+/**
+ * Передаёт ошибки WebGPU (validation, out-of-memory, неперехваченные, потеря устройства) в журнал диагностики
+ * @param {GPUManager} gpu - Менеджер устройства
+ */
+export function reportGPUErrors(gpu) {
+  if (gpuErrorsReported) return;
+  gpuErrorsReported = true;
+  gpu.on("error", ({ source, message }) => diagnostics.add({ source: DiagnosticSource.WEBGPU, message: `${source}: ${message}` }));
+}
@@ -1,20 +1,81 @@
 /**
  * simulationModel.js
  * Модель MVC для симуляции ткани.
- * Хранит текущее состояние, стратегию и флаги.
+ * Хранит текущее состояние, стратегию, флаги, описание ткани и материала и сущности ECS
+ * (коллайдеры, силовые поля). Всё это сохраняется в файлы сцен (scene.js).
  * Использует Observable для уведомления View о изменениях.
  */
 import { Observable } from "./observable.js";
+import { createForceField } from "./ecs.js";
+import { DEFAULT_MATERIAL } from "./material.js";
 
 export class SimulationModel extends Observable {
-  constructor(device, format) {
+  constructor(device, format, strategy = null) {
     super();
     this.device = device;
     this.format = format;
-    this.strategy = null;
+    this.strategy = strategy;
     this.gravityEnabled = true;
-    this.entities = [];
+    this.iterations = 8;
+    this.selfCollision = false;
+    this.renderMode = "shaded";
+    // ткань (ClothDescription из clothMesh.js): сетка size×size с шагом spacing или импортированный меш,
+    // закреплённые вершины и группы вершин (pins = null и пустые pinGroups — закрепление по умолчанию),
+    // анимированные точки крепления (pinAnimation.js)
+    this.cloth = { size: 32, spacing: 0.05, pins: null, pinGroups: [], mesh: null, attachments: [] };
+    this.material = DEFAULT_MATERIAL;
+    // цикл с фиксированным шагом: fixedDt делится на substeps, реальное время умножается на timeScale
+    this.fixedDt = 1 / 60;
+    this.substeps = 1;
+    this.timeScale = 1;
+    this.paused = false;
+    // мир ECS по умолчанию — гравитация; коллайдеры и другие поля добавляются через addEntity
+    this.entities = [createForceField("gravity")];
+    // снимки состояния {frame, time, positions, prev}; относятся к текущему мешу и сбрасываются при его смене
+    this.snapshots = [];
+    // StabilityMonitor: проверка порогов и действие при их нарушении (StabilityAction)
+    this.stability = { enabled: true, action: "halveDt" };
   }
   setStrategy(strategy) { this.strategy = strategy; this.emit("strategyChanged", strategy); }
+  /** Параметр активной стратегии по её схеме; событие несёт значение после приведения к типу и диапазону */
+  setStrategyParam(name, value) { this.emit("strategyParamChanged", { name, value: this.strategy.setParam(name, value) }); }
   setGravity(enabled) { this.gravityEnabled = enabled; this.emit("gravityChanged", enabled); }
+  setSelfCollision(enabled) { this.selfCollision = enabled; this.emit("selfCollisionChanged", enabled); }
+  setIterations(count) { this.iterations = count; this.emit("iterationsChanged", count); }
+  setRenderMode(mode) { this.renderMode = mode; this.emit("renderModeChanged", mode); }
+  setSubsteps(count) { this.substeps = count; this.emit("substepsChanged", count); }
+  setTimeScale(scale) { this.timeScale = scale; this.emit("timeScaleChanged", scale); }
+  setPaused(paused) { this.paused = paused; this.emit("pausedChanged", paused); }
+  /** Просит контроллер выполнить один фиксированный шаг (отладка на паузе) */
+  requestStep() { this.emit("stepRequested"); }
+  /** Задаёт ткань; отсутствующие pins, pinGroups, mesh и attachments — по умолчанию (сетка с закреплением по умолчанию) */
+  setCloth(cloth) {
+    this.cloth = { pins: null, pinGroups: [], mesh: null, attachments: [], ...cloth };
+    this.snapshots = [];
+    this.emit("clothChanged", this.cloth);
+    this.emit("snapshotsChanged", this.snapshots);
+  }
+  /**
+   * Меняет закреплённые вершины без пересоздания ткани: pins заменяют закрепление по группам.
+   * View обновляют флаги закрепления, состояние симуляции сохраняется
+   * @param {number[]} pins - Индексы закреплённых вершин
+   */
+  setPins(pins) {
+    this.cloth = { ...this.cloth, pins: [...pins], pinGroups: [] };
+    this.emit("pinsChanged", this.cloth.pins);
+  }
+  /** Заменяет анимированные точки крепления (их вершины закреплены) */
+  setAttachments(attachments) {
+    this.cloth = { ...this.cloth, attachments: [...attachments] };
+    this.emit("attachmentsChanged", this.cloth.attachments);
+  }
+  addSnapshot(snapshot) { this.snapshots.push(snapshot); this.emit("snapshotsChanged", this.snapshots); }
+  /** Меняет часть настроек StabilityMonitor ({enabled, action}) */
+  setStability(stability) { this.stability = { ...this.stability, ...stability }; this.emit("stabilityChanged", this.stability); }
+  setMaterial(material) { this.material = material; this.emit("materialChanged", material); }
+  setEntities(entities) { this.entities = [...entities]; this.emit("entitiesChanged", this.entities); }
+  addEntity(entity) { this.entities.push(entity); this.emit("entitiesChanged", this.entities); }
+  removeEntity(entity) { this.entities = this.entities.filter(e => e !== entity); this.emit("entitiesChanged", this.entities); }
+  /** Сообщает подписчикам, что компоненты сущности изменились (например, коллайдер сдвинут) */
+  updateEntity(entity) { this.emit("entitiesChanged", this.entities); }
 }
@@ -3,31 +3,365 @@
  * View MVC для WebGPU симуляции.
  * Отвечает за рендеринг ткани и работу Compute пайплайнов.
  * Подписывается на события модели (Observer) для обновления параметров.
+ * Коллайдеры сущностей модели упаковываются ColliderSystem в colliderBuffer, который читает XPBD,
+ * силовые поля — ForceFieldPass, чей буфер ускорений читают все стратегии.
+ * Показатели устойчивости для StabilityMonitor сводит на GPU StabilityPass (readStability).
+ * Меш ткани (сетка или импортированный меш) строится по model.cloth и пересоздаётся вместе со всеми
+ * буферами при его изменении. Обратные массы вершин и податливость рёбер зависят от материала модели
+ * и перезаписываются при его смене.
+ * Время проходов GPU замеряет GPUProfiler (timestamp-query), метки кадра разрешаются в render.
+ * После потери устройства setDevice переносит View на новое устройство (см. GPUManager).
  */
 import { PipelineFactory } from "./pipelineFactory.js";
+import { structSize, packStruct } from "./shaderPreprocessor.js";
+import { createClothMesh, clothPinnedVertices } from "./clothMesh.js";
+import { buildNeighbours, packNeighbours } from "./topology.js";
+import { edgeCompliance } from "./constraints.js";
+import { vertexInverseMasses } from "./material.js";
+import { OrbitCamera } from "./camera.js";
+import { ClothRenderer } from "./clothRenderer.js";
+import { ColliderSystem, MAX_COLLIDERS, COLLIDER_FLOATS } from "./ecs.js";
+import { buildColliderMesh } from "./colliderMesh.js";
+import { SelfCollision } from "./selfCollision.js";
+import { ForceFieldPass } from "./forceFieldPass.js";
+import { StabilityPass } from "./stabilityPass.js";
+import { canvasToPNG } from "./capture.js";
+import { GPUProfiler } from "./gpuProfiler.js";
+import { diagnostics, DiagnosticSource } from "./diagnostics.js";
 
 export class SimulationView {
-  constructor(device, context, format, model) {
+  /**
+   * @param {GPUDevice} device - Устройство
+   * @param {GPUCanvasContext} context - Контекст canvas
+   * @param {string} format - Формат canvas
+   * @param {SimulationModel} model - Модель
+   * @param {{render: string, normals: string, colliders: string, selfCollision: string, forces: string, stability: string}} shaders -
+   *   WGSL код для ClothRenderer, самостолкновений, силовых полей и показателей устойчивости
+   */
+  constructor(device, context, format, model, shaders) {
     this.device = device;
     this.context = context;
     this.format = format;
     this.model = model;
-    this.clothSize = 32;
-    this.spacing = 0.05;
+    this.shaders = shaders;
+    this.textureImage = null;
+    this.time = 0;
+    this.dt = model.fixedDt / model.substeps;
+    this.camera = new OrbitCamera();
+    this.profiler = new GPUProfiler(device);
+    this.renderer = new ClothRenderer(device, format, shaders);
+    this.colliderSystem = new ColliderSystem();
+    this.selfCollision = new SelfCollision(device, shaders.selfCollision);
+    this.forceFieldPass = new ForceFieldPass(device, shaders.forces);
+    this.stabilityPass = new StabilityPass(device, shaders.stability);
     this.initBuffers();
-    this.renderPipeline = PipelineFactory.createRenderPipeline(device, format);
+    this.resize();
     this.model.on("strategyChanged", () => this.createCompute());
+    this.model.on("materialChanged", () => this.updateMaterial());
+    this.model.on("clothChanged", () => this.rebuild());
+    this.model.on("pinsChanged", () => this.updatePins());
+    this.model.on("attachmentsChanged", () => this.updatePins());
     this.model.on("gravityChanged", () => this.updateParams());
+    this.model.on("renderModeChanged", mode => this.renderer.setMode(mode));
+    this.model.on("entitiesChanged", entities => this.updateEntities(entities));
     this.createCompute();
+    this.updateParams();
+    this.updateEntities(model.entities);
   }
 
+  /**
+   * Создаёт буферы GPU: два буфера позиций для ping-pong (vec4: xyz + флаг закрепления),
+   * uniform-буфер Params, индексный буфер треугольников (он же читается проходом нормалей),
+   * соседей вершин по рёбрам для PBD и Mass-Spring и обратных масс вершин
+   */
   initBuffers() {
-    // инициализация posBuffers, paramBuffer и indexBuffer
+    const mesh = this.mesh = createClothMesh(this.model.cloth);
+    // у импортированного меша нет размера сетки и шага: поля Params остаются нулевыми
+    this.clothSize = mesh.size ?? 0;
+    this.spacing = mesh.spacing ?? 0;
+    this.vertexCount = mesh.positions.length / 4;
+    this.indexCount = mesh.indices.length;
+    this.pinned = new Set(clothPinnedVertices(mesh, this.model.cloth));
+
+    // Буфер current хранит актуальные позиции: из него читает compute и рисует render
+    this.current = 0;
+    const posUsage = GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+    this.posBuffers = [0, 1].map(() => this.createBuffer(mesh.positions, posUsage));
+    this.indexBuffer = this.createBuffer(mesh.indices, GPUBufferUsage.INDEX | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST);
+
+    const { material } = this.model;
+    const adjacency = buildNeighbours(mesh.indices, mesh.positions, edgeCompliance(mesh, material));
+    this.edgeCount = adjacency.neighbours.length / 2;
+    this.neighbourOffsetBuffer = this.createBuffer(adjacency.offsets, GPUBufferUsage.STORAGE);
+    this.neighbourBuffer = this.createBuffer(new Uint32Array(packNeighbours(adjacency)), GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST);
+    this.invMassBuffer = this.createBuffer(vertexInverseMasses(mesh, material.density), GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST);
+
+    // Params: поля PipelineFactory.PARAMS_STRUCT
+    this.paramBuffer = this.device.createBuffer({ size: structSize(PipelineFactory.PARAMS_STRUCT), usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+
+    // Коллайдеры: массив struct Collider фиксированной ёмкости, число активных — в SimParams
+    this.colliderBuffer = this.device.createBuffer({
+      size: MAX_COLLIDERS * COLLIDER_FLOATS * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    this.renderer.setMesh(this);
+    this.selfCollision.setMesh(this);
+    this.forceFieldPass.setMesh(this);
+    this.stabilityPass.setMesh(this);
+  }
+
+  /**
+   * Пересоздаёт меш по model.cloth: освобождает буферы прежнего меша, создаёт новые
+   * и перепривязывает стратегию. Время симуляции начинается заново
+   */
+  rebuild() {
+    [...this.posBuffers, this.indexBuffer, this.neighbourOffsetBuffer, this.neighbourBuffer, this.invMassBuffer, this.paramBuffer, this.colliderBuffer].forEach(buffer => buffer.destroy());
+    this.time = 0;
+    this.initBuffers();
+    this.createCompute();
+    this.updateParams();
+    this.updateEntities(this.model.entities);
+  }
+
+  /**
+   * Применяет материал модели: перезаписывает податливость рёбер и обратные массы
+   * (размеры буферов не меняются), стратегия обновляет свои буферы тем же writeBuffer — XPBD податливость
+   * ограничений. Буферы не пересоздаются, поэтому ткань сохраняет скорость
+   */
+  updateMaterial() {
+    const { mesh } = this;
+    const { material } = this.model;
+    this.device.queue.writeBuffer(this.neighbourBuffer, 0, packNeighbours(buildNeighbours(mesh.indices, mesh.positions, edgeCompliance(mesh, material))));
+    this.device.queue.writeBuffer(this.invMassBuffer, 0, vertexInverseMasses(mesh, material.density));
+    this.strategy.updateMaterial(this.device, this);
+  }
+
+  /**
+   * Подстраивается под текущий размер canvas: переконфигурирует контекст,
+   * пересоздаёт буфер глубины и меняет соотношение сторон камеры.
+   * Пайплайны при этом не пересоздаются
+   */
+  resize() {
+    const { width, height } = this.context.canvas;
+    this.context.configure({ device: this.device, format: this.format, alphaMode: "opaque" });
+    this.renderer.resize(width, height);
+    this.camera.setAspect(width / height);
+  }
+
+  /**
+   * Устанавливает изображение пользователя как текстуру ткани
+   * @param {ImageBitmap|null} image - Изображение или null для текстуры по умолчанию
+   */
+  setTexture(image) {
+    this.textureImage = image;
+    this.renderer.setTexture(image);
+  }
+
+  /**
+   * Переносит View на новое устройство после потери прежнего: пересоздаёт пайплайны, буферы меша
+   * и ресурсы стратегии. Ресурсы потерянного устройства не освобождаются — они уже недействительны.
+   * Ткань начинается с исходного меша; сохранённое состояние затем восстанавливается через restoreState
+   * @param {GPUDevice} device - Новое устройство
+   */
+  setDevice(device) {
+    this.device = device;
+    this.time = 0;
+    this.strategy = null;
+    this.profiler.setDevice(device);
+    this.renderer = new ClothRenderer(device, this.format, this.shaders);
+    this.renderer.setMode(this.model.renderMode);
+    if (this.textureImage) this.renderer.setTexture(this.textureImage);
+    this.selfCollision = new SelfCollision(device, this.shaders.selfCollision);
+    this.forceFieldPass = new ForceFieldPass(device, this.shaders.forces);
+    this.stabilityPass = new StabilityPass(device, this.shaders.stability);
+    this.initBuffers();
+    this.resize();
+    this.createCompute();
+    this.updateParams();
+    this.updateEntities(this.model.entities);
+  }
+
+  /**
+   * Создаёт GPU буфер и заполняет его данными
+   * @param {Float32Array|Uint32Array} data - Исходные данные
+   * @param {number} usage - Флаги GPUBufferUsage
+   * @returns {GPUBuffer}
+   */
+  createBuffer(data, usage) {
+    const buffer = this.device.createBuffer({ size: data.byteLength, usage, mappedAtCreation: true });
+    new data.constructor(buffer.getMappedRange()).set(data);
+    buffer.unmap();
+    return buffer;
+  }
+
+  /**
+   * Пересоздаёт пайплайны и bind group активной стратегии,
+   * освобождая ресурсы предыдущей
+   */
+  createCompute() {
+    if (this.strategy && this.strategy !== this.model.strategy) this.strategy.destroyResources();
+    this.strategy = this.model.strategy;
+    this.strategy.createResources(this.device, this);
+    this.forceFieldPass.bind(this);
+  }
+
+  /** Число ограничений активной стратегии: ограничения XPBD или рёбра для PBD и Mass-Spring */
+  get constraintCount() { return this.strategy.constraintCount ?? this.edgeCount; }
+
+  /**
+   * Ждёт завершения работы GPU, отправленной к этому моменту (замеры кадра в бенчмарке)
+   * @returns {Promise<void>}
+   */
+  finish() { return this.device.queue.onSubmittedWorkDone(); }
+
+  /**
+   * Копирует актуальные позиции с GPU в CPU память
+   * @returns {Promise<Float32Array>} Позиции vec4 на вершину
+   */
+  async readPositions() {
+    return (await this.readBuffers([this.posBuffers[this.current]]))[0];
   }
 
-  createCompute() { /* создание compute пайплайна */ }
+  /**
+   * Копирует буферы позиций одним submit через staging-буфер
+   * @param {GPUBuffer[]} buffers - Буферы размером vertexCount × vec4
+   * @returns {Promise<Float32Array[]>}
+   */
+  async readBuffers(buffers) {
+    const size = this.vertexCount * 16;
+    const staging = this.device.createBuffer({ size: size * buffers.length, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+    const encoder = this.device.createCommandEncoder();
+    buffers.forEach((buffer, i) => encoder.copyBufferToBuffer(buffer, 0, staging, i * size, size));
+    this.device.queue.submit([encoder.finish()]);
+    await staging.mapAsync(GPUMapMode.READ);
+    const data = staging.getMappedRange();
+    const result = buffers.map((buffer, i) => new Float32Array(data.slice(i * size, (i + 1) * size)));
+    staging.unmap();
+    staging.destroy();
+    return result;
+  }
 
-  updateParams(time = 0) { /* обновление параметров */ }
+  /**
+   * Показатели устойчивости актуальных позиций (StabilityPass); скорость — по последнему подшагу
+   * @returns {Promise<{maxSpeed: number, maxStrain: number, kineticEnergy: number, invalidCount: number, bounds: {min: number[], max: number[]}}>}
+   */
+  readStability() { return this.stabilityPass.measure(this); }
 
-  renderFrame(frameCount) { /* рендеринг кадра */ }
+  /**
+   * Рисует кадр и сохраняет его в PNG: изображение canvas WebGPU доступно только в задаче, где кадр нарисован
+   * @returns {Promise<Blob>}
+   */
+  capturePNG() {
+    this.render();
+    return canvasToPNG(this.context.canvas);
+  }
+
+  /**
+   * Снимок состояния: время, позиции и предыдущие позиции стратегии (скорость Верле), если они есть.
+   * Копирование ставится в очередь сразу, поэтому снимок относится к моменту вызова
+   * @returns {Promise<{time: number, positions: Float32Array, prev: Float32Array|null}>}
+   */
+  async readState() {
+    const time = this.time;
+    const prevBuffer = this.strategy.prevBuffer;
+    const [positions, prev = null] = await this.readBuffers(prevBuffer ? [this.posBuffers[this.current], prevBuffer] : [this.posBuffers[this.current]]);
+    return { time, positions, prev };
+  }
+
+  /**
+   * Записывает снимок в буфер позиций, из которого читает следующий шаг.
+   * Без prev (снимок стратегии без скорости) скорость обнуляется
+   * @param {{time: number, positions: Float32Array, prev: Float32Array|null}} state - Снимок readState
+   */
+  restoreState({ time, positions, prev }) {
+    this.device.queue.writeBuffer(this.posBuffers[this.current], 0, positions);
+    if (this.strategy.prevBuffer) this.device.queue.writeBuffer(this.strategy.prevBuffer, 0, prev ?? positions);
+    this.updateParams(time);
+  }
+
+  /**
+   * Записывает позицию и флаг закрепления вершины в буфер, из которого читает следующий шаг
+   * @param {number} index - Индекс вершины
+   * @param {number[]} point - Новая позиция xyz
+   * @param {number} pinned - Флаг закрепления (w)
+   */
+  setVertex(index, point, pinned) {
+    this.device.queue.writeBuffer(this.posBuffers[this.current], index * 16, new Float32Array([...point, pinned]));
+  }
+
+  /**
+   * Меняет только флаг закрепления вершины, не трогая позицию
+   * @param {number} index - Индекс вершины
+   * @param {number} pinned - Флаг закрепления (w)
+   */
+  setPinned(index, pinned) {
+    this.device.queue.writeBuffer(this.posBuffers[this.current], index * 16 + 12, new Float32Array([pinned]));
+  }
+
+  /**
+   * Приводит флаги закрепления к model.cloth (pins, группы и точки крепления) без пересоздания меша:
+   * записываются только вершины, флаг которых изменился
+   */
+  updatePins() {
+    const pinned = new Set(clothPinnedVertices(this.mesh, this.model.cloth));
+    for (const index of pinned) if (!this.pinned.has(index)) this.setPinned(index, 1);
+    for (const index of this.pinned) if (!pinned.has(index)) this.setPinned(index, 0);
+    this.pinned = pinned;
+  }
+
+  /**
+   * Луч из камеры через точку экрана
+   * @param {number} x - X в NDC
+   * @param {number} y - Y в NDC
+   * @returns {{origin: number[], dir: number[]}}
+   */
+  screenToRay(x, y) {
+    return this.camera.unproject(x, y);
+  }
+
+  /**
+   * Упаковывает коллайдеры и силовые поля в буферы GPU и перестраивает меш коллайдеров для отображения
+   * @param {Array<Entity>} entities - Сущности модели
+   */
+  updateEntities(entities) {
+    this.forceFieldPass.update(entities);
+    this.colliderSystem.update(entities);
+    this.device.queue.writeBuffer(this.colliderBuffer, 0, this.colliderSystem.data);
+    this.renderer.setColliders(buildColliderMesh(entities));
+  }
+
+  updateParams(time = this.time) {
+    this.time = time;
+    const params = packStruct(PipelineFactory.PARAMS_STRUCT, {
+      time, gravityEnabled: this.model.gravityEnabled ? 1 : 0, clothSize: this.clothSize, spacing: this.spacing, dt: this.dt,
+    });
+    this.device.queue.writeBuffer(this.paramBuffer, 0, params);
+  }
+
+  /**
+   * Выполняет один шаг симуляции длиной dt: проход силовых полей и compute проходы стратегии.
+   * Каждый шаг отправляется своим submit, чтобы записанные в uniform-буферы time и dt
+   * относились только к его dispatch
+   * @param {number} dt - Шаг по времени, с
+   */
+  step(dt) {
+    this.dt = dt;
+    this.updateParams(this.time + dt);
+    const encoder = this.device.createCommandEncoder();
+    this.forceFieldPass.encode(encoder, this);
+    this.strategy.encode(encoder, this);
+    this.current = 1 - this.current;
+    this.device.queue.submit([encoder.finish()]);
+  }
+
+  /** Рисует текущее состояние ткани: проход нормалей и render pass; завершает замер кадра GPUProfiler */
+  render() {
+    const encoder = this.device.createCommandEncoder();
+    this.renderer.encode(encoder, this, this.context.getCurrentTexture().createView());
+    this.profiler.resolve(encoder);
+    this.device.queue.submit([encoder.finish()]);
+    // замер читается в фоне; ошибка чтения или подписчика "timings" попадает в журнал, а не в unhandledrejection
+    this.profiler.collect().catch(e => diagnostics.add({ source: DiagnosticSource.APP, message: `GPU profiler: ${e.message}`, stack: e.stack }));
+  }
 }
@@ -0,0 +1,188 @@
+/**
+ * simulationWorker.js
+ * Воркер симуляции: вся работа WebGPU (шаги, отрисовка в OffscreenCanvas, чтение с GPU) идёт здесь,
+ * и ожидание чтения не задерживает ввод и UI главного потока. Воркер создаёт модель, представление
+ * и контроллер (simulationFactory.js; без WebGPU — CPU-решатель с Canvas 2D), пересылает события модели,
+ * кадры, замеры GPU, журнал диагностики и нарушения устойчивости (StabilityMonitor) и выполняет запросы главного потока по протоколу workerProtocol.js.
+ * У воркера своё устройство GPU: устройство нельзя разделить между потоками.
+ * Ввод приходит сообщениями и передаётся контроллеру через InputTarget — тот же интерфейс, что у canvas.
+ */
+import { GPUManager } from "./gpuManager.js";
+import { createGPUSimulation, createCPUSimulation, enableDeviceRecovery, reportGPUErrors, shaderLoader } from "./simulationFactory.js";
+import { InputRecorder, Replayer } from "./replay.js";
+import { Benchmark } from "./benchmark.js";
+import { OfflineCapture } from "./capture.js";
+import { diagnostics, DiagnosticSource } from "./diagnostics.js";
+import { describeIncident } from "./stabilityMonitor.js";
+import { MessageType, WorkerAction, TRANSFERRED_ACTIONS, SYNCED_MODEL_EVENTS, EntityTable, ModelCodec, transferables } from "./workerProtocol.js";
+
+/**
+ * Цель событий ввода для SimulationController.bindInput вместо canvas: прямоугольник canvas приходит
+ * с каждым событием, а захватом указателя занимается главный поток
+ */
+class InputTarget extends EventTarget {
+  constructor() {
+    super();
+    this.rect = { left: 0, top: 0, width: 1, height: 1 };
+  }
+  getBoundingClientRect() { return this.rect; }
+  setPointerCapture() {}
+  hasPointerCapture() { return false; }
+  releasePointerCapture() {}
+
+  /**
+   * Испускает событие из сообщения INPUT
+   * @param {Object} event - Тип и поля события (serializeInputEvent)
+   * @param {{left: number, top: number, width: number, height: number}} rect - Прямоугольник canvas
+   */
+  dispatch({ type, ...fields }, rect) {
+    this.rect = rect;
+    this.dispatchEvent(Object.assign(new Event(type, { cancelable: true }), fields));
+  }
+}
+
+// requestAnimationFrame в воркере есть не во всех браузерах
+if (!self.requestAnimationFrame) self.requestAnimationFrame = callback => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+let simulation = null;
+const input = new InputTarget();
+
+const post = (type, payload = {}, transfer = []) => self.postMessage({ type, ...payload }, transfer);
+const report = (message, isError = false) => post(MessageType.STATUS, { message, isError });
+
+/**
+ * Создаёт симуляцию на переданном canvas и подписывает главный поток на её события
+ * @param {{canvas: OffscreenCanvas, strategy: string, baseURL: string}} options
+ * @returns {Promise<Object>} Начальное состояние модели, представления и контроллера
+ */
+async function init({ canvas, strategy, baseURL }) {
+  let gpu = null;
+  try {
+    gpu = await GPUManager.getInstance();
+    reportGPUErrors(gpu);
+  } catch (e) {
+    console.warn(`${e.message}; симуляция считается на CPU`);
+  }
+  const { model, view, controller, monitor, strategies } = gpu
+    ? await createGPUSimulation(gpu, canvas, strategy, shaderLoader(baseURL))
+    : await createCPUSimulation(canvas, strategy);
+  const codec = new ModelCodec(strategies, new EntityTable("w"));
+  simulation = { model, view, controller, strategies, codec, recorder: new InputRecorder(model, strategies), benchmark: null, capture: null };
+
+  controller.bindInput(input);
+  Object.keys(SYNCED_MODEL_EVENTS).forEach(name => model.on(name, value => post(MessageType.MODEL_EVENT, { name, value: codec.encodeEvent(name, value) })));
+  controller.on("rendered", frame => post(MessageType.RENDERED, {
+    frame, frameCount: controller.frameCount, vertexCount: view.vertexCount, constraintCount: view.constraintCount,
+  }));
+  if (view.profiler) view.profiler.on("timings", timings => post(MessageType.TIMINGS, { timings }));
+  monitor.on("unstable", incident => report(describeIncident(incident)));
+  if (gpu) enableDeviceRecovery(gpu, model, view, controller, report);
+  controller.start();
+  return {
+    model: codec.encodeState(model),
+    view: { vertexCount: view.vertexCount, constraintCount: view.constraintCount, profiler: view.profiler && { supported: view.profiler.supported } },
+    controller: { frameCount: controller.frameCount },
+  };
+}
+
+/** Обработчики REQUEST по действию; аргументы — из сообщения, последний — id запроса */
+const actions = {
+  // ответ на PING означает, что модуль воркера загрузился и принимает сообщения;
+  // результат — есть ли в воркере адаптер WebGPU (устройство запрашивается заранее, INIT его переиспользует)
+  [WorkerAction.PING]: async () => {
+    try {
+      await GPUManager.getInstance();
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  [WorkerAction.INIT]: init,
+  [WorkerAction.READ_POSITIONS]: () => simulation.view.readPositions(),
+  [WorkerAction.READ_STATE]: () => simulation.view.readState(),
+  // снимок приходит в главный поток событием snapshotsChanged
+  [WorkerAction.TAKE_SNAPSHOT]: async () => { await simulation.controller.takeSnapshot(); },
+  [WorkerAction.RESTORE_SNAPSHOT]: snapshot => simulation.controller.restoreSnapshot(snapshot),
+  [WorkerAction.START_RECORDING]: async () => {
+    await simulation.controller.startRecording(simulation.recorder);
+    return simulation.controller.recorder !== null;
+  },
+  [WorkerAction.STOP_RECORDING]: () => simulation.controller.stopRecording(),
+  [WorkerAction.START_REPLAY]: recording => simulation.controller.startReplay(new Replayer(recording, simulation.strategies)),
+  [WorkerAction.CAPTURE_FRAMES]: (from, to) => simulation.controller.captureFrames(from, to),
+  [WorkerAction.SET_TEXTURE]: image => simulation.view.setTexture?.(image),
+  [WorkerAction.RUN_BENCHMARK]: async (options, id) => {
+    const { model, view, controller, strategies } = simulation;
+    simulation.benchmark = new Benchmark(model, view, controller, strategies);
+    try {
+      return await simulation.benchmark.run({ ...options, onProgress: (i, total) => post(MessageType.PROGRESS, { id, value: [i, total] }) });
+    } finally {
+      simulation.benchmark = null;
+    }
+  },
+  [WorkerAction.CANCEL_BENCHMARK]: () => simulation.benchmark?.cancel(),
+  [WorkerAction.CAPTURE_PNG]: () => simulation.view.capturePNG(),
+  [WorkerAction.CAPTURE_SEQUENCE]: async (options, id) => {
+    simulation.capture = new OfflineCapture(simulation.view, simulation.controller);
+    try {
+      return await simulation.capture.run({ ...options, onProgress: (i, total) => post(MessageType.PROGRESS, { id, value: [i, total] }) });
+    } finally {
+      simulation.capture = null;
+    }
+  },
+  [WorkerAction.CANCEL_CAPTURE]: () => simulation.capture?.cancel(),
+};
+
+/**
+ * Выполняет запрос и отвечает RESPONSE; ошибка передаётся текстом
+ * @param {{id: number, action: string, args: Array}} message
+ */
+async function handleRequest({ id, action, args }) {
+  try {
+    const result = await actions[action](...args, id);
+    post(MessageType.RESPONSE, { id, result }, TRANSFERRED_ACTIONS.has(action) ? transferables(result) : []);
+  } catch (e) {
+    post(MessageType.RESPONSE, { id, error: e.message });
+  }
+}
+
+/**
+ * Вызывает метод модели из сообщения MODEL_CALL. Стратегия, зарегистрированная только в главном потоке,
+ * воркеру неизвестна — об этом сообщается в журнал
+ * @param {{method: string, args: Array}} message
+ */
+function callModel({ method, args }) {
+  const { model, codec } = simulation;
+  if (method === "setStrategy" && !simulation.strategies[args[0]]) {
+    diagnostics.add({ source: DiagnosticSource.APP, message: `Strategy "${args[0]}" is not registered in the simulation worker` });
+    return;
+  }
+  model[method](...codec.decodeCall(method, args));
+}
+
+self.addEventListener("message", ({ data }) => {
+  // до ответа на INIT главный поток шлёт только запросы
+  if (!simulation && data.type !== MessageType.REQUEST) return;
+  switch (data.type) {
+    case MessageType.REQUEST: handleRequest(data); break;
+    case MessageType.MODEL_CALL: callModel(data); break;
+    case MessageType.CONTROLLER_SET: simulation.controller[data.property] = data.value; break;
+    case MessageType.INPUT: input.dispatch(data.event, data.rect); break;
+    case MessageType.RESIZE: {
+      const { view } = simulation;
+      const canvas = view.context?.canvas ?? view.canvas;
+      canvas.width = data.width;
+      canvas.height = data.height;
+      view.resize();
+      break;
+    }
+  }
+});
+
+// записи журнала воркера (ошибки WebGPU, сообщения компиляции шейдеров) дублируются в журнал страницы
+let lastEntry = 0;
+diagnostics.captureGlobalErrors(self);
+diagnostics.on("changed", entries => {
+  entries.filter(entry => entry.id > lastEntry).forEach(entry => post(MessageType.DIAGNOSTIC, { entry }));
+  lastEntry = entries.at(-1)?.id ?? lastEntry;
+});
@@ -0,0 +1,119 @@
+/**
+ * spatialHash.js
+ * CPU-версия самостолкновений из cloth_self_collision.wgsl: пространственный хеш,
+ * построенный сортировкой подсчётом (countCells → prefixSum → scatter), поиск соседей
+ * в 27 ячейках и отталкивание частиц ближе минимальной толщины.
+ * Порядок вершин внутри ячейки может отличаться от GPU (там он зависит от atomicAdd),
+ * но набор соседей тот же. Не зависит от WebGPU и DOM.
+ */
+
+/** Минимальное расстояние между вершинами ткани по умолчанию */
+export const SELF_COLLISION_THICKNESS = 0.03;
+
+/**
+ * Размер хеш-таблицы: степень двойки не меньше удвоенного числа вершин
+ * @param {number} vertexCount - Количество вершин
+ * @returns {number}
+ */
+export function tableSizeFor(vertexCount) {
+  let size = 1;
+  while (size < vertexCount * 2) size *= 2;
+  return size;
+}
+
+/**
+ * Хеш целочисленной ячейки, как hashCell в WGSL (умножение u32 с переполнением)
+ * @returns {number} Индекс корзины в [0, tableSize)
+ */
+export function hashCell(x, y, z, tableSize) {
+  const h = (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) >>> 0;
+  return h % tableSize;
+}
+
+const cellCoord = (positions, i, cellSize) => [0, 1, 2].map(c => Math.floor(positions[i * 4 + c] / cellSize));
+
+/**
+ * Строит пространственный хеш сортировкой подсчётом
+ * @param {Float32Array} positions - Позиции vec4
+ * @param {number} cellSize - Размер ячейки
+ * @param {number} tableSize - Число корзин
+ * @returns {{cellCount: Uint32Array, cellStart: Uint32Array, sortedIds: Uint32Array, cellOf: Uint32Array, cellSize: number, tableSize: number}}
+ * @example
+ * const hash = buildSpatialHash(positions, 0.03, tableSizeFor(positions.length / 4));
+ */
+export function buildSpatialHash(positions, cellSize, tableSize) {
+  const count = positions.length / 4;
+  const cellCount = new Uint32Array(tableSize);
+  const cellOf = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    cellOf[i] = hashCell(...cellCoord(positions, i, cellSize), tableSize);
+    cellCount[cellOf[i]]++;
+  }
+
+  const cellStart = new Uint32Array(tableSize);
+  for (let h = 1; h < tableSize; h++) cellStart[h] = cellStart[h - 1] + cellCount[h - 1];
+
+  const fill = cellStart.slice();
+  const sortedIds = new Uint32Array(count);
+  for (let i = 0; i < count; i++) sortedIds[fill[cellOf[i]]++] = i;
+  return { cellCount, cellStart, sortedIds, cellOf, cellSize, tableSize };
+}
+
+/**
+ * Вызывает callback для каждой вершины из 27 ячеек вокруг точки (каждая корзина один раз)
+ * @param {Object} hash - Результат buildSpatialHash
+ * @param {number[]} point - Точка xyz
+ * @param {function(number): void} callback - Получает индекс вершины
+ */
+export function forEachNeighbour(hash, point, callback) {
+  const bx = Math.floor(point[0] / hash.cellSize);
+  const by = Math.floor(point[1] / hash.cellSize);
+  const bz = Math.floor(point[2] / hash.cellSize);
+  const visited = [];
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const h = hashCell(bx + dx, by + dy, bz + dz, hash.tableSize);
+        if (visited.includes(h)) continue;
+        visited.push(h);
+        const end = hash.cellStart[h] + hash.cellCount[h];
+        for (let k = hash.cellStart[h]; k < end; k++) callback(hash.sortedIds[k]);
+      }
+    }
+  }
+}
+
+/**
+ * Аналог collide() + applyDeltas() из cloth_self_collision.wgsl для всех вершин
+ * @param {Float32Array} positions - Позиции vec4, изменяются на месте
+ * @param {Float32Array} restPositions - Исходные позиции vec4
+ * @param {Object} hash - Результат buildSpatialHash
+ * @param {number} thickness - Минимальное расстояние между вершинами
+ */
+export function solveSelfCollisions(positions, restPositions, hash, thickness) {
+  const count = positions.length / 4;
+  const deltas = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    if (positions[i * 4 + 3] > 0.5) continue;
+    const p = [positions[i * 4], positions[i * 4 + 1], positions[i * 4 + 2]];
+    let hits = 0;
+    forEachNeighbour(hash, p, j => {
+      if (j === i) return;
+      const dx = p[0] - positions[j * 4], dy = p[1] - positions[j * 4 + 1], dz = p[2] - positions[j * 4 + 2];
+      const dist = Math.hypot(dx, dy, dz);
+      if (dist >= thickness || dist < 1e-6) return;
+      const rest = Math.hypot(restPositions[i * 4] - restPositions[j * 4],
+        restPositions[i * 4 + 1] - restPositions[j * 4 + 1], restPositions[i * 4 + 2] - restPositions[j * 4 + 2]);
+      if (rest <= thickness) return;
+      const scale = (thickness - dist) / dist * (positions[j * 4 + 3] > 0.5 ? 1 : 0.5);
+      deltas[i * 3] += dx * scale;
+      deltas[i * 3 + 1] += dy * scale;
+      deltas[i * 3 + 2] += dz * scale;
+      hits++;
+    });
+    if (hits > 0) for (let c = 0; c < 3; c++) deltas[i * 3 + c] /= hits;
+  }
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < 3; c++) positions[i * 4 + c] += deltas[i * 3 + c];
+  }
+}
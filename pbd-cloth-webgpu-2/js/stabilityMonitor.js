@@ -0,0 +1,176 @@
+/**
+ * stabilityMonitor.js
+ * Обнаружение «взрыва» симуляции. Каждые interval кадров StabilityMonitor читает из View показатели
+ * устойчивости (readStability: на GPU их сводит StabilityPass, на CPU — measureStability) и сравнивает
+ * с порогами. Пока показатели в норме, вместе с ними читается состояние — последняя хорошая точка.
+ * При нарушении порогов испускается событие "unstable", запись попадает в журнал диагностики,
+ * а действие из model.stability откатывает ткань к хорошей точке и делает шаг устойчивее:
+ * вдвое больше подшагов (dt вдвое меньше) или вдвое больше итераций. Когда усиливать некуда
+ * или хорошей точки нет, ткань создаётся заново. Во время записи, воспроизведения и бенчмарка
+ * состояние не меняется — нарушение только сообщается.
+ * Применяет паттерн Observer (события "unstable" и "recovered").
+ */
+import { Observable } from "./observable.js";
+import { diagnostics, Severity, DiagnosticSource } from "./diagnostics.js";
+
+/**
+ * Пороги по умолчанию: скорость незакреплённой вершины, м/с; относительное растяжение ребра;
+ * кинетическая энергия на вершину (масса вершины хлопка ≈ 1); число вершин с NaN или Inf;
+ * наибольшая по модулю координата ограничивающего прямоугольника, м
+ */
+export const DEFAULT_STABILITY_THRESHOLDS = Object.freeze({ maxSpeed: 50, maxStrain: 2, kineticEnergyPerVertex: 500, invalidCount: 0, extent: 20 });
+
+/** Действие при нарушении порогов (значения <select> в UI) */
+export const StabilityAction = Object.freeze({ NONE: "none", HALVE_DT: "halveDt", ITERATIONS: "iterations" });
+
+/** Пределы усиления — те же, что у полей ввода подшагов и итераций */
+export const MAX_SUBSTEPS = 16;
+export const MAX_ITERATIONS = 64;
+
+/**
+ * Эталонный расчёт показателей устойчивости на CPU (то же, что cloth_stability.wgsl)
+ * @param {Object} state
+ * @param {Float32Array} state.positions - Позиции vec4 после шага (w — флаг закрепления)
+ * @param {Float32Array} state.previous - Позиции vec4 до шага
+ * @param {Float32Array} state.invMasses - Обратные массы вершин
+ * @param {{offsets: Uint32Array, neighbours: Uint32Array, rest: Float32Array}} state.neighbours - Соседи (buildNeighbours)
+ * @param {number} state.dt - Длина шага, с
+ * @returns {{maxSpeed: number, maxStrain: number, kineticEnergy: number, invalidCount: number, bounds: {min: number[], max: number[]}}}
+ */
+export function measureStability({ positions, previous, invMasses, neighbours: { offsets, neighbours, rest }, dt }) {
+  const stats = { maxSpeed: 0, maxStrain: 0, kineticEnergy: 0, invalidCount: 0, bounds: { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] } };
+  const finite = (data, i) => Number.isFinite(data[i * 4]) && Number.isFinite(data[i * 4 + 1]) && Number.isFinite(data[i * 4 + 2]);
+  const distance = (a, i, b, j) => Math.hypot(a[i * 4] - b[j * 4], a[i * 4 + 1] - b[j * 4 + 1], a[i * 4 + 2] - b[j * 4 + 2]);
+  for (let i = 0; i < positions.length / 4; i++) {
+    if (!finite(positions, i) || !finite(previous, i)) { stats.invalidCount++; continue; }
+    if (positions[i * 4 + 3] < 0.5 && invMasses[i] > 0) {
+      const speed = distance(positions, i, previous, i) / dt;
+      stats.maxSpeed = Math.max(stats.maxSpeed, speed);
+      stats.kineticEnergy += 0.5 * speed * speed / invMasses[i];
+    }
+    for (let n = offsets[i]; n < offsets[i + 1]; n++) {
+      if (rest[n] > 0 && finite(positions, neighbours[n])) stats.maxStrain = Math.max(stats.maxStrain, Math.abs(distance(positions, i, positions, neighbours[n]) - rest[n]) / rest[n]);
+    }
+    for (let axis = 0; axis < 3; axis++) {
+      stats.bounds.min[axis] = Math.min(stats.bounds.min[axis], positions[i * 4 + axis]);
+      stats.bounds.max[axis] = Math.max(stats.bounds.max[axis], positions[i * 4 + axis]);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Нарушенные пороги
+ * @param {Object} stats - Показатели (measureStability или View.readStability)
+ * @param {number} vertexCount - Число вершин
+ * @param {Object} [thresholds] - Пороги (DEFAULT_STABILITY_THRESHOLDS)
+ * @returns {Array<{metric: string, value: number, limit: number}>} Пустой массив, если всё в норме
+ */
+export function checkStability(stats, vertexCount, thresholds = DEFAULT_STABILITY_THRESHOLDS) {
+  // без конечных вершин прямоугольник пуст, и его размер не проверяется
+  const extent = stats.invalidCount < vertexCount ? Math.max(...stats.bounds.min.map(Math.abs), ...stats.bounds.max.map(Math.abs)) : 0;
+  const values = {
+    maxSpeed: stats.maxSpeed,
+    maxStrain: stats.maxStrain,
+    kineticEnergyPerVertex: stats.kineticEnergy / vertexCount,
+    invalidCount: stats.invalidCount,
+    extent,
+  };
+  // NaN в показателе (например, энергия при переполнении) тоже нарушение
+  return Object.entries(values)
+    .filter(([metric, value]) => !(value <= thresholds[metric]))
+    .map(([metric, value]) => ({ metric, value, limit: thresholds[metric] }));
+}
+
+/**
+ * Текст о нарушении для строки статуса и журнала
+ * @param {{frame: number, violations: Array<{metric: string, value: number, limit: number}>, recovery: string|null}} incident
+ * @returns {string}
+ */
+export function describeIncident({ frame, violations, recovery }) {
+  const list = violations.map(({ metric, value, limit }) => `${metric} ${Number(value).toPrecision(3)} > ${limit}`).join(", ");
+  return `Simulation unstable at frame ${frame}: ${list}${recovery ? `; ${recovery}` : ""}`;
+}
+
+export class StabilityMonitor extends Observable {
+  /**
+   * @param {SimulationModel} model - Модель; настройки — model.stability
+   * @param {SimulationView|CPUSimulationView} view - Представление с readStability и readState
+   * @param {SimulationController} controller - Контроллер (событие "frame", restoreSnapshot)
+   * @param {Object} [options]
+   * @param {number} [options.interval=10] - Кадров между проверками
+   * @param {Object} [options.thresholds] - Пороги (DEFAULT_STABILITY_THRESHOLDS)
+   */
+  constructor(model, view, controller, { interval = 10, thresholds = DEFAULT_STABILITY_THRESHOLDS } = {}) {
+    super();
+    this.model = model;
+    this.view = view;
+    this.controller = controller;
+    this.interval = interval;
+    this.thresholds = { ...DEFAULT_STABILITY_THRESHOLDS, ...thresholds };
+    // последнее состояние, прошедшее проверку: {frame, time, positions, prev}
+    this.lastGood = null;
+    this.checking = false;
+    controller.on("frame", frame => {
+      if (frame % this.interval === 0 && !this.checking && model.stability.enabled && !controller.benchmark) this.check(frame);
+    });
+    // хорошая точка относится к мешу, для которого прочитана
+    model.on("clothChanged", () => { this.lastGood = null; });
+  }
+
+  /**
+   * Читает показатели и, пока они в норме, состояние; при нарушении порогов — restore
+   * @param {number} frame - Номер кадра
+   */
+  async check(frame) {
+    this.checking = true;
+    const { view } = this;
+    const vertexCount = view.vertexCount;
+    try {
+      const [stats, state] = await Promise.all([view.readStability(), view.readState()]);
+      // ткань сменилась во время чтения — показатели относятся к прежнему мешу
+      if (view.vertexCount !== vertexCount) return;
+      const violations = checkStability(stats, vertexCount, this.thresholds);
+      if (violations.length === 0) this.lastGood = { frame, ...state };
+      else this.recover({ frame, stats, violations });
+    } catch {
+      // устройство потеряно во время чтения — проверка пропускается
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Сообщает о нарушении и выполняет действие model.stability.action
+   * @param {{frame: number, stats: Object, violations: Array<Object>}} incident
+   */
+  recover(incident) {
+    const { model, controller } = this;
+    const replaying = controller.recorder || controller.replayer;
+    const action = replaying ? StabilityAction.NONE : model.stability.action;
+    const recovery = action === StabilityAction.NONE ? null : this.rollback(action);
+    this.emit("unstable", { ...incident, recovery });
+    diagnostics.add({ severity: Severity.WARNING, source: DiagnosticSource.SIMULATION, message: describeIncident({ ...incident, recovery }) });
+    if (recovery) this.emit("recovered", { ...incident, recovery });
+  }
+
+  /**
+   * Откатывает ткань к хорошей точке и усиливает шаг
+   * @param {string} action - StabilityAction.HALVE_DT или StabilityAction.ITERATIONS
+   * @returns {string} Что сделано
+   */
+  rollback(action) {
+    const { model } = this;
+    const halve = action === StabilityAction.HALVE_DT;
+    const current = halve ? model.substeps : model.iterations;
+    const next = Math.min(current * 2, halve ? MAX_SUBSTEPS : MAX_ITERATIONS);
+    if (!this.lastGood || next === current) {
+      model.setCloth(model.cloth);
+      return "cloth reset";
+    }
+    this.controller.restoreSnapshot(this.lastGood);
+    if (halve) model.setSubsteps(next);
+    else model.setIterations(next);
+    return `rolled back to frame ${this.lastGood.frame}, ${halve ? `substeps ${next}` : `iterations ${next}`}`;
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * stabilityPass.js
+ * Compute редукция показателей устойчивости (cloth_stability.wgsl) для StabilityMonitor:
+ * максимальная скорость и деформация рёбер, кинетическая энергия, число вершин с NaN или Inf
+ * и ограничивающий прямоугольник ткани. Первый проход сводит вершины каждой рабочей группы,
+ * второй — результаты групп; с GPU читаются только 48 байт. CPU-эквивалент — measureStability (stabilityMonitor.js).
+ */
+import { PipelineFactory, WORKGROUP_SIZE } from "./pipelineFactory.js";
+import { structSize, packStruct } from "./shaderPreprocessor.js";
+
+/** Поля uniform-структуры StabilityParams (#struct StabilityParams в cloth_stability.wgsl) */
+const STABILITY_PARAMS_STRUCT = [
+  { name: "vertexCount", type: "u32" },
+  { name: "partialCount", type: "u32" },
+  { name: "dt", type: "f32" },
+];
+
+/** Размер struct Stats: четыре f32 и два vec4 */
+const STATS_SIZE = 48;
+
+export class StabilityPass {
+  /**
+   * @param {GPUDevice} device - Устройство
+   * @param {string} shader - WGSL код cloth_stability.wgsl
+   */
+  constructor(device, shader) {
+    this.device = device;
+    this.buffers = [];
+
+    const compute = GPUShaderStage.COMPUTE;
+    const readOnly = { type: "read-only-storage" };
+    const { layout, bindGroupLayouts } = PipelineFactory.createPipelineLayout(device, [[
+      { binding: 0, visibility: compute, buffer: { type: "uniform" } },
+      ...[1, 2, 3, 4, 5].map(binding => ({ binding, visibility: compute, buffer: readOnly })),
+      ...[6, 7].map(binding => ({ binding, visibility: compute, buffer: { type: "storage" } })),
+    ]]);
+    this.bindGroupLayout = bindGroupLayouts[0];
+    this.pipelines = Object.fromEntries(["reduceVertices", "reducePartials"]
+      .map(entry => [entry, PipelineFactory.createComputePipeline(device, shader, entry, layout, { structs: { StabilityParams: STABILITY_PARAMS_STRUCT } })]));
+    this.paramBuffer = device.createBuffer({ size: structSize(STABILITY_PARAMS_STRUCT), usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+  }
+
+  /**
+   * Создаёт буферы редукции и bind group под меш представления
+   * @param {SimulationView} view - Представление с posBuffers, буферами соседей и обратных масс
+   */
+  setMesh(view) {
+    this.buffers.forEach(buffer => buffer.destroy());
+    this.buffers = [];
+    const track = buffer => { this.buffers.push(buffer); return buffer; };
+
+    this.vertexCount = view.vertexCount;
+    this.partialCount = Math.ceil(view.vertexCount / WORKGROUP_SIZE);
+    const partialBuffer = track(this.device.createBuffer({ size: this.partialCount * STATS_SIZE, usage: GPUBufferUsage.STORAGE }));
+    this.resultBuffer = track(this.device.createBuffer({ size: STATS_SIZE, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC }));
+
+    // bindGroups[i] — для позиций posBuffers[i] после шага, который читал posBuffers[1 - i]
+    this.bindGroups = [0, 1].map(i => this.device.createBindGroup({
+      layout: this.bindGroupLayout,
+      entries: [this.paramBuffer, view.posBuffers[i], view.posBuffers[1 - i], view.neighbourOffsetBuffer, view.neighbourBuffer,
+        view.invMassBuffer, partialBuffer, this.resultBuffer].map((buffer, binding) => ({ binding, resource: { buffer } })),
+    }));
+  }
+
+  /**
+   * Сводит показатели для позиций view.posBuffers[view.current]; скорость — по последнему подшагу длиной view.dt
+   * @param {SimulationView} view - Представление
+   * @returns {Promise<{maxSpeed: number, maxStrain: number, kineticEnergy: number, invalidCount: number, bounds: {min: number[], max: number[]}}>}
+   */
+  async measure(view) {
+    this.device.queue.writeBuffer(this.paramBuffer, 0, packStruct(STABILITY_PARAMS_STRUCT, {
+      vertexCount: this.vertexCount, partialCount: this.partialCount, dt: view.dt,
+    }));
+    const staging = this.device.createBuffer({ size: STATS_SIZE, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+    const encoder = this.device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setBindGroup(0, this.bindGroups[view.current]);
+    pass.setPipeline(this.pipelines.reduceVertices);
+    pass.dispatchWorkgroups(this.partialCount);
+    pass.setPipeline(this.pipelines.reducePartials);
+    pass.dispatchWorkgroups(1);
+    pass.end();
+    encoder.copyBufferToBuffer(this.resultBuffer, 0, staging, 0, STATS_SIZE);
+    this.device.queue.submit([encoder.finish()]);
+
+    await staging.mapAsync(GPUMapMode.READ);
+    const data = new Float32Array(staging.getMappedRange().slice(0));
+    staging.unmap();
+    staging.destroy();
+    const [maxSpeed, maxStrain, kineticEnergy, invalidCount] = data;
+    return { maxSpeed, maxStrain, kineticEnergy, invalidCount, bounds: { min: [...data.subarray(4, 7)], max: [...data.subarray(8, 11)] } };
+  }
+}
@@ -1,21 +1,479 @@
 /**
  * strategies.js
  * Strategy для выбора физической модели симуляции ткани.
- * Поддерживает PBD и Mass-Spring стратегии.
- * Каждая стратегия создаёт Compute пайплайн через PipelineFactory.
+ * Поддерживает PBD, Mass-Spring и XPBD стратегии.
+ * Каждая стратегия создаёт свои Compute пайплайны через PipelineFactory, записывает
+ * compute проходы кадра (encode) и умеет выполнить тот же шаг на CPU (step)
+ * для тестов и работы без WebGPU. Самостолкновения (selfCollision.js) поддерживают все стратегии:
+ * PBD и Mass-Spring отталкивают вершины один раз после шага, XPBD — после каждой итерации.
+ * Соседи PBD и Mass-Spring — рёбра треугольников меша (buildNeighbours), и для сгенерированной сетки тоже:
+ * у внутренней вершины их 6, а не 8 соседей квадрата 3×3, как было до импорта мешей; PBD сглаживает
+ * к 6 соседям, Mass-Spring вместо 4 пружин по строкам и столбцам с длиной покоя spacing получил
+ * пружины по всем рёбрам, включая диагональ a–d, с длиной покоя каждого ребра.
+ * PBD и Mass-Spring не хранят скорость: шаг сдвигает позиции к соседям без инерции, поэтому затухание
+ * материала (damping и rayleigh) относится только к XPBD — его описание помечено materialDamping.
+ * Layout группы 0 и bind group строятся по привязкам из описания стратегии в реестре (strategyRegistry.js),
+ * параметры из схемы описания лежат в values и упаковываются в uniform-буфер StrategyParams.
+ * Встроенные стратегии регистрируются в конце файла.
  * Применяет паттерн Strategy.
  */
-import { PipelineFactory } from "./pipelineFactory.js";
+import { PipelineFactory, WORKGROUP_SIZE } from "./pipelineFactory.js";
+import { strategyRegistry, paramDefaults, coerceParam, paramsWGSL, PARAMS_RESOURCE } from "./strategyRegistry.js";
+import { structSize, packStruct } from "./shaderPreprocessor.js";
+import { pbdKernel, massSpringKernel, collisionKernel, contactKernel } from "./cpuKernels.js";
+import { buildConstraints, colorConstraints, packConstraints, materialCompliance } from "./constraints.js";
+import { buildSpatialHash, solveSelfCollisions, tableSizeFor, SELF_COLLISION_THICKNESS } from "./spatialHash.js";
 
 export class SimulationStrategy {
-  constructor(shader) { this.shader = shader; }
-  createPipeline(device) { return PipelineFactory.createComputePipeline(device, this.shader); }
+  /**
+   * @param {string|null} shader - WGSL код (null — только CPU)
+   * @param {Object} [definition] - Описание из реестра; по умолчанию — зарегистрированное для класса
+   */
+  constructor(shader, definition = strategyRegistry.forClass(this.constructor)) {
+    this.shader = shader;
+    this.buffers = [];
+    this.definition = definition ?? { id: this.constructor.name, bindings: [], params: [], structs: {} };
+    this.id = this.definition.id;
+    this.values = paramDefaults(this.definition.params);
+    this.paramsDirty = true;
+  }
+
+  /** Схема параметров стратегии */
+  get schema() { return this.definition.params; }
+
+  /**
+   * Меняет параметр; значение приводится к типу и диапазону схемы и попадает в uniform-буфер перед следующим шагом
+   * @param {string} name - Имя параметра
+   * @param {number|boolean} value - Значение
+   * @returns {number|boolean} Записанное значение
+   */
+  setParam(name, value) {
+    const param = this.schema.find(p => p.name === name);
+    if (!param) throw new Error(`Strategy "${this.id}": unknown parameter ${name}`);
+    this.values[name] = coerceParam(param, value);
+    this.paramsDirty = true;
+    return this.values[name];
+  }
+
+  /** WGSL стратегии с объявлением StrategyParams, собранным по схеме */
+  shaderCode() {
+    const binding = this.definition.bindings.find(b => b.resource === PARAMS_RESOURCE);
+    return binding ? `${paramsWGSL(this.schema, binding.binding)}\n${this.shader}` : this.shader;
+  }
+
+  /**
+   * Compute пайплайн шейдера стратегии; структуры описания доступны шейдеру через #struct
+   * @param {GPUDevice} device - Устройство
+   * @param {string} [entryPoint="main"] - Entry point
+   * @param {GPUPipelineLayout|string} [layout="auto"] - Layout пайплайна
+   * @param {Object<string, *>} [defines] - #define варианта пайплайна
+   */
+  createPipeline(device, entryPoint = "main", layout = "auto", defines = {}) {
+    return PipelineFactory.createComputePipeline(device, this.shaderCode(), entryPoint, layout, { defines, structs: this.definition.structs });
+  }
+
+  /**
+   * Layout пайплайна: группа 0 — по привязкам описания, дальше — собственные группы стратегии
+   * @param {GPUDevice} device - Устройство
+   * @param {Array<Array<GPUBindGroupLayoutEntry>>} [groups] - Дополнительные группы
+   */
+  createLayout(device, groups = []) {
+    const group0 = this.definition.bindings.map(({ binding, type }) => ({ binding, visibility: GPUShaderStage.COMPUTE, buffer: { type } }));
+    return PipelineFactory.createPipelineLayout(device, [group0, ...groups]);
+  }
+
+  /**
+   * Буфер для имени ресурса из привязок описания
+   * @param {string} name - Имя ресурса
+   * @param {SimulationView} view - Представление
+   * @param {number} i - Индекс буфера позиций, из которого читает шаг
+   * @returns {GPUBuffer}
+   */
+  resource(name, view, i) {
+    const resources = {
+      params: view.paramBuffer,
+      positionsIn: view.posBuffers[i],
+      positionsOut: view.posBuffers[1 - i],
+      accelerations: view.forceFieldPass.accelBuffer,
+      neighbourOffsets: view.neighbourOffsetBuffer,
+      neighbours: view.neighbourBuffer,
+      invMasses: view.invMassBuffer,
+      colliders: view.colliderBuffer,
+      [PARAMS_RESOURCE]: this.paramBuffer,
+    };
+    if (!resources[name]) throw new Error(`Strategy "${this.id}": unknown binding resource "${name}"`);
+    return resources[name];
+  }
+
+  /** Пара bind group группы 0 для ping-pong по привязкам описания */
+  createBindGroups(device, view, layout) {
+    return [0, 1].map(i => device.createBindGroup({
+      layout,
+      entries: this.definition.bindings.map(({ binding, resource }) => ({ binding, resource: { buffer: this.resource(resource, view, i) } })),
+    }));
+  }
+
+  /** Uniform-буфер параметров (если схема не пуста); значения записываются перед первым шагом */
+  createParamsBuffer(device) {
+    this.paramBuffer = null;
+    if (this.schema.length === 0) return;
+    this.paramBuffer = device.createBuffer({ size: structSize(this.schema), usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    this.buffers.push(this.paramBuffer);
+    this.paramsDirty = true;
+  }
+
+  /** Записывает изменившиеся параметры в uniform-буфер */
+  writeParams(view) {
+    if (!this.paramBuffer || !this.paramsDirty) return;
+    view.device.queue.writeBuffer(this.paramBuffer, 0, packStruct(this.schema, this.values));
+    this.paramsDirty = false;
+  }
+
+  /**
+   * Создаёт пайплайн, буфер параметров и пару bind group для ping-pong:
+   * bindGroups[i] читает view.posBuffers[i] и пишет в view.posBuffers[1 - i];
+   * остальные буферы (ускорения, соседи, обратные массы) — по привязкам описания
+   * @param {GPUDevice} device - Устройство
+   * @param {SimulationView} view - Представление, владеющее буферами позиций, соседей и Params
+   */
+  createResources(device, view) {
+    this.destroyResources();
+    this.createParamsBuffer(device);
+    const { layout, bindGroupLayouts } = this.createLayout(device);
+    this.pipeline = this.createPipeline(device, "main", layout);
+    this.bindGroups = this.createBindGroups(device, view, bindGroupLayouts[0]);
+  }
+
+  /**
+   * Материал модели изменился; соседи и обратные массы View уже перезаписаны. Собственные буферы стратегии
+   * не пересоздаются, чтобы ткань не теряла скорость
+   * @param {GPUDevice} device - Устройство
+   * @param {SimulationView} view - Представление
+   */
+  updateMaterial(device, view) {}
+
+  /**
+   * То же на CPU: params.material, params.neighbours и params.invMasses уже новые
+   * @param {Object} params - Params решателя
+   */
+  updateMaterialCPU(params) {}
+
+  /** Освобождает собственные буферы стратегии (при смене стратегии или пересоздании сетки) */
+  destroyResources() {
+    this.buffers.forEach(buffer => buffer.destroy());
+    this.buffers = [];
+  }
+
+  /**
+   * Записывает compute проходы одного шага: читает view.posBuffers[view.current],
+   * результат оказывается в view.posBuffers[1 - view.current]
+   * @param {GPUCommandEncoder} encoder - Энкодер кадра
+   * @param {SimulationView} view - Представление
+   */
+  encode(encoder, view) {
+    this.writeParams(view);
+    const selfCollision = view.model.selfCollision ? view.selfCollision : null;
+    if (selfCollision) selfCollision.prepare(encoder);
+    const pass = encoder.beginComputePass({ timestampWrites: view.profiler.timestampWrites("solver") });
+    pass.setPipeline(this.pipeline);
+    pass.setBindGroup(0, this.bindGroups[view.current]);
+    pass.dispatchWorkgroups(Math.ceil(view.vertexCount / WORKGROUP_SIZE));
+    // самостолкновения — одна итерация отталкивания по результату шага
+    if (selfCollision) {
+      selfCollision.encodeBuild(pass, view.current);
+      selfCollision.encodeSolve(pass, view.current);
+    }
+    pass.end();
+  }
+
+  /** Сбрасывает внутреннее CPU-состояние стратегии (скорости, множители) */
+  reset() {}
+
+  /**
+   * Обрабатывает одну вершину на CPU, повторяя WGSL-ядро стратегии
+   * @abstract
+   */
+  kernel(idx, params, inPositions, outPositions) { throw new Error(`${this.constructor.name}: CPU kernel is not implemented`); }
+
+  /**
+   * Выполняет один шаг симуляции на CPU для всех вершин (аналог dispatchWorkgroups).
+   * Ядро получает параметры стратегии в params.strategyParams; при params.selfCollision после шага —
+   * одна итерация отталкивания, как в encode
+   * @param {{time: number, gravityEnabled: number, clothSize: number, spacing: number, dt: number, accelerations: Float32Array, neighbours: Object, invMasses: Float32Array, selfCollision: boolean, restPositions: Float32Array}} params -
+   *   Поля struct Params, ускорения силовых полей, соседи вершин (buildNeighbours), обратные массы (vertexInverseMasses),
+   *   флаг самостолкновений и исходная форма ткани
+   * @param {Float32Array} inPositions - Позиции vec4, как inPositions в WGSL
+   * @param {Float32Array} outPositions - Результат, как outPositions в WGSL
+   */
+  step(params, inPositions, outPositions) {
+    const count = inPositions.length / 4;
+    const kernelParams = { ...params, strategyParams: this.values };
+    for (let idx = 0; idx < count; idx++) this.kernel(idx, kernelParams, inPositions, outPositions);
+    if (params.selfCollision) {
+      const hash = buildSpatialHash(outPositions, SELF_COLLISION_THICKNESS, tableSizeFor(count));
+      solveSelfCollisions(outPositions, params.restPositions ?? inPositions, hash, SELF_COLLISION_THICKNESS);
+    }
+  }
 }
 
 export class PBDStrategy extends SimulationStrategy {
-  constructor(shader) { super(shader); }
+  kernel(idx, params, inPositions, outPositions) { pbdKernel(idx, params, inPositions, outPositions); }
 }
 
 export class MassSpringStrategy extends SimulationStrategy {
-  constructor(shader) { super(shader); }
+  kernel(idx, params, inPositions, outPositions) { massSpringKernel(idx, params, inPositions, outPositions); }
+}
+
+/**
+ * XPBD с дистанционными ограничениями растяжения, сдвига и изгиба.
+ * Шаг: predict (Верле) → iterations × (по одной dispatch на каждую партию раскраски
+ * и проход столкновений с коллайдерами, затем отталкивание при включённых самостолкновениях) → resolveContacts:
+ * скорость отскока и трения применяется к предыдущим позициям один раз после итераций.
+ * Шаг dt берётся из view.dt (params.dt на CPU). Затухание, затухание Рэлея и податливость ограничений — из материала модели
+ * (params.material на CPU), затухание задано на шаг 1/60 с и пересчитывается под dt; обратные массы вершин — из view.invMassBuffer
+ * (params.invMasses); ускорения — из прохода силовых полей; число итераций берётся из модели,
+ * коллайдеры — из view.colliderBuffer. Параметр overRelaxation умножает поправку множителя (ω > 1 — последовательная
+ * верхняя релаксация, ускоряет сходимость жёсткой ткани при малом числе итераций).
+ */
+export class XPBDStrategy extends SimulationStrategy {
+
+  /**
+   * Затухание скорости за шаг dt: damping относится к шагу 1/60 с,
+   * поэтому при подшагах одна секунда гасит скорость одинаково
+   * @param {number} damping - Затухание материала
+   * @param {number} dt - Шаг по времени, с
+   */
+  dampingFor(damping, dt) { return Math.pow(damping, dt * 60); }
+
+  createResources(device, view) {
+    this.destroyResources();
+    const { constraints, batches } = colorConstraints(buildConstraints(view.mesh, materialCompliance(view.model.material)));
+    this.constraintCount = constraints.length;
+
+    // группа 1 — партия раскраски ограничений
+    const { layout, bindGroupLayouts } = this.createLayout(device, [[{ binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: "uniform" } }]]);
+    this.predictPipeline = this.createPipeline(device, "predict", layout);
+    this.constraintPipeline = this.createPipeline(device, "solveConstraints", layout);
+    this.collisionPipeline = this.createPipeline(device, "solveCollisions", layout);
+    this.contactPipeline = this.createPipeline(device, "resolveContacts", layout);
+
+    this.createParamsBuffer(device);
+    const track = buffer => { this.buffers.push(buffer); return buffer; };
+    const posSize = view.vertexCount * 16;
+    this.prevBuffer = track(device.createBuffer({ size: posSize, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC }));
+    this.constraintBuffer = track(view.createBuffer(new Uint32Array(packConstraints(constraints)), GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST));
+    this.lambdaBuffer = track(device.createBuffer({ size: constraints.length * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST }));
+    this.simBuffer = track(device.createBuffer({ size: structSize(XPBD_SIM_STRUCT), usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST }));
+
+    // Начальная скорость нулевая: prev = текущие позиции
+    const encoder = device.createCommandEncoder();
+    encoder.copyBufferToBuffer(view.posBuffers[view.current], 0, this.prevBuffer, 0, posSize);
+    device.queue.submit([encoder.finish()]);
+
+    this.bindGroups = this.createBindGroups(device, view, bindGroupLayouts[0]);
+
+    this.batches = batches.map(({ offset, count }) => {
+      const buffer = track(view.createBuffer(new Uint32Array([offset, count, 0, 0]), GPUBufferUsage.UNIFORM));
+      return { count, bindGroup: device.createBindGroup({ layout: bindGroupLayouts[1], entries: [{ binding: 0, resource: { buffer } }] }) };
+    });
+  }
+
+  /** Перезаписывает податливость ограничений; порядок ограничений и партии от материала не зависят, prevBuffer сохраняется */
+  updateMaterial(device, view) {
+    const { constraints } = colorConstraints(buildConstraints(view.mesh, materialCompliance(view.model.material)));
+    device.queue.writeBuffer(this.constraintBuffer, 0, packConstraints(constraints));
+  }
+
+  /** Собственные буферы XPBD: предыдущие позиции, ограничения, множители и SimParams */
+  resource(name, view, i) {
+    const own = { prevPositions: this.prevBuffer, constraints: this.constraintBuffer, lambdas: this.lambdaBuffer, sim: this.simBuffer };
+    return own[name] ?? super.resource(name, view, i);
+  }
+
+  encode(encoder, view) {
+    this.writeParams(view);
+    const { damping, rayleigh } = view.model.material;
+    view.device.queue.writeBuffer(this.simBuffer, 0, packStruct(XPBD_SIM_STRUCT, {
+      dt: view.dt, damping: this.dampingFor(damping, view.dt), vertexCount: view.vertexCount, colliderCount: view.colliderSystem.count, rayleigh,
+    }));
+
+    // Множители Лагранжа XPBD обнуляются в начале каждого шага
+    encoder.clearBuffer(this.lambdaBuffer);
+    const selfCollision = view.model.selfCollision ? view.selfCollision : null;
+    if (selfCollision) selfCollision.prepare(encoder);
+
+    const pass = encoder.beginComputePass({ timestampWrites: view.profiler.timestampWrites("solver") });
+    pass.setBindGroup(0, this.bindGroups[view.current]);
+    // layout общий для обоих entry point, поэтому группа 1 должна быть задана и для predict
+    pass.setBindGroup(1, this.batches[0].bindGroup);
+    pass.setPipeline(this.predictPipeline);
+    pass.dispatchWorkgroups(Math.ceil(view.vertexCount / WORKGROUP_SIZE));
+    if (selfCollision) selfCollision.encodeBuild(pass, view.current);
+
+    for (let iter = 0; iter < view.model.iterations; iter++) {
+      pass.setBindGroup(0, this.bindGroups[view.current]);
+      pass.setPipeline(this.constraintPipeline);
+      for (const batch of this.batches) {
+        pass.setBindGroup(1, batch.bindGroup);
+        pass.dispatchWorkgroups(Math.ceil(batch.count / WORKGROUP_SIZE));
+      }
+      if (view.colliderSystem.count > 0) {
+        pass.setPipeline(this.collisionPipeline);
+        pass.dispatchWorkgroups(Math.ceil(view.vertexCount / WORKGROUP_SIZE));
+      }
+      if (selfCollision) selfCollision.encodeSolve(pass, view.current);
+    }
+    // предыдущие позиции восстанавливаются из записей контактов один раз за шаг
+    pass.setBindGroup(0, this.bindGroups[view.current]);
+    pass.setPipeline(this.contactPipeline);
+    pass.dispatchWorkgroups(Math.ceil(view.vertexCount / WORKGROUP_SIZE));
+    pass.end();
+  }
+
+  reset() { this.cpu = null; }
+
+  /** Перестраивает ограничения с новой податливостью; предыдущие позиции остаются */
+  updateMaterialCPU(params) {
+    if (!this.cpu) return;
+    this.cpu.constraints = colorConstraints(buildConstraints({ ...params.mesh, positions: this.cpu.rest }, materialCompliance(params.material))).constraints;
+  }
+
+  /**
+   * Создаёт CPU-состояние (предыдущие позиции, ограничения, множители), если его нет
+   * или размер сетки изменился. Начальная скорость нулевая: prev = inPositions
+   */
+  initCPU(params, inPositions) {
+    if (this.cpu && this.cpu.prev.length === inPositions.length) return;
+    const rest = new Float32Array(params.restPositions ?? inPositions);
+    const { constraints } = colorConstraints(buildConstraints({ ...params.mesh, positions: rest }, materialCompliance(params.material)));
+    this.cpu = { prev: new Float32Array(inPositions), rest, constraints, lambdas: new Float32Array(constraints.length) };
+  }
+
+  /**
+   * CPU-версия шага XPBD. Кроме полей Params (включая dt) использует params.iterations, params.material, params.invMasses,
+   * params.colliders ({data, count} из ColliderSystem), params.selfCollision, params.restPositions и params.mesh.
+   * Ограничения строятся при первом вызове по топологии params.mesh (сетка или треугольный меш, см. buildConstraints)
+   * с длинами покоя из params.restPositions (или inPositions).
+   */
+  step(params, inPositions, outPositions) {
+    this.initCPU(params, inPositions);
+    const { prev, constraints, lambdas } = this.cpu;
+    const dt = params.dt;
+    const damping = this.dampingFor(params.material.damping, dt);
+    const acc = params.accelerations;
+
+    for (let k = 0; k < inPositions.length; k += 4) {
+      for (let c = 0; c < 4; c++) outPositions[k + c] = inPositions[k + c];
+      if (inPositions[k + 3] <= 0.5) {
+        for (let c = 0; c < 3; c++) outPositions[k + c] += (inPositions[k + c] - prev[k + c]) * damping + (acc ? acc[k + c] * dt * dt : 0);
+      }
+    }
+    // до contactKernel prev хранит записи контактов шага (см. predict в cloth_update_xpbd.wgsl)
+    prev.fill(0);
+
+    lambdas.fill(0);
+    const iterations = params.iterations ?? 8;
+    const colliders = params.colliders ?? { count: 0 };
+    const thickness = SELF_COLLISION_THICKNESS;
+    const hash = params.selfCollision ? buildSpatialHash(outPositions, thickness, tableSizeFor(inPositions.length / 4)) : null;
+    const { invMasses } = params;
+    const rayleigh = params.material.rayleigh;
+    const { overRelaxation } = this.values;
+    for (let iter = 0; iter < iterations; iter++) {
+      constraints.forEach((c, ci) => solveDistance(outPositions, inPositions, invMasses, c, lambdas, ci, dt, rayleigh, overRelaxation));
+      if (colliders.count > 0) {
+        for (let idx = 0; idx < inPositions.length / 4; idx++) collisionKernel(idx, colliders, inPositions, outPositions, prev);
+      }
+      if (hash) solveSelfCollisions(outPositions, params.restPositions ?? this.cpu.rest, hash, thickness);
+    }
+    for (let idx = 0; idx < inPositions.length / 4; idx++) contactKernel(idx, inPositions, outPositions, prev);
+  }
+}
+
+/**
+ * CPU-аналог solveConstraints из cloth_update_xpbd.wgsl для одного ограничения (с затуханием Рэлея
+ * и верхней релаксацией omega)
+ */
+function solveDistance(positions, prev, invMasses, c, lambdas, ci, dt, rayleigh, omega = 1) {
+  const a = c.a * 4, b = c.b * 4;
+  const w1 = positions[a + 3] > 0.5 ? 0 : invMasses[c.a];
+  const w2 = positions[b + 3] > 0.5 ? 0 : invMasses[c.b];
+  const dx = positions[a] - positions[b];
+  const dy = positions[a + 1] - positions[b + 1];
+  const dz = positions[a + 2] - positions[b + 2];
+  const dist = Math.hypot(dx, dy, dz);
+  const alpha = c.compliance / (dt * dt);
+  const gamma = c.compliance * rayleigh / dt;
+  const denom = (1 + gamma) * (w1 + w2) + alpha;
+  if (dist < 1e-6 || denom <= 0) return;
+
+  const nx = dx / dist, ny = dy / dist, nz = dz / dist;
+  const velocity = nx * (dx - (prev[a] - prev[b])) + ny * (dy - (prev[a + 1] - prev[b + 1])) + nz * (dz - (prev[a + 2] - prev[b + 2]));
+  const dLambda = omega * (-(dist - c.rest) - alpha * lambdas[ci] - gamma * velocity) / denom;
+  lambdas[ci] += dLambda;
+  positions[a] += nx * w1 * dLambda; positions[a + 1] += ny * w1 * dLambda; positions[a + 2] += nz * w1 * dLambda;
+  positions[b] -= nx * w2 * dLambda; positions[b + 1] -= ny * w2 * dLambda; positions[b + 2] -= nz * w2 * dLambda;
 }
+
+/** Привязки PBD и Mass-Spring: Params, позиции, ускорения, соседи по рёбрам, обратные массы и параметры стратегии */
+const NEIGHBOUR_BINDINGS = [
+  { binding: 0, type: "uniform", resource: "params" },
+  { binding: 1, type: "read-only-storage", resource: "positionsIn" },
+  { binding: 2, type: "storage", resource: "positionsOut" },
+  { binding: 3, type: "read-only-storage", resource: "accelerations" },
+  { binding: 4, type: "read-only-storage", resource: "neighbourOffsets" },
+  { binding: 5, type: "read-only-storage", resource: "neighbours" },
+  { binding: 6, type: "read-only-storage", resource: "invMasses" },
+  { binding: 7, type: "uniform", resource: PARAMS_RESOURCE },
+];
+
+/** Поля uniform-структуры SimParams шейдера XPBD (#struct SimParams) */
+const XPBD_SIM_STRUCT = [
+  { name: "dt", type: "f32" },
+  { name: "damping", type: "f32" },
+  { name: "vertexCount", type: "u32" },
+  { name: "colliderCount", type: "u32" },
+  // коэффициент β затухания Рэлея материала
+  { name: "rayleigh", type: "f32" },
+];
+
+strategyRegistry.register({
+  id: "pbd",
+  label: "PBD",
+  shader: "./shaders/cloth_update_pbd.wgsl",
+  strategy: PBDStrategy,
+  bindings: NEIGHBOUR_BINDINGS,
+  params: [{ name: "relaxation", label: "Relaxation", type: "f32", min: 0.005, max: 0.5, step: 0.005, default: 0.05 }],
+});
+
+strategyRegistry.register({
+  id: "massspring",
+  label: "Mass-Spring",
+  shader: "./shaders/cloth_update_massspring.wgsl",
+  strategy: MassSpringStrategy,
+  bindings: NEIGHBOUR_BINDINGS,
+  params: [{ name: "relaxation", label: "Spring relaxation", type: "f32", min: 0.01, max: 0.5, step: 0.01, default: 0.1 }],
+});
+
+strategyRegistry.register({
+  id: "xpbd",
+  label: "XPBD",
+  shader: "./shaders/cloth_update_xpbd.wgsl",
+  strategy: XPBDStrategy,
+  bindings: [
+    { binding: 0, type: "uniform", resource: "params" },
+    { binding: 1, type: "read-only-storage", resource: "positionsIn" },
+    { binding: 2, type: "storage", resource: "positionsOut" },
+    { binding: 3, type: "storage", resource: "prevPositions" },
+    { binding: 4, type: "read-only-storage", resource: "constraints" },
+    { binding: 5, type: "storage", resource: "lambdas" },
+    { binding: 6, type: "uniform", resource: "sim" },
+    { binding: 7, type: "read-only-storage", resource: "colliders" },
+    { binding: 8, type: "read-only-storage", resource: "accelerations" },
+    { binding: 9, type: "read-only-storage", resource: "invMasses" },
+    { binding: 10, type: "uniform", resource: PARAMS_RESOURCE },
+  ],
+  structs: { SimParams: XPBD_SIM_STRUCT },
+  materialDamping: true,
+  params: [{ name: "overRelaxation", label: "Over-relaxation", type: "f32", min: 1, max: 1.9, step: 0.05, default: 1 }],
+});
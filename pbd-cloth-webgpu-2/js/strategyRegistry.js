@@ -0,0 +1,131 @@
+/**
+ * strategyRegistry.js
+ * Реестр стратегий симуляции. Стратегия объявляет себя описанием:
+ * id и подпись для UI, путь к WGSL, класс стратегии, привязки группы 0 (binding, тип буфера и имя ресурса,
+ * см. SimulationStrategy.resource) и схему параметров — имя, тип, диапазон, шаг и значение по умолчанию.
+ * По схеме собирается WGSL-структура StrategyParams вместе с её uniform-переменной (paramsWGSL),
+ * а значения упаковываются в uniform-буфер по тем же полям (packStruct из shaderPreprocessor.js).
+ * Другие uniform-структуры шейдера стратегии описываются в structs и подставляются директивой #struct.
+ * Выбор стратегии и ползунки параметров main.js строит по реестру, поэтому новая стратегия
+ * (в том числе сторонняя, зарегистрированная во время работы) не требует правки index.html и main.js.
+ * Применяет паттерны Registry и Observer (событие "registered").
+ */
+import { Observable } from "./observable.js";
+import { FIELD_TYPES, structWGSL } from "./shaderPreprocessor.js";
+
+/** Имя ресурса, под которым в привязках стратегии указывается буфер её параметров */
+export const PARAMS_RESOURCE = "strategyParams";
+const BINDING_TYPES = ["uniform", "storage", "read-only-storage"];
+
+/**
+ * Значения параметров по умолчанию
+ * @param {Array<{name: string, default: *}>} schema - Схема параметров
+ * @returns {Object<string, number|boolean>}
+ */
+export function paramDefaults(schema) {
+  return Object.fromEntries(schema.map(param => [param.name, param.default]));
+}
+
+/**
+ * Приводит значение к типу и диапазону параметра
+ * @param {Object} param - Описание параметра из схемы
+ * @param {*} value - Новое значение
+ * @returns {number|boolean}
+ */
+export function coerceParam(param, value) {
+  if (param.type === "bool") return Boolean(value);
+  let number = Number(value);
+  if (!Number.isFinite(number)) return param.default;
+  if (param.type !== "f32") number = Math.round(number);
+  return Math.min(param.max ?? Infinity, Math.max(param.min ?? -Infinity, number));
+}
+
+/**
+ * WGSL-объявление структуры параметров и её uniform-переменной strategyParams
+ * @param {Array} schema - Схема параметров
+ * @param {number} binding - Номер привязки в группе 0
+ * @returns {string}
+ */
+export function paramsWGSL(schema, binding) {
+  return `${structWGSL("StrategyParams", schema)}\n@group(0) @binding(${binding}) var<uniform> ${PARAMS_RESOURCE}: StrategyParams;\n`;
+}
+
+export class StrategyRegistry extends Observable {
+  constructor() {
+    super();
+    this.definitions = new Map();
+  }
+
+  /**
+   * Регистрирует стратегию. Описание проверяется сразу, чтобы ошибка сторонней стратегии
+   * указывала на неё, а не всплывала при создании пайплайна
+   * @param {Object} definition
+   * @param {string} definition.id - Ключ стратегии (значение <option>, имя в сценах и записях)
+   * @param {string} definition.label - Подпись в UI
+   * @param {string|null} definition.shader - Путь к WGSL; null — только CPU
+   * @param {Function} definition.strategy - Класс, наследник SimulationStrategy: new strategy(shaderCode, definition)
+   * @param {Array<{binding: number, type: string, resource: string}>} [definition.bindings] - Привязки группы 0
+   * @param {Array<{name: string, type: string, min?: number, max?: number, step?: number, default: *, label?: string}>} [definition.params] - Схема параметров
+   * @param {Object<string, Array<{name: string, type: string}>>} [definition.structs] - Поля uniform-структур шейдера для #struct
+   * @param {boolean} [definition.materialDamping=false] - Стратегия применяет затухание материала (damping и rayleigh); иначе UI отключает эти поля
+   * @returns {Object} Зарегистрированное описание
+   * @throws {Error} Если описание неверно или id занят
+   */
+  register(definition) {
+    const { id, strategy, bindings = [], params = [] } = definition;
+    const fail = message => { throw new Error(`Strategy "${id}": ${message}`); };
+    if (typeof id !== "string" || !id) throw new Error("Strategy: id must be a non-empty string");
+    if (this.definitions.has(id)) fail("already registered");
+    if (typeof strategy !== "function") fail("strategy must be a SimulationStrategy class");
+    bindings.forEach(({ binding, type, resource }) => {
+      if (!Number.isInteger(binding) || binding < 0) fail(`binding ${binding} must be a non-negative integer`);
+      if (!BINDING_TYPES.includes(type)) fail(`binding ${binding}: type must be one of ${BINDING_TYPES.join(", ")}`);
+      if (typeof resource !== "string") fail(`binding ${binding}: resource name is required`);
+    });
+    if (new Set(bindings.map(b => b.binding)).size !== bindings.length) fail("binding numbers must be unique");
+    params.forEach(param => {
+      if (!/^[A-Za-z_]\w*$/.test(param.name ?? "")) fail(`parameter name ${JSON.stringify(param.name)} is not a WGSL identifier`);
+      if (!FIELD_TYPES[param.type]) fail(`parameter ${param.name}: type must be one of ${Object.keys(FIELD_TYPES).join(", ")}`);
+      if (param.default === undefined) fail(`parameter ${param.name}: default is required`);
+    });
+    if (params.length > 0 && !bindings.some(b => b.resource === PARAMS_RESOURCE)) fail(`parameters need a uniform binding with resource "${PARAMS_RESOURCE}"`);
+    const registered = { label: id, shader: null, structs: {}, ...definition, bindings, params };
+    this.definitions.set(id, registered);
+    this.emit("registered", registered);
+    return registered;
+  }
+
+  /** Описание по id */
+  get(id) { return this.definitions.get(id); }
+
+  /** Описание по классу стратегии (для стратегий, созданных напрямую через new) */
+  forClass(strategyClass) { return [...this.definitions.values()].find(definition => definition.strategy === strategyClass); }
+
+  /** Все описания в порядке регистрации */
+  list() { return [...this.definitions.values()]; }
+
+  /**
+   * Создаёт экземпляр стратегии
+   * @param {string} id - Ключ стратегии
+   * @param {string|null} shaderCode - Загруженный WGSL (null на CPU)
+   * @returns {SimulationStrategy}
+   */
+  create(id, shaderCode) {
+    const definition = this.get(id);
+    return new definition.strategy(shaderCode, definition);
+  }
+
+  /**
+   * Создаёт экземпляры всех зарегистрированных стратегий
+   * @param {function(string): Promise<string>|null} loadShader - Загрузка WGSL по пути; null — стратегии без шейдеров (CPU)
+   * @returns {Promise<Object<string, SimulationStrategy>>} Стратегии по id
+   */
+  async createAll(loadShader) {
+    const definitions = this.list();
+    const shaders = await Promise.all(definitions.map(d => (loadShader && d.shader ? loadShader(d.shader) : null)));
+    return Object.fromEntries(definitions.map((d, i) => [d.id, this.create(d.id, shaders[i])]));
+  }
+}
+
+/** Общий реестр: встроенные стратегии регистрируются в strategies.js */
+export const strategyRegistry = new StrategyRegistry();
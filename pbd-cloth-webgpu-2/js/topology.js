@@ -0,0 +1,124 @@
+/**
+ * topology.js
+ * Топология треугольной сетки ткани: уникальные рёбра, пары изгиба, соседи и треугольники вершин.
+ * Используется для каркасного рендеринга, compute прохода нормалей, ограничений XPBD
+ * и списков соседей PBD и Mass-Spring.
+ * Не зависит от формы сетки (квадратная сетка, импортированный меш).
+ */
+
+/**
+ * Уникальные рёбра треугольников в виде пар индексов (line-list)
+ * @param {Uint32Array} indices - Индексы треугольников
+ * @returns {Uint32Array} Пары [a0, b0, a1, b1, ...], a < b
+ */
+export function extractEdges(indices) {
+  const edgeSet = new Set();
+  const edges = [];
+  const addEdge = (a, b) => {
+    if (a > b) [a, b] = [b, a];
+    const key = `${a}_${b}`;
+    if (edgeSet.has(key)) return;
+    edgeSet.add(key);
+    edges.push(a, b);
+  };
+  for (let t = 0; t < indices.length; t += 3) {
+    addEdge(indices[t], indices[t + 1]);
+    addEdge(indices[t + 1], indices[t + 2]);
+    addEdge(indices[t + 2], indices[t]);
+  }
+  return new Uint32Array(edges);
+}
+
+/**
+ * Треугольники, инцидентные каждой вершине, в формате CSR:
+ * треугольники вершины v — triangles[offsets[v] .. offsets[v + 1])
+ * @param {Uint32Array} indices - Индексы треугольников
+ * @param {number} vertexCount - Количество вершин
+ * @returns {{offsets: Uint32Array, triangles: Uint32Array}}
+ */
+export function buildVertexTriangles(indices, vertexCount) {
+  const offsets = new Uint32Array(vertexCount + 1);
+  for (let k = 0; k < indices.length; k++) offsets[indices[k] + 1]++;
+  for (let v = 0; v < vertexCount; v++) offsets[v + 1] += offsets[v];
+
+  const fill = offsets.slice(0, vertexCount);
+  const triangles = new Uint32Array(indices.length);
+  for (let k = 0; k < indices.length; k++) triangles[fill[indices[k]]++] = Math.floor(k / 3);
+  return { offsets, triangles };
+}
+
+/**
+ * Пары изгиба: противолежащие вершины двух треугольников с общим ребром.
+ * Если ребро принадлежит больше чем двум треугольникам, каждый следующий образует пару с первым
+ * @param {Uint32Array} indices - Индексы треугольников
+ * @returns {Uint32Array} Пары [a0, b0, a1, b1, ...], a < b
+ */
+export function buildBendingPairs(indices) {
+  const opposite = new Map();
+  const pairSet = new Set();
+  const pairs = [];
+  const visit = (a, b, c) => {
+    const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+    if (!opposite.has(key)) { opposite.set(key, c); return; }
+    let d = opposite.get(key);
+    if (d === c) return;
+    if (c > d) [c, d] = [d, c];
+    const pairKey = `${c}_${d}`;
+    if (pairSet.has(pairKey)) return;
+    pairSet.add(pairKey);
+    pairs.push(c, d);
+  };
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]];
+    visit(a, b, c);
+    visit(b, c, a);
+    visit(c, a, b);
+  }
+  return new Uint32Array(pairs);
+}
+
+/**
+ * Соседи вершин по рёбрам в формате CSR с длинами покоя и податливостью:
+ * соседи вершины v — neighbours[offsets[v] .. offsets[v + 1]), rest[n] и compliance[n] — длина
+ * и податливость ребра до neighbours[n]
+ * @param {Uint32Array} indices - Индексы треугольников
+ * @param {Float32Array} positions - Позиции покоя vec4
+ * @param {function(number, number): number} [complianceOf] - Податливость ребра (a, b), по умолчанию 0
+ * @returns {{offsets: Uint32Array, neighbours: Uint32Array, rest: Float32Array, compliance: Float32Array}}
+ */
+export function buildNeighbours(indices, positions, complianceOf = () => 0) {
+  const vertexCount = positions.length / 4;
+  const edges = extractEdges(indices);
+  const offsets = new Uint32Array(vertexCount + 1);
+  for (let k = 0; k < edges.length; k++) offsets[edges[k] + 1]++;
+  for (let v = 0; v < vertexCount; v++) offsets[v + 1] += offsets[v];
+
+  const fill = offsets.slice(0, vertexCount);
+  const neighbours = new Uint32Array(edges.length);
+  const rest = new Float32Array(edges.length);
+  const compliance = new Float32Array(edges.length);
+  for (let e = 0; e < edges.length; e += 2) {
+    const a = edges[e], b = edges[e + 1];
+    const length = Math.hypot(positions[a * 4] - positions[b * 4], positions[a * 4 + 1] - positions[b * 4 + 1], positions[a * 4 + 2] - positions[b * 4 + 2]);
+    const edgeCompliance = complianceOf(a, b);
+    compliance[fill[a]] = edgeCompliance; neighbours[fill[a]] = b; rest[fill[a]++] = length;
+    compliance[fill[b]] = edgeCompliance; neighbours[fill[b]] = a; rest[fill[b]++] = length;
+  }
+  return { offsets, neighbours, rest, compliance };
+}
+
+/** Размер struct Neighbour в cloth_update_pbd.wgsl и cloth_update_massspring.wgsl: index, rest, compliance */
+export const NEIGHBOUR_STRIDE = 12;
+
+/**
+ * Упаковывает соседей в формат array<Neighbour> (index: u32, rest: f32, compliance: f32) для storage буфера
+ * @param {{neighbours: Uint32Array, rest: Float32Array, compliance: Float32Array}} adjacency - Результат buildNeighbours
+ * @returns {ArrayBuffer}
+ */
+export function packNeighbours({ neighbours, rest, compliance }) {
+  const data = new ArrayBuffer(neighbours.length * NEIGHBOUR_STRIDE);
+  const u32 = new Uint32Array(data);
+  const f32 = new Float32Array(data);
+  neighbours.forEach((index, n) => { u32[n * 3] = index; f32[n * 3 + 1] = rest[n]; f32[n * 3 + 2] = compliance[n]; });
+  return data;
+}
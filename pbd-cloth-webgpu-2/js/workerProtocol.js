@@ -0,0 +1,216 @@
+/**
+ * workerProtocol.js
+ * Протокол сообщений между главным потоком и воркером симуляции (simulationWorker.js).
+ * Главный поток → воркер:
+ *   REQUEST {id, action, args}        — действие из WorkerAction, ответ приходит в RESPONSE с тем же id
+ *   MODEL_CALL {method, args}         — вызов метода модели (setGravity, setStrategy, addEntity, ...)
+ *   CONTROLLER_SET {property, value}  — настройка контроллера (tool, brushRadius, pathType, snapshotFrames)
+ *   INPUT {event, rect}               — событие указателя или колеса над canvas и прямоугольник canvas
+ *   RESIZE {width, height}            — новый размер canvas в пикселях
+ * Воркер → главный поток:
+ *   RESPONSE {id, result} или {id, error}, PROGRESS {id, value} — ход долгого действия (бенчмарк, офлайн-запись)
+ *   MODEL_EVENT {name, value}         — событие модели из SYNCED_MODEL_EVENTS
+ *   RENDERED {frame, frameCount, vertexCount, constraintCount} — после отрисовки кадра
+ *   TIMINGS {timings}                 — замеры проходов GPU (GPUProfiler)
+ *   STATUS {message, isError}         — сообщение для строки статуса
+ *   DIAGNOSTIC {entry}                — новая запись журнала диагностики воркера
+ * Стратегии передаются по id, сущности ECS — через EntityTable (с id, чтобы сущность, добавленная
+ * в главном потоке, узнавалась в событиях воркера), остальное — структурным клонированием.
+ * Результаты чтения с GPU (TRANSFERRED_ACTIONS) передаются как transferable-буферы, снимки кадров — как Blob.
+ */
+import { Entity } from "./ecs.js";
+
+export const MessageType = Object.freeze({
+  REQUEST: "request",
+  MODEL_CALL: "modelCall",
+  CONTROLLER_SET: "controllerSet",
+  INPUT: "input",
+  RESIZE: "resize",
+  RESPONSE: "response",
+  PROGRESS: "progress",
+  MODEL_EVENT: "modelEvent",
+  RENDERED: "rendered",
+  TIMINGS: "timings",
+  STATUS: "status",
+  DIAGNOSTIC: "diagnostic",
+});
+
+/** Действия REQUEST */
+export const WorkerAction = Object.freeze({
+  PING: "ping",
+  INIT: "init",
+  READ_POSITIONS: "readPositions",
+  READ_STATE: "readState",
+  TAKE_SNAPSHOT: "takeSnapshot",
+  RESTORE_SNAPSHOT: "restoreSnapshot",
+  START_RECORDING: "startRecording",
+  STOP_RECORDING: "stopRecording",
+  START_REPLAY: "startReplay",
+  CAPTURE_FRAMES: "captureFrames",
+  SET_TEXTURE: "setTexture",
+  RUN_BENCHMARK: "runBenchmark",
+  CANCEL_BENCHMARK: "cancelBenchmark",
+  CAPTURE_PNG: "capturePNG",
+  CAPTURE_SEQUENCE: "captureSequence",
+  CANCEL_CAPTURE: "cancelCapture",
+});
+
+/** Действия, результаты которых — свежие копии с GPU: их буферы передаются без копирования */
+export const TRANSFERRED_ACTIONS = new Set([WorkerAction.READ_POSITIONS, WorkerAction.READ_STATE, WorkerAction.CAPTURE_FRAMES]);
+
+/**
+ * События модели, которые воркер пересылает главному потоку, и поле модели, которое каждое из них меняет
+ * (null — событие меняет поле иначе, см. RemoteModel)
+ */
+export const SYNCED_MODEL_EVENTS = Object.freeze({
+  strategyChanged: "strategy",
+  strategyParamChanged: null,
+  gravityChanged: "gravityEnabled",
+  selfCollisionChanged: "selfCollision",
+  iterationsChanged: "iterations",
+  renderModeChanged: "renderMode",
+  substepsChanged: "substeps",
+  timeScaleChanged: "timeScale",
+  pausedChanged: "paused",
+  clothChanged: "cloth",
+  pinsChanged: null,
+  attachmentsChanged: null,
+  snapshotsChanged: "snapshots",
+  materialChanged: "material",
+  entitiesChanged: "entities",
+  stabilityChanged: "stability",
+});
+
+/** Поля событий указателя и колеса, которые читает SimulationController */
+const INPUT_FIELDS = ["clientX", "clientY", "button", "pointerId", "shiftKey", "deltaY"];
+
+/**
+ * Событие ввода в виде, пригодном для postMessage
+ * @param {PointerEvent|WheelEvent} e - Событие DOM
+ * @returns {Object} Тип события и поля INPUT_FIELDS
+ */
+export function serializeInputEvent(e) {
+  return Object.fromEntries([["type", e.type], ...INPUT_FIELDS.filter(field => field in e).map(field => [field, e[field]])]);
+}
+
+/**
+ * Буферы типизированных массивов в значении (сам массив, массив массивов или поля объекта)
+ * @param {*} value - Результат действия
+ * @returns {ArrayBuffer[]}
+ */
+export function transferables(value) {
+  const buffers = new Set();
+  const collect = v => {
+    if (ArrayBuffer.isView(v)) buffers.add(v.buffer);
+    else if (Array.isArray(v)) v.forEach(collect);
+    else if (v && typeof v === "object") Object.values(v).forEach(collect);
+  };
+  collect(value);
+  return [...buffers];
+}
+
+/**
+ * Сущности ECS с id для передачи между потоками: одна и та же сущность в сообщениях
+ * всегда получает один id, а принятая сущность с известным id — тот же объект с новыми компонентами.
+ * Каждая сторона выдаёт id со своим префиксом, поэтому id не пересекаются
+ */
+export class EntityTable {
+  /**
+   * @param {string} prefix - Префикс id сущностей, созданных на этой стороне
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.ids = new WeakMap();
+    this.entities = new Map();
+    this.nextId = 1;
+  }
+
+  /** Сущность для сообщения: {id, components} */
+  encode(entity) {
+    if (!this.ids.has(entity)) this.remember(`${this.prefix}${this.nextId++}`, entity);
+    return { id: this.ids.get(entity), components: entity.components };
+  }
+
+  /** Сущность из сообщения: известная обновляется, новая создаётся */
+  decode({ id, components }) {
+    const known = this.entities.get(id);
+    if (known) { known.components = components; return known; }
+    const entity = new Entity(components);
+    this.remember(id, entity);
+    return entity;
+  }
+
+  remember(id, entity) {
+    this.ids.set(entity, id);
+    this.entities.set(id, entity);
+  }
+}
+
+/**
+ * Кодирование аргументов методов и значений событий модели, которые нельзя передать как есть:
+ * стратегия — её id (и значения параметров в событиях), сущности — через EntityTable
+ */
+export class ModelCodec {
+  /**
+   * @param {Object<string, SimulationStrategy>} strategies - Стратегии этой стороны по id
+   * @param {EntityTable} entities - Таблица сущностей этой стороны
+   */
+  constructor(strategies, entities) {
+    this.strategies = strategies;
+    this.entities = entities;
+  }
+
+  encodeCall(method, args) {
+    if (method === "setStrategy") return [args[0].id];
+    if (method === "setEntities") return [args[0].map(entity => this.entities.encode(entity))];
+    if (["addEntity", "removeEntity", "updateEntity"].includes(method)) return [this.entities.encode(args[0])];
+    return args;
+  }
+
+  decodeCall(method, args) {
+    if (method === "setStrategy") return [this.strategies[args[0]]];
+    if (method === "setEntities") return [args[0].map(entity => this.entities.decode(entity))];
+    if (["addEntity", "removeEntity", "updateEntity"].includes(method)) return [this.entities.decode(args[0])];
+    return args;
+  }
+
+  encodeEvent(name, value) {
+    if (name === "strategyChanged") return { id: value.id, values: value.values };
+    if (name === "entitiesChanged") return value.map(entity => this.entities.encode(entity));
+    return value;
+  }
+
+  decodeEvent(name, value) {
+    if (name === "strategyChanged") {
+      const strategy = this.strategies[value.id];
+      Object.entries(value.values).forEach(([param, v]) => strategy.setParam(param, v));
+      return strategy;
+    }
+    if (name === "entitiesChanged") return value.map(entity => this.entities.decode(entity));
+    return value;
+  }
+
+  /**
+   * Поля модели для начального состояния зеркала (значения — как в событиях)
+   * @param {SimulationModel} model - Модель воркера
+   * @returns {Object}
+   */
+  encodeState(model) {
+    const state = Object.fromEntries(Object.entries(SYNCED_MODEL_EVENTS)
+      .filter(([, field]) => field)
+      .map(([name, field]) => [field, this.encodeEvent(name, model[field])]));
+    return { ...state, fixedDt: model.fixedDt };
+  }
+
+  /**
+   * Поля модели из encodeState
+   * @param {Object} state - Начальное состояние
+   * @returns {Object}
+   */
+  decodeState(state) {
+    const fields = Object.fromEntries(Object.entries(SYNCED_MODEL_EVENTS)
+      .filter(([, field]) => field)
+      .map(([name, field]) => [field, this.decodeEvent(name, state[field])]));
+    return { ...fields, fixedDt: state.fixedDt };
+  }
+}
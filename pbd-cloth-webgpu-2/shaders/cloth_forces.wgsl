@@ -0,0 +1,110 @@
+// Ускорения вершин от силовых полей ECS (ForceFieldSystem).
+// Функции полей fieldForce и fieldWind генерируются из реестра FORCE_FIELDS (forceFields.js)
+// и подставляются вместо маркера @force-fields; аэродинамика считается здесь по треугольникам.
+// Результат: accelerations[i].xyz — ускорение вершины на текущем шаге.
+
+// поля ForceParams генерируются из FORCE_PARAMS_STRUCT (forceFieldPass.js)
+#struct ForceParams
+
+// direction.w — тип поля, origin.w — величина
+// shape: радиус (затухание), турбулентность, частота; aero: сопротивление, подъёмная сила, поверхностная плотность
+struct ForceField {
+  direction: vec4<f32>,
+  origin: vec4<f32>,
+  shape: vec4<f32>,
+  aero: vec4<f32>,
+};
+
+@group(0) @binding(0) var<uniform> params: ForceParams;
+@group(0) @binding(1) var<storage, read> positions: array<vec4<f32>>;
+@group(0) @binding(2) var<storage, read> prevPositions: array<vec4<f32>>;
+@group(0) @binding(3) var<storage, read> fields: array<ForceField>;
+@group(0) @binding(4) var<storage, read> indices: array<u32>;
+@group(0) @binding(5) var<storage, read> triOffsets: array<u32>;
+@group(0) @binding(6) var<storage, read> triList: array<u32>;
+@group(0) @binding(7) var<storage, read_write> accelerations: array<vec4<f32>>;
+
+fn hash3(c: vec3<f32>) -> f32 {
+  return fract(sin(dot(c, vec3<f32>(127.1, 311.7, 74.7))) * 43758.5453);
+}
+
+// Value noise в [-1, 1] с трилинейной интерполяцией
+fn noise3(p: vec3<f32>) -> f32 {
+  let i = floor(p);
+  let f = fract(p);
+  let u = f * f * (3.0 - 2.0 * f);
+  let x00 = mix(hash3(i), hash3(i + vec3<f32>(1.0, 0.0, 0.0)), u.x);
+  let x10 = mix(hash3(i + vec3<f32>(0.0, 1.0, 0.0)), hash3(i + vec3<f32>(1.0, 1.0, 0.0)), u.x);
+  let x01 = mix(hash3(i + vec3<f32>(0.0, 0.0, 1.0)), hash3(i + vec3<f32>(1.0, 0.0, 1.0)), u.x);
+  let x11 = mix(hash3(i + vec3<f32>(0.0, 1.0, 1.0)), hash3(i + vec3<f32>(1.0, 1.0, 1.0)), u.x);
+  return mix(mix(x00, x10, u.y), mix(x01, x11, u.y), u.z) * 2.0 - 1.0;
+}
+
+// Затухание с расстоянием: 1 внутри радиуса, затем обратно квадрату; радиус 0 — без затухания
+fn falloff(dist: f32, radius: f32) -> f32 {
+  if (radius <= 0.0 || dist <= radius) { return 1.0; }
+  return (radius * radius) / (dist * dist);
+}
+
+// @force-fields
+
+fn windAt(p: vec3<f32>) -> vec3<f32> {
+  var wind = vec3<f32>(0.0);
+  for (var i = 0u; i < params.fieldCount; i++) { wind += fieldWind(fields[i], p); }
+  return wind;
+}
+
+fn velocity(i: u32) -> vec3<f32> {
+  return (positions[i].xyz - prevPositions[i].xyz) / params.dt;
+}
+
+// Аэродинамика треугольников вершины: сопротивление против относительной скорости
+// и подъёмная сила поперёк неё, обе пропорциональны площади и |v|^2.
+// Каждая вершина получает треть силы треугольника; масса — поверхностная плотность × треть площади
+fn aerodynamics(idx: u32, f: ForceField) -> vec3<f32> {
+  var force = vec3<f32>(0.0);
+  var area = 0.0;
+  for (var k = triOffsets[idx]; k < triOffsets[idx + 1u]; k++) {
+    let t = triList[k];
+    let a = indices[3u * t];
+    let b = indices[3u * t + 1u];
+    let c = indices[3u * t + 2u];
+    let pa = positions[a].xyz;
+    let cr = cross(positions[b].xyz - pa, positions[c].xyz - pa);
+    let triArea = length(cr) * 0.5;
+    if (triArea < 1e-12) { continue; }
+    area += triArea / 3.0;
+
+    let center = (pa + positions[b].xyz + positions[c].xyz) / 3.0;
+    let rel = (velocity(a) + velocity(b) + velocity(c)) / 3.0 - windAt(center);
+    let speed = length(rel);
+    if (speed < 1e-6) { continue; }
+    let dir = rel / speed;
+    let n = cr / (2.0 * triArea);
+    let cosTheta = dot(dir, n);
+    let q = 0.5 * speed * speed * triArea;
+    force -= dir * (f.aero.x * abs(cosTheta) * q);
+    let liftDir = cross(cross(n, dir), dir);
+    let liftLen = length(liftDir);
+    if (liftLen > 1e-6) {
+      force += liftDir / liftLen * (f.aero.y * cosTheta * sqrt(max(1.0 - cosTheta * cosTheta, 0.0)) * q);
+    }
+  }
+  if (area <= 0.0) { return vec3<f32>(0.0); }
+  return force / 3.0 / (f.aero.z * area);
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= params.vertexCount) { return; }
+  let p = positions[idx].xyz;
+  let v = velocity(idx);
+  var acc = vec3<f32>(0.0);
+  for (var i = 0u; i < params.fieldCount; i++) {
+    let f = fields[i];
+    if (u32(f.direction.w) == AERODYNAMICS) { acc += aerodynamics(idx, f); }
+    else { acc += fieldForce(f, p, v); }
+  }
+  accelerations[idx] = vec4<f32>(acc, 0.0);
+}
@@ -0,0 +1,43 @@
+// Нормали вершин по треугольникам меша и относительная деформация рёбер (для тепловой карты).
+// Результат: normals[i].xyz — нормаль, normals[i].w — средняя |len - rest| / rest инцидентных рёбер.
+
+@group(0) @binding(0) var<storage, read> positions: array<vec4<f32>>;
+@group(0) @binding(1) var<storage, read> restPositions: array<vec4<f32>>;
+@group(0) @binding(2) var<storage, read> indices: array<u32>;
+@group(0) @binding(3) var<storage, read> triOffsets: array<u32>;
+@group(0) @binding(4) var<storage, read> triList: array<u32>;
+@group(0) @binding(5) var<storage, read_write> normals: array<vec4<f32>>;
+
+fn edgeStrain(a: u32, b: u32) -> f32 {
+  let rest = length(restPositions[a].xyz - restPositions[b].xyz);
+  if (rest <= 0.0) { return 0.0; }
+  return abs(length(positions[a].xyz - positions[b].xyz) - rest) / rest;
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= arrayLength(&normals)) { return; }
+
+  var n = vec3<f32>(0.0);
+  var strain = 0.0;
+  var count = 0.0;
+  for (var k = triOffsets[idx]; k < triOffsets[idx + 1u]; k++) {
+    let t = triList[k];
+    let a = indices[3u * t];
+    let b = indices[3u * t + 1u];
+    let c = indices[3u * t + 2u];
+    let pa = positions[a].xyz;
+    // площадь-взвешенная нормаль: длина cross пропорциональна площади треугольника
+    n += cross(positions[b].xyz - pa, positions[c].xyz - pa);
+
+    // два ребра треугольника, выходящих из вершины idx
+    if (a != idx) { strain += edgeStrain(idx, a); count += 1.0; }
+    if (b != idx) { strain += edgeStrain(idx, b); count += 1.0; }
+    if (c != idx) { strain += edgeStrain(idx, c); count += 1.0; }
+  }
+
+  let len = length(n);
+  let normal = select(vec3<f32>(0.0, 0.0, 1.0), n / len, len > 1e-12);
+  normals[idx] = vec4<f32>(normal, select(0.0, strain / count, count > 0.0));
+}
@@ -1,17 +1,68 @@
+struct RenderParams {
+  viewProj: mat4x4<f32>,
+  eye: vec4<f32>,
+  lightDir: vec4<f32>,
+  // 0 — освещённая ткань с текстурой, 1 — тепловая карта деформации
+  mode: f32,
+  stressScale: f32,
+};
+
+@group(0) @binding(0) var<uniform> render: RenderParams;
+@group(0) @binding(1) var fabricSampler: sampler;
+@group(0) @binding(2) var fabricTexture: texture_2d<f32>;
+
 struct VSOut {
   @builtin(position) pos: vec4<f32>,
-  @location(0) color: vec3<f32>,
+  @location(0) world: vec3<f32>,
+  @location(1) normal: vec3<f32>,
+  @location(2) uv: vec2<f32>,
+  @location(3) fixed: f32,
+  @location(4) stress: f32,
 };
 
 @vertex
-fn vs_main(@location(0) inPos: vec3<f32>, @location(1) fixed: f32) -> VSOut {
+fn vs_main(
+  @location(0) inPos: vec3<f32>,
+  @location(1) fixed: f32,
+  @location(2) normal: vec4<f32>,
+  @location(3) uv: vec2<f32>,
+) -> VSOut {
   var out: VSOut;
-  out.pos = vec4<f32>(inPos.x, inPos.y, inPos.z, 1.0);
-  out.color = mix(vec3<f32>(0.4, 0.6, 1.0), vec3<f32>(1.0, 0.2, 0.2), fixed);
+  out.pos = render.viewProj * vec4<f32>(inPos, 1.0);
+  out.world = inPos;
+  out.normal = normal.xyz;
+  out.uv = uv;
+  out.fixed = fixed;
+  out.stress = normal.w;
   return out;
 }
 
+// синий → зелёный → красный
+fn heat(t: f32) -> vec3<f32> {
+  let x = clamp(t, 0.0, 1.0);
+  return vec3<f32>(smoothstep(0.5, 1.0, x), 1.0 - abs(x * 2.0 - 1.0), 1.0 - smoothstep(0.0, 0.5, x));
+}
+
+@fragment
+fn fs_main(in: VSOut, @builtin(front_facing) front: bool) -> @location(0) vec4<f32> {
+  let texColor = textureSample(fabricTexture, fabricSampler, in.uv).rgb;
+
+  // двустороннее освещение: для изнанки нормаль разворачивается
+  var n = normalize(in.normal);
+  if (!front) { n = -n; }
+  let l = normalize(-render.lightDir.xyz);
+  let v = normalize(render.eye.xyz - in.world);
+  let diffuse = max(dot(n, l), 0.0);
+  let specular = pow(max(dot(n, normalize(l + v)), 0.0), 32.0) * 0.25;
+
+  var base = mix(texColor, vec3<f32>(1.0, 0.2, 0.2), in.fixed);
+  if (render.mode > 0.5) { base = heat(in.stress * render.stressScale); }
+  // изнанка чуть темнее лицевой стороны
+  let side = select(0.8, 1.0, front);
+  return vec4<f32>(base * (0.15 + 0.85 * diffuse) * side + vec3<f32>(specular), 1.0);
+}
+
 @fragment
-fn fs_main(@location(0) color: vec3<f32>) -> @location(0) vec4<f32> {
-  return vec4<f32>(color, 1.0);
+fn fs_wire(in: VSOut) -> @location(0) vec4<f32> {
+  return vec4<f32>(mix(vec3<f32>(0.4, 0.6, 1.0), vec3<f32>(1.0, 0.2, 0.2), in.fixed), 1.0);
 }
@@ -0,0 +1,132 @@
+// Самостолкновения ткани через пространственный хеш.
+// Построение хеша — сортировка подсчётом: countCells → prefixSum → scatter.
+// Затем collide ищет соседей в 27 ячейках и накапливает отталкивание (Якоби) в deltas,
+// applyDeltas применяет средний сдвиг к позициям.
+
+struct HashParams {
+  thickness: f32,
+  cellSize: f32,
+  tableSize: u32,
+  vertexCount: u32,
+};
+
+@group(0) @binding(0) var<storage, read_write> positions: array<vec4<f32>>;
+@group(0) @binding(1) var<storage, read> restPositions: array<vec4<f32>>;
+@group(0) @binding(2) var<storage, read_write> cellCount: array<atomic<u32>>;
+@group(0) @binding(3) var<storage, read_write> cellStart: array<u32>;
+@group(0) @binding(4) var<storage, read_write> cellFill: array<atomic<u32>>;
+@group(0) @binding(5) var<storage, read_write> sortedIds: array<u32>;
+@group(0) @binding(6) var<storage, read_write> cellOf: array<u32>;
+@group(0) @binding(7) var<storage, read_write> deltas: array<vec4<f32>>;
+@group(0) @binding(8) var<uniform> hash: HashParams;
+
+fn cellCoord(p: vec3<f32>) -> vec3<i32> {
+  return vec3<i32>(floor(p / hash.cellSize));
+}
+
+// Тот же хеш, что hashCell в spatialHash.js
+fn hashCell(c: vec3<i32>) -> u32 {
+  let h = (bitcast<u32>(c.x) * 73856093u) ^ (bitcast<u32>(c.y) * 19349663u) ^ (bitcast<u32>(c.z) * 83492791u);
+  return h % hash.tableSize;
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn countCells(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= hash.vertexCount) { return; }
+  let h = hashCell(cellCoord(positions[idx].xyz));
+  cellOf[idx] = h;
+  atomicAdd(&cellCount[h], 1u);
+}
+
+const SCAN_SIZE: u32 = 256u;
+var<workgroup> partial: array<u32, 256>;
+
+// Исключающая префиксная сумма cellCount одной рабочей группой:
+// каждый поток суммирует свой отрезок таблицы, суммы отрезков сканируются (Хиллис — Стил)
+@compute @workgroup_size(256)
+fn prefixSum(@builtin(local_invocation_id) lid: vec3<u32>) {
+  let t = lid.x;
+  let chunk = (hash.tableSize + SCAN_SIZE - 1u) / SCAN_SIZE;
+  let begin = t * chunk;
+  let end = min(begin + chunk, hash.tableSize);
+  var sum = 0u;
+  for (var h = begin; h < end; h++) { sum += atomicLoad(&cellCount[h]); }
+  partial[t] = sum;
+  workgroupBarrier();
+
+  for (var offset = 1u; offset < SCAN_SIZE; offset *= 2u) {
+    var v = 0u;
+    if (t >= offset) { v = partial[t - offset]; }
+    workgroupBarrier();
+    partial[t] += v;
+    workgroupBarrier();
+  }
+
+  var running = partial[t] - sum;
+  for (var h = begin; h < end; h++) {
+    cellStart[h] = running;
+    atomicStore(&cellFill[h], running);
+    running += atomicLoad(&cellCount[h]);
+  }
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn scatter(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= hash.vertexCount) { return; }
+  sortedIds[atomicAdd(&cellFill[cellOf[idx]], 1u)] = idx;
+}
+
+// Отталкивание частиц ближе thickness. Пары, которые ближе thickness уже в исходной форме
+// (соседи по сетке), пропускаются. Закреплённые вершины не двигаются
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn collide(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= hash.vertexCount) { return; }
+  let p = positions[idx];
+  if (p.w > 0.5) { deltas[idx] = vec4<f32>(0.0); return; }
+  let base = cellCoord(p.xyz);
+
+  var delta = vec3<f32>(0.0);
+  var count = 0.0;
+  // разные соседние ячейки могут попасть в одну корзину — каждая корзина обходится один раз
+  var visited: array<u32, 27>;
+  var visitedCount = 0u;
+  for (var dz = -1; dz <= 1; dz++) {
+    for (var dy = -1; dy <= 1; dy++) {
+      for (var dx = -1; dx <= 1; dx++) {
+        let h = hashCell(base + vec3<i32>(dx, dy, dz));
+        var seen = false;
+        for (var v = 0u; v < visitedCount; v++) { seen = seen || visited[v] == h; }
+        if (seen) { continue; }
+        visited[visitedCount] = h;
+        visitedCount++;
+        let start = cellStart[h];
+        let end = start + atomicLoad(&cellCount[h]);
+        for (var k = start; k < end; k++) {
+          let j = sortedIds[k];
+          if (j == idx) { continue; }
+          let q = positions[j];
+          let d = p.xyz - q.xyz;
+          let dist = length(d);
+          if (dist >= hash.thickness || dist < 1e-6) { continue; }
+          if (length(restPositions[idx].xyz - restPositions[j].xyz) <= hash.thickness) { continue; }
+          // вершина j закреплена — вся поправка достаётся idx
+          let share = select(0.5, 1.0, q.w > 0.5);
+          delta += d / dist * (hash.thickness - dist) * share;
+          count += 1.0;
+        }
+      }
+    }
+  }
+  deltas[idx] = vec4<f32>(select(vec3<f32>(0.0), delta / count, count > 0.0), 0.0);
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn applyDeltas(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= hash.vertexCount) { return; }
+  let p = positions[idx];
+  positions[idx] = vec4<f32>(p.xyz + deltas[idx].xyz, p.w);
+}
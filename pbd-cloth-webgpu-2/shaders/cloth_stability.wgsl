@@ -0,0 +1,117 @@
+// Диагностика устойчивости ткани (StabilityMonitor): редукция по вершинам в два прохода.
+// reduceVertices — каждая рабочая группа сводит свои вершины в partials[группа],
+// reducePartials — одна рабочая группа сводит partials в result.
+// Скорость незакреплённых вершин — по позициям до и после последнего шага, деформация — по рёбрам меша относительно длины покоя.
+// Вершины с NaN или Inf только считаются и в остальные величины не входят.
+
+// поля StabilityParams генерируются из STABILITY_PARAMS_STRUCT (stabilityPass.js)
+#struct StabilityParams
+
+// kineticEnergy — сумма ½·m·v² незакреплённых вершин, invalidCount — число вершин с NaN или Inf
+struct Stats {
+  maxSpeed: f32,
+  maxStrain: f32,
+  kineticEnergy: f32,
+  invalidCount: f32,
+  boundsMin: vec4<f32>,
+  boundsMax: vec4<f32>,
+};
+
+// тот же формат, что struct Neighbour в include/cloth_neighbours.wgsl
+struct Neighbour {
+  index: u32,
+  rest: f32,
+  compliance: f32,
+};
+
+@group(0) @binding(0) var<uniform> params: StabilityParams;
+@group(0) @binding(1) var<storage, read> positions: array<vec4<f32>>;
+@group(0) @binding(2) var<storage, read> prevPositions: array<vec4<f32>>;
+@group(0) @binding(3) var<storage, read> neighbourOffsets: array<u32>;
+@group(0) @binding(4) var<storage, read> neighbours: array<Neighbour>;
+@group(0) @binding(5) var<storage, read> invMasses: array<f32>;
+@group(0) @binding(6) var<storage, read_write> partials: array<Stats>;
+@group(0) @binding(7) var<storage, read_write> result: Stats;
+
+const HUGE = 3.0e38;
+
+var<workgroup> groupStats: array<Stats, WORKGROUP_SIZE>;
+
+fn emptyStats() -> Stats {
+  return Stats(0.0, 0.0, 0.0, 0.0, vec4<f32>(HUGE), vec4<f32>(-HUGE));
+}
+
+fn combine(a: Stats, b: Stats) -> Stats {
+  return Stats(max(a.maxSpeed, b.maxSpeed), max(a.maxStrain, b.maxStrain), a.kineticEnergy + b.kineticEnergy,
+    a.invalidCount + b.invalidCount, min(a.boundsMin, b.boundsMin), max(a.boundsMax, b.boundsMax));
+}
+
+// NaN и Inf проверяются по битам: компилятор вправе считать, что x != x всегда ложно
+fn isFinite3(v: vec3<f32>) -> bool {
+  let exponent = bitcast<vec3<u32>>(v) & vec3<u32>(0x7f800000u);
+  return all(exponent != vec3<u32>(0x7f800000u));
+}
+
+fn vertexStats(idx: u32) -> Stats {
+  var stats = emptyStats();
+  let p = positions[idx].xyz;
+  if (!isFinite3(p) || !isFinite3(prevPositions[idx].xyz)) {
+    stats.invalidCount = 1.0;
+    return stats;
+  }
+  // закреплённые вершины двигает пользователь или путь крепления, а не решатель
+  let invMass = invMasses[idx];
+  if (positions[idx].w < 0.5 && invMass > 0.0) {
+    let speed = length(p - prevPositions[idx].xyz) / params.dt;
+    stats.maxSpeed = speed;
+    stats.kineticEnergy = 0.5 * speed * speed / invMass;
+  }
+  for (var n = neighbourOffsets[idx]; n < neighbourOffsets[idx + 1u]; n++) {
+    let neighbour = neighbours[n];
+    let q = positions[neighbour.index].xyz;
+    if (neighbour.rest > 0.0 && isFinite3(q)) {
+      stats.maxStrain = max(stats.maxStrain, abs(length(p - q) - neighbour.rest) / neighbour.rest);
+    }
+  }
+  stats.boundsMin = vec4<f32>(p, 0.0);
+  stats.boundsMax = vec4<f32>(p, 0.0);
+  return stats;
+}
+
+// Сводит groupStats[0 .. WORKGROUP_SIZE) в groupStats[0]
+fn reduceShared(t: u32) {
+  for (var stride = WORKGROUP_SIZE / 2u; stride > 0u; stride /= 2u) {
+    workgroupBarrier();
+    if (t < stride) {
+      groupStats[t] = combine(groupStats[t], groupStats[t + stride]);
+    }
+  }
+  workgroupBarrier();
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn reduceVertices(@builtin(global_invocation_id) id: vec3<u32>, @builtin(local_invocation_id) lid: vec3<u32>,
+                  @builtin(workgroup_id) group: vec3<u32>) {
+  var stats = emptyStats();
+  if (id.x < params.vertexCount) {
+    stats = vertexStats(id.x);
+  }
+  groupStats[lid.x] = stats;
+  reduceShared(lid.x);
+  if (lid.x == 0u) {
+    partials[group.x] = groupStats[0];
+  }
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn reducePartials(@builtin(local_invocation_id) lid: vec3<u32>) {
+  var stats = emptyStats();
+  for (var i = lid.x; i < params.partialCount; i += WORKGROUP_SIZE) {
+    stats = combine(stats, partials[i]);
+  }
+  groupStats[lid.x] = stats;
+  reduceShared(lid.x);
+  if (lid.x == 0u) {
+    result = groupStats[0];
+  }
+}
@@ -1,38 +1,25 @@
-struct Params {
-  time: f32,
-  gravityEnabled: f32,
-  clothSize: f32,
-  spacing: f32,
-};
+#include "include/cloth_neighbours.wgsl"
 
-@group(0) @binding(0) var<uniform> params: Params;
-@group(0) @binding(1) var<storage, read> inPositions: array<vec4<f32>>;
-@group(0) @binding(2) var<storage, read_write> outPositions: array<vec4<f32>>;
+// strategyParams (struct StrategyParams, binding 7) объявляется по схеме параметров стратегии (strategies.js):
+// relaxation — доля поправки пружины за шаг; все пружины вершины применяются одновременно (Якоби), поэтому шаг мал.
+// Пружины — все рёбра треугольников, включая диагональ сетки a–d, длина покоя у каждого ребра своя
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(WORKGROUP_SIZE)
 fn main(@builtin(global_invocation_id) id: vec3<u32>) {
   let idx = id.x;
-  let size = u32(params.clothSize);
-  if (idx >= size * size) { return; }
+  if (idx >= arrayLength(&outPositions)) { return; }
   let pos = inPositions[idx];
   var newPos = pos.xyz;
   if (pos.w > 0.5) { outPositions[idx] = pos; return; }
-  if (params.gravityEnabled > 0.5) { newPos.y -= 0.001; }
+  newPos += accelerations[idx].xyz * (params.dt * params.dt);
 
-  let stiffness = 0.1;
-  for (var i: i32 = 0; i < 4; i++) {
-    let offsets = array<vec2<i32>, 4>(vec2<i32>(1,0), vec2<i32>(-1,0), vec2<i32>(0,1), vec2<i32>(0,-1));
-    let nx = i32(idx % size) + offsets[i].x;
-    let ny = i32(idx / size) + offsets[i].y;
-    if (nx >= 0 && ny >= 0 && nx < i32(size) && ny < i32(size)) {
-      let nidx = u32(ny) * size + u32(nx);
-      let neighbor = inPositions[nidx].xyz;
-      let dir = neighbor - newPos;
-      let dist = length(dir);
-      let rest = params.spacing;
-      if (dist > 0.0) {
-        newPos += (dir / dist) * (dist - rest) * stiffness;
-      }
+  let wi = invMasses[idx];
+  for (var n = neighbourOffsets[idx]; n < neighbourOffsets[idx + 1u]; n++) {
+    let neighbour = neighbours[n];
+    let dir = inPositions[neighbour.index].xyz - newPos;
+    let dist = length(dir);
+    if (dist > 0.0) {
+      newPos += (dir / dist) * (dist - neighbour.rest) * (strategyParams.relaxation * edgeWeight(wi, neighbour.index, neighbour.compliance));
     }
   }
   outPositions[idx] = vec4<f32>(newPos, pos.w);
@@ -0,0 +1,188 @@
+// поля Params и SimParams генерируются из PipelineFactory.PARAMS_STRUCT и XPBD_SIM_STRUCT (strategies.js)
+#struct Params
+#struct SimParams
+
+struct Constraint {
+  a: u32,
+  b: u32,
+  rest: f32,
+  compliance: f32,
+};
+
+// Аналитический коллайдер (упаковывается ColliderSystem из ecs.js)
+// center.w — тип: 0 сфера, 1 плоскость, 2 коробка, 3 капсула
+// shape — нормаль плоскости / половины размеров коробки / половина оси капсулы; shape.w — радиус
+// material.x — трение, material.y — восстановление
+struct Collider {
+  center: vec4<f32>,
+  shape: vec4<f32>,
+  rotation: vec4<f32>,
+  material: vec4<f32>,
+};
+
+struct Batch {
+  offset: u32,
+  count: u32,
+};
+
+@group(0) @binding(0) var<uniform> params: Params;
+@group(0) @binding(1) var<storage, read> inPositions: array<vec4<f32>>;
+@group(0) @binding(2) var<storage, read_write> outPositions: array<vec4<f32>>;
+@group(0) @binding(3) var<storage, read_write> prevPositions: array<vec4<f32>>;
+@group(0) @binding(4) var<storage, read> constraints: array<Constraint>;
+@group(0) @binding(5) var<storage, read_write> lambdas: array<f32>;
+@group(0) @binding(6) var<uniform> sim: SimParams;
+@group(0) @binding(7) var<storage, read> colliders: array<Collider>;
+// ускорения от силовых полей (cloth_forces.wgsl)
+@group(0) @binding(8) var<storage, read> accelerations: array<vec4<f32>>;
+// обратные массы вершин (material.js); у закреплённых вершин считается 0
+@group(0) @binding(9) var<storage, read> invMasses: array<f32>;
+@group(1) @binding(0) var<uniform> batch: Batch;
+// strategyParams (struct StrategyParams, binding 10) объявляется по схеме параметров стратегии (strategies.js):
+// overRelaxation — множитель поправки λ (последовательная верхняя релаксация)
+
+// Предсказание позиции (Верле): x* = x + (x - x_prev) * damping + a * dt^2.
+// Дальше в шаге prevPositions хранит запись контакта (solveCollisions), а предыдущие позиции
+// восстанавливает resolveContacts после итераций; до него x_prev шага — это inPositions
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn predict(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= sim.vertexCount) { return; }
+  let pos = inPositions[idx];
+  let velocity = (pos.xyz - prevPositions[idx].xyz) * sim.damping;
+  prevPositions[idx] = vec4<f32>(0.0);
+  if (pos.w > 0.5) {
+    outPositions[idx] = pos;
+    return;
+  }
+  let acc = accelerations[idx].xyz;
+  outPositions[idx] = vec4<f32>(pos.xyz + velocity + acc * sim.dt * sim.dt, pos.w);
+}
+
+// Одна партия раскрашенных ограничений: вершины в партии не пересекаются,
+// поэтому запись в outPositions идёт без гонок.
+// Затухание Рэлея (Macklin et al., XPBD): gamma = compliance · β / dt гасит скорость растяжения
+// ограничения за шаг (x - inPositions вдоль градиента), у жёстких ограничений (compliance = 0) его нет
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn solveConstraints(@builtin(global_invocation_id) id: vec3<u32>) {
+  if (id.x >= batch.count) { return; }
+  let ci = batch.offset + id.x;
+  let c = constraints[ci];
+  let p1 = outPositions[c.a];
+  let p2 = outPositions[c.b];
+  let w1 = select(invMasses[c.a], 0.0, p1.w > 0.5);
+  let w2 = select(invMasses[c.b], 0.0, p2.w > 0.5);
+  let delta = p1.xyz - p2.xyz;
+  let dist = length(delta);
+  let alpha = c.compliance / (sim.dt * sim.dt);
+  let gamma = c.compliance * sim.rayleigh / sim.dt;
+  let denom = (1.0 + gamma) * (w1 + w2) + alpha;
+  if (dist < 1e-6 || denom <= 0.0) { return; }
+
+  let n = delta / dist;
+  let C = dist - c.rest;
+  let velocity = dot(n, (p1.xyz - inPositions[c.a].xyz) - (p2.xyz - inPositions[c.b].xyz));
+  let dLambda = strategyParams.overRelaxation * (-C - alpha * lambdas[ci] - gamma * velocity) / denom;
+  lambdas[ci] += dLambda;
+  outPositions[c.a] = vec4<f32>(p1.xyz + n * (w1 * dLambda), p1.w);
+  outPositions[c.b] = vec4<f32>(p2.xyz - n * (w2 * dLambda), p2.w);
+}
+
+// Толщина ткани: вершины удерживаются на этом расстоянии от поверхности коллайдера
+const COLLISION_MARGIN: f32 = 0.01;
+
+// Поворот вектора кватернионом
+fn rotate(q: vec4<f32>, v: vec3<f32>) -> vec3<f32> {
+  let t = 2.0 * cross(q.xyz, v);
+  return v + q.w * t + cross(q.xyz, t);
+}
+
+fn sphereContact(d: vec3<f32>, radius: f32) -> vec4<f32> {
+  let dist = length(d);
+  if (dist < 1e-6) { return vec4<f32>(0.0, 1.0, 0.0, radius + COLLISION_MARGIN); }
+  return vec4<f32>(d / dist, radius + COLLISION_MARGIN - dist);
+}
+
+// Контакт точки с коллайдером: xyz — нормаль наружу, w — глубина проникновения (> 0 — контакт)
+fn contact(p: vec3<f32>, c: Collider) -> vec4<f32> {
+  let kind = u32(c.center.w);
+  let d = p - c.center.xyz;
+  if (kind == 0u) {
+    return sphereContact(d, c.shape.w);
+  }
+  if (kind == 1u) {
+    let n = normalize(c.shape.xyz);
+    return vec4<f32>(n, COLLISION_MARGIN - dot(d, n));
+  }
+  if (kind == 2u) {
+    let local = rotate(vec4<f32>(-c.rotation.xyz, c.rotation.w), d);
+    let q = abs(local) - c.shape.xyz;
+    if (max(q.x, max(q.y, q.z)) > 0.0) {
+      let outside = local - clamp(local, -c.shape.xyz, c.shape.xyz);
+      let dist = length(outside);
+      return vec4<f32>(rotate(c.rotation, outside / dist), COLLISION_MARGIN - dist);
+    }
+    // внутри коробки: выталкиваем через ближайшую грань
+    var n = vec3<f32>(select(-1.0, 1.0, local.x >= 0.0), 0.0, 0.0);
+    var depth = q.x;
+    if (q.y > depth) { n = vec3<f32>(0.0, select(-1.0, 1.0, local.y >= 0.0), 0.0); depth = q.y; }
+    if (q.z > depth) { n = vec3<f32>(0.0, 0.0, select(-1.0, 1.0, local.z >= 0.0)); depth = q.z; }
+    return vec4<f32>(rotate(c.rotation, n), COLLISION_MARGIN - depth);
+  }
+  // капсула: сфера вокруг ближайшей точки отрезка center ± shape.xyz
+  let axis = c.shape.xyz;
+  let t = clamp(dot(d, axis) / max(dot(axis, axis), 1e-12), -1.0, 1.0);
+  return sphereContact(d - axis * t, c.shape.w);
+}
+
+// Столкновения с коллайдерами после каждой итерации ограничений.
+// Вершина выталкивается по нормали; трение (конус Кулона) гасит касательное смещение за шаг.
+// Скорость здесь не меняется: в prevPositions пишется запись последнего контакта
+// (xyz — нормаль, w — смещение отскока за шаг), её применяет resolveContacts один раз после итераций.
+// Смещение считается от inPositions (начало шага), поэтому повторные итерации не накапливают ответ
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn solveCollisions(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= sim.vertexCount) { return; }
+  var p = outPositions[idx];
+  if (p.w > 0.5) { return; }
+  let start = inPositions[idx].xyz;
+
+  for (var i = 0u; i < sim.colliderCount; i++) {
+    let c = colliders[i];
+    let hit = contact(p.xyz, c);
+    if (hit.w <= 0.0) { continue; }
+    let n = hit.xyz;
+    var pos = p.xyz + n * hit.w;
+
+    let disp = pos - start;
+    let tangent = disp - n * dot(disp, n);
+    let slide = length(tangent);
+    if (slide > 1e-9) { pos -= tangent * min(c.material.x * hit.w / slide, 1.0); }
+
+    let approach = min(dot(p.xyz - start, n), 0.0);
+    // повторный контакт на следующих итерациях уже у поверхности: отскок берётся по самому быстрому подлёту шага
+    prevPositions[idx] = vec4<f32>(n, min(prevPositions[idx].w, c.material.y * approach));
+    p = vec4<f32>(pos, p.w);
+  }
+  outPositions[idx] = p;
+}
+
+// Скорость после шага: без контакта x_prev = inPositions; с контактом касательная часть смещения
+// за шаг (уже погашенная трением) сохраняется, а нормальная заменяется отскоком из записи контакта
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn resolveContacts(@builtin(global_invocation_id) id: vec3<u32>) {
+  let idx = id.x;
+  if (idx >= sim.vertexCount) { return; }
+  let start = inPositions[idx];
+  let record = prevPositions[idx];
+  if (dot(record.xyz, record.xyz) < 0.5) {
+    prevPositions[idx] = start;
+    return;
+  }
+  let p = outPositions[idx].xyz;
+  let n = record.xyz;
+  let v = p - start.xyz;
+  let vTangent = v - n * dot(v, n);
+  prevPositions[idx] = vec4<f32>(p - vTangent + n * record.w, start.w);
+}
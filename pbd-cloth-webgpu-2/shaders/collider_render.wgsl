@@ -0,0 +1,31 @@
+struct RenderParams {
+  viewProj: mat4x4<f32>,
+  eye: vec4<f32>,
+  lightDir: vec4<f32>,
+  mode: f32,
+  stressScale: f32,
+};
+
+@group(0) @binding(0) var<uniform> render: RenderParams;
+
+struct VSOut {
+  @builtin(position) pos: vec4<f32>,
+  @location(0) normal: vec3<f32>,
+};
+
+@vertex
+fn vs_main(@location(0) inPos: vec3<f32>, @location(1) normal: vec3<f32>) -> VSOut {
+  var out: VSOut;
+  out.pos = render.viewProj * vec4<f32>(inPos, 1.0);
+  out.normal = normal;
+  return out;
+}
+
+// Коллайдеры: матовый серый, освещение двустороннее, как у ткани
+@fragment
+fn fs_main(in: VSOut, @builtin(front_facing) front: bool) -> @location(0) vec4<f32> {
+  var n = normalize(in.normal);
+  if (!front) { n = -n; }
+  let diffuse = max(dot(n, normalize(-render.lightDir.xyz)), 0.0);
+  return vec4<f32>(vec3<f32>(0.45, 0.5, 0.55) * (0.25 + 0.75 * diffuse), 1.0);
+}
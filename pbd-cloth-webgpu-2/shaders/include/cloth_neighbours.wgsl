@@ -0,0 +1,31 @@
+// Общая часть PBD и Mass-Spring (cloth_update_pbd.wgsl, cloth_update_massspring.wgsl): привязки группы 0
+// и вес ребра. Порядок привязок совпадает с NEIGHBOUR_BINDINGS в strategies.js.
+
+// поля Params генерируются из PipelineFactory.PARAMS_STRUCT
+#struct Params
+
+@group(0) @binding(0) var<uniform> params: Params;
+@group(0) @binding(1) var<storage, read> inPositions: array<vec4<f32>>;
+@group(0) @binding(2) var<storage, read_write> outPositions: array<vec4<f32>>;
+// ускорения от силовых полей (cloth_forces.wgsl)
+@group(0) @binding(3) var<storage, read> accelerations: array<vec4<f32>>;
+
+// соседи вершин по рёбрам меша (CSR) с длинами покоя и податливостью рёбер:
+// соседи idx — neighbours[neighbourOffsets[idx] .. neighbourOffsets[idx + 1])
+struct Neighbour {
+  index: u32,
+  rest: f32,
+  compliance: f32,
+};
+@group(0) @binding(4) var<storage, read> neighbourOffsets: array<u32>;
+@group(0) @binding(5) var<storage, read> neighbours: array<Neighbour>;
+// обратные массы вершин (material.js); у закреплённых вершин считается 0
+@group(0) @binding(6) var<storage, read> invMasses: array<f32>;
+
+// Вес ребра до соседа j — доля поправки вершины, как за одну итерацию XPBD: 2·w_i / (w_i + w_j + α/dt²).
+// Для равных масс и жёсткого ребра вес равен 1; податливость ребра и более тяжёлая вершина его уменьшают,
+// закреплённый сосед — увеличивает (вся поправка достаётся вершине)
+fn edgeWeight(wi: f32, j: u32, compliance: f32) -> f32 {
+  let wj = select(invMasses[j], 0.0, inPositions[j].w > 0.5);
+  return 2.0 * wi / (wi + wj + compliance / (params.dt * params.dt));
+}
@@ -0,0 +1,26 @@
+// Проверки CPU-аналогов ядер XPBD (cpuKernels.js): node --test tests/
+import test from "node:test";
+import assert from "node:assert/strict";
+import { collisionKernel, contactKernel } from "../js/cpuKernels.js";
+import { ColliderSystem, createCollider, ColliderType } from "../js/ecs.js";
+
+test("скорость после контакта задаётся один раз после итераций: касательная сохраняется, нормальная — отскок", () => {
+  const colliders = new ColliderSystem();
+  colliders.update([createCollider(ColliderType.PLANE, { friction: 0, restitution: 0.5 })]);
+  // вершина 0 падает на плоскость y = 0, вершина 1 её не касается
+  const inPositions = new Float32Array([0, 0.05, 0, 0, 1, 1, 0, 0]);
+  const outPositions = new Float32Array([0.02, -0.05, 0, 0, 1, 0.9, 0, 0]);
+  const prev = new Float32Array(8);
+  for (let iter = 0; iter < 3; iter++) {
+    for (let idx = 0; idx < 2; idx++) collisionKernel(idx, colliders, inPositions, outPositions, prev);
+  }
+  for (let idx = 0; idx < 2; idx++) contactKernel(idx, inPositions, outPositions, prev);
+
+  // вершина вытолкнута на толщину ткани над плоскостью
+  assert.ok(Math.abs(outPositions[1] - 0.01) < 1e-6);
+  const velocity = [0, 1, 2].map(c => outPositions[c] - prev[c]);
+  assert.ok(Math.abs(velocity[0] - 0.02) < 1e-6);
+  // подлёт на 0.1 за шаг с восстановлением 0.5
+  assert.ok(Math.abs(velocity[1] - 0.05) < 1e-6);
+  assert.deepEqual(prev.subarray(4), inPositions.subarray(4));
+});
@@ -0,0 +1,30 @@
+// Эталонные (golden) проверки CPU-решателя (cpuSolver.js): node --test tests/
+// Позиции после фиксированного числа шагов сверяются с сохранёнными; если стратегия меняется намеренно,
+// эталон пересчитывается тем же сценарием и обновляется в том же изменении
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CPUSolver } from "../js/cpuSolver.js";
+import { PBDStrategy, MassSpringStrategy, XPBDStrategy } from "../js/strategies.js";
+
+// сетка 8×8 с шагом 0.1, 60 шагов по 1/60 с под гравитацией; проверяются вершины 9, 36 и 63
+const CLOTH = { size: 8, spacing: 0.1, pins: null, pinGroups: [], mesh: null, attachments: [] };
+const STEPS = 60;
+const VERTICES = [9, 36, 63];
+const TOLERANCE = 1e-5;
+
+const GOLDEN = {
+  pbd: { strategy: () => new PBDStrategy(null), positions: [[-0.246508, 0.134239, 0], [0.046411, -0.201586, 0], [0.217011, -0.371673, 0]] },
+  massspring: { strategy: () => new MassSpringStrategy(null), positions: [[-0.266997, 0.179646, 0], [0.037393, -0.171098, 0], [0.338436, -0.474266, 0]] },
+  xpbd: { strategy: () => new XPBDStrategy(null), positions: [[-0.251275, 0.242803, 0], [0.049762, -0.060065, 0], [0.349778, -0.36137, 0]] },
+};
+
+for (const [id, { strategy, positions }] of Object.entries(GOLDEN)) {
+  test(`${id}: позиции после ${STEPS} шагов совпадают с эталоном`, () => {
+    const solver = new CPUSolver(strategy(), CLOTH);
+    for (let i = 0; i < STEPS; i++) solver.step(1 / 60);
+    VERTICES.forEach((v, i) => {
+      const actual = [0, 1, 2].map(c => solver.positions[v * 4 + c]);
+      actual.forEach((x, c) => assert.ok(Math.abs(x - positions[i][c]) < TOLERANCE, `vertex ${v}: ${actual} != ${positions[i]}`));
+    });
+  });
+}
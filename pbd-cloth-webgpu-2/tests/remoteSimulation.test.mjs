@@ -0,0 +1,61 @@
+// Проверки связи с воркером (SimulationClient в remoteSimulation.js): node --test tests/
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SimulationClient } from "../js/remoteSimulation.js";
+import { MessageType, WorkerAction } from "../js/workerProtocol.js";
+
+/** Воркер без потока: отправленные сообщения копятся в sent, ответы посылает тест */
+class FakeWorker extends EventTarget {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  postMessage(message) { this.sent.push(message); }
+
+  reply(data) { this.dispatchEvent(Object.assign(new Event("message"), { data })); }
+}
+
+test("ответ RESPONSE выполняет запрос с тем же id, ошибка воркера отклоняет его", async () => {
+  const worker = new FakeWorker();
+  const client = new SimulationClient(worker);
+  const ping = client.request(WorkerAction.PING);
+  const state = client.request(WorkerAction.READ_STATE);
+  const [first, second] = worker.sent;
+  assert.equal(first.action, WorkerAction.PING);
+  worker.reply({ type: MessageType.RESPONSE, id: second.id, error: "no simulation" });
+  worker.reply({ type: MessageType.RESPONSE, id: first.id, result: true });
+  assert.equal(await ping, true);
+  await assert.rejects(state, /no simulation/);
+  assert.equal(client.pending.size, 0);
+});
+
+for (const type of ["error", "messageerror"]) {
+  test(`событие "${type}" воркера отклоняет все ожидающие запросы`, async () => {
+    const worker = new FakeWorker();
+    const client = new SimulationClient(worker);
+    const errors = [];
+    client.on("error", e => errors.push(e));
+    const requests = [client.request(WorkerAction.PING), client.request(WorkerAction.INIT, [{}])];
+    worker.dispatchEvent(new Event(type));
+    for (const request of requests) await assert.rejects(request, /Simulation worker/);
+    assert.equal(client.pending.size, 0);
+    assert.equal(errors.length, 1);
+  });
+}
+
+test("после ответа на INIT ошибка воркера только сообщается, долгие запросы продолжаются", async () => {
+  const worker = new FakeWorker();
+  const client = new SimulationClient(worker);
+  const init = client.request(WorkerAction.INIT, [{}]);
+  worker.reply({ type: MessageType.RESPONSE, id: worker.sent[0].id, result: {} });
+  await init;
+  const errors = [];
+  client.on("error", e => errors.push(e));
+  const benchmark = client.request(WorkerAction.RUN_BENCHMARK, [{}]);
+  worker.dispatchEvent(Object.assign(new Event("error"), { message: "frame loop failed" }));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /frame loop failed/);
+  worker.reply({ type: MessageType.RESPONSE, id: worker.sent[1].id, result: [] });
+  assert.deepEqual(await benchmark, []);
+});
@@ -0,0 +1,36 @@
+// Проверки записи и воспроизведения ввода (replay.js): node --test tests/
+import test from "node:test";
+import assert from "node:assert/strict";
+import { InputRecorder, replayOnCPU, parseSnapshot, maxDeviation } from "../js/replay.js";
+import { SimulationModel } from "../js/simulationModel.js";
+import { SimulationController } from "../js/simulationController.js";
+import { CPUSimulationView } from "../js/cpuSimulationView.js";
+import { PBDStrategy, MassSpringStrategy, XPBDStrategy } from "../js/strategies.js";
+
+const createStrategies = () => ({ pbd: new PBDStrategy(null), massspring: new MassSpringStrategy(null), xpbd: new XPBDStrategy(null) });
+
+test("запись, воспроизведённая на CPU, приходит в то же состояние, что и исходная симуляция", async () => {
+  const strategies = createStrategies();
+  const model = new SimulationModel(null, null, strategies.xpbd);
+  model.setCloth({ size: 6, spacing: 0.1 });
+  const controller = new SimulationController(model, new CPUSimulationView(null, model));
+  // до записи ткань успевает прийти в движение: начальное состояние — не покой
+  for (let i = 0; i < 10; i++) controller.simulate();
+
+  await controller.startRecording(new InputRecorder(model, strategies));
+  for (let i = 0; i < 30; i++) {
+    if (i === 5) controller.setVertex(35, [0.3, 0.2, 0.1], 1);
+    if (i === 12) model.setIterations(4);
+    if (i === 18) model.setStrategy(strategies.pbd);
+    if (i === 24) model.setGravity(false);
+    controller.simulate();
+  }
+  const recording = JSON.parse(JSON.stringify(await controller.stopRecording()));
+  assert.equal(recording.steps, 30);
+  assert.equal(recording.events.length, 4);
+  assert.ok(maxDeviation(parseSnapshot(recording.initial), parseSnapshot(recording.final)) > 0.01);
+
+  // воспроизведение — с новыми стратегиями и новой моделью, как после загрузки записи из файла
+  const replayed = replayOnCPU(JSON.stringify(recording), createStrategies());
+  assert.equal(maxDeviation(replayed, parseSnapshot(recording.final)), 0);
+});
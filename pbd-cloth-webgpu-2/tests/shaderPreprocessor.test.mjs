@@ -0,0 +1,62 @@
+// Проверки препроцессора WGSL (shaderPreprocessor.js): node --test tests/
+import test from "node:test";
+import assert from "node:assert/strict";
+import { preprocessWGSL, structWGSL, structSize, packStruct, includeNames, ShaderPreprocessError } from "../js/shaderPreprocessor.js";
+
+const preprocess = (code, options) => preprocessWGSL(code, options).code;
+
+test("#define заменяет слово целиком, #undef снимает замену", () => {
+  assert.equal(preprocess("#define N 64\n@compute @workgroup_size(N)"), "@compute @workgroup_size(64)");
+  assert.equal(preprocess("#define N 64\nlet NN = N;\n#undef N\nlet x = N;"), "let NN = 64;\nlet x = N;");
+  assert.equal(preprocess("let x = SIZE;", { defines: { SIZE: 16 } }), "let x = 16;");
+});
+
+test("вложенные #ifdef, #ifndef и #else выбирают ветви по определённым именам", () => {
+  const code = "#ifdef A\n#ifndef B\na\n#else\nab\n#endif\n#else\nnone\n#endif\nend";
+  assert.equal(preprocess(code, { defines: { A: true } }), "a\nend");
+  assert.equal(preprocess(code, { defines: { A: true, B: 1 } }), "ab\nend");
+  assert.equal(preprocess(code, { defines: { A: false, B: 1 } }), "none\nend");
+  // директивы внутри невыбранной ветви не выполняются
+  assert.equal(preprocess("#ifdef A\n#define X 1\n#endif\nX"), "X");
+});
+
+test("#include вставляет фрагмент один раз и сохраняет место каждой строки", () => {
+  const includes = { a: "p\nq" };
+  const { code, lines } = preprocessWGSL('x\n#include "a"\n#include "a"\ny', { file: "main.wgsl", includes });
+  assert.equal(code, "x\np\nq\ny");
+  assert.deepEqual(lines, [{ file: "main.wgsl", line: 1 }, { file: "a", line: 1 }, { file: "a", line: 2 }, { file: "main.wgsl", line: 4 }]);
+  assert.deepEqual(includeNames('#include "a"\n  #include "b/c.wgsl"\nfn f() {}'), ["a", "b/c.wgsl"]);
+});
+
+test("циклические #include не зацикливаются: каждый фрагмент попадает в модуль один раз", () => {
+  const includes = { a: '#include "b"\na', b: '#include "a"\n#include "main.wgsl"\nb' };
+  assert.equal(preprocess('#include "a"\nmain', { file: "main.wgsl", includes }), "b\na\nmain");
+});
+
+test("#struct генерирует структуру по описанию полей один раз, раскладка совпадает с packStruct", () => {
+  const fields = [{ name: "dt", type: "f32" }, { name: "count", type: "u32" }, { name: "enabled", type: "bool" }];
+  assert.equal(preprocess("#struct Params\n#struct Params\nx", { structs: { Params: fields } }), "struct Params {\n  dt: f32,\n  count: u32,\n  enabled: u32,\n};\nx");
+  assert.equal(structWGSL("Params", fields), "struct Params {\n  dt: f32,\n  count: u32,\n  enabled: u32,\n};\n");
+  assert.equal(structSize(fields), 16);
+  assert.equal(structSize([...fields, ...fields]), 32);
+  const packed = new DataView(packStruct(fields, { dt: 0.5, count: 7, enabled: true }));
+  assert.equal(packed.getFloat32(0, true), 0.5);
+  assert.equal(packed.getUint32(4, true), 7);
+  assert.equal(packed.getUint32(8, true), 1);
+});
+
+test("незакрытый #ifdef — ShaderPreprocessError с файлом и строкой директивы", () => {
+  assert.throws(() => preprocessWGSL("x\n#ifdef A\ny", { file: "f.wgsl" }), error => {
+    assert.ok(error instanceof ShaderPreprocessError);
+    assert.equal(error.file, "f.wgsl");
+    assert.equal(error.line, 2);
+    assert.match(error.message, /#ifdef without #endif/);
+    return true;
+  });
+});
+
+test("неверные директивы дают ShaderPreprocessError", () => {
+  for (const code of ["#endif", "#else\n#else", '#include "missing"', "#struct Unknown", "#pragma once", "#define 1X"]) {
+    assert.throws(() => preprocessWGSL(code, { file: "f.wgsl" }), ShaderPreprocessError, code);
+  }
+});
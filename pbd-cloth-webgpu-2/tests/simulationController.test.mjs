@@ -0,0 +1,60 @@
+// Проверки сбора кадров для экспорта анимации (SimulationController.captureFrames): node --test tests/
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SimulationModel } from "../js/simulationModel.js";
+import { SimulationController } from "../js/simulationController.js";
+import { CPUSimulationView } from "../js/cpuSimulationView.js";
+import { PBDStrategy } from "../js/strategies.js";
+
+/** Контроллер с CPU-решателем без отображения; шаги делает тест */
+function createController() {
+  const model = new SimulationModel(null, null, new PBDStrategy(null));
+  model.setCloth({ size: 4, spacing: 0.1 });
+  return new SimulationController(model, new CPUSimulationView(null, model));
+}
+
+test("captureFrames собирает позиции кадров from..to", async () => {
+  const controller = createController();
+  const frames = controller.captureFrames(2, 4);
+  for (let i = 0; i < 5; i++) controller.simulate();
+  const positions = await frames;
+  assert.equal(positions.length, 3);
+  assert.equal(positions[0].length, controller.view.vertexCount * 4);
+  assert.notDeepEqual(positions[0], positions[2]);
+});
+
+test("captureFrames отклоняется на паузе, а не ждёт кадра to", async () => {
+  const controller = createController();
+  controller.model.setPaused(true);
+  await assert.rejects(controller.captureFrames(1, 3), /paused/);
+
+  controller.model.setPaused(false);
+  const frames = controller.captureFrames(1, 3);
+  controller.simulate();
+  controller.model.setPaused(true);
+  await assert.rejects(frames, /paused/);
+});
+
+test("captureFrames отклоняется, когда счётчик кадров вернулся назад или ткань сменилась", async () => {
+  const controller = createController();
+  controller.simulate();
+  const snapshot = await controller.takeSnapshot();
+  const restored = controller.captureFrames(3, 5);
+  controller.simulate();
+  controller.restoreSnapshot(snapshot);
+  controller.simulate();
+  await assert.rejects(restored, /went back/);
+
+  const changed = controller.captureFrames(10, 12);
+  controller.model.setCloth({ size: 5, spacing: 0.1 });
+  await assert.rejects(changed, /cloth was changed/);
+});
+
+test("captureFrames передаёт ошибку чтения позиций", async () => {
+  const controller = createController();
+  controller.view.readPositions = async () => { throw new Error("device lost"); };
+  const frames = controller.captureFrames(1, 2);
+  controller.simulate();
+  controller.simulate();
+  await assert.rejects(frames, /device lost/);
+});
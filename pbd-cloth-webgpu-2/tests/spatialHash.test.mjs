@@ -0,0 +1,88 @@
+// Проверки CPU-версии самостолкновений (spatialHash.js): node --test tests/
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSpatialHash, solveSelfCollisions, forEachNeighbour, tableSizeFor, hashCell, SELF_COLLISION_THICKNESS } from "../js/spatialHash.js";
+import { PBDStrategy, MassSpringStrategy } from "../js/strategies.js";
+import { CPUSolver } from "../js/cpuSolver.js";
+
+const thickness = SELF_COLLISION_THICKNESS;
+
+/** Позиции vec4 из списка [x, y, z, pinned] */
+const vec4s = points => new Float32Array(points.flatMap(([x, y, z, w = 0]) => [x, y, z, w]));
+
+const distance = (positions, i, j) => Math.hypot(...[0, 1, 2].map(c => positions[i * 4 + c] - positions[j * 4 + c]));
+
+test("tableSizeFor возвращает степень двойки не меньше удвоенного числа вершин", () => {
+  assert.equal(tableSizeFor(1), 2);
+  assert.equal(tableSizeFor(3), 8);
+  assert.equal(tableSizeFor(4), 8);
+  assert.equal(tableSizeFor(1024), 2048);
+});
+
+test("buildSpatialHash раскладывает каждую вершину в корзину её ячейки", () => {
+  const positions = vec4s([[0, 0, 0], [0.01, 0, 0], [0.5, 0.5, 0], [-0.2, 0.1, 0.3], [0.011, 0.001, 0]]);
+  const count = positions.length / 4;
+  const hash = buildSpatialHash(positions, thickness, tableSizeFor(count));
+
+  assert.deepEqual([...hash.sortedIds].sort(), [0, 1, 2, 3, 4]);
+  assert.equal(hash.cellCount.reduce((sum, n) => sum + n, 0), count);
+  for (let i = 0; i < count; i++) {
+    const cell = [0, 1, 2].map(c => Math.floor(positions[i * 4 + c] / thickness));
+    assert.equal(hash.cellOf[i], hashCell(...cell, hash.tableSize));
+    const start = hash.cellStart[hash.cellOf[i]];
+    const bucket = hash.sortedIds.subarray(start, start + hash.cellCount[hash.cellOf[i]]);
+    assert.ok(bucket.includes(i), `vertex ${i} is in its bucket`);
+  }
+});
+
+test("forEachNeighbour находит вершины соседних ячеек и обходит каждую корзину один раз", () => {
+  const positions = vec4s([[0, 0, 0], [0.02, 0, 0], [0, 0.05, 0], [1, 1, 1]]);
+  const hash = buildSpatialHash(positions, thickness, tableSizeFor(4));
+  const found = [];
+  forEachNeighbour(hash, [0, 0, 0], j => found.push(j));
+  assert.ok(found.includes(0) && found.includes(1) && found.includes(2));
+  assert.equal(new Set(found).size, found.length);
+});
+
+test("solveSelfCollisions разводит свободные вершины до толщины поровну", () => {
+  // в исходной форме вершины далеко друг от друга, поэтому пара не пропускается
+  const rest = vec4s([[0, 0, 0], [1, 0, 0]]);
+  const positions = vec4s([[0, 0, 0], [0.01, 0, 0]]);
+  solveSelfCollisions(positions, rest, buildSpatialHash(positions, thickness, tableSizeFor(2)), thickness);
+  assert.ok(Math.abs(distance(positions, 0, 1) - thickness) < 1e-6);
+  assert.ok(Math.abs(positions[0] + 0.01) < 1e-6);
+  assert.ok(Math.abs(positions[4] - 0.02) < 1e-6);
+});
+
+test("solveSelfCollisions не двигает закреплённую вершину, вся поправка достаётся свободной", () => {
+  const rest = vec4s([[0, 0, 0], [1, 0, 0]]);
+  const positions = vec4s([[0, 0, 0, 1], [0.01, 0, 0]]);
+  solveSelfCollisions(positions, rest, buildSpatialHash(positions, thickness, tableSizeFor(2)), thickness);
+  assert.equal(positions[0], 0);
+  assert.ok(Math.abs(positions[4] - thickness) < 1e-6);
+});
+
+test("solveSelfCollisions пропускает пары, близкие уже в исходной форме", () => {
+  const rest = vec4s([[0, 0, 0], [0.02, 0, 0]]);
+  const positions = vec4s([[0, 0, 0], [0.01, 0, 0]]);
+  const before = new Float32Array(positions);
+  solveSelfCollisions(positions, rest, buildSpatialHash(positions, thickness, tableSizeFor(2)), thickness);
+  assert.deepEqual(positions, before);
+});
+
+for (const Strategy of [PBDStrategy, MassSpringStrategy]) {
+  test(`${Strategy.name}: при самостолкновениях шаг разводит вершины, сблизившиеся не по рёбрам`, () => {
+    // противоположные углы сетки сведены почти в одну точку; расстояние после шага без самостолкновений и с ними
+    const gap = selfCollision => {
+      const solver = new CPUSolver(new Strategy(null), { size: 4, spacing: 0.1, pins: [], pinGroups: [], mesh: null, attachments: [] });
+      const last = solver.positions.length / 4 - 1;
+      solver.setGravity(false);
+      solver.setSelfCollision(selfCollision);
+      solver.positions.set([0, 0, 0], 0);
+      solver.positions.set([0.005, 0, 0], last * 4);
+      solver.step();
+      return distance(solver.positions, 0, last);
+    };
+    assert.ok(gap(true) > gap(false) + 0.01);
+  });
+}
@@ -1,20 +1,72 @@
 // main.js — PBD cloth with WebGPU compute shaders
+// Everything runs on the main thread beside the UI; the worker-hosted simulation (OffscreenCanvas)
+// is implemented in pbd-cloth-webgpu-2 only
+// The cloth is drawn as its edges (line-list, torn edges compacted away); lit two-sided shading with
+// GPU normals, the fabric texture and the wireframe/shaded/stress view modes are in pbd-cloth-webgpu-2 only
+// OBJ/glTF mesh import is shared with pbd-cloth-webgpu-2 (its meshImport.js; uvs of the parsed mesh are unused here)
+import { parseMeshFile, createSourceMesh, MESH_FILE_PATTERN } from '../pbd-cloth-webgpu-2/js/meshImport.js';
+import { preprocessWGSL, packStruct, structSize, FIELD_TYPES } from '../pbd-cloth-webgpu-2/js/shaderPreprocessor.js';
+import { canvasToPNG, pngSequenceZip } from '../pbd-cloth-webgpu-2/js/capture.js';
+import { readScene, SceneError, sceneToHash, sceneFromHash } from '../pbd-cloth-webgpu-2/js/scene.js';
 const canvas = document.getElementById('canvas');
 const gravityCheckbox = document.getElementById('gravityCheckbox');
 const ampElem = document.getElementById('amp');
 const freqElem = document.getElementById('freq');
 const gridSizeElem = document.getElementById('gridSize');
 const rebuildBtn = document.getElementById('rebuild');
+const iterationsElem = document.getElementById('iterations');
+const substepsElem = document.getElementById('substeps');
+const timeScaleElem = document.getElementById('timeScale');
+const pauseBtn = document.getElementById('pause');
+const stepBtn = document.getElementById('step');
+const tearStrainElem = document.getElementById('tearStrain');
+const pinToolElem = document.getElementById('pinTool');
+const brushRadiusElem = document.getElementById('brushRadius');
+const pinPathElem = document.getElementById('pinPath');
+const pinPresetElem = document.getElementById('pinPreset');
+const clearAttachmentsBtn = document.getElementById('clearAttachments');
+const hudElem = document.getElementById('hud');
+const hudTextElem = document.getElementById('hudText');
+const hudGraphElem = document.getElementById('hudGraph');
+const hudToggleElem = document.getElementById('hudToggle');
+const benchmarkBtn = document.getElementById('benchmark');
+const exportBenchmarkBtn = document.getElementById('exportBenchmark');
+const screenshotBtn = document.getElementById('screenshot');
+const recordVideoBtn = document.getElementById('recordVideo');
+const sequenceFramesElem = document.getElementById('sequenceFrames');
+const recordSequenceBtn = document.getElementById('recordSequence');
+const saveSceneBtn = document.getElementById('saveScene');
+const loadSceneElem = document.getElementById('loadScene');
+const shareSceneBtn = document.getElementById('shareScene');
+const loadMeshElem = document.getElementById('loadMesh');
+const useGridBtn = document.getElementById('useGrid');
+const pinGroupElem = document.getElementById('pinGroup');
 const status = document.getElementById('status');
 
 let adapter, device, context;
-let pipelineRender, pipelineCompute;
+let pipelineRender, pipelineCompute, pipelineConstraints, pipelineAttach, pipelineTear, pipelineCompact, computeLayouts, compactLayout;
 let posBuffer, prevPosBuffer, pinnedBuffer, edgesIndexBuffer, edgeCount, uniformBuffer;
+let constraintBuffer, lambdaBuffer, constraintCount, computeBindGroup, batchGroups;
+let constraintData; // CPU copy of constraintBuffer, rewritten when the tear threshold changes
+let brokenBuffer, edgeSourceBuffer, drawArgsBuffer, compactBindGroup;
+let pinnedState; // user pins; pinnedBuffer also pins every attached vertex
+let attachBuffer; // this step's targets of the animated attachments
+let attachments = []; // animated attachment points: { index, origin, path }
+let canvasFormat, depthTexture, cameraBuffer, renderBindGroup;
+let drag = null; // vertex held by the pointer
 let posArrayLength;
 let gridN = parseInt(gridSizeElem.value);
-let driveIndex; // index of driven vertex
-let timeStart = performance.now();
-let dt = 1/60;
+let clothExtent = 1.0; // side of the square cloth; the grid spacing is clothExtent / (gridN - 1)
+// Fixed-timestep loop: real frame time is scaled and accumulated, the simulation
+// advances in steps of FIXED_DT, each split into `substeps` dispatches of FIXED_DT / substeps
+const FIXED_DT = 1/60;
+const MAX_FRAME_TIME = 0.25;   // clamp after tab switches / breakpoints
+const MAX_STEPS_PER_FRAME = 8; // drop the backlog instead of spiralling
+let simTime = 0;
+let accumulator = 0;
+let lastFrame = null;
+let paused = false;
+let pendingSteps = 0; // steps requested by the "step" button
 let devicePixelRatio = window.devicePixelRatio || 1;
 
 async function initWebGPU() {
@@ -23,17 +75,22 @@ async function initWebGPU() {
     throw new Error('No WebGPU');
   }
   adapter = await navigator.gpu.requestAdapter();
-  device = await adapter.requestDevice();
+  // timestamp-query is optional: without it the HUD shows CPU times only
+  const requiredFeatures = adapter.features.has('timestamp-query') ? ['timestamp-query'] : [];
+  device = await adapter.requestDevice({ requiredFeatures });
   context = canvas.getContext('webgpu');
+  canvasFormat = navigator.gpu.getPreferredCanvasFormat();
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
 
-  const format = navigator.gpu.getPreferredCanvasFormat();
-  context.configure({ device, format, alphaMode: 'opaque' });
-
-  await buildPipelines(format);
+  createTimestampQueries();
+  computeLayouts = createComputeLayouts();
+  compactLayout = createCompactLayout();
+  await buildPipelines(canvasFormat);
 }
 
+// Resizing only reconfigures the context and recreates the depth texture;
+// the aspect ratio reaches the shader through the camera uniform
 function resizeCanvas(){
   const w = Math.floor(window.innerWidth * devicePixelRatio);
   const h = Math.floor(window.innerHeight * devicePixelRatio);
@@ -41,6 +98,10 @@ function resizeCanvas(){
   canvas.height = h;
   canvas.style.width = window.innerWidth + 'px';
   canvas.style.height = window.innerHeight + 'px';
+
+  context.configure({ device, format: canvasFormat, alphaMode: 'opaque' });
+  if (depthTexture) depthTexture.destroy();
+  depthTexture = device.createTexture({ size: [w, h], format: 'depth24plus', usage: GPUTextureUsage.RENDER_ATTACHMENT });
 }
 
 function makeGrid(n, size = 1.0) {
@@ -49,7 +110,6 @@ function makeGrid(n, size = 1.0) {
   const stepX = sx / (n-1), stepY = sy / (n-1);
   const positions = [];
   const pinned = [];
-  const prevPositions = [];
   const indexPos = (i,j) => i + j * n;
   for (let j=0;j<n;j++){
     for (let i=0;i<n;i++){
@@ -58,20 +118,11 @@ function makeGrid(n, size = 1.0) {
       const y = (j * stepY - sy/2);
       const z = 0.0;
       positions.push(x, y, z);
-      prevPositions.push(x, y, z);
       pinned.push(0); // not pinned by default
     }
   }
-  // pin corners
-  pinned[indexPos(0,0)] = 1;
-  pinned[indexPos(n-1,0)] = 1;
-  pinned[indexPos(0,n-1)] = 1;
-  pinned[indexPos(n-1,n-1)] = 1;
-
-  // choose driven vertex — central one
-  const ci = Math.floor((n-1)/2);
-  const cj = Math.floor((n-1)/2);
-  driveIndex = indexPos(ci, cj);
+  // pins come from the preset picked in the UI (four corners by default)
+  for (const index of PIN_PRESETS[pinPresetElem.value](n)) pinned[index] = 1;
 
   // create edge list (unique) as line pairs for visualization, and constraints edges
   const edgeSet = new Map();
@@ -88,12 +139,123 @@ function makeGrid(n, size = 1.0) {
       addEdge(a,d); addEdge(d,c); addEdge(c,a);
     }
   }
-  const edges = Array.from(edgeSet.values()).flat();
-  return { positions: new Float32Array(positions), prevPositions: new Float32Array(prevPositions), pinned: new Uint32Array(pinned), edges: new Uint32Array(edges), n };
+  const edgeList = Array.from(edgeSet.values());
+
+  // XPBD distance constraints with rest lengths taken from the initial layout:
+  // stretch (row/column neighbours), shear (both diagonals), bending (every second vertex)
+  const constraints = [];
+  const addConstraint = (a, b, compliance) => constraints.push(restConstraint(positions, a, b, compliance));
+  for (let j=0;j<n;j++){
+    for (let i=0;i<n;i++){
+      const a = indexPos(i,j);
+      if (i+1<n) addConstraint(a, indexPos(i+1,j), compliance.stretch);
+      if (j+1<n) addConstraint(a, indexPos(i,j+1), compliance.stretch);
+      if (i+1<n && j+1<n) {
+        addConstraint(a, indexPos(i+1,j+1), compliance.shear);
+        addConstraint(indexPos(i+1,j), indexPos(i,j+1), compliance.shear);
+      }
+      if (i+2<n) addConstraint(a, indexPos(i+2,j), compliance.bend);
+      if (j+2<n) addConstraint(a, indexPos(i,j+2), compliance.bend);
+    }
+  }
+  return finishCloth(positions, pinned, edgeList, constraints, n);
+}
+
+// XPBD distance constraint with the rest length taken from the initial layout
+function restConstraint(positions, a, b, compliance) {
+  const rest = Math.hypot(positions[3*a] - positions[3*b], positions[3*a+1] - positions[3*b+1], positions[3*a+2] - positions[3*b+2]);
+  return { a, b, rest, compliance };
+}
+
+// Shared tail of makeGrid and makeMesh: colours the constraints and links the rendered edges to them
+function finishCloth(positions, pinned, edgeList, constraints, n) {
+  const colored = colorConstraints(constraints);
+
+  // every rendered edge is a stretch or shear constraint: remember which one (after colouring),
+  // so the edge disappears once that constraint tears
+  const constraintOf = new Map(colored.constraints.map((c, k) => [c.a < c.b ? `${c.a}_${c.b}` : `${c.b}_${c.a}`, k]));
+  const edges = edgeList.flat();
+  const edgeSource = edgeList.flatMap(([a, b]) => [a, b, constraintOf.get(a < b ? `${a}_${b}` : `${b}_${a}`) ?? NO_CONSTRAINT]);
+
+  return { positions: new Float32Array(positions), prevPositions: new Float32Array(positions), pinned: new Uint32Array(pinned), edges: new Uint32Array(edges), edgeSource: new Uint32Array(edgeSource), constraints: colored.constraints, batches: colored.batches, n };
 }
 
+// XPBD compliance (inverse stiffness) per constraint type; a loaded scene replaces the values
+const COMPLIANCE = { stretch: 0.0, shear: 1e-6, bend: 1e-3 };
+let compliance = { ...COMPLIANCE };
+// edge without a constraint behind it (never removed by tearing)
+const NO_CONSTRAINT = 0xffffffff;
+
+// Pin presets of the n×n grid; row j = n-1 is the top edge
+const PIN_PRESETS = {
+  corners4: n => [0, n-1, n*(n-1), n*n-1],
+  top: n => Array.from({ length: n }, (_, i) => n*(n-1) + i),
+  corners2: n => [n*(n-1), n*n-1],
+  centre: n => [Math.floor((n-1)/2) * (n+1)],
+  none: () => []
+};
+
+// Greedy graph colouring: constraints of one colour share no vertex, so a whole
+// batch can be solved in one dispatch without write races on positions
+function colorConstraints(constraints) {
+  const vertexColors = new Map();
+  const used = v => vertexColors.get(v) || vertexColors.set(v, new Set()).get(v);
+  const byColor = [];
+  for (const c of constraints) {
+    const usedA = used(c.a), usedB = used(c.b);
+    let color = 0;
+    while (usedA.has(color) || usedB.has(color)) color++;
+    usedA.add(color);
+    usedB.add(color);
+    (byColor[color] = byColor[color] || []).push(c);
+  }
+  const sorted = [];
+  const batches = byColor.map(group => {
+    const batch = { offset: sorted.length, count: group.length };
+    for (const c of group) sorted.push(c);
+    return batch;
+  });
+  return { constraints: sorted, batches };
+}
+
+// Imported cloth mesh (OBJ or glTF) used instead of the n×n grid, or null for the grid:
+// { positions: Float32Array xyz, indices: Uint32Array triangles, groups: { name: vertex indices } }
+let clothMesh = null;
+
+// Cloth from a triangle mesh: every unique edge is a stretch constraint and the opposite vertices
+// of two triangles sharing an edge are a bending pair; pins come from the vertex group picked in the UI
+function makeMesh(mesh) {
+  const positions = Array.from(mesh.positions);
+  const pinned = new Array(positions.length / 3).fill(0);
+  if (Object.hasOwn(mesh.groups, pinGroupElem.value)) for (const index of mesh.groups[pinGroupElem.value]) pinned[index] = 1;
+
+  // edge key → [a, b, vertices opposite to the edge in its triangles]
+  const edgeSet = new Map();
+  const { indices } = mesh;
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[t+k], b = indices[t+(k+1)%3], opposite = indices[t+(k+2)%3];
+      const key = a<b ? `${a}_${b}` : `${b}_${a}`;
+      if (!edgeSet.has(key)) edgeSet.set(key, [a, b, []]);
+      edgeSet.get(key)[2].push(opposite);
+    }
+  }
+  const edgeList = [];
+  const constraints = [];
+  for (const [a, b, opposite] of edgeSet.values()) {
+    edgeList.push([a, b]);
+    constraints.push(restConstraint(positions, a, b, compliance.stretch));
+    // an edge of three or more triangles (non-manifold) bends between every pair of them
+    for (let i = 0; i < opposite.length; i++)
+      for (let j = i+1; j < opposite.length; j++)
+        if (opposite[i] !== opposite[j]) constraints.push(restConstraint(positions, opposite[i], opposite[j], compliance.bend));
+  }
+  return finishCloth(positions, pinned, edgeList, constraints, null);
+}
+
+// the imported mesh if there is one, the n×n grid otherwise
 async function createBuffersFromGrid(n) {
-  const size = makeGrid(n);
+  const size = clothMesh ? makeMesh(clothMesh) : makeGrid(n, clothExtent);
   posArrayLength = size.positions.length / 3;
 
   // GPU buffers
@@ -120,8 +282,16 @@ async function createBuffersFromGrid(n) {
   });
   new Uint32Array(pinnedBuffer.getMappedRange()).set(size.pinned);
   pinnedBuffer.unmap();
+  pinnedState = size.pinned;
+
+  // the grid centre oscillates by default, like the single driven vertex used to; a mesh starts without attachments
+  const centre = PIN_PRESETS.centre(n)[0];
+  attachments = clothMesh ? [] : [{ index: centre, origin: Array.from(size.positions.subarray(3*centre, 3*centre+3)), path: 'oscillate' }];
+  attachBuffer = device.createBuffer({ size: MAX_ATTACHMENTS * 16, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+  writePinned();
 
-  // edges index buffer (line-list)
+  // edges index buffer (line-list); after tearing it holds only the surviving edges,
+  // compacted on the GPU by cs_compact_edges from edgeSourceBuffer
   edgeCount = size.edges.length / 2;
   edgesIndexBuffer = device.createBuffer({
     size: size.edges.byteLength,
@@ -132,20 +302,135 @@ async function createBuffersFromGrid(n) {
   new Uint32Array(edgesIndexBuffer.getMappedRange()).set(size.edges);
   edgesIndexBuffer.unmap();
 
-  // uniform buffer: [float time, float dt, int edgeCount, int driveIndex, float amp, float freq, int gravityOn, padding]
+  // all edges: [u32 a, u32 b, u32 constraint]
+  edgeSourceBuffer = device.createBuffer({
+    size: size.edgeSource.byteLength,
+    usage: GPUBufferUsage.STORAGE,
+    mappedAtCreation: true
+  });
+  new Uint32Array(edgeSourceBuffer.getMappedRange()).set(size.edgeSource);
+  edgeSourceBuffer.unmap();
+
+  // drawIndexedIndirect args: [indexCount, instanceCount, firstIndex, baseVertex, firstInstance];
+  // indexCount is the atomic counter of the compaction pass
+  drawArgsBuffer = device.createBuffer({
+    size: 5*4,
+    usage: GPUBufferUsage.INDIRECT | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    mappedAtCreation: true
+  });
+  new Uint32Array(drawArgsBuffer.getMappedRange()).set([edgeCount * 2, 1, 0, 0, 0]);
+  drawArgsBuffer.unmap();
+
+  // constraints: struct Constraint (CONSTRAINT_FIELDS), sorted by colour; maxStrain is written by writeTearStrain
+  constraintCount = size.constraints.length;
+  constraintData = new ArrayBuffer(constraintCount * CONSTRAINT_STRIDE);
+  const constraintView = new DataView(constraintData);
+  size.constraints.forEach(({ a, b, rest, compliance }, k) => {
+    packFields(constraintView, k * CONSTRAINT_STRIDE, CONSTRAINT_FIELDS, { a, b, rest, compliance });
+  });
+  constraintBuffer = device.createBuffer({
+    size: constraintData.byteLength,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+  });
+  writeTearStrain();
+
+  // one flag per constraint: set by cs_tear, never cleared until the grid is rebuilt
+  brokenBuffer = device.createBuffer({
+    size: constraintCount * 4,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+  });
+
+  // XPBD Lagrange multipliers, cleared at the start of every step
+  lambdaBuffer = device.createBuffer({
+    size: constraintCount * 4,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+  });
+
+  // uniform buffer: struct Uniforms (UNIFORM_FIELDS), rounded up to 16 bytes
   uniformBuffer = device.createBuffer({
-    size: 8*4,
+    size: structSize(UNIFORM_FIELDS),
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
   });
+
+  // one small uniform {offset, count} per colour batch
+  batchGroups = size.batches.map(b => {
+    const buffer = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    device.queue.writeBuffer(buffer, 0, new Uint32Array([b.offset, b.count, 0, 0]));
+    return { count: b.count, bindGroup: device.createBindGroup({ layout: computeLayouts[1], entries: [{binding:0, resource:{buffer}}] }) };
+  });
+
+  computeBindGroup = device.createBindGroup({
+    layout: computeLayouts[0],
+    entries: [
+      {binding:0, resource:{buffer: posBuffer}},
+      {binding:1, resource:{buffer: prevPosBuffer}},
+      {binding:2, resource:{buffer: pinnedBuffer}},
+      {binding:3, resource:{buffer: constraintBuffer}},
+      {binding:4, resource:{buffer: uniformBuffer}},
+      {binding:5, resource:{buffer: lambdaBuffer}},
+      {binding:6, resource:{buffer: brokenBuffer}},
+      {binding:7, resource:{buffer: attachBuffer}}
+    ]
+  });
+
+  compactBindGroup = device.createBindGroup({
+    layout: compactLayout,
+    entries: [
+      {binding:0, resource:{buffer: brokenBuffer}},
+      {binding:1, resource:{buffer: edgeSourceBuffer}},
+      {binding:2, resource:{buffer: edgesIndexBuffer}},
+      {binding:3, resource:{buffer: drawArgsBuffer}}
+    ]
+  });
+}
+
+// Tear threshold from the UI becomes the maxStrain of every constraint
+// (strain = stretch relative to the rest length; 0 disables tearing)
+function writeTearStrain() {
+  const maxStrain = Math.max(0, parseFloat(tearStrainElem.value) || 0);
+  const constraintView = new DataView(constraintData);
+  for (let k = 0; k < constraintCount; k++) packFields(constraintView, k * CONSTRAINT_STRIDE, CONSTRAINT_FIELDS, { maxStrain });
+  device.queue.writeBuffer(constraintBuffer, 0, constraintData);
+}
+
+// Explicit layouts so that cs_pbd and cs_constraints share one bind group
+function createComputeLayouts() {
+  const vis = GPUShaderStage.COMPUTE;
+  const group0 = device.createBindGroupLayout({ entries: [
+    { binding: 0, visibility: vis, buffer: { type: 'storage' } },
+    { binding: 1, visibility: vis, buffer: { type: 'storage' } },
+    { binding: 2, visibility: vis, buffer: { type: 'read-only-storage' } },
+    { binding: 3, visibility: vis, buffer: { type: 'read-only-storage' } },
+    { binding: 4, visibility: vis, buffer: { type: 'uniform' } },
+    { binding: 5, visibility: vis, buffer: { type: 'storage' } },
+    { binding: 6, visibility: vis, buffer: { type: 'storage' } },
+    { binding: 7, visibility: vis, buffer: { type: 'read-only-storage' } }
+  ]});
+  const group1 = device.createBindGroupLayout({ entries: [
+    { binding: 0, visibility: vis, buffer: { type: 'uniform' } }
+  ]});
+  return [group0, group1];
+}
+
+// Edge compaction reads the tear flags and rewrites the render index buffer
+function createCompactLayout() {
+  const vis = GPUShaderStage.COMPUTE;
+  return device.createBindGroupLayout({ entries: [
+    { binding: 0, visibility: vis, buffer: { type: 'read-only-storage' } },
+    { binding: 1, visibility: vis, buffer: { type: 'read-only-storage' } },
+    { binding: 2, visibility: vis, buffer: { type: 'storage' } },
+    { binding: 3, visibility: vis, buffer: { type: 'storage' } }
+  ]});
 }
 
 async function buildPipelines(format) {
-  const shaderModule = device.createShaderModule({code: wgslCode});
+  const [shaderModule, renderModule, compactModule] = await Promise.all(
+    ['cloth.wgsl', 'render.wgsl', 'compact_edges.wgsl'].map(loadShaderModule));
   // render pipeline (lines)
   pipelineRender = device.createRenderPipeline({
     layout: 'auto',
     vertex: {
-      module: shaderModule,
+      module: renderModule,
       entryPoint: 'vs_render',
       buffers: [
         { // pos buffer
@@ -156,290 +441,975 @@ async function buildPipelines(format) {
     },
     primitive: { topology: 'line-list', stripIndexFormat: undefined },
     fragment: {
-      module: shaderModule,
+      module: renderModule,
       entryPoint: 'fs_render',
       targets: [{ format }]
     },
-    depthStencil: undefined
+    depthStencil: { format: 'depth24plus', depthWriteEnabled: true, depthCompare: 'less' }
   });
 
-  // compute pipelines
+  // camera uniform: viewProj mat4x4<f32>
+  cameraBuffer = device.createBuffer({ size: 64, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+  renderBindGroup = device.createBindGroup({
+    layout: pipelineRender.getBindGroupLayout(0),
+    entries: [{binding:0, resource:{buffer: cameraBuffer}}]
+  });
+
+  // compute pipelines: integration and one colour batch of constraints
+  const computeLayout = device.createPipelineLayout({ bindGroupLayouts: computeLayouts });
   pipelineCompute = device.createComputePipeline({
-    layout: 'auto',
+    layout: computeLayout,
     compute: {
       module: shaderModule,
       entryPoint: 'cs_pbd'
     }
   });
-}
-
-const wgslCode = `
-// WGSL for PBD cloth (compute) and simple render shaders
-struct Uniforms {
-  time: f32,
-  dt: f32,
-  edgeCount: u32,
-  driveIndex: u32,
-  amp: f32,
-  freq: f32,
-  gravityOn: u32,
-  iter: u32,
-};
-@group(0) @binding(0) var<storage, read_write> positions: array<vec3<f32>>;
-@group(0) @binding(1) var<storage, read_write> prevPositions: array<vec3<f32>>;
-@group(0) @binding(2) var<storage, read> pinned: array<u32>;
-@group(0) @binding(3) var<storage, read> edges: array<u32>;
-@group(0) @binding(4) var<uniform> u: Uniforms;
-
-// basic helper
-fn lengthSafe(v: vec3<f32>) -> f32 {
-  let l = length(v);
-  return select(l, l, l > 0.000001);
-}
-
-@compute @workgroup_size(64)
-fn cs_pbd(@builtin(global_invocation_id) gid : vec3<u32>) {
-  let idx = gid.x;
-  // integrate positions (Verlet)
-  if (idx < arrayLength(&positions)) {
-    let pos = positions[idx];
-    var prev = prevPositions[idx];
-    var acc = vec3<f32>(0.0, 0.0, 0.0);
-    if (u.gravityOn == 1u) {
-      acc = vec3<f32>(0.0, -9.8, 0.0);
+  pipelineConstraints = device.createComputePipeline({
+    layout: computeLayout,
+    compute: {
+      module: shaderModule,
+      entryPoint: 'cs_constraints'
     }
-    let dt = u.dt;
-    let newPos = pos + (pos - prev) + acc * dt * dt;
-    prevPositions[idx] = pos;
-    positions[idx] = newPos;
-  }
-  // wait for all threads (no explicit barrier across storage without workgroup; we rely on multiple dispatch passes)
-}
-
-// Now do constraint iterations in separate dispatches from JS
-@compute @workgroup_size(64)
-fn cs_constraints(@builtin(global_invocation_id) gid : vec3<u32>) {
-  let eidx = gid.x;
-  if (eidx < u.edgeCount) {
-    let i = edges[2u * eidx + 0u];
-    let j = edges[2u * eidx + 1u];
-    var p1 = positions[i];
-    var p2 = positions[j];
-    // compute rest length as initial distance stored implicitly: for stability, approximate using current? Better to compute on first frame, but use current as rest-length from prevPositions.
-    let rest = length(posInitial(i) - posInitial(j));
-    let delta = p2 - p1;
-    let dist = lengthSafe(delta);
-    let diff = (dist - rest) / dist;
-    // positional correction
-    let w1 = (pinned[i] == 1u) ? 0.0 : 1.0;
-    let w2 = (pinned[j] == 1u) ? 0.0 : 1.0;
-    let sum = w1 + w2;
-    if (sum > 0.0) {
-      let corr = delta * 0.5 * diff;
-      if (w1 > 0.0) {
-        positions[i] = positions[i] + corr * (w1 / sum);
-      }
-      if (w2 > 0.0) {
-        positions[j] = positions[j] - corr * (w2 / sum);
-      }
+  });
+  pipelineAttach = device.createComputePipeline({
+    layout: computeLayout,
+    compute: {
+      module: shaderModule,
+      entryPoint: 'cs_attach'
     }
-  }
+  });
+  pipelineTear = device.createComputePipeline({
+    layout: computeLayout,
+    compute: {
+      module: shaderModule,
+      entryPoint: 'cs_tear'
+    }
+  });
+  pipelineCompact = device.createComputePipeline({
+    layout: device.createPipelineLayout({ bindGroupLayouts: [compactLayout] }),
+    compute: {
+      module: compactModule,
+      entryPoint: 'cs_compact_edges'
+    }
+  });
 }
 
-// helper to return initial pos (approx): derive from prevPositions to get rest lengths; but WGSL disallows passing array pointers. As simple workaround, approximate rest as distance between prevPositions (initially equal)
-fn posInitial(index: u32) -> vec3<f32> {
-  return prevPositions[index];
-}
+// Shaders live in shaders/*.wgsl and are expanded before compilation by the preprocessor shared
+// with pbd-cloth-webgpu-2 (shaderPreprocessor.js, the directives are listed there), e.g.:
+//   #define NAME value  - replaces the whole word NAME further down
+//   #struct Name        - emits the struct generated from SHADER_STRUCTS
+// Initial defines come from SHADER_DEFINES, so WORKGROUP_SIZE is the same number in the shaders
+// and in the dispatch sizes
+const WORKGROUP_SIZE = 64;
+const SHADER_DEFINES = { WORKGROUP_SIZE };
 
-// Render shaders
-struct VSOut { @builtin(position) pos : vec4<f32>, @location(0) color : vec4<f32>, };
+// Struct layouts shared by the shaders (#struct) and the code that packs their buffers (packStruct, packFields).
+// Only 4-byte scalars, so every field is 4 bytes and a struct has no padding inside
+const UNIFORM_FIELDS = [
+  { name: 'time', type: 'f32' },
+  { name: 'dt', type: 'f32' },
+  { name: 'constraintCount', type: 'u32' },
+  { name: 'attachCount', type: 'u32' },
+  { name: 'amp', type: 'f32' },
+  { name: 'freq', type: 'f32' },
+  { name: 'gravityOn', type: 'u32' },
+  { name: 'iter', type: 'u32' }
+];
+const CONSTRAINT_FIELDS = [
+  { name: 'a', type: 'u32' },
+  { name: 'b', type: 'u32' },
+  { name: 'rest', type: 'f32' },
+  { name: 'compliance', type: 'f32' },
+  { name: 'maxStrain', type: 'f32' }
+];
+const CONSTRAINT_STRIDE = CONSTRAINT_FIELDS.length * 4;
+const SHADER_STRUCTS = { Uniforms: UNIFORM_FIELDS, Constraint: CONSTRAINT_FIELDS };
 
-@vertex
-fn vs_render(@location(0) inPos : vec3<f32>) -> VSOut {
-  var out : VSOut;
-  // simple orthographic projection to clipspace
-  // assume positions are roughly in [-0.6..0.6]
-  let aspect = ${canvas.width}.0 / ${canvas.height}.0;
-  let scale = 1.6;
-  let x = inPos.x / scale * (1.0 / aspect);
-  let y = inPos.y / scale;
-  out.pos = vec4<f32>(x, y, 0.0, 1.0);
-  out.color = vec4<f32>(1.0, 0.8, 0.3, 1.0);
-  return out;
+// Writes the given fields of one array element at byteOffset; fields missing from values are left as they are
+function packFields(view, byteOffset, fields, values) {
+  fields.forEach((f, i) => {
+    if (f.name in values) FIELD_TYPES[f.type].write(view, byteOffset + 4 * i, values[f.name]);
+  });
 }
 
-@fragment
-fn fs_render(inFrag : VSOut) -> @location(0) vec4<f32> {
-  return inFrag.color;
+async function loadShaderModule(file) {
+  try {
+    const response = await fetch(new URL(`shaders/${file}`, import.meta.url));
+    if (!response.ok) throw new Error(`Failed to load shader: ${file}`);
+    const { code } = preprocessWGSL(await response.text(), { file, defines: SHADER_DEFINES, structs: SHADER_STRUCTS });
+    return device.createShaderModule({ code });
+  } catch (e) {
+    status.textContent = `Ошибка шейдера: ${e.message}`;
+    throw e;
+  }
 }
-`;
 
-// Note: WGSL above contains usage of canvas.width etc. For simplicity we embed pixel dims at shader creation time.
-// But because we recreate pipeline when resizing, that stays acceptable.
+// Attachment paths: offset from the origin at time t for the amplitude and frequency sliders.
+// Keyframes are in units of the amplitude, their times in periods of 1 / freq
+const MAX_ATTACHMENTS = 64; // same limit as pbd-cloth-webgpu-2 (pinAnimation.js)
+const KEYFRAMES = [
+  { time: 0, offset: [0, 0, 0] },
+  { time: 0.25, offset: [0, 1, 0] },
+  { time: 0.5, offset: [1, 1, 0] },
+  { time: 0.75, offset: [1, 0, 0] },
+  { time: 1, offset: [0, 0, 0] }
+];
+const PIN_PATHS = {
+  oscillate: (t, amp, freq) => [0, amp * Math.sin(2 * Math.PI * freq * t), 0],
+  circle: (t, amp, freq) => [amp * (Math.cos(2 * Math.PI * freq * t) - 1), amp * Math.sin(2 * Math.PI * freq * t), 0],
+  keyframes: (t, amp, freq) => {
+    const phase = (t * freq) % 1;
+    const next = KEYFRAMES.findIndex(k => k.time > phase);
+    const a = KEYFRAMES[next - 1], b = KEYFRAMES[next];
+    const s = (phase - a.time) / (b.time - a.time);
+    return a.offset.map((x, i) => amp * (x + (b.offset[i] - x) * s));
+  }
+};
 
-// Helper: upload uniform data
-function updateUniform(timeSec, dtLocal, edgeCountLocal, driveIdx, amp, freq, gravityOn, iter) {
-  const arr = new Float32Array(8);
-  arr[0] = timeSec;
-  arr[1] = dtLocal;
-  arr[2] = edgeCountLocal;
-  arr[3] = driveIdx;
-  arr[4] = amp;
-  arr[5] = freq;
-  arr[6] = gravityOn;
-  arr[7] = iter;
-  device.queue.writeBuffer(uniformBuffer, 0, arr.buffer, arr.byteOffset, arr.byteLength);
+// Packs the target of every attachment at time t: [f32 x, f32 y, f32 z, u32 index]
+function writeAttachments(t) {
+  if (attachments.length === 0) return;
+  const amp = parseFloat(ampElem.value) / 200.0, freq = parseFloat(freqElem.value);
+  const data = new Float32Array(attachments.length * 4);
+  const dataU32 = new Uint32Array(data.buffer);
+  attachments.forEach((a, k) => {
+    const offset = PIN_PATHS[a.path](t, amp, freq);
+    data.set(a.origin.map((x, i) => x + offset[i]), 4*k);
+    dataU32[4*k+3] = a.index;
+  });
+  device.queue.writeBuffer(attachBuffer, 0, data);
+}
+
+// Helper: upload uniform data, packed in the order of UNIFORM_FIELDS
+function updateUniform(values) {
+  device.queue.writeBuffer(uniformBuffer, 0, packStruct(UNIFORM_FIELDS, values));
 }
 
 // Rebuild / initialize scene
 async function rebuild() {
+  drag = null;
   gridN = parseInt(gridSizeElem.value);
   status.textContent = 'Инициализация...';
   await createBuffersFromGrid(gridN);
-  // recreate pipelines with updated canvas size (shader contains embedded sizes)
-  await buildPipelines(navigator.gpu.getPreferredCanvasFormat());
   status.textContent = 'Готово';
 }
 
+// Switches between an imported mesh and the grid (mesh = null). The grid presets apply to the grid only:
+// a mesh is pinned by one of its vertex groups (by default the first one named like "pin") or with the pin tools
+function setClothMesh(mesh, pinGroup = mesh && Object.keys(mesh.groups).find(name => /pin/i.test(name))) {
+  clothMesh = mesh;
+  pinGroupElem.replaceChildren(new Option('Нет', ''), ...Object.keys(mesh ? mesh.groups : {}).map(name => new Option(name, name)));
+  pinGroupElem.value = pinGroup ?? '';
+  pinGroupElem.disabled = !mesh;
+  pinPresetElem.disabled = gridSizeElem.disabled = !!mesh;
+  useGridBtn.disabled = !mesh;
+}
+
+async function loadMesh(file) {
+  if (benchmark || sequenceCapture) { status.textContent = `${file.name}: меш не загружен, идёт бенчмарк или запись кадров`; return; }
+  let mesh;
+  try {
+    mesh = parseMeshFile(file.name, await file.arrayBuffer());
+  } catch (e) {
+    status.textContent = `${file.name}: ${e.message}`;
+    return;
+  }
+  setClothMesh(mesh);
+  await rebuild();
+  status.textContent = `Меш загружен: ${file.name}, вершин ${posArrayLength}, треугольников ${mesh.indices.length / 3}`;
+}
+
 let stop = false;
 await initWebGPU();
 await rebuild();
 
-// Main loop
-async function frameLoop(now) {
-  if (stop) return;
-  const timeSec = (performance.now() - timeStart) * 0.001;
-  // move driven vertex directly: compute new pos and overwrite both pos and prevPos before compute dispatch
-  const amp = parseFloat(ampElem.value) / 200.0; // scale normalization
-  const freq = parseFloat(freqElem.value);
+// One simulation step of length stepDt: uniforms, attachment targets, Verlet + XPBD passes
+function simulateStep(stepDt) {
+  simTime += stepDt;
   const gravityOn = gravityCheckbox.checked ? 1 : 0;
 
+  // constraint iterations per step come from the UI
+  const iterations = Math.max(1, parseInt(iterationsElem.value) || 1);
+
   // write uniform
-  updateUniform(timeSec, dt, edgeCount, driveIndex, parseFloat(ampElem.value), parseFloat(freqElem.value), gravityOn, 4);
-
-  // Map a staging buffer approach: we'll create a small cpu-side buffer with driven pos and copy to GPU positions and prevPositions
-  // To compute the absolute driven position in model space we need to know the original rest pos. Let's read back current pos? reading GPU buffers is slow.
-  // Simpler: we know initial grid layout: compute center coordinates in CPU and write into GPU directly.
-  // compute driven pos in model coords:
-  const modelSize = 1.0;
-  const step = modelSize / (gridN - 1);
-  const ci = Math.floor((gridN - 1) / 2);
-  const cj = Math.floor((gridN - 1) / 2);
-  const x = (ci * step - modelSize/2);
-  const baseY = (cj * step - modelSize/2);
-  const z = 0.0;
-  const dy = (parseFloat(ampElem.value) / 200.0) * Math.sin(timeSec * parseFloat(freqElem.value) * 2.0 * Math.PI);
-  const newY = baseY + dy;
-
-  // create a small buffer with new position
-  const tmp = new Float32Array([x, newY, z]);
-  const staging = device.createBuffer({
-    size: tmp.byteLength,
-    usage: GPUBufferUsage.COPY_SRC,
-    mappedAtCreation: true
-  });
-  new Float32Array(staging.getMappedRange()).set(tmp);
-  staging.unmap();
-  // copy into posBuffer at offset driveIndex * 12
-  const offset = driveIndex * 12;
-  const commandEncoder = device.createCommandEncoder();
-  commandEncoder.copyBufferToBuffer(staging, 0, posBuffer, offset, tmp.byteLength);
-  commandEncoder.copyBufferToBuffer(staging, 0, prevPosBuffer, offset, tmp.byteLength);
-  device.queue.submit([commandEncoder.finish()]);
-
-  // compute pass: integration
+  updateUniform({ time: simTime, dt: stepDt, constraintCount, attachCount: attachments.length,
+    amp: parseFloat(ampElem.value), freq: parseFloat(freqElem.value), gravityOn, iter: iterations });
+  writeAttachments(simTime);
+
+  // compute passes: attachments and Verlet integration, XPBD iterations over colour batches, then tearing
+  // and compaction of the render edges. Submitted per step, so the uniform written above
+  // belongs to this dispatch only
   {
     const encoder = device.createCommandEncoder();
-    const cpass = encoder.beginComputePass();
-    cpass.setPipeline(pipelineCompute);
-    // bind groups auto; create group for storage/uni
-    const bindGroup = device.createBindGroup({
-      layout: pipelineCompute.getBindGroupLayout(0),
-      entries: [
-        {binding:0, resource:{buffer: posBuffer}},
-        {binding:1, resource:{buffer: prevPosBuffer}},
-        {binding:2, resource:{buffer: pinnedBuffer}},
-        {binding:3, resource:{buffer: edgesIndexBuffer}},
-        {binding:4, resource:{buffer: uniformBuffer}}
-      ]
-    });
-    cpass.setBindGroup(0, bindGroup);
-    const numWorkgroups = Math.ceil(posArrayLength / 64);
-    cpass.dispatchWorkgroups(numWorkgroups);
-    cpass.end();
-    device.queue.submit([encoder.finish()]);
-  }
+    encoder.clearBuffer(lambdaBuffer);
+    // indexCount of the indirect draw is recounted by cs_compact_edges
+    encoder.clearBuffer(drawArgsBuffer, 0, 4);
+    // three passes so that each stage gets its own GPU time in the HUD
+    const integrate = encoder.beginComputePass({ timestampWrites: timestampWrites('integrate') });
+    integrate.setBindGroup(0, computeBindGroup);
+    // both pipelines share a layout with group 1, so it must be set for cs_pbd too
+    integrate.setBindGroup(1, batchGroups[0].bindGroup);
+    if (attachments.length > 0) {
+      integrate.setPipeline(pipelineAttach);
+      integrate.dispatchWorkgroups(Math.ceil(attachments.length / WORKGROUP_SIZE));
+    }
+    integrate.setPipeline(pipelineCompute);
+    integrate.dispatchWorkgroups(Math.ceil(posArrayLength / WORKGROUP_SIZE));
+    integrate.end();
 
-  // constraints iterations — run several passes; each pass runs cs_constraints and will correct edges
-  const constraintsIterations = 8;
-  for (let iter=0; iter<constraintsIterations; iter++) {
-    const encoder = device.createCommandEncoder();
-    const cpass = encoder.beginComputePass();
-    cpass.setPipeline(pipelineCompute); // same pipeline; entry point in shader set to cs_pbd but we need constraints entry — simpler approach: use same module with entrypoint cs_constraints in separate pipeline
-    // To avoid building a separate pipeline mid-loop, let's create a separate compute pipeline for constraints once.
+    const cpass = encoder.beginComputePass({ timestampWrites: timestampWrites('constraints') });
+    cpass.setBindGroup(0, computeBindGroup);
+    cpass.setPipeline(pipelineConstraints);
+    for (let iter=0; iter<iterations; iter++) {
+      for (const batch of batchGroups) {
+        cpass.setBindGroup(1, batch.bindGroup);
+        cpass.dispatchWorkgroups(Math.ceil(batch.count / WORKGROUP_SIZE));
+      }
+    }
     cpass.end();
+
+    const tear = encoder.beginComputePass({ timestampWrites: timestampWrites('tear') });
+    tear.setBindGroup(0, computeBindGroup);
+    tear.setBindGroup(1, batchGroups[0].bindGroup);
+    tear.setPipeline(pipelineTear);
+    tear.dispatchWorkgroups(Math.ceil(constraintCount / WORKGROUP_SIZE));
+    tear.setPipeline(pipelineCompact);
+    tear.setBindGroup(0, compactBindGroup);
+    tear.dispatchWorkgroups(Math.ceil(edgeCount / WORKGROUP_SIZE));
+    tear.end();
     device.queue.submit([encoder.finish()]);
   }
+}
 
-  // Note: For simplicity in this example, constraints were intended to be invoked via cs_constraints entry.
-  // But due to pipeline setup above referencing cs_pbd entry, create a dedicated constraints pipeline once:
-  if (!window._constraintsPipeline) {
-    const module = device.createShaderModule({code: wgslCode});
-    window._constraintsPipeline = device.createComputePipeline({ layout: 'auto', compute: { module, entryPoint: 'cs_constraints' }});
-  }
-  // run constraints properly
-  {
-    const encoder = device.createCommandEncoder();
-    const cpass = encoder.beginComputePass();
-    cpass.setPipeline(window._constraintsPipeline);
-    const bindGroup = device.createBindGroup({
-      layout: window._constraintsPipeline.getBindGroupLayout(0),
-      entries: [
-        {binding:0, resource:{buffer: posBuffer}},
-        {binding:1, resource:{buffer: prevPosBuffer}},
-        {binding:2, resource:{buffer: pinnedBuffer}},
-        {binding:3, resource:{buffer: edgesIndexBuffer}},
-        {binding:4, resource:{buffer: uniformBuffer}}
-      ]
-    });
-    cpass.setBindGroup(0, bindGroup);
-    const workgroups = Math.ceil(edgeCount / 64);
-    for (let k=0;k<constraintsIterations;k++) {
-      cpass.dispatchWorkgroups(workgroups);
-    }
-    cpass.end();
-    device.queue.submit([encoder.finish()]);
+// One fixed step of FIXED_DT, split into substeps
+function simulateFixedStep() {
+  const substeps = Math.max(1, parseInt(substepsElem.value) || 1);
+  for (let i = 0; i < substeps; i++) simulateStep(FIXED_DT / substeps);
+}
+
+// Main loop
+async function frameLoop(now) {
+  if (stop) return;
+  const elapsed = lastFrame === null ? 0 : Math.min((now - lastFrame) * 0.001, MAX_FRAME_TIME);
+  lastFrame = now;
+  // the benchmark and the offline capture step and render on their own
+  if (benchmark || sequenceCapture) { requestAnimationFrame(frameLoop); return; }
+  const frameStart = performance.now();
+  if (!paused) accumulator += elapsed * parseFloat(timeScaleElem.value);
+
+  let steps = 0;
+  while (accumulator >= FIXED_DT && steps < MAX_STEPS_PER_FRAME) {
+    simulateFixedStep();
+    accumulator -= FIXED_DT;
+    steps++;
   }
+  if (steps === MAX_STEPS_PER_FRAME) accumulator = 0;
+  for (; pendingSteps > 0; pendingSteps--) simulateFixedStep();
+
+  renderFrame();
+  updateHud(elapsed, performance.now() - frameStart);
+
+  // schedule next frame
+  requestAnimationFrame(frameLoop);
+}
 
-  // render pass
+// Render pass; the frame's timestamps are resolved in the same submit
+function renderFrame() {
   {
     const commandEncoder = device.createCommandEncoder();
     const textureView = context.getCurrentTexture().createView();
+    device.queue.writeBuffer(cameraBuffer, 0, cameraViewProj());
     const rpass = commandEncoder.beginRenderPass({
-      colorAttachments: [{ view: textureView, clearValue: {r:0.04,g:0.04,b:0.06,a:1}, loadOp:'clear', storeOp:'store' }]
+      timestampWrites: timestampWrites('render'),
+      colorAttachments: [{ view: textureView, clearValue: {r:0.04,g:0.04,b:0.06,a:1}, loadOp:'clear', storeOp:'store' }],
+      depthStencilAttachment: { view: depthTexture.createView(), depthClearValue: 1, depthLoadOp: 'clear', depthStoreOp: 'store' }
     });
     rpass.setPipeline(pipelineRender);
+    rpass.setBindGroup(0, renderBindGroup);
     // bind vertex buffer
     rpass.setVertexBuffer(0, posBuffer);
     // draw lines from index buffer: WebGPU requires index buffer to be set as setIndexBuffer; but we created edgesIndexBuffer with usage INDEX
     rpass.setIndexBuffer(edgesIndexBuffer, 'uint32');
-    rpass.drawIndexed(edgeCount * 2, 1, 0, 0, 0);
+    // the number of surviving edges is known only on the GPU
+    rpass.drawIndexedIndirect(drawArgsBuffer, 0);
     rpass.end();
+    const timing = resolveTimestamps(commandEncoder);
     device.queue.submit([commandEncoder.finish()]);
+    if (timing) readTimestamps(timing);
   }
+}
 
-  // schedule next frame
-  requestAnimationFrame(frameLoop);
+// GPU time per pass through timestamp-query: each pass of a frame gets a begin/end pair,
+// resolved after the render pass and read back asynchronously; passes with the same name
+// (one per substep) are summed. A frame is skipped while all readback buffers are busy
+const MAX_TIMED_PASSES = 512;
+let querySet = null, queryResolveBuffer, queryReadBuffers = [];
+let timedPasses = [], timingThisFrame = null;
+let gpuTimings = null; // last measured frame: { pass: ms }
+const gpuTimingListeners = [];
+
+function createTimestampQueries() {
+  if (!device.features.has('timestamp-query')) return;
+  const size = MAX_TIMED_PASSES * 16;
+  querySet = device.createQuerySet({ type: 'timestamp', count: MAX_TIMED_PASSES * 2 });
+  queryResolveBuffer = device.createBuffer({ size, usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC });
+  queryReadBuffers = [0, 1, 2].map(() => device.createBuffer({ size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST }));
+}
+
+// timestampWrites for a pass descriptor, undefined when this frame is not timed
+function timestampWrites(label) {
+  if (timingThisFrame === null) timingThisFrame = querySet !== null && queryReadBuffers.length > 0;
+  if (!timingThisFrame || timedPasses.length >= MAX_TIMED_PASSES) return undefined;
+  const i = timedPasses.push(label) - 1;
+  return { querySet, beginningOfPassWriteIndex: 2*i, endOfPassWriteIndex: 2*i+1 };
+}
+
+function resolveTimestamps(encoder) {
+  const labels = timedPasses;
+  timedPasses = [];
+  timingThisFrame = null;
+  if (labels.length === 0) return null;
+  const buffer = queryReadBuffers.pop();
+  encoder.resolveQuerySet(querySet, 0, labels.length * 2, queryResolveBuffer, 0);
+  encoder.copyBufferToBuffer(queryResolveBuffer, 0, buffer, 0, labels.length * 16);
+  return { labels, buffer };
+}
+
+async function readTimestamps({ labels, buffer }) {
+  await buffer.mapAsync(GPUMapMode.READ);
+  const stamps = new BigUint64Array(buffer.getMappedRange(0, labels.length * 16));
+  const timings = {};
+  labels.forEach((label, i) => {
+    const ns = stamps[2*i+1] > stamps[2*i] ? Number(stamps[2*i+1] - stamps[2*i]) : 0;
+    timings[label] = (timings[label] || 0) + ns / 1e6;
+  });
+  buffer.unmap();
+  queryReadBuffers.push(buffer);
+  gpuTimings = timings;
+  gpuTimingListeners.forEach(listener => listener(timings));
+}
+
+// Performance HUD: FPS, frame and CPU time, GPU time per pass, counts and a rolling graph
+// of the last HUD_HISTORY frames (frame time grey, CPU orange, GPU blue; the line is 60 FPS)
+const HUD_HISTORY = 120;
+const HUD_GRAPH_MAX_MS = 1000 / 30;
+const hudSamples = [];
+let hudTextTime = 0;
+
+function updateHud(elapsed, cpuMs) {
+  if (elapsed <= 0) return;
+  const gpuMs = gpuTimings ? Object.values(gpuTimings).reduce((sum, ms) => sum + ms, 0) : null;
+  hudSamples.push({ frame: elapsed * 1000, cpu: cpuMs, gpu: gpuMs });
+  if (hudSamples.length > HUD_HISTORY) hudSamples.shift();
+  if (hudElem.hidden) return;
+
+  const now = performance.now();
+  if (now - hudTextTime >= 250) {
+    hudTextTime = now;
+    const mean = key => hudSamples.reduce((sum, sample) => sum + (sample[key] || 0), 0) / hudSamples.length;
+    const frameMs = mean('frame');
+    const gpuLine = !querySet ? 'GPU: timestamp-query не поддерживается'
+      : !gpuTimings ? 'GPU: …'
+      : `GPU ${gpuMs.toFixed(2)} мс (${Object.entries(gpuTimings).map(([pass, ms]) => `${pass} ${ms.toFixed(2)}`).join(', ')})`;
+    hudTextElem.textContent = [
+      `FPS ${(1000 / frameMs).toFixed(1)}  кадр ${frameMs.toFixed(2)} мс`,
+      `CPU ${mean('cpu').toFixed(2)} мс`,
+      gpuLine,
+      `Вершин ${posArrayLength}  связей ${constraintCount}`
+    ].join('\n');
+  }
+
+  const ctx = hudGraphElem.getContext('2d');
+  const { width, height } = hudGraphElem;
+  const y = ms => height - Math.min(ms / HUD_GRAPH_MAX_MS, 1) * height;
+  ctx.clearRect(0, 0, width, height);
+  ctx.strokeStyle = '#555';
+  ctx.beginPath(); ctx.moveTo(0, y(1000 / 60)); ctx.lineTo(width, y(1000 / 60)); ctx.stroke();
+  const stepX = width / HUD_HISTORY, offset = HUD_HISTORY - hudSamples.length;
+  for (const [key, color] of [['frame', '#ccc'], ['cpu', '#f90'], ['gpu', '#3cf']]) {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    hudSamples.forEach((sample, i) => {
+      if (sample[key] === null) return;
+      const x = (offset + i) * stepX;
+      if (i === 0 || hudSamples[i-1][key] === null) ctx.moveTo(x, y(sample[key])); else ctx.lineTo(x, y(sample[key]));
+    });
+    ctx.stroke();
+  }
+}
+
+// Benchmark: sweeps grid sizes, BENCHMARK_FRAMES frames per size after a warm-up; each frame waits
+// for the GPU, so frame_ms is the full step + render time. The CSV has the columns of pbd-cloth-webgpu-2,
+// its strategy column names the solver that ran (this demo has XPBD only)
+const BENCHMARK_SIZES = [8, 16, 24, 32, 48, 64, 80];
+const BENCHMARK_WARMUP = 30, BENCHMARK_FRAMES = 120;
+const SOLVER = 'xpbd';
+let benchmark = null; // { cancelled }
+let benchmarkResults = null;
+
+// the grid size, the imported mesh and its pin group are restored even if a size fails
+async function runBenchmark() {
+  const current = benchmark = { cancelled: false };
+  const savedSize = gridSizeElem.value;
+  // the sweep runs on the grid; an imported mesh comes back afterwards
+  const savedMesh = clothMesh, savedPinGroup = pinGroupElem.value;
+  const results = [];
+  try {
+    setClothMesh(null);
+    for (const [k, size] of BENCHMARK_SIZES.entries()) {
+      if (current.cancelled) break;
+      gridSizeElem.value = size;
+      await rebuild();
+      status.textContent = `Бенчмарк: сетка ${size} (${k + 1} из ${BENCHMARK_SIZES.length})`;
+      results.push({ strategy: SOLVER, size, ...await measureBenchmarkSize() });
+    }
+  } finally {
+    gridSizeElem.value = savedSize;
+    setClothMesh(savedMesh, savedPinGroup);
+    try { await rebuild(); } finally { benchmark = null; }
+  }
+  status.textContent = `Бенчмарк: ${results.length} размеров сетки`;
+  return results;
+}
+
+// averages of one grid size; GPU pass times only if timestamp queries are available
+async function measureBenchmarkSize() {
+  const gpu = {};
+  let gpuFrames = 0, measuring = false, frameMs = 0, cpuMs = 0;
+  const onTimings = timings => {
+    if (!measuring) return;
+    gpuFrames++;
+    for (const [pass, ms] of Object.entries(timings)) gpu[pass] = (gpu[pass] || 0) + ms;
+  };
+  gpuTimingListeners.push(onTimings);
+  try {
+    for (let frame = 0; frame < BENCHMARK_WARMUP + BENCHMARK_FRAMES; frame++) {
+      measuring = frame >= BENCHMARK_WARMUP;
+      const start = performance.now();
+      simulateFixedStep();
+      renderFrame();
+      const cpu = performance.now() - start;
+      await device.queue.onSubmittedWorkDone();
+      if (measuring) { cpuMs += cpu; frameMs += performance.now() - start; }
+    }
+    await device.queue.onSubmittedWorkDone();
+  } finally {
+    gpuTimingListeners.splice(gpuTimingListeners.indexOf(onTimings), 1);
+  }
+  return { vertices: posArrayLength, constraints: constraintCount, frameMs: frameMs / BENCHMARK_FRAMES, cpuMs: cpuMs / BENCHMARK_FRAMES,
+    gpu: gpuFrames > 0 ? Object.fromEntries(Object.entries(gpu).map(([pass, ms]) => [pass, ms / gpuFrames])) : null };
+}
+
+function benchmarkCSV(results) {
+  const passes = ['integrate', 'constraints', 'tear', 'render'];
+  const header = ['strategy', 'size', 'vertices', 'constraints', 'frame_ms', 'fps', 'cpu_ms', 'gpu_ms', ...passes.map(pass => `${pass}_ms`)];
+  const rows = results.map(r => [r.strategy, r.size, r.vertices, r.constraints, r.frameMs.toFixed(3), (1000 / r.frameMs).toFixed(1), r.cpuMs.toFixed(3),
+    r.gpu ? Object.values(r.gpu).reduce((sum, ms) => sum + ms, 0).toFixed(3) : '',
+    ...passes.map(pass => (r.gpu ? (r.gpu[pass] || 0).toFixed(3) : ''))]);
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+// Capture: PNG screenshot, real-time WebM video (captureStream + MediaRecorder) and an offline
+// PNG sequence in a zip; the PNG and zip helpers come from capture.js of pbd-cloth-webgpu-2.
+// The offline mode advances the fixed-timestep loop one step per frame, so the result does not
+// depend on real-time performance. A WebGPU canvas keeps its image only until the end of the task
+// that rendered it, so every PNG is taken right after renderFrame()
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+let videoRecorder = null;
+let sequenceCapture = null; // { cancelled }
+
+function canvasPNG() {
+  renderFrame();
+  return canvasToPNG(canvas);
+}
+
+function startVideo() {
+  const mimeType = typeof MediaRecorder === 'undefined' ? undefined : VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) throw new Error('запись WebM не поддерживается в этом браузере');
+  const chunks = [];
+  videoRecorder = new MediaRecorder(canvas.captureStream(60), { mimeType, videoBitsPerSecond: 8_000_000 });
+  videoRecorder.addEventListener('dataavailable', e => { if (e.data.size > 0) chunks.push(e.data); });
+  videoRecorder.addEventListener('stop', () => {
+    videoRecorder.stream.getTracks().forEach(track => track.stop());
+    download(new Blob(chunks, { type: mimeType }), 'cloth.webm');
+    videoRecorder = null;
+  }, { once: true });
+  videoRecorder.start(1000);
+}
+
+async function recordSequence(frames) {
+  const current = sequenceCapture = { cancelled: false };
+  const images = [];
+  try {
+    for (let frame = 0; frame < frames && !current.cancelled; frame++) {
+      status.textContent = `Кадры PNG: ${frame + 1} из ${frames}`;
+      simulateFixedStep();
+      images.push(await canvasPNG());
+    }
+  } finally {
+    sequenceCapture = null;
+  }
+  return images;
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Scenes: versioned JSON with the cloth (grid size, side length, imported mesh, pins, animated attachments), the compliance,
+// the attachment motion and the simulation settings. A scene is saved to a file and loaded from a file
+// (picker or drag-and-drop) or from the URL (#scene=<base64url JSON>); every field is checked before anything
+// is applied and all problems are reported at once. pins / attachments = null keep the defaults of a new grid.
+// Version 2 adds cloth.mesh: { positions, indices, groups } of an imported mesh, or null for the grid.
+// JSON parsing, the version check, the field checks and the URL encoding are those of pbd-cloth-webgpu-2 (scene.js)
+const SCENE_VERSION = 2;
+
+function serializeScene() {
+  return {
+    version: SCENE_VERSION,
+    cloth: {
+      size: gridN,
+      extent: clothExtent,
+      mesh: clothMesh && { positions: Array.from(clothMesh.positions), indices: Array.from(clothMesh.indices), groups: clothMesh.groups },
+      pins: Array.from(pinnedState.keys()).filter(i => pinnedState[i]),
+      attachments: attachments.map(a => ({ vertex: a.index, origin: [...a.origin], path: a.path }))
+    },
+    compliance: { ...compliance },
+    motion: { amplitude: parseFloat(ampElem.value), frequency: parseFloat(freqElem.value) },
+    simulation: {
+      gravity: gravityCheckbox.checked,
+      iterations: parseInt(iterationsElem.value, 10),
+      substeps: parseInt(substepsElem.value, 10),
+      timeScale: parseFloat(timeScaleElem.value),
+      tearStrain: parseFloat(tearStrainElem.value)
+    }
+  };
+}
+
+// Missing fields take their defaults; the ranges are those of the UI inputs
+function parseScene(text) {
+  const { data, errors, check } = readScene(text, SCENE_VERSION, ['cloth', 'compliance', 'motion', 'simulation']);
+
+  const cloth = check.section('cloth', data.cloth, { size: 24, extent: 1, mesh: null, pins: null, attachments: null });
+  let vertexCount = check.number('cloth.size', cloth.size, { min: 4, max: 80, integer: true }) ? cloth.size * cloth.size : Infinity;
+  check.number('cloth.extent', cloth.extent, { min: 0.01, max: 10 });
+  if (cloth.mesh !== null) ({ mesh: cloth.mesh, vertexCount } = check.mesh('cloth.mesh', cloth.mesh));
+  const vertex = { min: 0, max: vertexCount - 1, integer: true };
+  if (cloth.pins !== null) check.numbers('cloth.pins', cloth.pins, vertex);
+  if (cloth.attachments !== null) {
+    cloth.attachments = check.list('cloth.attachments', cloth.attachments, MAX_ATTACHMENTS, (path, a) => {
+      check.keys(path, a, ['vertex', 'origin', 'path']);
+      check.number(`${path}.vertex`, a.vertex, vertex);
+      check.vector(`${path}.origin`, a.origin, 3);
+      if (!Object.hasOwn(PIN_PATHS, a.path)) check.fail(`${path}.path`, `one of ${Object.keys(PIN_PATHS).join(', ')}`, a.path);
+      return a;
+    });
+  }
+
+  const sceneCompliance = check.section('compliance', data.compliance, COMPLIANCE);
+  Object.keys(COMPLIANCE).forEach(type => check.number(`compliance.${type}`, sceneCompliance[type], { min: 0 }));
+  const motion = check.section('motion', data.motion, { amplitude: 50, frequency: 2 });
+  check.number('motion.amplitude', motion.amplitude, { min: 0, max: 200 });
+  check.number('motion.frequency', motion.frequency, { min: 0.1, max: 10 });
+  const simulation = check.section('simulation', data.simulation, { gravity: true, iterations: 8, substeps: 1, timeScale: 1, tearStrain: 1 });
+  check.boolean('simulation.gravity', simulation.gravity);
+  check.number('simulation.iterations', simulation.iterations, { min: 1, max: 64, integer: true });
+  check.number('simulation.substeps', simulation.substeps, { min: 1, max: 16, integer: true });
+  check.number('simulation.timeScale', simulation.timeScale, { min: 0, max: 2 });
+  check.number('simulation.tearStrain', simulation.tearStrain, { min: 0, max: 10 });
+
+  if (errors.length > 0) throw new SceneError(errors);
+  return { cloth, compliance: sceneCompliance, motion, simulation };
+}
+
+// The UI inputs take the scene values, the grid is rebuilt and the time restarts from zero
+async function applyScene(scene) {
+  const { cloth, motion, simulation } = scene;
+  gridSizeElem.value = cloth.size;
+  clothExtent = cloth.extent;
+  setClothMesh(cloth.mesh && createSourceMesh(cloth.mesh));
+  compliance = { ...scene.compliance };
+  ampElem.value = motion.amplitude;
+  freqElem.value = motion.frequency;
+  gravityCheckbox.checked = simulation.gravity;
+  iterationsElem.value = simulation.iterations;
+  substepsElem.value = simulation.substeps;
+  timeScaleElem.value = simulation.timeScale;
+  tearStrainElem.value = simulation.tearStrain;
+  await rebuild();
+  if (cloth.pins !== null) {
+    pinnedState = new Uint32Array(posArrayLength);
+    for (const index of cloth.pins) pinnedState[index] = 1;
+  }
+  if (cloth.attachments !== null) attachments = cloth.attachments.map(a => ({ index: a.vertex, origin: [...a.origin], path: a.path }));
+  writePinned();
+  simTime = 0;
+  accumulator = 0;
+}
+
+async function loadScene(text, source) {
+  if (benchmark || sequenceCapture) { status.textContent = `${source}: сцена не загружена, идёт бенчмарк или запись кадров`; return; }
+  try {
+    await applyScene(parseScene(text));
+    status.textContent = `Сцена загружена: ${source}`;
+  } catch (e) {
+    status.textContent = `${source}: ${e instanceof SceneError ? e.errors.join('; ') : e.message}`;
+  }
+}
+
+function loadSceneFromHash() {
+  let text;
+  try {
+    text = sceneFromHash(location.hash);
+  } catch (e) {
+    status.textContent = e.errors.join('; ');
+    return;
+  }
+  if (text !== null) loadScene(text, 'URL');
 }
 
 requestAnimationFrame(frameLoop);
 
+// Pause keeps rendering (camera and dragging stay live); "step" advances one fixed step while paused
+pauseBtn.addEventListener('click', () => {
+  paused = !paused;
+  accumulator = 0;
+  pauseBtn.textContent = paused ? 'Продолжить' : 'Пауза';
+  stepBtn.disabled = !paused;
+});
+stepBtn.addEventListener('click', () => { if (paused) pendingSteps++; });
+
+// Orbit camera: right button rotates, middle button (or Shift) pans, wheel zooms
+const camera = { target: [0, 0, 0], distance: 2.2, yaw: 0, pitch: 0.15, fovY: Math.PI / 4 };
+
+const vsub = (a, b) => [a[0]-b[0], a[1]-b[1], a[2]-b[2]];
+const vdot = (a, b) => a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
+const vcross = (a, b) => [a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0]];
+const vnorm = a => { const l = Math.hypot(a[0], a[1], a[2]) || 1; return [a[0]/l, a[1]/l, a[2]/l]; };
+
+function cameraEye() {
+  const c = Math.cos(camera.pitch);
+  return [
+    camera.target[0] + camera.distance * c * Math.sin(camera.yaw),
+    camera.target[1] + camera.distance * Math.sin(camera.pitch),
+    camera.target[2] + camera.distance * c * Math.cos(camera.yaw)
+  ];
+}
+
+// column-major matrices, WebGPU clip depth in [0, 1]
+function cameraViewProj() {
+  const eye = cameraEye();
+  const z = vnorm(vsub(eye, camera.target));
+  const x = vnorm(vcross([0, 1, 0], z));
+  const y = vcross(z, x);
+  const view = [x[0], y[0], z[0], 0, x[1], y[1], z[1], 0, x[2], y[2], z[2], 0, -vdot(x, eye), -vdot(y, eye), -vdot(z, eye), 1];
+  const f = 1 / Math.tan(camera.fovY / 2), near = 0.01, far = 100, nf = 1 / (near - far);
+  const proj = [f / (canvas.width / canvas.height), 0, 0, 0, 0, f, 0, 0, 0, 0, far * nf, -1, 0, 0, far * near * nf, 0];
+  const out = new Float32Array(16);
+  for (let c = 0; c < 4; c++)
+    for (let r = 0; r < 4; r++)
+      for (let k = 0; k < 4; k++) out[c*4+r] += proj[k*4+r] * view[c*4+k];
+  return out;
+}
+
+// world-space ray through the pointer: eye + direction built from the camera basis
+function pointerRay(e) {
+  const rect = canvas.getBoundingClientRect();
+  const ndcX = (e.clientX - rect.left) / rect.width * 2 - 1;
+  const ndcY = 1 - (e.clientY - rect.top) / rect.height * 2;
+  const eye = cameraEye();
+  const z = vnorm(vsub(eye, camera.target));
+  const x = vnorm(vcross([0, 1, 0], z));
+  const y = vcross(z, x);
+  const t = Math.tan(camera.fovY / 2);
+  const sx = ndcX * t * (canvas.width / canvas.height), sy = ndcY * t;
+  return { origin: eye, dir: vnorm([x[0]*sx + y[0]*sy - z[0], x[1]*sx + y[1]*sy - z[1], x[2]*sx + y[2]*sy - z[2]]) };
+}
+
+let cameraDrag = null;
+
+canvas.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  camera.distance = Math.max(0.2, Math.min(20, camera.distance * Math.exp(e.deltaY * 0.001)));
+}, { passive: false });
+canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+// Mouse picking: the vertex closest to the pointer ray (first along the ray) is grabbed
+// and dragged in the plane facing the camera
+const PICK_RADIUS = 0.04;
+
+async function readPositions() {
+  const byteSize = posArrayLength * 12;
+  const staging = device.createBuffer({ size: byteSize, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+  const encoder = device.createCommandEncoder();
+  encoder.copyBufferToBuffer(posBuffer, 0, staging, 0, byteSize);
+  device.queue.submit([encoder.finish()]);
+  await staging.mapAsync(GPUMapMode.READ);
+  const data = new Float32Array(staging.getMappedRange().slice(0));
+  staging.unmap();
+  staging.destroy();
+  return data;
+}
+
+// pinnedBuffer = user pins + attached vertices
+function writePinned() {
+  const state = new Uint32Array(pinnedState);
+  for (const a of attachments) state[a.index] = 1;
+  device.queue.writeBuffer(pinnedBuffer, 0, state);
+}
+
+function setPinned(index, value) {
+  pinnedState[index] = value;
+  writePinned();
+}
+
+// first vertex along the ray within PICK_RADIUS of it, or -1
+function pickVertex(positions, ray) {
+  let best = -1, bestT = Infinity;
+  for (let i = 0; i < posArrayLength; i++) {
+    const v = vsub([positions[3*i], positions[3*i+1], positions[3*i+2]], ray.origin);
+    const t = vdot(v, ray.dir);
+    if (t >= 0 && vdot(v, v) - t * t <= PICK_RADIUS * PICK_RADIUS && t < bestT) { best = i; bestT = t; }
+  }
+  return best;
+}
+
+// pinned vertices are skipped by integration, so writing both pos and prevPos keeps it at rest
+function moveVertex(index, p) {
+  const data = new Float32Array(p);
+  device.queue.writeBuffer(posBuffer, index * 12, data);
+  device.queue.writeBuffer(prevPosBuffer, index * 12, data);
+}
+
+canvas.addEventListener('pointerdown', async (e) => {
+  if (e.button !== 0) {
+    if (cameraDrag) return;
+    canvas.setPointerCapture(e.pointerId);
+    cameraDrag = { pointerId: e.pointerId, pan: e.button === 1 || e.shiftKey, x: e.clientX, y: e.clientY };
+    return;
+  }
+  if (drag || edit) return;
+  canvas.setPointerCapture(e.pointerId);
+  if (pinToolElem.value !== 'drag') {
+    edit = { pointerId: e.pointerId, busy: false };
+    applyEdit(e);
+    return;
+  }
+  const current = drag = { pointerId: e.pointerId, index: -1 };
+  const ray = pointerRay(e);
+  const positions = await readPositions();
+  if (drag !== current) return; // released while reading back
+  const best = pickVertex(positions, ray);
+  if (best < 0) { drag = null; return; }
+  // temporary infinite-mass pin, the original flag is restored on release
+  const point = [positions[3*best], positions[3*best+1], positions[3*best+2]];
+  Object.assign(current, { index: best, pinned: pinnedState[best], point, normal: ray.dir });
+  setPinned(best, 1);
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  if (cameraDrag && cameraDrag.pointerId === e.pointerId) {
+    const dx = (e.clientX - cameraDrag.x) / canvas.clientHeight;
+    const dy = (e.clientY - cameraDrag.y) / canvas.clientHeight;
+    cameraDrag.x = e.clientX;
+    cameraDrag.y = e.clientY;
+    if (cameraDrag.pan) {
+      const z = vnorm(vsub(cameraEye(), camera.target));
+      const x = vnorm(vcross([0, 1, 0], z));
+      const y = vcross(z, x);
+      const scale = camera.distance * Math.tan(camera.fovY / 2) * 2;
+      for (let i = 0; i < 3; i++) camera.target[i] += (-x[i] * dx + y[i] * dy) * scale;
+    } else {
+      camera.yaw -= dx * Math.PI;
+      camera.pitch = Math.max(-1.5, Math.min(1.5, camera.pitch + dy * Math.PI));
+    }
+    return;
+  }
+  if (edit && edit.pointerId === e.pointerId) {
+    if (pinToolElem.value === 'brush') applyEdit(e);
+    return;
+  }
+  if (!drag || drag.index < 0 || drag.pointerId !== e.pointerId) return;
+  // intersect the pointer ray with the drag plane
+  const ray = pointerRay(e);
+  const denom = vdot(ray.dir, drag.normal);
+  if (Math.abs(denom) < 1e-8) return;
+  const t = vdot(vsub(drag.point, ray.origin), drag.normal) / denom;
+  moveVertex(drag.index, [0, 1, 2].map(i => ray.origin[i] + ray.dir[i] * t));
+});
+
+function releaseDrag(e) {
+  if (cameraDrag && cameraDrag.pointerId === e.pointerId) { cameraDrag = null; return; }
+  if (edit && edit.pointerId === e.pointerId) { edit = null; return; }
+  if (!drag || drag.pointerId !== e.pointerId) return;
+  if (drag.index >= 0) setPinned(drag.index, drag.pinned);
+  drag = null;
+}
+// Pin editor: the tool picked in the UI replaces dragging with the left button.
+// "pin" toggles one vertex, "brush" pins every vertex within the brush radius while the
+// pointer moves (Shift unpins), "animate" attaches the vertex to the path from the UI or detaches it
+let edit = null;
+
+async function applyEdit(e) {
+  const current = edit;
+  if (current.busy) return;
+  current.busy = true;
+  const ray = pointerRay(e);
+  const positions = await readPositions();
+  current.busy = false;
+  const index = pickVertex(positions, ray);
+  if (index < 0) return;
+  const point = [positions[3*index], positions[3*index+1], positions[3*index+2]];
+  if (pinToolElem.value === 'pin') {
+    setPinned(index, pinnedState[index] ? 0 : 1);
+  } else if (pinToolElem.value === 'brush') {
+    const radius = parseFloat(brushRadiusElem.value);
+    for (let i = 0; i < posArrayLength; i++) {
+      const v = vsub([positions[3*i], positions[3*i+1], positions[3*i+2]], point);
+      if (vdot(v, v) <= radius * radius) pinnedState[i] = e.shiftKey ? 0 : 1;
+    }
+    writePinned();
+  } else if (pinToolElem.value === 'animate') {
+    const count = attachments.length;
+    attachments = attachments.filter(a => a.index !== index);
+    if (attachments.length === count && count < MAX_ATTACHMENTS) attachments.push({ index, origin: point, path: pinPathElem.value });
+    writePinned();
+  }
+}
+
+canvas.addEventListener('pointerup', releaseDrag);
+canvas.addEventListener('pointercancel', releaseDrag);
+
 // UI
 rebuildBtn.onclick = async () => {
   await rebuild();
 };
+tearStrainElem.addEventListener('change', writeTearStrain);
+hudToggleElem.addEventListener('change', () => { hudElem.hidden = !hudToggleElem.checked; });
+// a second click stops the benchmark after the current grid size
+benchmarkBtn.addEventListener('click', async () => {
+  if (benchmark) { benchmark.cancelled = true; return; }
+  // a grid rebuild in the middle of a PNG sequence would spoil both the frames and the timings
+  if (sequenceCapture) { status.textContent = 'Бенчмарк: сначала остановите запись кадров'; return; }
+  benchmarkBtn.textContent = 'Остановить бенчмарк';
+  try {
+    benchmarkResults = await runBenchmark();
+    exportBenchmarkBtn.disabled = benchmarkResults.length === 0;
+  } catch (e) {
+    status.textContent = `Бенчмарк: ${e.message}`;
+  } finally {
+    benchmarkBtn.textContent = 'Бенчмарк';
+  }
+});
+exportBenchmarkBtn.addEventListener('click', () => {
+  download(new Blob([benchmarkCSV(benchmarkResults)], { type: 'text/csv' }), 'cloth_benchmark.csv');
+});
+screenshotBtn.addEventListener('click', async () => {
+  try {
+    download(await canvasPNG(), 'cloth.png');
+  } catch (e) {
+    status.textContent = `Снимок: ${e.message}`;
+  }
+});
+recordVideoBtn.addEventListener('click', () => {
+  if (videoRecorder) {
+    videoRecorder.stop();
+    recordVideoBtn.textContent = 'Записать видео';
+    status.textContent = 'Видео сохранено';
+    return;
+  }
+  try {
+    startVideo();
+    recordVideoBtn.textContent = 'Остановить видео';
+    status.textContent = 'Запись видео...';
+  } catch (e) {
+    status.textContent = `Видео: ${e.message}`;
+  }
+});
+// a second click stops the sequence; the frames recorded so far are still saved
+recordSequenceBtn.addEventListener('click', async () => {
+  if (sequenceCapture) { sequenceCapture.cancelled = true; return; }
+  if (benchmark) return;
+  recordSequenceBtn.textContent = 'Остановить запись кадров';
+  try {
+    const images = await recordSequence(Math.max(1, parseInt(sequenceFramesElem.value) || 120));
+    if (images.length > 0) download(await pngSequenceZip(images), 'cloth_frames.zip');
+    status.textContent = `Кадры PNG: сохранено ${images.length}`;
+  } catch (e) {
+    status.textContent = `Кадры PNG: ${e.message}`;
+  } finally {
+    recordSequenceBtn.textContent = 'Записать кадры PNG';
+  }
+});
+pinPresetElem.addEventListener('change', () => {
+  pinnedState = new Uint32Array(posArrayLength);
+  for (const index of PIN_PRESETS[pinPresetElem.value](gridN)) pinnedState[index] = 1;
+  writePinned();
+});
+pinGroupElem.addEventListener('change', () => {
+  pinnedState = new Uint32Array(posArrayLength);
+  if (Object.hasOwn(clothMesh.groups, pinGroupElem.value)) for (const index of clothMesh.groups[pinGroupElem.value]) pinnedState[index] = 1;
+  writePinned();
+});
+loadMeshElem.addEventListener('change', () => {
+  const file = loadMeshElem.files[0];
+  loadMeshElem.value = '';
+  if (file) loadMesh(file);
+});
+useGridBtn.addEventListener('click', async () => {
+  if (benchmark || sequenceCapture) return;
+  setClothMesh(null);
+  await rebuild();
+});
+clearAttachmentsBtn.addEventListener('click', () => {
+  attachments = [];
+  writePinned();
+});
+const updateTool = () => {
+  brushRadiusElem.disabled = pinToolElem.value !== 'brush';
+  pinPathElem.disabled = pinToolElem.value !== 'animate';
+};
+pinToolElem.addEventListener('change', updateTool);
+updateTool();
+
+saveSceneBtn.addEventListener('click', () => {
+  download(new Blob([JSON.stringify(serializeScene(), null, 2)], { type: 'application/json' }), 'scene.json');
+});
+loadSceneElem.addEventListener('change', async () => {
+  const file = loadSceneElem.files[0];
+  loadSceneElem.value = '';
+  if (file) loadScene(await file.text(), file.name);
+});
+shareSceneBtn.addEventListener('click', async () => {
+  history.replaceState(null, '', sceneToHash(serializeScene()));
+  try {
+    await navigator.clipboard.writeText(location.href);
+    status.textContent = 'Ссылка на сцену скопирована';
+  } catch {
+    status.textContent = 'Ссылка на сцену — в адресной строке';
+  }
+});
+document.addEventListener('dragover', e => e.preventDefault());
+document.addEventListener('drop', async e => {
+  const file = e.dataTransfer.files[0];
+  if (!file) return;
+  if (MESH_FILE_PATTERN.test(file.name)) {
+    e.preventDefault();
+    loadMesh(file);
+    return;
+  }
+  if (!/\.json$/i.test(file.name)) return;
+  e.preventDefault();
+  loadScene(await file.text(), file.name);
+});
+window.addEventListener('hashchange', loadSceneFromHash);
 
 status.textContent = 'Запущено.';
+loadSceneFromHash();
 
 // Note: This example focuses on structure and demonstrates compute + render usage.
-// To further improve accuracy: precompute rest lengths on CPU and upload array, implement better pinned weighting, separate pipelines creation refactor, etc.
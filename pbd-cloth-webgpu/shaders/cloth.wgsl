@@ -0,0 +1,100 @@
+// PBD cloth compute shaders: attachments, Verlet integration, XPBD constraints, tearing.
+// Directives are expanded by preprocessWGSL (shaderPreprocessor.js of pbd-cloth-webgpu-2): Uniforms and
+// Constraint are generated from the field lists in main.js that also pack their buffers, the workgroup size
+// comes from SHADER_DEFINES
+#struct Uniforms
+#struct Constraint
+struct Batch { offset: u32, count: u32, };
+struct Attachment { pos: vec3<f32>, index: u32, };
+
+// positions are tightly packed xyz (stride 12) so the same buffer feeds the vertex stage
+@group(0) @binding(0) var<storage, read_write> positions: array<f32>;
+@group(0) @binding(1) var<storage, read_write> prevPositions: array<f32>;
+@group(0) @binding(2) var<storage, read> pinned: array<u32>;
+@group(0) @binding(3) var<storage, read> constraints: array<Constraint>;
+@group(0) @binding(4) var<uniform> u: Uniforms;
+@group(0) @binding(5) var<storage, read_write> lambdas: array<f32>;
+@group(0) @binding(6) var<storage, read_write> broken: array<u32>;
+@group(0) @binding(7) var<storage, read> attachments: array<Attachment>;
+@group(1) @binding(0) var<uniform> batch: Batch;
+
+fn loadPos(i: u32) -> vec3<f32> {
+  return vec3<f32>(positions[3u * i], positions[3u * i + 1u], positions[3u * i + 2u]);
+}
+fn storePos(i: u32, p: vec3<f32>) {
+  positions[3u * i] = p.x; positions[3u * i + 1u] = p.y; positions[3u * i + 2u] = p.z;
+}
+fn loadPrev(i: u32) -> vec3<f32> {
+  return vec3<f32>(prevPositions[3u * i], prevPositions[3u * i + 1u], prevPositions[3u * i + 2u]);
+}
+fn storePrev(i: u32, p: vec3<f32>) {
+  prevPositions[3u * i] = p.x; prevPositions[3u * i + 1u] = p.y; prevPositions[3u * i + 2u] = p.z;
+}
+
+// Animated attachments: every attached vertex is moved to this step's target on its path.
+// Attached vertices are pinned, so cs_pbd and the constraints leave them there
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn cs_attach(@builtin(global_invocation_id) gid : vec3<u32>) {
+  if (gid.x >= u.attachCount) { return; }
+  let a = attachments[gid.x];
+  storePos(a.index, a.pos);
+  storePrev(a.index, a.pos);
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn cs_pbd(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let idx = gid.x;
+  // integrate positions (Verlet); pinned vertices keep their place
+  if (idx < arrayLength(&pinned)) {
+    let pos = loadPos(idx);
+    if (pinned[idx] == 1u) {
+      storePrev(idx, pos);
+      return;
+    }
+    let prev = loadPrev(idx);
+    var acc = vec3<f32>(0.0, 0.0, 0.0);
+    if (u.gravityOn == 1u) {
+      acc = vec3<f32>(0.0, -9.8, 0.0);
+    }
+    let dt = u.dt;
+    let newPos = pos + (pos - prev) + acc * dt * dt;
+    storePrev(idx, pos);
+    storePos(idx, newPos);
+  }
+}
+
+// XPBD distance constraint; one dispatch solves one colour batch, whose
+// constraints share no vertices, so positions are written without races
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn cs_constraints(@builtin(global_invocation_id) gid : vec3<u32>) {
+  if (gid.x >= batch.count) { return; }
+  let ci = batch.offset + gid.x;
+  if (broken[ci] != 0u) { return; }
+  let c = constraints[ci];
+  let p1 = loadPos(c.a);
+  let p2 = loadPos(c.b);
+  let w1 = select(1.0, 0.0, pinned[c.a] == 1u);
+  let w2 = select(1.0, 0.0, pinned[c.b] == 1u);
+  let alpha = c.compliance / (u.dt * u.dt);
+  let denom = w1 + w2 + alpha;
+  let delta = p1 - p2;
+  let dist = length(delta);
+  if (dist < 0.000001 || denom <= 0.0) { return; }
+  let dLambda = (-(dist - c.rest) - alpha * lambdas[ci]) / denom;
+  lambdas[ci] = lambdas[ci] + dLambda;
+  let n = delta / dist;
+  storePos(c.a, p1 + n * (w1 * dLambda));
+  storePos(c.b, p2 - n * (w2 * dLambda));
+}
+
+// Tearing: a constraint stretched beyond maxStrain breaks for good and is skipped by
+// cs_constraints from then on; maxStrain = 0 means the constraint never tears
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn cs_tear(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let ci = gid.x;
+  if (ci >= u.constraintCount) { return; }
+  let c = constraints[ci];
+  if (broken[ci] != 0u || c.maxStrain <= 0.0 || c.rest <= 0.0) { return; }
+  let strain = (length(loadPos(c.a) - loadPos(c.b)) - c.rest) / c.rest;
+  if (strain > c.maxStrain) { broken[ci] = 1u; }
+}
@@ -0,0 +1,20 @@
+// Edge compaction lives in its own module: its group 0 holds different buffers than the solver's.
+// Surviving edges are appended to the render index buffer through an atomic counter, which is
+// the indexCount of the indirect draw, so the edge list never goes through the CPU
+struct Edge { a: u32, b: u32, constraint: u32, };
+
+@group(0) @binding(0) var<storage, read> broken: array<u32>;
+@group(0) @binding(1) var<storage, read> edges: array<Edge>;
+@group(0) @binding(2) var<storage, read_write> edgeIndices: array<u32>;
+@group(0) @binding(3) var<storage, read_write> drawArgs: array<atomic<u32>>;
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn cs_compact_edges(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let i = gid.x;
+  if (i >= arrayLength(&edges)) { return; }
+  let e = edges[i];
+  if (e.constraint != 0xffffffffu && broken[e.constraint] != 0u) { return; }
+  let slot = atomicAdd(&drawArgs[0], 2u);
+  edgeIndices[slot] = e.a;
+  edgeIndices[slot + 1u] = e.b;
+}
@@ -0,0 +1,19 @@
+// Render shaders live in a separate module so the camera uniform does not clash with compute bindings.
+// Edges only, in one colour: the lit, textured cloth shading is implemented in pbd-cloth-webgpu-2 (cloth_render.wgsl)
+struct Camera { viewProj : mat4x4<f32>, };
+@group(0) @binding(0) var<uniform> camera : Camera;
+
+struct VSOut { @builtin(position) pos : vec4<f32>, @location(0) color : vec4<f32>, };
+
+@vertex
+fn vs_render(@location(0) inPos : vec3<f32>) -> VSOut {
+  var out : VSOut;
+  out.pos = camera.viewProj * vec4<f32>(inPos, 1.0);
+  out.color = vec4<f32>(1.0, 0.8, 0.3, 1.0);
+  return out;
+}
+
+@fragment
+fn fs_render(inFrag : VSOut) -> @location(0) vec4<f32> {
+  return inFrag.color;
+}